@@ -0,0 +1,137 @@
+// Reads address lists exported from GIS: CSV with the input template's
+// Addresses columns, or GeoJSON Point features carrying those columns as
+// properties, plus a LineString for the cable route. Rows are checked the
+// same way as the Addresses sheet, into the same validation report.
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const InputParser = require('./inputParser');
+const { INPUT_TEMPLATE } = require('./inputTemplate');
+const { routePositions } = require('./routeOrder');
+
+const ADDRESS_FILE_TYPES = {
+  '.csv': 'csv',
+  '.geojson': 'geojson',
+  '.json': 'geojson'
+};
+
+const ADDRESSES_SHEET = INPUT_TEMPLATE.sheets.find(sheet => sheet.name === 'Addresses');
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// csv or geojson by file extension, or null for anything else
+function addressFileFormat(fileName) {
+  return ADDRESS_FILE_TYPES[path.extname(String(fileName)).toLowerCase()] || null;
+}
+
+// Addresses from a CSV export, one per row under a header row
+function readAddressCsv(text, fileName) {
+  const workbook = XLSX.read(text.replace(/^\uFEFF/, ''), { type: 'string', raw: true });
+  const parser = new InputParser();
+  const rows = parser.parseSheet({ sheetName: fileName, worksheet: workbook.Sheets[workbook.SheetNames[0]] }, ADDRESSES_SHEET);
+  if (rows) parser.checkAddresses(rows);
+
+  return {
+    format: 'csv',
+    addresses: (rows || []).map(entry => entry.record),
+    route: null,
+    validation: parser.getReport()
+  };
+}
+
+// Addresses from a GeoJSON FeatureCollection. Each Point is an address, its
+// coordinates giving Longitude and Latitude; the first LineString (or
+// MultiLineString) is the route. Problems name the feature number as the row.
+function readAddressGeoJson(text, fileName) {
+  let geojson;
+  try {
+    geojson = JSON.parse(text.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw badRequest(`${fileName} is not valid JSON: ${error.message}`);
+  }
+  let features = null;
+  if (geojson && geojson.type === 'FeatureCollection') features = geojson.features;
+  if (geojson && geojson.type === 'Feature') features = [geojson];
+  if (!Array.isArray(features)) {
+    throw badRequest(`${fileName} must be a GeoJSON FeatureCollection`);
+  }
+
+  const parser = new InputParser();
+  const points = [];
+  const lines = [];
+  features.forEach((feature, index) => {
+    const type = feature && feature.geometry ? feature.geometry.type : null;
+    if (type === 'Point') {
+      points.push({ feature, number: index + 1 });
+    } else if (type === 'LineString' || type === 'MultiLineString') {
+      lines.push({ feature, number: index + 1 });
+    } else {
+      parser.addWarning(fileName, index + 1, null, `Feature ${index + 1} is not a Point or LineString and was ignored`);
+    }
+  });
+
+  // Lay the points out as a sheet, each on the row of its feature number
+  // (after the header) so the template's column checks apply as they are
+  const keys = [...new Set(points.flatMap(({ feature }) => Object.keys(feature.properties || {})))];
+  const cellValue = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+  const worksheet = XLSX.utils.aoa_to_sheet([['Longitude', 'Latitude', ...keys]]);
+  points.forEach(({ feature, number }) => {
+    const [longitude, latitude] = feature.geometry.coordinates || [];
+    const properties = feature.properties || {};
+    XLSX.utils.sheet_add_aoa(worksheet, [[longitude, latitude, ...keys.map(key => cellValue(properties[key]))]], { origin: { r: number, c: 0 } });
+  });
+
+  const sheetParser = new InputParser();
+  const rows = points.length > 0 ? sheetParser.parseSheet({ sheetName: fileName, worksheet }, ADDRESSES_SHEET) : null;
+  if (rows) sheetParser.checkAddresses(rows);
+  if (points.length === 0) {
+    parser.addError(fileName, null, null, 'No Point features found; each address must be a Point');
+  }
+
+  let route = null;
+  if (lines.length > 0) {
+    try {
+      route = routePositions(lines[0].feature, `Feature ${lines[0].number}`);
+    } catch (error) {
+      parser.addError(fileName, lines[0].number, null, error.message);
+    }
+    if (lines.length > 1) {
+      parser.addWarning(fileName, lines[1].number, null, `Only the first route line (feature ${lines[0].number}) is used`);
+    }
+  }
+
+  // Sheet rows back to feature numbers; the header row is no feature
+  const toFeature = entry => ({ ...entry, row: entry.row > 1 ? entry.row - 1 : null });
+  const errors = [...parser.errors, ...sheetParser.errors.map(toFeature)];
+  return {
+    format: 'geojson',
+    addresses: (rows || []).map(entry => entry.record),
+    route,
+    validation: {
+      valid: errors.length === 0,
+      errors,
+      warnings: [...parser.warnings, ...sheetParser.warnings.map(toFeature)]
+    }
+  };
+}
+
+// { format, addresses, route, validation } from an uploaded address file;
+// fileName (the upload's original name) picks the format
+function readAddressFile(filePath, fileName = path.basename(filePath)) {
+  const format = addressFileFormat(fileName);
+  if (!format) {
+    throw badRequest(`Address files must be one of: ${Object.keys(ADDRESS_FILE_TYPES).join(', ')}`);
+  }
+  const text = fs.readFileSync(filePath, 'utf8');
+  return format === 'csv' ? readAddressCsv(text, fileName) : readAddressGeoJson(text, fileName);
+}
+
+module.exports = {
+  ADDRESS_FILE_TYPES,
+  addressFileFormat,
+  readAddressFile
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { addressFileFormat, readAddressFile } = require('./addressImport');
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { resolveAddressOrder } = require('./routeOrder');
+
+const point = (coordinates, properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates }, properties });
+const ROUTE = { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-97, 32], [-97, 32.01]] }, properties: {} };
+
+describe('address import', () => {
+  let dir;
+  const write = (name, contents) => {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    return filePath;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'address-import-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('the format comes from the file name', () => {
+    expect(['drops.CSV', 'drops.geojson', 'drops.json', 'drops.kml'].map(addressFileFormat)).toEqual(['csv', 'geojson', 'geojson', null]);
+    expect(() => readAddressFile(write('upload', ''), 'drops.kml'))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Address files must be one of: .csv, .geojson, .json' }));
+  });
+
+  test('CSV rows are checked like the Addresses sheet', () => {
+    const filePath = write('upload', '\uFEFFMST,Address,Fiber Count,Station\nMST_2,2 B ST,1,12+50\nMST_1,1 A ST,2,300\nMST_1,1B A ST,x,\n');
+    const imported = readAddressFile(filePath, 'drops.csv');
+
+    expect(imported.format).toBe('csv');
+    expect(imported.route).toBeNull();
+    expect(imported.addresses.slice(0, 2)).toEqual([
+      { mst: 'MST_2', address: '2 B ST', fiberCount: 1, station: 1250 },
+      { mst: 'MST_1', address: '1 A ST', fiberCount: 2, station: 300 }
+    ]);
+    expect(imported.validation.errors).toEqual([
+      { sheet: 'drops.csv', row: 4, column: 'Fiber Count', message: 'Fiber Count must be a whole number, got "x"' }
+    ]);
+  });
+
+  test('GeoJSON points are addresses and the first line is the route', () => {
+    const imported = readAddressFile(write('upload', {
+      type: 'FeatureCollection',
+      features: [
+        ROUTE,
+        point([-97.0001, 32.008], { MST: 'MST_A', Address: '8 N ST' }),
+        point([-97.0001, 32.002], { MST: 'MST_B', Address: '2 N ST', 'Fiber Count': 2 }),
+        { type: 'Feature', geometry: { type: 'Polygon', coordinates: [] }, properties: {} }
+      ]
+    }), 'drops.geojson');
+
+    expect(imported.route).toEqual([[-97, 32], [-97, 32.01]]);
+    expect(imported.addresses).toEqual([
+      { mst: 'MST_A', address: '8 N ST', latitude: 32.008, longitude: -97.0001 },
+      { mst: 'MST_B', address: '2 N ST', fiberCount: 2, latitude: 32.002, longitude: -97.0001 }
+    ]);
+    expect(imported.validation).toEqual({
+      valid: true,
+      errors: [],
+      warnings: [{ sheet: 'drops.geojson', row: 4, column: null, message: 'Feature 4 is not a Point or LineString and was ignored' }]
+    });
+
+    const generator = new SpliceSheetGenerator();
+    const ordered = generator.orderAddresses(imported.addresses, resolveAddressOrder({ by: 'route', route: imported.route }));
+    expect(ordered.map(entry => entry.mst)).toEqual(['MST_B', 'MST_A']);
+  });
+
+  test('problems in a GeoJSON file name the feature', () => {
+    const { validation } = readAddressFile(write('upload', {
+      type: 'FeatureCollection',
+      features: [point([-97, 32], { MST: 'MST_A', Address: '1 A ST', 'Fiber Count': 'two' })]
+    }), 'drops.json');
+    expect(validation.errors).toEqual([{ sheet: 'drops.json', row: 1, column: 'Fiber Count', message: 'Fiber Count must be a whole number, got "two"' }]);
+
+    expect(readAddressFile(write('upload', { type: 'FeatureCollection', features: [ROUTE] }), 'drops.geojson').validation.errors)
+      .toEqual([{ sheet: 'drops.geojson', row: null, column: null, message: 'No Point features found; each address must be a Point' }]);
+    expect(() => readAddressFile(write('upload', '{nope'), 'bad.geojson'))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringMatching(/^bad\.geojson is not valid JSON/) }));
+    expect(() => readAddressFile(write('upload', { type: 'Point', coordinates: [0, 0] }), 'bad.geojson'))
+      .toThrow('bad.geojson must be a GeoJSON FeatureCollection');
+  });
+});
@@ -0,0 +1,103 @@
+// Splits batch uploads into one input per FDH. A workbook laid out like the
+// input template is one FDH; otherwise every tab is an FDH, with its Settings,
+// Cables, Addresses and Splitters stacked as sections under title rows:
+//
+//   Settings                       <- section title
+//   Main Cable Name | FDH108       <- label/value rows
+//   Cables
+//   Cable Name | Fiber Count       <- header row, then one row per cable
+//   144F(1)    | 144
+//   Addresses
+//   MST | Address | ...
+const path = require('path');
+const XLSX = require('xlsx');
+const InputParser = require('./inputParser');
+const { INPUT_TEMPLATE, matchesName } = require('./inputTemplate');
+
+const SECTIONS = [INPUT_TEMPLATE.settings, ...INPUT_TEMPLATE.sheets];
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// The section a row opens, when its only cell is a section name
+function sectionTitle(cells) {
+  const filled = cells.filter(cell => !isBlank(cell));
+  if (filled.length !== 1 || isBlank(cells[0])) return null;
+  return SECTIONS.find(definition => matchesName(definition, cells[0])) || null;
+}
+
+// Rebuild an FDH tab as a template workbook, keeping each row at its Excel
+// row number so validation points at the right line of the tab
+function splitTab(worksheet) {
+  if (!worksheet['!ref']) return null;
+
+  const firstRow = XLSX.utils.decode_range(worksheet['!ref']).s.r;
+  const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true, raw: true });
+  const sections = [];
+  rows.forEach((cells, index) => {
+    const definition = sectionTitle(cells);
+    if (definition) {
+      sections.push({ definition, rows: [] });
+    } else if (sections.length > 0) {
+      sections[sections.length - 1].rows.push({ rowIndex: firstRow + index, cells });
+    }
+  });
+  if (!sections.some(section => section.definition === INPUT_TEMPLATE.sheets[0])) return null;
+
+  const workbook = XLSX.utils.book_new();
+  sections.forEach(({ definition, rows: sectionRows }) => {
+    if (workbook.SheetNames.includes(definition.name)) return;
+    const sheet = {};
+    sectionRows.forEach(({ rowIndex, cells }) => {
+      XLSX.utils.sheet_add_aoa(sheet, [cells], { origin: { r: rowIndex, c: 0 } });
+    });
+    XLSX.utils.book_append_sheet(workbook, sheet, definition.name);
+  });
+  return workbook;
+}
+
+// Name the tab in every problem found in one of its sections
+function tabReport(validation, tabName) {
+  const locate = entry => ({ ...entry, sheet: `${tabName} / ${entry.sheet}` });
+  return { ...validation, errors: validation.errors.map(locate), warnings: validation.warnings.map(locate) };
+}
+
+// [{ name, source, tab, inputData, validation }] for every FDH in a workbook,
+// plus the tabs that held no FDH
+function readBatchWorkbook(workbook, source) {
+  const isTemplate = workbook.SheetNames.some(name => matchesName(INPUT_TEMPLATE.sheets[0], name));
+  if (isTemplate) {
+    const { inputData, validation } = new InputParser().parseWorkbook(workbook);
+    const name = inputData.mainCableName || path.basename(source, path.extname(source));
+    return { inputs: [{ name, source, tab: null, inputData, validation }], skipped: [] };
+  }
+
+  const inputs = [];
+  const skipped = [];
+  workbook.SheetNames.forEach(tab => {
+    const tabWorkbook = splitTab(workbook.Sheets[tab]);
+    if (!tabWorkbook) {
+      skipped.push({ source, tab, message: `Tab "${tab}" has no Cables section and was skipped` });
+      return;
+    }
+
+    const { inputData, validation } = new InputParser().parseWorkbook(tabWorkbook);
+    // The tab name stands in for a missing Main Cable Name
+    if (!inputData.mainCableName) {
+      inputData.mainCableName = tab;
+      validation.warnings = validation.warnings.filter(warning => warning.column !== 'Main Cable Name');
+    }
+    inputs.push({ name: inputData.mainCableName, source, tab, inputData, validation: tabReport(validation, tab) });
+  });
+  return { inputs, skipped };
+}
+
+function readBatchFile(filePath, source) {
+  return readBatchWorkbook(XLSX.readFile(filePath), source);
+}
+
+module.exports = {
+  readBatchWorkbook,
+  readBatchFile
+};
@@ -0,0 +1,63 @@
+const XLSX = require('xlsx');
+const { readBatchWorkbook } = require('./batchInput');
+
+function workbookOf(tabs) {
+  const workbook = XLSX.utils.book_new();
+  Object.entries(tabs).forEach(([name, rows]) => {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  });
+  return workbook;
+}
+
+describe('batch workbooks', () => {
+  test('every tab with stacked sections is one FDH', () => {
+    const { inputs, skipped } = readBatchWorkbook(workbookOf({
+      North: [
+        ['Settings'], ['Main Cable Name', 'FDH108'], ['Ports', 24], [],
+        ['Cables'], ['Cable Name', 'Fiber Count'], ['12F(1)', 12], ['12F(2)', 12], [],
+        ['Addresses'], ['MST', 'Address', 'Fiber Count'], ['MST_1', '1 A ST', 2]
+      ],
+      Notes: [['Notes'], ['call the county about HH-4']]
+    }), 'route.xlsx');
+
+    expect(inputs).toEqual([{
+      name: 'FDH108',
+      source: 'route.xlsx',
+      tab: 'North',
+      inputData: {
+        ports: 24,
+        mainCableName: 'FDH108',
+        cables: [{ name: '12F(1)', fiberCount: 12 }, { name: '12F(2)', fiberCount: 12 }],
+        addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 2 }]
+      },
+      validation: { valid: true, errors: [], warnings: [] }
+    }]);
+    expect(skipped).toEqual([{ source: 'route.xlsx', tab: 'Notes', message: 'Tab "Notes" has no Cables section and was skipped' }]);
+  });
+
+  test('problems name the tab and section, at the tab\'s own row numbers', () => {
+    const [input] = readBatchWorkbook(workbookOf({
+      South: [['Cables'], ['Cable Name', 'Fiber Count'], ['24F', 'lots']]
+    }), 'route.xlsx').inputs;
+
+    expect(input.name).toBe('South');
+    expect(input.inputData.mainCableName).toBe('South');
+    expect(input.validation.valid).toBe(false);
+    expect(input.validation.errors[0]).toEqual({
+      sheet: 'South / Cables', row: 3, column: 'Fiber Count', message: 'Fiber Count must be a whole number, got "lots"'
+    });
+    expect(input.validation.warnings.map(warning => warning.column)).toEqual(['Ports']);
+  });
+
+  test('a workbook laid out like the input template is a single FDH named after the file', () => {
+    const { inputs, skipped } = readBatchWorkbook(workbookOf({
+      Cables: [['Cable Name', 'Fiber Count'], ['12F', 12]],
+      Addresses: [['MST', 'Address', 'Fiber Count'], ['MST_1', '1 A ST', 1]]
+    }), 'uploads/fdh200.xlsx');
+
+    expect(skipped).toEqual([]);
+    expect(inputs).toHaveLength(1);
+    expect(inputs[0]).toMatchObject({ name: 'fdh200', tab: null, inputData: { ports: 12, cables: [{ name: '12F', fiberCount: 12 }] } });
+    expect(inputs[0].validation.valid).toBe(true);
+  });
+});
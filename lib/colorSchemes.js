@@ -0,0 +1,170 @@
+// Registry of fiber color code standards. Each scheme lists its colors in
+// sequence order; positions past the end of the sequence repeat it with a
+// stripe/dash (see sequenceColor).
+
+// Named colors shared by the built-in schemes and available to custom ones
+const PALETTE = {
+  BL: { name: 'Blue', abbreviation: 'BL', hex: '#0070C0' },
+  OR: { name: 'Orange', abbreviation: 'OR', hex: '#FF8C00' },
+  GR: { name: 'Green', abbreviation: 'GR', hex: '#00A650' },
+  BR: { name: 'Brown', abbreviation: 'BR', hex: '#8B4513' },
+  SL: { name: 'Slate', abbreviation: 'SL', hex: '#708090' },
+  GY: { name: 'Grey', abbreviation: 'GY', hex: '#A0A0A0' },
+  WH: { name: 'White', abbreviation: 'WH', hex: '#FFFFFF' },
+  RD: { name: 'Red', abbreviation: 'RD', hex: '#E00000' },
+  BK: { name: 'Black', abbreviation: 'BK', hex: '#000000' },
+  YL: { name: 'Yellow', abbreviation: 'YL', hex: '#FFE600' },
+  VT: { name: 'Violet', abbreviation: 'VT', hex: '#8F00FF' },
+  RS: { name: 'Rose', abbreviation: 'RS', hex: '#FF66CC' },
+  PK: { name: 'Pink', abbreviation: 'PK', hex: '#FFB6C1' },
+  AQ: { name: 'Aqua', abbreviation: 'AQ', hex: '#00FFFF' },
+  TQ: { name: 'Turquoise', abbreviation: 'TQ', hex: '#40E0D0' }
+};
+
+const DEFAULT_COLOR_SCHEME = 'TIA-598-C';
+
+const BUILT_IN_SCHEMES = {
+  'TIA-598-C': {
+    description: 'North American standard (TIA-598-C)',
+    colors: ['BL', 'OR', 'GR', 'BR', 'SL', 'WH', 'RD', 'BK', 'YL', 'VT', 'RS', 'AQ']
+  },
+  'IEC-60304': {
+    description: 'International standard (IEC 60304)',
+    colors: ['BL', 'OR', 'GR', 'BR', 'GY', 'WH', 'RD', 'BK', 'YL', 'VT', 'PK', 'TQ']
+  },
+  'DIN-VDE-0888': {
+    description: 'German standard (DIN VDE 0888)',
+    colors: ['RD', 'GR', 'BL', 'YL', 'WH', 'GY', 'BR', 'VT', 'TQ', 'BK', 'OR', 'PK']
+  },
+  'S12': {
+    description: 'Swedish standard (S12)',
+    colors: ['RD', 'BL', 'WH', 'GR', 'VT', 'OR', 'GY', 'YL', 'BR', 'PK', 'BK', 'TQ']
+  }
+};
+
+const schemes = {};
+
+// Build a scheme from a definition whose colors are palette abbreviations or
+// { name, abbreviation, hex } objects. Stripes default to black, or yellow on
+// black.
+function createColorScheme(name, definition = {}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Color scheme name is required');
+  }
+  if (!Array.isArray(definition.colors) || definition.colors.length === 0) {
+    throw new Error(`Color scheme ${name} must list at least one color`);
+  }
+
+  const colors = definition.colors.map((color, index) => {
+    if (typeof color === 'string') {
+      const paletteColor = PALETTE[color.toUpperCase()];
+      if (!paletteColor) {
+        throw new Error(`Color scheme ${name} uses unknown color "${color}" at position ${index + 1}`);
+      }
+      return { ...paletteColor };
+    }
+    if (!color || !color.abbreviation) {
+      throw new Error(`Color scheme ${name} color at position ${index + 1} needs an abbreviation`);
+    }
+    const paletteColor = PALETTE[String(color.abbreviation).toUpperCase()] || {};
+    return {
+      name: color.name || paletteColor.name || color.abbreviation,
+      abbreviation: String(color.abbreviation).toUpperCase(),
+      hex: color.hex || paletteColor.hex || '#FFFFFF'
+    };
+  });
+
+  return {
+    name,
+    description: definition.description || 'Custom color order',
+    stripe: (definition.stripe || 'BK').toUpperCase(),
+    alternateStripe: (definition.alternateStripe || 'YL').toUpperCase(),
+    colors
+  };
+}
+
+function registerColorScheme(name, definition) {
+  const scheme = createColorScheme(name, definition);
+  schemes[name.toUpperCase()] = scheme;
+  return scheme;
+}
+
+// Look up a registered scheme by name, case-insensitively
+function getColorScheme(name = DEFAULT_COLOR_SCHEME) {
+  const scheme = schemes[String(name).toUpperCase()];
+  if (!scheme) {
+    const error = new Error(`Unknown color scheme "${name}". Available: ${listColorSchemes().map(s => s.name).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return scheme;
+}
+
+function listColorSchemes() {
+  return Object.values(schemes);
+}
+
+// Abbreviation for a 1-based position in the scheme's sequence. Positions past
+// the end repeat the sequence with one stripe per pass: BL/BK, then BL//BK.
+function sequenceColor(scheme, position, { lowercase = false } = {}) {
+  const { base, stripe, stripes } = colorParts(scheme, position);
+  const abbreviation = stripes === 0
+    ? base.abbreviation
+    : `${base.abbreviation}${'/'.repeat(stripes)}${stripe.abbreviation}`;
+  return lowercase ? abbreviation.toLowerCase() : abbreviation;
+}
+
+// Full name, abbreviation and hex values for a position, including its stripe
+function colorDetails(scheme, position) {
+  const { base, stripe, stripes } = colorParts(scheme, position);
+  return {
+    name: stripes === 0 ? base.name : `${base.name} with ${stripes > 1 ? `${stripes} ` : ''}${stripe.name} stripe`,
+    abbreviation: sequenceColor(scheme, position),
+    hex: base.hex,
+    stripeHex: stripes === 0 ? null : stripe.hex,
+    stripes
+  };
+}
+
+// Resolve an abbreviation as written on a sheet ("BL", "or", "BL//BK") back to
+// its colors, or null if the scheme doesn't know it
+function findColor(scheme, abbreviation) {
+  const [base, ...stripeParts] = String(abbreviation || '').trim().toUpperCase().split('/');
+  const lookup = code => scheme.colors.find(color => color.abbreviation === code) || PALETTE[code];
+  const baseColor = lookup(base);
+  if (!baseColor) return null;
+
+  const stripes = stripeParts.length;
+  const stripe = stripes > 0 ? lookup(stripeParts[stripes - 1]) : null;
+  return {
+    name: stripe ? `${baseColor.name} with ${stripes > 1 ? `${stripes} ` : ''}${stripe.name} stripe` : baseColor.name,
+    abbreviation: String(abbreviation).trim(),
+    hex: baseColor.hex,
+    stripeHex: stripe ? stripe.hex : null,
+    stripes
+  };
+}
+
+function colorParts(scheme, position) {
+  const base = scheme.colors[(position - 1) % scheme.colors.length];
+  const stripes = Math.floor((position - 1) / scheme.colors.length);
+  const stripeAbbreviation = base.abbreviation === scheme.stripe ? scheme.alternateStripe : scheme.stripe;
+  const stripe = scheme.colors.find(color => color.abbreviation === stripeAbbreviation) ||
+    PALETTE[stripeAbbreviation] ||
+    { name: stripeAbbreviation, abbreviation: stripeAbbreviation, hex: '#000000' };
+  return { base, stripe, stripes };
+}
+
+Object.entries(BUILT_IN_SCHEMES).forEach(([name, definition]) => registerColorScheme(name, definition));
+
+module.exports = {
+  PALETTE,
+  DEFAULT_COLOR_SCHEME,
+  createColorScheme,
+  registerColorScheme,
+  getColorScheme,
+  listColorSchemes,
+  sequenceColor,
+  colorDetails,
+  findColor
+};
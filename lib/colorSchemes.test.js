@@ -0,0 +1,92 @@
+const {
+  createColorScheme,
+  getColorScheme,
+  listColorSchemes,
+  sequenceColor,
+  colorDetails,
+  findColor
+} = require('./colorSchemes');
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+
+describe('color scheme registry', () => {
+  test('lists the built-in schemes', () => {
+    expect(listColorSchemes().map(scheme => scheme.name)).toEqual(['TIA-598-C', 'IEC-60304', 'DIN-VDE-0888', 'S12']);
+  });
+
+  test('looks schemes up case-insensitively with full color details', () => {
+    const scheme = getColorScheme('din-vde-0888');
+    expect(scheme.name).toBe('DIN-VDE-0888');
+    expect(scheme.colors[0]).toEqual({ name: 'Red', abbreviation: 'RD', hex: '#E00000' });
+  });
+
+  test('an unknown scheme is a 400 naming the ones available', () => {
+    expect(() => getColorScheme('ACME')).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'Unknown color scheme "ACME". Available: TIA-598-C, IEC-60304, DIN-VDE-0888, S12'
+    }));
+  });
+});
+
+describe('sequence colors', () => {
+  const tia = getColorScheme('TIA-598-C');
+
+  test('positions past the sequence repeat it with one stripe per pass', () => {
+    expect(sequenceColor(tia, 1)).toBe('BL');
+    expect(sequenceColor(tia, 13)).toBe('BL/BK');
+    expect(sequenceColor(tia, 25)).toBe('BL//BK');
+    expect(sequenceColor(tia, 20, { lowercase: true })).toBe('bk/yl');
+  });
+
+  test('color details name the stripe', () => {
+    expect(colorDetails(tia, 26)).toEqual({
+      name: 'Orange with 2 Black stripe',
+      abbreviation: 'OR//BK',
+      hex: '#FF8C00',
+      stripeHex: '#000000',
+      stripes: 2
+    });
+  });
+
+  test('abbreviations read off a sheet resolve back to their colors', () => {
+    expect(findColor(tia, 'or/bk')).toMatchObject({ name: 'Orange with Black stripe', stripes: 1 });
+    expect(findColor(tia, 'XX')).toBeNull();
+  });
+});
+
+describe('custom color schemes', () => {
+  test('take palette abbreviations and full color objects', () => {
+    const scheme = createColorScheme('ACME-ORDER', {
+      colors: ['bl', 'OR', { abbreviation: 'MV', name: 'Mauve', hex: '#E0B0FF' }]
+    });
+
+    expect(scheme.colors.map(color => color.abbreviation)).toEqual(['BL', 'OR', 'MV']);
+    expect(scheme.colors[2]).toEqual({ name: 'Mauve', abbreviation: 'MV', hex: '#E0B0FF' });
+    expect(sequenceColor(scheme, 4)).toBe('BL/BK');
+  });
+
+  test('reject unknown palette colors and empty orders', () => {
+    expect(() => createColorScheme('BAD', { colors: ['BL', 'ZZ'] }))
+      .toThrow('Color scheme BAD uses unknown color "ZZ" at position 2');
+    expect(() => createColorScheme('EMPTY', { colors: [] })).toThrow('Color scheme EMPTY must list at least one color');
+  });
+
+  test('can be chosen per request and per cable', () => {
+    const generator = new SpliceSheetGenerator();
+    generator.generateSpliceSheet({
+      ports: 24,
+      colorScheme: 'IEC-60304',
+      customColorSchemes: [{ name: 'ACME-ORDER', colors: ['RD', 'GR', 'BL'] }],
+      cables: [{ name: 'A', fiberCount: 12 }, { name: 'B', fiberCount: 12, colorScheme: 'acme-order' }],
+      addresses: []
+    });
+
+    expect(generator.records[4]).toMatchObject({ cable: 'A', fiberColor: 'gy', colorScheme: 'IEC-60304' });
+    expect(generator.records[15]).toMatchObject({ cable: 'B', fiberColor: 'rd/bk', colorScheme: 'ACME-ORDER' });
+  });
+
+  test('a bad custom scheme in a design is a 400', () => {
+    const generator = new SpliceSheetGenerator();
+    expect(() => generator.generateSpliceSheet({ ports: 1, customColorSchemes: [{ name: 'X', colors: ['QQ'] }] }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,151 @@
+// Flat CSV and normalized JSON renderings of the generator's per-port records,
+// for GIS and OSS inventory imports
+const { fiberStatusOf } = require('./fiberStatus');
+
+// A field's value is the record's key unless it has a value(record)
+const FIBER_FIELDS = [
+  { key: 'port', header: 'Port' },
+  { key: 'mainCableName', header: 'Main Cable' },
+  { key: 'cable', header: 'Cable' },
+  { key: 'fiber', header: 'Fiber' },
+  { key: 'bufferTube', header: 'Buffer Tube' },
+  { key: 'bufferColor', header: 'Buffer Color' },
+  { key: 'ribbon', header: 'Ribbon' },
+  { key: 'ribbonColor', header: 'Ribbon Color' },
+  { key: 'fiberNumber', header: 'Fiber Position' },
+  { key: 'fiberColor', header: 'Fiber Color' },
+  { key: 'colorScheme', header: 'Color Scheme' },
+  { key: 'mst', header: 'MST' },
+  { key: 'address', header: 'Address' },
+  { key: 'sheet', header: 'Sheet' },
+  { key: 'terminal', header: 'Terminal' },
+  { key: 'status', header: 'Status' },
+  { key: 'fiberStatus', header: 'Fiber Status', value: fiberStatusOf },
+  { key: 'feederCable', header: 'Feeder Cable' },
+  { key: 'feederFiber', header: 'Feeder Fiber' },
+  { key: 'splitter', header: 'Splitter' },
+  { key: 'splitterLeg', header: 'Splitter Leg' },
+  { key: 'trace', header: 'Trace' },
+  { key: 'pathLength', header: 'Path Length' },
+  { key: 'loss1310', header: 'Loss 1310 (dB)' },
+  { key: 'loss1550', header: 'Loss 1550 (dB)' },
+  { key: 'lossStatus', header: 'Loss Budget' }
+];
+
+// One flat object per fiber with every FIBER_FIELDS key present
+function toFiberRecord(record) {
+  return FIBER_FIELDS.reduce((fiber, { key, value: valueOf }) => {
+    const value = valueOf ? valueOf(record) : record[key];
+    fiber[key] = value === undefined || value === '' ? null : value;
+    return fiber;
+  }, {});
+}
+
+// The document's fields other than the fibers and their totals
+function documentHead(meta) {
+  return {
+    fdh: meta.fdh || null,
+    project: meta.project || null,
+    revision: meta.revision !== undefined && meta.revision !== '' ? String(meta.revision) : null,
+    colorScheme: meta.colorScheme || null,
+    generatedAt: meta.generatedAt || new Date().toISOString()
+  };
+}
+
+// { fdh, project, revision, colorScheme, generatedAt, cables, [trayLayout],
+// fiberCount, fibers }
+function buildFiberDocument(records, meta = {}) {
+  const fibers = records.map(toFiberRecord);
+  const document = { ...documentHead(meta), cables: meta.cables || [] };
+  if (meta.trayLayout) document.trayLayout = meta.trayLayout;
+  return Object.assign(document, { fiberCount: fibers.length, fibers });
+}
+
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(fiber) {
+  return FIBER_FIELDS.map(({ key }) => escapeCsv(fiber[key])).join(',');
+}
+
+// CSV with a header row; accepts records or normalized fibers
+function toCsv(fibers) {
+  const lines = [FIBER_FIELDS.map(field => field.header).join(',')];
+  fibers.forEach(fiber => lines.push(toCsvRow(toFiberRecord(fiber))));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// Write a chunk, waiting for the stream to drain when its buffer is full
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      stream.off('error', onError);
+      resolve();
+    };
+    const onError = error => {
+      stream.off('drain', onDrain);
+      reject(error);
+    };
+    stream.once('drain', onDrain);
+    stream.once('error', onError);
+  });
+}
+
+// toCsv written to a stream one record at a time; records can be any iterable
+async function writeCsv(stream, records) {
+  await write(stream, `${FIBER_FIELDS.map(field => field.header).join(',')}\r\n`);
+  for (const record of records) {
+    await write(stream, `${toCsvRow(toFiberRecord(record))}\r\n`);
+  }
+}
+
+// Write items, each through map, as a JSON array with one item per line,
+// indent spaces in
+async function writeArray(stream, items, indent, map = item => item) {
+  await write(stream, '[');
+  let count = 0;
+  for (const item of items) {
+    await write(stream, `${count++ > 0 ? ',' : ''}\n${indent}  ${JSON.stringify(map(item))}`);
+  }
+  await write(stream, `${count > 0 ? `\n${indent}` : ''}]`);
+  return count;
+}
+
+// buildFiberDocument written to a stream one fiber at a time, records being
+// any iterable. fiberCount, cables and trayLayout follow the fibers, so
+// meta.cables and meta.trayLayout can be functions called once the last fiber
+// is out, e.g. for totals counted as the records went by. The tray layout's
+// entries can be any iterable too.
+async function writeFiberDocument(stream, records, meta = {}) {
+  const resolve = value => (typeof value === 'function' ? value() : value);
+  const head = JSON.stringify(documentHead(meta), null, 2);
+  await write(stream, `${head.slice(0, -2)},\n  "fibers": `);
+  const fiberCount = await writeArray(stream, records, '  ', toFiberRecord);
+
+  const tail = JSON.stringify({ fiberCount, cables: resolve(meta.cables) || [] }, null, 2);
+  const trayLayout = resolve(meta.trayLayout);
+  if (!trayLayout) {
+    await write(stream, `,\n${tail.slice(2)}\n`);
+    return;
+  }
+
+  const { entries, ...layout } = trayLayout;
+  const layoutHead = JSON.stringify(layout, null, 2).replace(/\n/g, '\n  ');
+  await write(stream, `,\n${tail.slice(2, -2)},\n  "trayLayout": ${layoutHead.slice(0, -4)},\n    "entries": `);
+  await writeArray(stream, entries, '    ');
+  await write(stream, '\n  }\n}\n');
+}
+
+module.exports = {
+  FIBER_FIELDS,
+  toFiberRecord,
+  buildFiberDocument,
+  toCsvRow,
+  toCsv,
+  writeCsv,
+  writeFiberDocument
+};
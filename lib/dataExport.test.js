@@ -0,0 +1,67 @@
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const {
+  FIBER_FIELDS,
+  toFiberRecord,
+  buildFiberDocument,
+  toCsv
+} = require('./dataExport');
+
+function buildGenerator() {
+  const generator = new SpliceSheetGenerator();
+  generator.generateSpliceSheet({
+    ports: 3,
+    mainCableName: 'FDH1',
+    cables: [{ name: 'A', fiberCount: 12 }],
+    addresses: [{ mst: 'MST_1', address: '1 A ST, UNIT "B"', fiberCount: 2 }]
+  });
+  return generator;
+}
+
+describe('fiber records', () => {
+  test('carry every field, null where the record has no value', () => {
+    const fiber = toFiberRecord(buildGenerator().records[2]);
+
+    expect(Object.keys(fiber)).toEqual(FIBER_FIELDS.map(field => field.key));
+    expect(fiber).toMatchObject({ port: 3, cable: 'A', fiber: 3, fiberColor: 'gr', mst: null, status: 'unused' });
+  });
+
+  test('the document wraps them with the design details', () => {
+    const document = buildFiberDocument(buildGenerator().records, { fdh: 'FDH1', revision: 2, generatedAt: '2024-01-01T00:00:00Z' });
+
+    expect(document).toMatchObject({
+      fdh: 'FDH1',
+      project: null,
+      revision: '2',
+      colorScheme: null,
+      generatedAt: '2024-01-01T00:00:00Z',
+      cables: [],
+      fiberCount: 3
+    });
+    expect(document.fibers[0]).toMatchObject({ port: 1, mst: 'MST_1', address: '1 A ST, UNIT "B"' });
+  });
+
+  test('the generator\'s document names its design and cables', () => {
+    expect(buildGenerator().buildFiberDocument()).toMatchObject({
+      fdh: 'FDH1',
+      colorScheme: 'TIA-598-C',
+      cables: [expect.objectContaining({ name: 'A', fiberCount: 12 })],
+      fiberCount: 3
+    });
+  });
+});
+
+describe('CSV', () => {
+  test('has a header row and quotes values holding commas or quotes', () => {
+    const lines = toCsv(buildGenerator().records).split('\r\n');
+
+    expect(lines[0]).toBe(FIBER_FIELDS.map(field => field.header).join(','));
+    expect(lines[1]).toBe('1,FDH1,A,1,1,BL,,,1,bl,TIA-598-C,MST_1,"1 A ST, UNIT ""B""",,,assigned,assigned,,,,,,,,,');
+    expect(lines).toHaveLength(5);
+    expect(lines[4]).toBe('');
+  });
+
+  test('normalized fibers give the same CSV as the records they came from', () => {
+    const { records } = buildGenerator();
+    expect(toCsv(buildFiberDocument(records).fibers)).toBe(toCsv(records));
+  });
+});
@@ -0,0 +1,668 @@
+// Styled splice sheet worksheets: a two-row header with merged cable groups,
+// (B)/(F) cells filled in their actual colors and a heavier border wherever a
+// cable moves on to a new buffer tube or ribbon.
+const { findColor } = require('./colorSchemes');
+
+const LEADING_COLUMNS = 2; // Port #, Main Cable
+const GROUP_WIDTH = 6; // Port #, Cable, B#, (B), F#, (F)
+const BUFFER_OFFSET = 2; // B# within a group
+const COLOR_OFFSETS = [3, 5]; // (B) and (F) within a group
+
+const GROUP_HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } };
+const COLUMN_HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+const THIN = { style: 'thin', color: { argb: 'FFBFBFBF' } };
+const MEDIUM = { style: 'medium', color: { argb: 'FF000000' } };
+
+// Row highlight per revision diff change type
+const CHANGE_FILLS = {
+  reassigned: 'FFFFE699',
+  'newly-lit': 'FFC6EFCE',
+  released: 'FFFFC7CE',
+  'address-changed': 'FFBDD7EE'
+};
+
+function argb(hex) {
+  return `FF${hex.replace('#', '').toUpperCase()}`;
+}
+
+// Black or white text, whichever reads better on the fill
+function contrastFont(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  const luminance = (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xff) + 0.114 * (value & 0xff)) / 255;
+  return { color: { argb: luminance > 0.55 ? 'FF000000' : 'FFFFFFFF' }, bold: true };
+}
+
+// Solid fill in the base color; striped colors get a vertical stripe pattern
+function colorFill(color) {
+  if (color.stripeHex) {
+    return {
+      type: 'pattern',
+      pattern: color.stripes > 1 ? 'darkVertical' : 'lightVertical',
+      fgColor: { argb: argb(color.stripeHex) },
+      bgColor: { argb: argb(color.hex) }
+    };
+  }
+  return { type: 'pattern', pattern: 'solid', fgColor: { argb: argb(color.hex) } };
+}
+
+function countCableGroups(headers) {
+  return headers.filter(header => header === '(F)').length;
+}
+
+// Column count, widths and cable group titles. Widths scale with the longest
+// value in each column so any number of cable groups fits: measured over rows
+// when they are at hand, else taken from contentLengths (one per column).
+function spliceSheetLayout(headers, { rows = [], cables = [], contentLengths = [] }) {
+  const groupCount = countCableGroups(headers);
+  const lengths = headers.map((header, index) => Math.max(4, String(header).length, contentLengths[index] || 0));
+  const groupNames = cables.slice(0, groupCount).map(cable => cable.name);
+
+  for (const row of rows) {
+    row.forEach((value, index) => {
+      if (value === undefined || value === null) return;
+      lengths[index] = Math.max(lengths[index] || 4, String(value).length);
+    });
+    for (let group = 0; group < groupCount; group++) {
+      const start = LEADING_COLUMNS + group * GROUP_WIDTH + 1;
+      if (!groupNames[group] && row[start]) groupNames[group] = row[start];
+    }
+  }
+
+  return {
+    groupCount,
+    trailingStart: LEADING_COLUMNS + groupCount * GROUP_WIDTH,
+    budgetColumn: headers.indexOf('Budget') + 1,
+    columnCount: lengths.length,
+    widths: lengths.map(length => Math.min(length + 2, 40)),
+    groupNames
+  };
+}
+
+// Rows 1-2: merged group titles over the column headers
+function writeSpliceHeader(worksheet, headers, layout) {
+  const { groupCount, trailingStart, columnCount, groupNames } = layout;
+  layout.widths.forEach((width, index) => {
+    worksheet.getColumn(index + 1).width = width;
+  });
+
+  const groupRow = worksheet.getRow(1);
+  const mergeGroup = (startColumn, endColumn, title) => {
+    groupRow.getCell(startColumn).value = title;
+    if (endColumn > startColumn) {
+      worksheet.mergeCells(1, startColumn, 1, endColumn);
+    }
+  };
+
+  mergeGroup(1, LEADING_COLUMNS, 'FDH');
+  for (let group = 0; group < groupCount; group++) {
+    const start = LEADING_COLUMNS + group * GROUP_WIDTH + 1;
+    mergeGroup(start, start + GROUP_WIDTH - 1, groupNames[group] || `Cable ${group + 1}`);
+  }
+  if (columnCount > trailingStart) {
+    mergeGroup(trailingStart + 1, columnCount, 'Drop');
+  }
+
+  const headerRow = worksheet.getRow(2);
+  headers.forEach((header, index) => {
+    headerRow.getCell(index + 1).value = header;
+  });
+
+  [groupRow, headerRow].forEach((row, rowIndex) => {
+    for (let column = 1; column <= columnCount; column++) {
+      const cell = row.getCell(column);
+      cell.fill = rowIndex === 0 ? GROUP_HEADER_FILL : COLUMN_HEADER_FILL;
+      cell.font = { bold: true, color: { argb: rowIndex === 0 ? 'FFFFFFFF' : 'FF000000' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+      cell.border = { top: THIN, left: THIN, bottom: MEDIUM, right: THIN };
+    }
+  });
+  worksheet.autoFilter = { from: { row: 2, column: 1 }, to: { row: 2, column: columnCount } };
+  return [groupRow, headerRow];
+}
+
+// Fill one data row. previousTube tracks each group's last buffer tube or
+// ribbon across calls so the heavier rule lands where the tube changes.
+function writeSpliceRow(row, values, layout, { getGroupScheme, highlights, previousTube }) {
+  const { groupCount, trailingStart, columnCount } = layout;
+  const highlight = highlights && highlights.get(values[0]);
+  for (let column = 1; column <= columnCount; column++) {
+    const value = values[column - 1];
+    const cell = row.getCell(column);
+    cell.value = value === undefined ? null : value;
+    cell.border = { top: THIN, left: THIN, bottom: THIN, right: THIN };
+    if (highlight) {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: highlight } };
+    }
+  }
+
+  for (let group = 0; group < groupCount; group++) {
+    const start = LEADING_COLUMNS + group * GROUP_WIDTH;
+    const tube = values[start + BUFFER_OFFSET];
+    const scheme = getGroupScheme(group);
+
+    // Heavier rule where the cable starts or moves to a new tube/ribbon
+    if (tube !== '' && tube !== undefined && tube !== previousTube[group]) {
+      for (let offset = 0; offset < GROUP_WIDTH; offset++) {
+        const cell = row.getCell(start + offset + 1);
+        cell.border = { ...cell.border, top: MEDIUM };
+      }
+    }
+    previousTube[group] = tube === undefined ? '' : tube;
+
+    COLOR_OFFSETS.forEach(offset => {
+      const cell = row.getCell(start + offset + 1);
+      const color = cell.value ? findColor(scheme, cell.value) : null;
+      if (color) {
+        cell.fill = colorFill(color);
+        cell.font = contrastFont(color.hex);
+        cell.alignment = { horizontal: 'center' };
+      }
+    });
+
+    // Separate cable groups with a heavier vertical rule
+    const firstCell = row.getCell(start + 1);
+    firstCell.border = { ...firstCell.border, left: MEDIUM };
+  }
+
+  const addressCell = row.getCell(trailingStart + 2);
+  if (['Unused', 'Dark', 'Spare', 'Reserved'].includes(addressCell.value)) {
+    addressCell.font = { italic: true, color: { argb: 'FF7F7F7F' } };
+  } else if (addressCell.value === 'Damaged') {
+    addressCell.font = { bold: true, color: { argb: 'FFC00000' } };
+  }
+
+  if (layout.budgetColumn > 0) {
+    const budgetCell = row.getCell(layout.budgetColumn);
+    if (budgetCell.value === 'FAIL') {
+      budgetCell.font = { bold: true, color: { argb: 'FFC00000' } };
+      budgetCell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFFC7CE' } };
+    }
+  }
+}
+
+// Add a formatted splice sheet to an ExcelJS workbook. spliceData is the
+// header row plus data rows from generateSpliceSheet; getGroupScheme(index)
+// returns the color scheme for the index-th cable group. highlights optionally
+// maps an FDH port to an ARGB fill for its row, leaving the color cells as is.
+function addSpliceSheet(workbook, spliceData, { name = 'Splice Sheet', cables = [], getGroupScheme, highlights }) {
+  const [headers, ...rows] = spliceData;
+  const layout = spliceSheetLayout(headers, { rows, cables });
+  const worksheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', xSplit: LEADING_COLUMNS, ySplit: 2 }]
+  });
+
+  writeSpliceHeader(worksheet, headers, layout);
+  const previousTube = new Array(layout.groupCount).fill('');
+  rows.forEach((values, rowIndex) => {
+    writeSpliceRow(worksheet.getRow(rowIndex + 3), values, layout, { getGroupScheme, highlights, previousTube });
+  });
+  return worksheet;
+}
+
+// Resolves once a streaming WorkbookWriter's zip has taken in a committed
+// worksheet, so the next tab isn't written while this one waits in memory
+function zipped(workbook, worksheet) {
+  const name = `xl/worksheets/sheet${worksheet.id}.xml`;
+  return new Promise((resolve, reject) => {
+    const onEntry = entry => {
+      if (entry.name !== name) return;
+      workbook.zip.off('entry', onEntry).off('error', reject);
+      resolve();
+    };
+    workbook.zip.on('entry', onEntry).once('error', reject);
+  });
+}
+
+// addSpliceSheet for an ExcelJS streaming WorkbookWriter. rows is read once,
+// each row written and committed before the next is taken, so rows can be
+// built as they are read. contentLengths sizes the columns up front.
+async function streamSpliceSheet(workbook, headers, rows, { name = 'Splice Sheet', cables = [], getGroupScheme, contentLengths }) {
+  const layout = spliceSheetLayout(headers, { cables, contentLengths });
+  const worksheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', xSplit: LEADING_COLUMNS, ySplit: 2 }]
+  });
+
+  writeSpliceHeader(worksheet, headers, layout).forEach(row => row.commit());
+  const previousTube = new Array(layout.groupCount).fill('');
+  let rowNumber = 3;
+  for (const values of rows) {
+    const row = worksheet.getRow(rowNumber++);
+    writeSpliceRow(row, values, layout, { getGroupScheme, previousTube });
+    row.commit();
+    // Let the zip stream drain between rows
+    if (rowNumber % 500 === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+  worksheet.commit();
+  await zipped(workbook, worksheet);
+  return worksheet;
+}
+
+// Excel sheet names: max 31 characters, none of []:*?/\ and unique ignoring
+// case. Sheets are walked by id since the streaming writer can't list them.
+function uniqueSheetName(workbook, name) {
+  const taken = new Set();
+  for (let id = 1; id < workbook.nextId; id++) {
+    const worksheet = workbook.getWorksheet(id);
+    if (worksheet) taken.add(worksheet.name.toLowerCase());
+  }
+
+  const base = String(name).replace(/[[\]:*?/\\]/g, '_').slice(0, 31) || 'Sheet';
+  let candidate = base;
+  for (let copy = 2; taken.has(candidate.toLowerCase()); copy++) {
+    const suffix = ` (${copy})`;
+    candidate = `${base.slice(0, 31 - suffix.length)}${suffix}`;
+  }
+  return candidate;
+}
+
+// One tab per MST listing only the rows that feed it
+function addTerminalSheets(workbook, spliceData, options) {
+  const [headers, ...rows] = spliceData;
+  const mstColumn = LEADING_COLUMNS + countCableGroups(headers) * GROUP_WIDTH;
+  const terminals = new Map();
+
+  rows.forEach(row => {
+    const mst = row[mstColumn];
+    if (!mst) return;
+    if (!terminals.has(mst)) terminals.set(mst, []);
+    terminals.get(mst).push(row);
+  });
+
+  terminals.forEach((terminalRows, mst) => {
+    addSpliceSheet(workbook, [headers, ...terminalRows], { ...options, name: uniqueSheetName(workbook, mst) });
+  });
+}
+
+// addTerminalSheets for a streaming WorkbookWriter: terminals maps each MST
+// to the rows that feed it, read once as its tab is written
+async function streamTerminalSheets(workbook, headers, terminals, options) {
+  for (const [mst, rows] of terminals) {
+    await streamSpliceSheet(workbook, headers, rows, { ...options, name: uniqueSheetName(workbook, mst) });
+  }
+}
+
+function addTable(worksheet, columns, rows) {
+  const header = worksheet.addRow(columns.map(column => column.header));
+  header.eachCell(cell => {
+    cell.fill = COLUMN_HEADER_FILL;
+    cell.font = { bold: true };
+    cell.border = { bottom: MEDIUM };
+  });
+  rows.forEach(values => {
+    const row = worksheet.addRow(columns.map(column => values[column.key]));
+    row.eachCell(cell => {
+      cell.border = { top: THIN, left: THIN, bottom: THIN, right: THIN };
+    });
+  });
+}
+
+function addSectionTitle(worksheet, title) {
+  if (worksheet.lastRow) worksheet.addRow([]);
+  const row = worksheet.addRow([title]);
+  row.getCell(1).font = { bold: true, size: 12 };
+}
+
+// Project totals from SpliceSheetGenerator#buildSummary
+function addSummarySheet(workbook, summary) {
+  const worksheet = workbook.addWorksheet(uniqueSheetName(workbook, 'Summary'));
+  worksheet.columns = [{ width: 22 }, { width: 14 }, { width: 12 }, { width: 10 }, { width: 10 }, { width: 10 }, { width: 14 },
+    { width: 10 }, { width: 10 }, { width: 12 }];
+
+  addSectionTitle(worksheet, 'Ports');
+  addTable(worksheet, [{ header: 'Total', key: 'total' }, { header: 'Lit', key: 'lit' }, { header: 'Assigned', key: 'assigned' },
+    { header: 'Spare', key: 'spare' }, { header: 'Reserved', key: 'reserved' }, { header: 'Unused', key: 'unused' },
+    { header: 'Damaged', key: 'damaged' }], [summary.ports]);
+
+  if (summary.fibers) {
+    addSectionTitle(worksheet, 'Fiber Status');
+    addTable(worksheet, [{ header: 'Total', key: 'total' }, { header: 'Assigned', key: 'assigned' }, { header: 'Spare', key: 'spare' },
+      { header: 'Reserved', key: 'reserved' }, { header: 'Dark', key: 'dark' }, { header: 'Express', key: 'express' },
+      { header: 'Damaged', key: 'damaged' }], [summary.fibers]);
+  }
+
+  addSectionTitle(worksheet, 'Fibers by Cable');
+  addTable(worksheet, [
+    { header: 'Cable', key: 'name' },
+    { header: 'Fiber Count', key: 'fiberCount' },
+    { header: 'Allocated', key: 'allocated' },
+    { header: 'Used', key: 'used' },
+    { header: 'Spare', key: 'spare' },
+    { header: 'Reserved', key: 'reserved' },
+    { header: 'Dark', key: 'dark' },
+    { header: 'Express', key: 'express' },
+    { header: 'Damaged', key: 'damaged' },
+    { header: 'Utilization', key: 'utilization' }
+  ], summary.cables.map(cable => ({
+    ...cable,
+    utilization: cable.fiberCount > 0 ? `${Math.round((cable.used / cable.fiberCount) * 100)}%` : ''
+  })));
+
+  addSectionTitle(worksheet, 'Addresses');
+  addTable(worksheet, [{ header: 'Total', key: 'total' }, { header: 'Served', key: 'served' }, { header: 'Unserved', key: 'unserved' },
+    { header: 'Vacancies', key: 'vacancies' }, { header: 'Terminals', key: 'terminals' }], [summary.addresses]);
+
+  if (summary.splitters && summary.splitters.length > 0) {
+    addSectionTitle(worksheet, 'Splitters');
+    addTable(worksheet, [
+      { header: 'Splitter', key: 'name' },
+      { header: 'Ratio', key: 'ratio' },
+      { header: 'Input', key: 'input' },
+      { header: 'FDH Ports', key: 'portRange' },
+      { header: 'In Use', key: 'legsInUse' },
+      { header: 'Cascaded', key: 'legsToSplitters' },
+      { header: 'Idle', key: 'legsIdle' },
+      { header: 'Utilization', key: 'utilization' }
+    ], summary.splitters.map(splitter => ({ ...splitter, utilization: `${splitter.utilization}%` })));
+  }
+
+  if (summary.lossBudget) {
+    const { lossBudget } = summary;
+    addSectionTitle(worksheet, `Loss Budget (${lossBudget.failing} of ${lossBudget.paths} paths over, ${lossBudget.margin} dB margin)`);
+    addTable(worksheet, [
+      { header: 'Wavelength', key: 'wavelength' },
+      { header: 'Budget (dB)', key: 'budget' },
+      { header: 'Available', key: 'available' },
+      { header: 'Worst (dB)', key: 'worstLoss' },
+      { header: 'Worst Port', key: 'worstPort' },
+      { header: 'Over', key: 'failing' },
+      { header: 'Worst Address', key: 'worstAddress' }
+    ], lossBudget.wavelengths.map(entry => ({ ...entry, wavelength: `${entry.wavelength} nm` })));
+  }
+
+  if (summary.trays) {
+    addSectionTitle(worksheet, 'Splice Trays');
+    addTable(worksheet, [
+      { header: 'Closures', key: 'closures' },
+      { header: 'Trays', key: 'trays' },
+      { header: 'Splices/Tray', key: 'splicesPerTray' },
+      { header: 'Spliced', key: 'spliced' },
+      { header: 'Stored', key: 'stored' },
+      { header: 'Pass-Through', key: 'passThrough' }
+    ], [summary.trays]);
+  }
+
+  return worksheet;
+}
+
+function addCableInventorySheet(workbook, summary) {
+  const worksheet = workbook.addWorksheet(uniqueSheetName(workbook, 'Cable Inventory'), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  const columns = [
+    { header: 'Cable', key: 'name', width: 18 },
+    { header: 'Type', key: 'type', width: 12 },
+    { header: 'Fiber Count', key: 'fiberCount', width: 12 },
+    { header: 'Fibers/Tube', key: 'fibersPerTube', width: 12 },
+    { header: 'Tubes', key: 'tubeCount', width: 8 },
+    { header: 'Fibers/Ribbon', key: 'fibersPerRibbon', width: 14 },
+    { header: 'Color Scheme', key: 'colorScheme', width: 14 },
+    { header: 'Start Fiber', key: 'startFiber', width: 12 },
+    { header: 'FDH Ports', key: 'portRange', width: 12 },
+    { header: 'Fibers Allocated', key: 'fiberRange', width: 16 },
+    { header: 'Express Fibers', key: 'expressFibers', width: 16 },
+    { header: 'Dark Fibers', key: 'darkFibers', width: 16 },
+    { header: 'Reserved Fibers', key: 'reservedFibers', width: 16 },
+    { header: 'Damaged Fibers', key: 'damagedFibers', width: 16 }
+  ];
+
+  addTable(worksheet, columns, summary.cables.map(cable => ({
+    ...cable,
+    fibersPerRibbon: cable.type === 'ribbon' ? cable.fibersPerRibbon : ''
+  })));
+  columns.forEach((column, index) => {
+    worksheet.getColumn(index + 1).width = column.width;
+  });
+
+  return worksheet;
+}
+
+// Tray layout tab with its two header rows; returns the worksheet and the
+// columns writeTrayEntry fills in
+function trayLayoutSheet(workbook) {
+  const worksheet = workbook.addWorksheet(uniqueSheetName(workbook, 'Tray Layout'), {
+    views: [{ state: 'frozen', xSplit: 4, ySplit: 2 }]
+  });
+  const fiberColumns = side => [
+    { header: 'Cable', width: 18, value: fiber => fiber.cable },
+    { header: 'Fiber', width: 7, value: fiber => fiber.fiber },
+    { header: 'B#', width: 5, value: fiber => (fiber.ribbon !== undefined ? fiber.ribbon : fiber.bufferTube) },
+    { header: '(B)', width: 7, color: true, value: fiber => (fiber.ribbon !== undefined ? fiber.ribbonColor : fiber.bufferColor) },
+    { header: 'F#', width: 5, value: fiber => fiber.fiberNumber },
+    { header: '(F)', width: 7, color: true, value: fiber => fiber.fiberColor }
+  ].map(column => ({ ...column, side }));
+  const groups = [
+    { title: 'Tray', columns: [
+      { header: 'Closure', width: 14, value: entry => entry.closure },
+      { header: 'Tray', width: 6, value: entry => entry.tray },
+      { header: 'Slot', width: 6, value: entry => entry.slot },
+      { header: 'Port #', width: 7, value: entry => entry.port }
+    ] },
+    { title: 'Fiber A (FDH)', columns: fiberColumns('fiberA') },
+    { title: 'Fiber B (Cable)', columns: fiberColumns('fiberB') },
+    { title: 'Drop', columns: [
+      { header: 'Type', width: 13, value: entry => entry.type },
+      { header: 'MST', width: 24, value: entry => entry.mst },
+      { header: 'Address', width: 28, value: entry => ({ spare: 'Spare', reserved: 'Reserved' })[entry.status] || entry.address }
+    ] }
+  ];
+  const columns = groups.flatMap(group => group.columns);
+
+  const groupRow = worksheet.getRow(1);
+  const headerRow = worksheet.getRow(2);
+  let column = 1;
+  groups.forEach(group => {
+    groupRow.getCell(column).value = group.title;
+    worksheet.mergeCells(1, column, 1, column + group.columns.length - 1);
+    column += group.columns.length;
+  });
+  columns.forEach((definition, index) => {
+    headerRow.getCell(index + 1).value = definition.header;
+    worksheet.getColumn(index + 1).width = definition.width;
+  });
+  [groupRow, headerRow].forEach((row, rowIndex) => {
+    for (let index = 1; index <= columns.length; index++) {
+      const cell = row.getCell(index);
+      cell.fill = rowIndex === 0 ? GROUP_HEADER_FILL : COLUMN_HEADER_FILL;
+      cell.font = { bold: true, color: { argb: rowIndex === 0 ? 'FFFFFFFF' : 'FF000000' } };
+      cell.alignment = { horizontal: 'center', vertical: 'middle' };
+      cell.border = { top: THIN, left: THIN, bottom: MEDIUM, right: THIN };
+    }
+  });
+  worksheet.autoFilter = { from: { row: 2, column: 1 }, to: { row: 2, column: columns.length } };
+
+  return { worksheet, columns, headerRows: [groupRow, headerRow] };
+}
+
+// One tray layout entry; a new tray gets a heavy top border. Returns the
+// entry's tray key for the next row's previousTray.
+function writeTrayEntry(row, entry, columns, { getScheme, previousTray }) {
+  const trayKey = `${entry.closure}/${entry.tray}`;
+  columns.forEach((definition, index) => {
+    const source = definition.side ? entry[definition.side] : entry;
+    const cell = row.getCell(index + 1);
+    const value = source ? definition.value(source) : null;
+    cell.value = value === undefined || value === '' ? null : value;
+    cell.border = { top: trayKey !== previousTray ? MEDIUM : THIN, left: THIN, bottom: THIN, right: THIN };
+
+    const color = definition.color && value ? findColor(getScheme(source.colorScheme), value) : null;
+    if (color) {
+      cell.fill = colorFill(color);
+      cell.font = contrastFont(color.hex);
+      cell.alignment = { horizontal: 'center' };
+    }
+  });
+
+  const typeCell = row.getCell(columns.findIndex(definition => definition.header === 'Type') + 1);
+  if (entry.type !== 'spliced') typeCell.font = { italic: true, color: { argb: 'FF7F7F7F' } };
+  if (entry.status === 'damaged') typeCell.font = { bold: true, color: { argb: 'FFC00000' } };
+  return trayKey;
+}
+
+// Tray layout from trayLayout#buildTrayLayout: closure, tray and slot, the
+// FDH stub fiber (A) and cable fiber (B) with color cells, then the
+// pass-through fibers. getScheme(name) resolves each fiber's color scheme.
+function addTrayLayoutSheet(workbook, layout, { getScheme }) {
+  const { worksheet, columns } = trayLayoutSheet(workbook);
+  let previousTray = null;
+  layout.entries.forEach((entry, entryIndex) => {
+    previousTray = writeTrayEntry(worksheet.getRow(entryIndex + 3), entry, columns, { getScheme, previousTray });
+  });
+  return worksheet;
+}
+
+// addTrayLayoutSheet for a streaming WorkbookWriter, entries (any iterable)
+// read once and each row committed as it's written
+async function streamTrayLayoutSheet(workbook, entries, { getScheme }) {
+  const { worksheet, columns, headerRows } = trayLayoutSheet(workbook);
+  headerRows.forEach(row => row.commit());
+  let previousTray = null;
+  let rowNumber = 3;
+  for (const entry of entries) {
+    const row = worksheet.getRow(rowNumber++);
+    previousTray = writeTrayEntry(row, entry, columns, { getScheme, previousTray });
+    row.commit();
+    if (rowNumber % 500 === 0) await new Promise(resolve => setImmediate(resolve));
+  }
+  worksheet.commit();
+  await zipped(workbook, worksheet);
+  return worksheet;
+}
+
+// Revision diff report from spliceDiff: a legend, then one row per changed
+// fiber with its before and after drop, filled by change type
+function addChangesSheet(workbook, report, changeTypes) {
+  const worksheet = workbook.addWorksheet(uniqueSheetName(workbook, 'Changes'));
+
+  addSectionTitle(worksheet, 'Legend');
+  Object.keys(changeTypes).forEach(type => {
+    const row = worksheet.addRow([type, report.summary[type], changeTypes[type]]);
+    row.getCell(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: CHANGE_FILLS[type] } };
+  });
+  addSectionTitle(worksheet, `Changed Fibers (${report.changes.length})`);
+
+  const side = (change, key, field) => (change[key] ? change[key][field] : '');
+  const columns = [
+    { header: 'Change', key: 'type', width: 16 },
+    { header: 'Cable', key: 'cable', width: 14 },
+    { header: 'Fiber', key: 'fiber', width: 8 },
+    { header: 'Old Port', key: 'beforePort', width: 10 },
+    { header: 'Old MST', key: 'beforeMst', width: 24 },
+    { header: 'Old Terminal', key: 'beforeTerminal', width: 12 },
+    { header: 'Old Address', key: 'beforeAddress', width: 28 },
+    { header: 'New Port', key: 'afterPort', width: 10 },
+    { header: 'New MST', key: 'afterMst', width: 24 },
+    { header: 'New Terminal', key: 'afterTerminal', width: 12 },
+    { header: 'New Address', key: 'afterAddress', width: 28 }
+  ];
+  const headerRow = worksheet.rowCount + 1;
+  worksheet.views = [{ state: 'frozen', ySplit: headerRow }];
+
+  addTable(worksheet, columns, report.changes.map(change => ({
+    type: change.type,
+    cable: change.cable,
+    fiber: change.fiber,
+    beforePort: side(change, 'before', 'port'),
+    beforeMst: side(change, 'before', 'mst'),
+    beforeTerminal: side(change, 'before', 'terminal'),
+    beforeAddress: change.before && change.before.status === 'spare' ? 'Spare' : side(change, 'before', 'address'),
+    afterPort: side(change, 'after', 'port'),
+    afterMst: side(change, 'after', 'mst'),
+    afterTerminal: side(change, 'after', 'terminal'),
+    afterAddress: change.after && change.after.status === 'spare' ? 'Spare' : side(change, 'after', 'address')
+  })));
+
+  report.changes.forEach((change, index) => {
+    worksheet.getRow(headerRow + 1 + index).eachCell(cell => {
+      cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: CHANGE_FILLS[change.type] } };
+    });
+  });
+  columns.forEach((column, index) => {
+    worksheet.getColumn(index + 1).width = column.width;
+  });
+
+  return worksheet;
+}
+
+// Batch run: one row per FDH with its totals, then every problem found
+function addBatchSheets(workbook, batch) {
+  const summary = workbook.addWorksheet(uniqueSheetName(workbook, 'Batch Summary'), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  const columns = [
+    { header: 'FDH', key: 'fdh', width: 22 },
+    { header: 'Source', key: 'source', width: 24 },
+    { header: 'Tab', key: 'tab', width: 16 },
+    { header: 'Status', key: 'status', width: 11 },
+    { header: 'Ports', key: 'total', width: 8 },
+    { header: 'Assigned', key: 'assigned', width: 10 },
+    { header: 'Spare', key: 'spare', width: 8 },
+    { header: 'Reserved', key: 'reserved', width: 9 },
+    { header: 'Unused', key: 'unused', width: 8 },
+    { header: 'Damaged', key: 'damaged', width: 9 },
+    { header: 'Addresses', key: 'addresses', width: 10 },
+    { header: 'Unserved', key: 'unserved', width: 10 },
+    { header: 'Warnings', key: 'warningCount', width: 10 },
+    { header: 'Errors', key: 'errorCount', width: 8 },
+    { header: 'File', key: 'file', width: 28 }
+  ];
+  const row = (label, ports, addresses) => ({
+    ...label,
+    ...(ports || {}),
+    addresses: addresses ? addresses.total : '',
+    unserved: addresses ? addresses.unserved : ''
+  });
+
+  addTable(summary, columns, [
+    ...batch.results.map(result => row({
+      fdh: result.fdh,
+      source: result.source,
+      tab: result.tab || '',
+      status: result.status,
+      warningCount: result.warnings.length,
+      errorCount: result.errors.length,
+      file: result.file || ''
+    }, result.summary && result.summary.ports, result.summary && result.summary.addresses)),
+    row({ fdh: 'Total', status: `${batch.summary.generated}/${batch.summary.fdhs}` }, batch.summary.ports, batch.summary.addresses)
+  ]);
+  summary.lastRow.font = { bold: true };
+  batch.results.forEach((result, index) => {
+    if (result.status === 'failed') summary.getRow(index + 2).getCell(4).font = { bold: true, color: { argb: 'FFC00000' } };
+  });
+  columns.forEach((column, index) => {
+    summary.getColumn(index + 1).width = column.width;
+  });
+
+  const errors = workbook.addWorksheet(uniqueSheetName(workbook, 'Errors'), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+  const errorColumns = [
+    { header: 'FDH', key: 'fdh', width: 22 },
+    { header: 'Source', key: 'source', width: 24 },
+    { header: 'Sheet', key: 'sheet', width: 22 },
+    { header: 'Row', key: 'row', width: 6 },
+    { header: 'Column', key: 'column', width: 16 },
+    { header: 'Message', key: 'message', width: 70 }
+  ];
+  addTable(errors, errorColumns, batch.errors);
+  errorColumns.forEach((column, index) => {
+    errors.getColumn(index + 1).width = column.width;
+  });
+
+  return summary;
+}
+
+module.exports = {
+  LEADING_COLUMNS,
+  GROUP_WIDTH,
+  CHANGE_FILLS,
+  addSpliceSheet,
+  streamSpliceSheet,
+  addTerminalSheets,
+  streamTerminalSheets,
+  addSummarySheet,
+  addCableInventorySheet,
+  addTrayLayoutSheet,
+  streamTrayLayoutSheet,
+  addChangesSheet,
+  addBatchSheets
+};
@@ -0,0 +1,138 @@
+const ExcelJS = require('exceljs');
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const {
+  addSpliceSheet,
+  addTerminalSheets,
+  addSummarySheet,
+  addCableInventorySheet
+} = require('./excelExport');
+
+// A styled splice sheet for a design, in an in-memory workbook
+function styledSheet(design) {
+  const generator = new SpliceSheetGenerator();
+  const spliceData = generator.generateSpliceSheet({ mainCableName: 'FDH1', addresses: [], ...design });
+  const worksheet = addSpliceSheet(new ExcelJS.Workbook(), spliceData, {
+    cables: generator.cables,
+    getGroupScheme: index => generator.getColorScheme((generator.cables[index] || {}).colorScheme)
+  });
+  return { worksheet, spliceData };
+}
+
+const TWO_CABLES = {
+  ports: 30,
+  cables: [{ name: '12F(1)', fiberCount: 12 }, { name: '24F(2)', fiberCount: 24 }],
+  addresses: [{ mst: 'MST_1', address: '1 A ST' }]
+};
+
+describe('styled splice sheet', () => {
+  test('freezes the header rows and the FDH columns', () => {
+    const { worksheet } = styledSheet(TWO_CABLES);
+    expect(worksheet.views).toEqual([{ state: 'frozen', xSplit: 2, ySplit: 2 }]);
+    expect(worksheet.autoFilter).toEqual({ from: { row: 2, column: 1 }, to: { row: 2, column: 18 } });
+  });
+
+  test('merges a titled header over each cable group', () => {
+    const { worksheet } = styledSheet(TWO_CABLES);
+    const title = address => worksheet.getCell(address).master.value;
+
+    expect(['A1', 'B1'].map(title)).toEqual(['FDH', 'FDH']);
+    expect(['C1', 'H1'].map(title)).toEqual(['12F(1)', '12F(1)']);
+    expect(['I1', 'N1'].map(title)).toEqual(['24F(2)', '24F(2)']);
+    expect(['O1', 'R1'].map(title)).toEqual(['Drop', 'Drop']);
+    expect(worksheet.getRow(2).values.slice(1, 9)).toEqual(['Port #', 'Main Cable', 'Port #', 'Cable', 'B#', '(B)', 'F#', '(F)']);
+  });
+
+  test('fills (B) and (F) cells in the fiber color, striped past twelve in a tube', () => {
+    const { worksheet } = styledSheet(TWO_CABLES);
+    const blue = worksheet.getRow(3).getCell(6);
+    const striped = styledSheet({ ports: 24, cables: [{ name: '24F', fiberCount: 24, fibersPerTube: 24 }] })
+      .worksheet.getRow(16).getCell(8);
+
+    expect(blue.value).toBe('BL');
+    expect(blue.fill).toEqual({ type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF0070C0' } });
+    expect(blue.font).toEqual({ color: { argb: 'FFFFFFFF' }, bold: true });
+    expect(striped.value).toBe('or/bk');
+    expect(striped.fill).toMatchObject({ pattern: 'lightVertical', fgColor: { argb: 'FF000000' }, bgColor: { argb: 'FFFF8C00' } });
+  });
+
+  test('rules a heavier border where a cable starts a new buffer tube', () => {
+    const { worksheet } = styledSheet(TWO_CABLES);
+    const topBorder = (row, column) => worksheet.getRow(row).getCell(column).border.top.style;
+
+    expect(topBorder(3, 4)).toBe('medium');
+    expect(topBorder(4, 4)).toBe('thin');
+    expect(topBorder(15, 10)).toBe('medium');
+    expect(topBorder(27, 10)).toBe('medium');
+    expect(worksheet.getRow(4).getCell(9).border.left.style).toBe('medium');
+  });
+
+  test('sizes columns for any number of cables', () => {
+    const { worksheet, spliceData } = styledSheet({
+      ports: 36,
+      cables: [{ name: 'A', fiberCount: 12 }, { name: 'B', fiberCount: 12 }, { name: 'LONG CABLE NAME', fiberCount: 12 }]
+    });
+
+    expect(spliceData[0]).toHaveLength(2 + 3 * 6 + 4);
+    expect(worksheet.getCell('O1').master.value).toBe('LONG CABLE NAME');
+    expect(worksheet.getColumn(16).width).toBe('LONG CABLE NAME'.length + 2);
+    expect(worksheet.getColumn(4).width).toBe(7);
+  });
+
+  test('greys out placeholder drops', () => {
+    const { worksheet } = styledSheet(TWO_CABLES);
+    expect(worksheet.getRow(7).getCell(16).value).toBe('Dark');
+    expect(worksheet.getRow(7).getCell(16).font).toEqual({ italic: true, color: { argb: 'FF7F7F7F' } });
+  });
+});
+
+describe('exported workbook', () => {
+  const DESIGN = {
+    ports: 12,
+    mainCableName: 'FDH1',
+    cables: [{ name: '12F(1)', fiberCount: 12 }],
+    addresses: [
+      { mst: 'MST_1', address: '1 A ST', fiberCount: 2 },
+      { mst: 'Summary', address: '2 B ST', fiberCount: 2 },
+      { mst: 'mst_1', address: '3 C ST', fiberCount: 2 }
+    ]
+  };
+
+  // Sheet name to its rows' values, built the way exportToExcel builds them
+  function buildSheets(design) {
+    const generator = new SpliceSheetGenerator();
+    const spliceData = generator.generateSpliceSheet(design);
+    const options = {
+      cables: generator.cables,
+      getGroupScheme: index => generator.getColorScheme((generator.cables[index] || {}).colorScheme)
+    };
+    const workbook = new ExcelJS.Workbook();
+    const summary = generator.buildSummary();
+
+    addSpliceSheet(workbook, spliceData, options);
+    addSummarySheet(workbook, summary);
+    addCableInventorySheet(workbook, summary);
+    addTerminalSheets(workbook, spliceData, options);
+
+    const sheets = {};
+    workbook.eachSheet(worksheet => {
+      sheets[worksheet.name] = worksheet.getSheetValues().filter(Boolean).map(values => values.slice(1));
+    });
+    return sheets;
+  }
+
+  test('has the splice sheet, summary, cable inventory and a tab per MST', () => {
+    const sheets = buildSheets(DESIGN);
+
+    expect(Object.keys(sheets)).toEqual(['Splice Sheet', 'Summary', 'Cable Inventory', 'MST_1', 'Summary (2)', 'mst_1 (2)']);
+    expect(sheets.MST_1.slice(2).map(row => row[0])).toEqual([1, 2]);
+    expect(sheets.Summary).toContainEqual(['12F(1)', 12, 12, 6, 0, 0, 6, 0, 0, '50%']);
+    expect(sheets['Cable Inventory'][1].slice(0, 3)).toEqual(['12F(1)', 'loose-tube', 12]);
+  });
+
+  test('names MST tabs apart from each other and the summary regardless of case', () => {
+    const sheets = buildSheets(DESIGN);
+
+    expect(sheets['Summary (2)'].slice(2).map(row => row[9])).toEqual(['2 B ST', '2 B ST']);
+    expect(sheets['mst_1 (2)'].slice(2).map(row => row[9])).toEqual(['3 C ST', '3 C ST']);
+  });
+});
@@ -0,0 +1,120 @@
+// Per-fiber status model for distribution cables: what every fiber is doing,
+// whether or not it reaches an FDH port, and the reserve rules that hold
+// fibers back from drops.
+
+// assigned: serves a drop
+// spare: held at its MST as a spare
+// reserved: on a port but held for future growth, never given to a drop
+// dark: spliced or stored but not lit (an idle port, or kept off the ports)
+// express: passes through uncut and never reaches a port
+// damaged: unusable; stays on its port so the ports after it don't shift
+const FIBER_STATUSES = ['assigned', 'spare', 'reserved', 'dark', 'express', 'damaged'];
+
+// Fiber lists a cable can declare, e.g. { "expressFibers": "97-144" }
+const DECLARED_STATUSES = ['express', 'dark', 'reserved', 'damaged'];
+
+// Declared statuses that keep a fiber off the FDH ports
+const OFF_PORT_STATUSES = ['express', 'dark'];
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// "1-4, 9" or [1, "5-8"] -> [{ start: 1, end: 4 }, { start: 9, end: 9 }]; null if malformed
+function parseFiberList(value) {
+  const parts = Array.isArray(value) ? value : String(value).split(',');
+  const ranges = [];
+  for (const part of parts) {
+    const match = String(part).trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+    if (!match) return null;
+    const start = parseInt(match[1]);
+    const end = match[2] ? parseInt(match[2]) : start;
+    if (start < 1 || end < start) return null;
+    ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+// Fill in the reserve rules: lastTubeDark keeps each cable's last buffer
+// tube off the ports, perMst reserves that many ports after every MST
+function resolveReserveRules(settings = {}) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw badRequest('reserve must be an object');
+  }
+  if (!isBlank(settings.lastTubeDark) && typeof settings.lastTubeDark !== 'boolean') {
+    throw badRequest(`reserve.lastTubeDark must be true or false, got "${settings.lastTubeDark}"`);
+  }
+  const perMst = isBlank(settings.perMst) ? 0 : Number(settings.perMst);
+  if (!Number.isInteger(perMst) || perMst < 0) {
+    throw badRequest(`reserve.perMst must be a whole number of at least 0, got "${settings.perMst}"`);
+  }
+  return { lastTubeDark: settings.lastTubeDark === true, perMst };
+}
+
+// The fibers a cable declares express, dark, reserved or damaged, plus its
+// last tube when the rules keep it dark, as a Map of fiber -> status
+function resolveFiberStatuses(cable, construction, rules = {}) {
+  const statuses = new Map();
+  DECLARED_STATUSES.forEach(status => {
+    const value = cable[`${status}Fibers`];
+    if (isBlank(value)) return;
+
+    const ranges = parseFiberList(value);
+    if (!ranges) {
+      throw badRequest(`Cable ${cable.name} has invalid ${status}Fibers "${value}"; list fibers like "1-4, 9"`);
+    }
+    ranges.forEach(({ start, end }) => {
+      if (end > construction.fiberCount) {
+        throw badRequest(`Cable ${cable.name} has ${construction.fiberCount} fibers; ${status}Fibers lists fiber ${end}`);
+      }
+      for (let fiber = start; fiber <= end; fiber++) {
+        if (statuses.has(fiber) && statuses.get(fiber) !== status) {
+          throw badRequest(`Cable ${cable.name} fiber ${fiber} is listed as both ${statuses.get(fiber)} and ${status}`);
+        }
+        statuses.set(fiber, status);
+      }
+    });
+  });
+
+  // The tube holding the cable's last fiber, when the cable has more than one
+  const lastTubeStart = Math.floor((construction.fiberCount - 1) / construction.fibersPerTube) * construction.fibersPerTube + 1;
+  if (rules.lastTubeDark && lastTubeStart > 1) {
+    for (let fiber = lastTubeStart; fiber <= construction.fiberCount; fiber++) {
+      if (!statuses.has(fiber)) statuses.set(fiber, 'dark');
+    }
+  }
+  return statuses;
+}
+
+// Status of the cable fiber on a port record (an idle port's fiber is dark),
+// or null when no cable fiber lands on the port
+function fiberStatusOf(record) {
+  if (record.cable === null || record.cable === undefined) return null;
+  return record.status === 'unused' ? 'dark' : record.status;
+}
+
+// { assigned, spare, reserved, dark, express, damaged } counts of fibers
+function countStatuses(fibers) {
+  const counts = FIBER_STATUSES.reduce((totals, status) => ({ ...totals, [status]: 0 }), {});
+  fibers.forEach(fiber => {
+    counts[fiber.status]++;
+  });
+  return counts;
+}
+
+module.exports = {
+  FIBER_STATUSES,
+  DECLARED_STATUSES,
+  OFF_PORT_STATUSES,
+  parseFiberList,
+  resolveReserveRules,
+  resolveFiberStatuses,
+  fiberStatusOf,
+  countStatuses
+};
@@ -0,0 +1,115 @@
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const {
+  parseFiberList,
+  resolveReserveRules,
+  resolveFiberStatuses,
+  fiberStatusOf,
+  countStatuses
+} = require('./fiberStatus');
+
+const CONSTRUCTION = { fiberCount: 24, fibersPerTube: 6 };
+
+describe('fiber lists', () => {
+  test('ranges and single fibers, as a string or an array', () => {
+    expect(parseFiberList('1-4, 9')).toEqual([{ start: 1, end: 4 }, { start: 9, end: 9 }]);
+    expect(parseFiberList([1, '5 - 8'])).toEqual([{ start: 1, end: 1 }, { start: 5, end: 8 }]);
+  });
+
+  test('malformed lists are null', () => {
+    expect(parseFiberList('4-1')).toBeNull();
+    expect(parseFiberList('0')).toBeNull();
+    expect(parseFiberList('1, two')).toBeNull();
+  });
+});
+
+describe('reserve rules', () => {
+  test('default to nothing held back', () => {
+    expect(resolveReserveRules()).toEqual({ lastTubeDark: false, perMst: 0 });
+    expect(resolveReserveRules({ lastTubeDark: true, perMst: '2' })).toEqual({ lastTubeDark: true, perMst: 2 });
+  });
+
+  test('bad rules are a 400', () => {
+    expect(() => resolveReserveRules({ lastTubeDark: 'yes' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'reserve.lastTubeDark must be true or false, got "yes"' }));
+    expect(() => resolveReserveRules({ perMst: -1 })).toThrow('reserve.perMst must be a whole number of at least 0, got "-1"');
+    expect(() => resolveReserveRules('all')).toThrow('reserve must be an object');
+  });
+});
+
+describe('declared fiber statuses', () => {
+  test('each listed fiber takes its status, and lastTubeDark darkens the last tube', () => {
+    const statuses = resolveFiberStatuses({ name: '24F', expressFibers: '1-2', damagedFibers: [20] }, CONSTRUCTION, { lastTubeDark: true });
+
+    expect([...statuses]).toEqual([
+      [1, 'express'], [2, 'express'], [20, 'damaged'], [19, 'dark'], [21, 'dark'], [22, 'dark'], [23, 'dark'], [24, 'dark']
+    ]);
+  });
+
+  test('a single-tube cable keeps its only tube', () => {
+    expect(resolveFiberStatuses({ name: '6F' }, { fiberCount: 6, fibersPerTube: 6 }, { lastTubeDark: true }).size).toBe(0);
+  });
+
+  test('lists that are malformed, past the cable or overlapping are a 400', () => {
+    const resolve = cable => () => resolveFiberStatuses({ name: '24F', ...cable }, CONSTRUCTION);
+
+    expect(resolve({ darkFibers: 'some' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Cable 24F has invalid darkFibers "some"; list fibers like "1-4, 9"' }));
+    expect(resolve({ expressFibers: '20-30' })).toThrow('Cable 24F has 24 fibers; expressFibers lists fiber 30');
+    expect(resolve({ expressFibers: '1-4', reservedFibers: '4' })).toThrow('Cable 24F fiber 4 is listed as both express and reserved');
+  });
+
+  test('an idle port\'s fiber is dark and a port with no cable fiber has no status', () => {
+    expect(fiberStatusOf({ cable: '24F', status: 'unused' })).toBe('dark');
+    expect(fiberStatusOf({ cable: '24F', status: 'spare' })).toBe('spare');
+    expect(fiberStatusOf({ cable: null, status: 'unused' })).toBeNull();
+    expect(countStatuses([{ status: 'dark' }, { status: 'dark' }, { status: 'express' }]))
+      .toEqual({ assigned: 0, spare: 0, reserved: 0, dark: 2, express: 1, damaged: 0 });
+  });
+});
+
+describe('fiber statuses on a design', () => {
+  const generator = new SpliceSheetGenerator();
+  const records = generator.buildRecords({
+    ports: 10,
+    reserve: { perMst: 1, lastTubeDark: true },
+    cables: [{ name: '24F', fiberCount: 24, fibersPerTube: 6, reservedFibers: '2', damagedFibers: '5', expressFibers: '7-12' }],
+    addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 2 }, { mst: 'MST_2', address: '2 B ST', fiberCount: 1 }]
+  });
+
+  test('express fibers skip the ports; reserved and damaged fibers hold theirs', () => {
+    expect(records.map(record => [record.fiber, record.status, record.mst])).toEqual([
+      [1, 'assigned', 'MST_1'],
+      [2, 'reserved', ''],
+      [3, 'assigned', 'MST_1'],
+      [4, 'reserved', 'MST_1'],
+      [5, 'damaged', ''],
+      [6, 'assigned', 'MST_2'],
+      [13, 'reserved', 'MST_2'],
+      [14, 'unused', ''],
+      [15, 'unused', ''],
+      [16, 'unused', '']
+    ]);
+  });
+
+  test('the inventory gives every cable fiber a status, on a port or not', () => {
+    const [cable] = generator.buildFiberInventory();
+
+    expect(cable.fibers).toHaveLength(24);
+    expect(cable.fibers[6]).toMatchObject({ fiber: 7, port: null, status: 'express' });
+    expect(cable.fibers[13]).toMatchObject({ fiber: 14, port: 8, status: 'dark' });
+    expect(cable.fibers[16]).toMatchObject({ fiber: 17, port: null, status: 'express' });
+    expect(cable.fibers[18]).toMatchObject({ fiber: 19, port: null, status: 'dark' });
+  });
+
+  test('the summary counts and lists fibers by status', () => {
+    const summary = generator.buildSummary();
+
+    expect(summary.fibers).toEqual({ total: 24, assigned: 3, spare: 0, reserved: 3, dark: 9, express: 8, damaged: 1 });
+    expect(summary.cables[0]).toMatchObject({
+      expressFibers: '7-12, 17-18',
+      darkFibers: '14-16, 19-24',
+      reservedFibers: '2, 4, 13',
+      damagedFibers: '5'
+    });
+  });
+});
@@ -0,0 +1,185 @@
+// Look up the full path serving an address, MST, cable fiber or FDH port.
+// Addresses match fuzzily: abbreviations and punctuation are normalized and
+// the rest is scored on shared letter pairs, so "1245 East Coates Avenue"
+// still finds "1245 E COATS AVE".
+const { tracePath, formatTrace } = require('./networkTree');
+
+const DEFAULT_LIMIT = 5;
+const DEFAULT_THRESHOLD = 0.7;
+
+// Street words to their USPS abbreviations
+const ABBREVIATIONS = {
+  STREET: 'ST', AVENUE: 'AVE', AV: 'AVE', ROAD: 'RD', DRIVE: 'DR', LANE: 'LN', COURT: 'CT',
+  BOULEVARD: 'BLVD', PLACE: 'PL', CIRCLE: 'CIR', HIGHWAY: 'HWY', PARKWAY: 'PKWY', TERRACE: 'TER',
+  TRAIL: 'TRL', LAKE: 'LK', WAY: 'WAY', SQUARE: 'SQ', POINT: 'PT',
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+  NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW',
+  APARTMENT: 'UNIT', APT: 'UNIT', SUITE: 'UNIT', STE: 'UNIT'
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function normalizeAddress(address) {
+  return String(address || '')
+    .toUpperCase()
+    .replace(/#/g, ' UNIT ')
+    .replace(/[^A-Z0-9 ]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(word => ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+function letterPairs(text) {
+  const pairs = [];
+  text.split(' ').forEach(word => {
+    for (let index = 0; index < word.length - 1; index++) {
+      pairs.push(word.slice(index, index + 2));
+    }
+    if (word.length === 1) pairs.push(word);
+  });
+  return pairs;
+}
+
+// Dice coefficient over letter pairs, 0 to 1
+function similarity(a, b) {
+  if (a === b) return 1;
+  const pairsA = letterPairs(a);
+  const pairsB = letterPairs(b);
+  if (pairsA.length === 0 || pairsB.length === 0) return 0;
+
+  const remaining = [...pairsB];
+  let shared = 0;
+  pairsA.forEach(pair => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+  return (2 * shared) / (pairsA.length + pairsB.length);
+}
+
+// A different house number is a different premise, however close the street
+function scoreAddress(query, candidate) {
+  const a = normalizeAddress(query);
+  const b = normalizeAddress(candidate);
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const numberA = (a.match(/^\d+/) || [])[0];
+  const numberB = (b.match(/^\d+/) || [])[0];
+  const score = similarity(a, b);
+  return numberA && numberB && numberA !== numberB ? score * 0.5 : score;
+}
+
+// Everything dispatch needs about one fiber path
+function describeFiber(record, fdh) {
+  const fiber = {
+    port: record.port,
+    fdh: record.mainCableName || fdh || '',
+    feeder: record.feederCable
+      ? { cable: record.feederCable, fiber: record.feederFiber, bufferColor: record.feederBufferColor, fiberColor: record.feederFiberColor }
+      : null,
+    splitters: record.splitterPath || [],
+    cable: record.cable,
+    bufferTube: record.bufferTube === undefined ? null : record.bufferTube,
+    bufferColor: record.bufferColor || null,
+    fiber: record.fiber,
+    fiberNumber: record.fiberNumber === undefined ? null : record.fiberNumber,
+    fiberColor: record.fiberColor || null,
+    mst: record.mst || null,
+    terminal: record.terminal || null,
+    sheet: record.sheet || null,
+    address: record.address || null,
+    status: record.status,
+    trace: record.trace || formatTrace(tracePath(record))
+  };
+  if (record.ribbon !== undefined && record.ribbon !== null) {
+    Object.assign(fiber, { ribbon: record.ribbon, ribbonColor: record.ribbonColor });
+  }
+  if (record.lossStatus) {
+    fiber.loss = { pathLength: record.pathLength, 1310: record.loss1310, 1550: record.loss1550, status: record.lossStatus };
+  }
+  return fiber;
+}
+
+function groupMatches(records, labelOf, scoreOf, { limit, threshold, fdh }) {
+  const groups = new Map();
+  records.forEach(record => {
+    const label = labelOf(record);
+    if (!label) return;
+    if (!groups.has(label)) groups.set(label, { score: scoreOf(label), records: [] });
+    groups.get(label).records.push(record);
+  });
+
+  return [...groups]
+    .filter(([, group]) => group.score >= threshold)
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, limit)
+    .map(([label, group]) => ({
+      match: label,
+      score: Math.round(group.score * 100) / 100,
+      exact: group.score === 1,
+      fibers: group.records.map(record => describeFiber(record, fdh))
+    }));
+}
+
+// query: { address } | { mst } | { cable, fiber } | { port }; options.fdh
+// names the FDH for records that don't carry it. Returns
+// { by, matches } with the best matches first, or null if the query names
+// nothing to look up.
+function traceFibers(records, query, options = {}) {
+  const limit = parseInt(options.limit) || DEFAULT_LIMIT;
+  const threshold = options.threshold !== undefined ? parseFloat(options.threshold) : DEFAULT_THRESHOLD;
+  const fdh = options.fdh;
+
+  if (query.port !== undefined && query.port !== '') {
+    const port = parseInt(query.port);
+    const record = records.find(candidate => candidate.port === port);
+    return { by: 'port', matches: record ? [{ match: `Port ${port}`, score: 1, exact: true, fibers: [describeFiber(record, fdh)] }] : [] };
+  }
+
+  if (query.cable && query.fiber !== undefined) {
+    const fiber = parseInt(query.fiber);
+    const cable = String(query.cable).trim().toUpperCase();
+    const record = records.find(candidate => candidate.cable && candidate.cable.toUpperCase() === cable && candidate.fiber === fiber);
+    return { by: 'fiber', matches: record ? [{ match: `${record.cable} F${fiber}`, score: 1, exact: true, fibers: [describeFiber(record, fdh)] }] : [] };
+  }
+
+  // A query of only punctuation normalizes to nothing and would match everything
+  if (query.mst) {
+    const wanted = normalizeAddress(query.mst);
+    if (!wanted) throw badRequest(`mst "${query.mst}" has no letters or digits to match`);
+    return {
+      by: 'mst',
+      matches: groupMatches(records, record => record.mst,
+        mst => {
+          const name = normalizeAddress(mst);
+          return name === wanted ? 1 : (name.includes(wanted) ? 0.9 : similarity(wanted, name));
+        },
+        { limit, threshold, fdh })
+    };
+  }
+
+  if (query.address) {
+    if (!normalizeAddress(query.address)) throw badRequest(`address "${query.address}" has no letters or digits to match`);
+    return {
+      by: 'address',
+      matches: groupMatches(records.filter(record => record.status === 'assigned'), record => record.address,
+        address => scoreAddress(query.address, address), { limit, threshold, fdh })
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  normalizeAddress,
+  scoreAddress,
+  traceFibers
+};
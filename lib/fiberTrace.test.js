@@ -0,0 +1,83 @@
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { normalizeAddress, scoreAddress, traceFibers } = require('./fiberTrace');
+
+function sheet() {
+  const generator = new SpliceSheetGenerator();
+  generator.generateSpliceSheet({
+    ports: 8,
+    mainCableName: 'FDH108',
+    cables: [{ name: '12F', fiberCount: 12 }],
+    addresses: [
+      { mst: 'MST_1', address: '1245 E COATS AVE', fiberCount: 2, terminal: 'T1' },
+      { mst: 'MST_12', address: '1247 E COATS AVE', fiberCount: 1 },
+      { mst: 'HUB-3', address: '9 Z ST #4', fiberCount: 1 }
+    ]
+  });
+  return generator.records;
+}
+
+const matches = result => result.matches.map(match => [match.match, match.score, match.fibers.length]);
+
+describe('address matching', () => {
+  test('street words, directions and unit markers are abbreviated', () => {
+    expect(normalizeAddress('1245 East Coats Avenue, Apt. 3')).toBe('1245 E COATS AVE UNIT 3');
+    expect(normalizeAddress('9 Z St #4')).toBe('9 Z ST UNIT 4');
+  });
+
+  test('a different house number halves the score', () => {
+    expect(scoreAddress('1245 E COATS AVE', '1245 East Coats Avenue')).toBe(1);
+    expect(scoreAddress('1245 E COATS AVE', '1247 E COATS AVE')).toBeLessThan(0.5);
+    expect(scoreAddress('1245 E COATS AVE', '1245 E COATES AVE')).toBeGreaterThan(0.8);
+  });
+});
+
+describe('fiber trace', () => {
+  const records = sheet();
+
+  test('by address finds the closest premise with every fiber serving it', () => {
+    const result = traceFibers(records, { address: '1245 East Coates Avenue' });
+    expect(result.by).toBe('address');
+    expect(matches(result)).toEqual([['1245 E COATS AVE', 0.86, 2]]);
+    expect(result.matches[0].fibers[0]).toEqual({
+      port: 1,
+      fdh: 'FDH108',
+      feeder: null,
+      splitters: [],
+      cable: '12F',
+      bufferTube: 1,
+      bufferColor: 'BL',
+      fiber: 1,
+      fiberNumber: 1,
+      fiberColor: 'bl',
+      mst: 'MST_1',
+      terminal: 'T1',
+      sheet: null,
+      address: '1245 E COATS AVE',
+      status: 'assigned',
+      trace: 'FDH108 P1 > 12F F1 (BL bl) > MST_1 T1 > 1245 E COATS AVE'
+    });
+  });
+
+  test('by MST ranks the exact name above names containing it', () => {
+    expect(matches(traceFibers(records, { mst: 'mst 1' }))).toEqual([['MST_1', 1, 2], ['MST_12', 0.9, 1]]);
+    expect(matches(traceFibers(records, { mst: 'mst 1' }, { limit: 1 }))).toEqual([['MST_1', 1, 2]]);
+  });
+
+  test('by cable and fiber, or by port, is exact', () => {
+    expect(matches(traceFibers(records, { cable: '12f', fiber: '3' }))).toEqual([['12F F3', 1, 1]]);
+    expect(matches(traceFibers(records, { port: '4' }))).toEqual([['Port 4', 1, 1]]);
+    expect(traceFibers(records, { port: '40' })).toEqual({ by: 'port', matches: [] });
+  });
+
+  test('a query without a lookup is null', () => {
+    expect(traceFibers(records, {})).toBeNull();
+    expect(traceFibers(records, { cable: '12F' })).toBeNull();
+  });
+
+  test('a query with nothing left to match after normalizing is a 400', () => {
+    expect(() => traceFibers(records, { mst: '--' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'mst "--" has no letters or digits to match' }));
+    expect(() => traceFibers(records, { address: ', .' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'address ", ." has no letters or digits to match' }));
+  });
+});
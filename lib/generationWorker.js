@@ -0,0 +1,61 @@
+// Worker thread for a queued generation: parses the uploaded input file (if
+// any), generates the splice sheet and exports it, posting each stage to the
+// job queue as it starts.
+const { parentPort, workerData } = require('worker_threads');
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+
+// Rough share of the work done when each stage starts
+const STAGES = {
+  parsing: 5,
+  generating: 20,
+  validating: 60,
+  exporting: 70
+};
+
+function progress(stage) {
+  parentPort.postMessage({ type: 'progress', stage, percent: STAGES[stage] });
+}
+
+async function run({ inputFile, inputData: submitted, format, filename, outputDir }) {
+  const generator = new SpliceSheetGenerator({ outputDir });
+  let inputData = submitted;
+  let validation;
+
+  if (inputFile) {
+    progress('parsing');
+    ({ inputData, validation } = generator.parseInputFile(inputFile));
+    if (!validation.valid) {
+      const error = new Error('Input file failed validation');
+      error.statusCode = 400;
+      error.validation = validation;
+      throw error;
+    }
+  }
+
+  progress('generating');
+  const spliceData = generator.generateSpliceSheet(inputData);
+
+  progress('validating');
+  const checks = generator.validateSheet();
+
+  progress('exporting');
+  const filePath = await generator.exportOutput(spliceData, filename, format);
+
+  return {
+    filename,
+    filePath,
+    rowCount: spliceData.length - 1,
+    preview: spliceData.slice(0, 10),
+    validation,
+    warnings: generator.warnings,
+    checks,
+    summary: generator.buildSummary()
+  };
+}
+
+run(workerData)
+  .then(result => parentPort.postMessage({ type: 'completed', result }))
+  .catch(error => parentPort.postMessage({
+    type: 'failed',
+    error: { message: error.message, statusCode: error.statusCode, validation: error.validation }
+  }));
@@ -0,0 +1,449 @@
+// Reads an uploaded input workbook against the input template, collecting
+// every row/column problem into a validation report instead of guessing.
+const XLSX = require('xlsx');
+const {
+  INPUT_TEMPLATE,
+  DEFAULT_FIBERS_PER_ADDRESS,
+  TERMINAL_TYPES,
+  EXAMPLE_ROW_NOTE,
+  normalizeName,
+  matchesName
+} = require('./inputTemplate');
+const { parseFiberList } = require('./fiberStatus');
+const { parseStation } = require('./routeOrder');
+
+class InputParser {
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  addError(sheet, row, column, message) {
+    this.errors.push({ sheet, row, column, message });
+  }
+
+  addWarning(sheet, row, column, message) {
+    this.warnings.push({ sheet, row, column, message });
+  }
+
+  getReport() {
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  parseFile(filePath, options = {}) {
+    return this.parseWorkbook(XLSX.readFile(filePath), options);
+  }
+
+  // Returns { inputData, validation }; inputData is only safe to generate from
+  // when validation.valid is true. options.addressFile names a separate
+  // address file, in which case the Addresses sheet is neither read nor needed.
+  parseWorkbook(workbook, options = {}) {
+    const [cablesSheet, addressesSheet, splittersSheet, routeSheet] = INPUT_TEMPLATE.sheets;
+    const settings = this.parseSettings(workbook);
+    const cables = this.parseTable(workbook, cablesSheet);
+    const addresses = options.addressFile ? null : this.parseTable(workbook, addressesSheet);
+    const splitters = this.parseTable(workbook, splittersSheet);
+    const route = this.parseTable(workbook, routeSheet);
+
+    const ignoredAddresses = options.addressFile && this.findSheet(workbook, addressesSheet);
+    if (ignoredAddresses) {
+      this.addWarning(ignoredAddresses.sheetName, null, null, `${ignoredAddresses.sheetName} sheet was ignored; addresses come from ${options.addressFile}`);
+    }
+
+    if (cables) this.checkCables(cables);
+    if (addresses) this.checkAddresses(addresses);
+    if (splitters) this.checkSplitters(splitters);
+
+    const cableRecords = (cables || []).map(entry => entry.record);
+    const capacity = cableRecords.reduce(
+      (total, cable) => total + Math.max(0, (cable.fiberCount || 0) - (cable.startFiber || 1) + 1), 0
+    );
+
+    let ports = settings.ports;
+    if (ports === undefined && cables) {
+      ports = capacity;
+      this.addWarning(INPUT_TEMPLATE.settings.name, null, 'Ports', `Ports not set; using the total cable capacity of ${capacity}`);
+    } else if (cables && ports > capacity) {
+      this.addWarning(INPUT_TEMPLATE.settings.name, null, 'Ports', `${ports} ports exceed the total cable capacity of ${capacity}`);
+    }
+
+    if (cables && !settings.mainCableName) {
+      this.addWarning(INPUT_TEMPLATE.settings.name, null, 'Main Cable Name', 'Main Cable Name not set; the Main Cable column will be blank');
+    }
+
+    const inputData = {
+      ports,
+      mainCableName: settings.mainCableName || '',
+      cables: cableRecords,
+      addresses: (addresses || []).map(entry => entry.record)
+    };
+    ['colorScheme', 'project', 'revision'].forEach(key => {
+      if (settings[key]) inputData[key] = settings[key];
+    });
+
+    if (splitters && splitters.length > 0) {
+      inputData.splitters = splitters.map(entry => entry.record);
+    }
+
+    if (settings.feederCable) {
+      if (!settings.feederFiberCount) {
+        this.addError(INPUT_TEMPLATE.settings.name, null, 'Feeder Fiber Count', 'Feeder Fiber Count is required when Feeder Cable is set');
+      }
+      inputData.feederCable = {
+        name: settings.feederCable,
+        fiberCount: settings.feederFiberCount,
+        startFiber: settings.feederStartFiber || 1
+      };
+      if (settings.feederLength !== undefined) inputData.feederCable.length = settings.feederLength;
+      if (settings.feederSplices !== undefined) inputData.feederCable.splices = settings.feederSplices;
+    }
+
+    // Any loss setting or cable length turns the loss budget on
+    const defined = values => Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+    const budget = defined({ 1310: settings.lossBudget1310, 1550: settings.lossBudget1550 });
+    const lossSettings = defined({
+      lengthUnit: settings.lengthUnit,
+      budget: Object.keys(budget).length > 0 ? budget : undefined,
+      margin: settings.lossMargin,
+      connectors: settings.pathConnectors
+    });
+    if (Object.keys(lossSettings).length > 0 || cableRecords.some(cable => cable.length !== undefined)) {
+      inputData.lossBudget = lossSettings;
+    }
+
+    const closure = defined({
+      name: settings.closureName,
+      splicesPerTray: settings.splicesPerTray,
+      traysPerClosure: settings.traysPerClosure
+    });
+    if (Object.keys(closure).length > 0) inputData.closure = closure;
+
+    const reserve = defined({
+      lastTubeDark: settings.lastTubeDark === undefined ? undefined : settings.lastTubeDark === 'yes',
+      perMst: settings.reservePerMst
+    });
+    if (Object.keys(reserve).length > 0) inputData.reserve = reserve;
+
+    if (settings.addressOrder) {
+      inputData.addressOrder = { by: settings.addressOrder };
+      const points = (route || []).map(entry => entry.record)
+        .filter(point => point.latitude !== undefined && point.longitude !== undefined);
+      if (settings.addressOrder === 'route' && points.length >= 2) {
+        inputData.addressOrder.route = points.map(point => [point.longitude, point.latitude]);
+      } else if (settings.addressOrder === 'route' && !options.addressFile) {
+        this.addError(INPUT_TEMPLATE.settings.name, null, 'Address Order', `Address Order "route" needs a ${routeSheet.name} sheet with at least two points`);
+      }
+    }
+
+    return { inputData, validation: this.getReport() };
+  }
+
+  findSheet(workbook, definition) {
+    const sheetName = workbook.SheetNames.find(name => matchesName(definition, name));
+    return sheetName ? { sheetName, worksheet: workbook.Sheets[sheetName] } : null;
+  }
+
+  // Non-blank rows with their 1-based Excel row numbers
+  readRows(worksheet) {
+    if (!worksheet['!ref']) return [];
+
+    const firstRow = XLSX.utils.decode_range(worksheet['!ref']).s.r;
+    const rows = XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true, raw: true });
+
+    return rows
+      .map((cells, index) => ({ rowNumber: firstRow + index + 1, cells }))
+      .filter(({ cells }) => cells.some(cell => !this.isBlank(cell)));
+  }
+
+  isBlank(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+  }
+
+  parseSettings(workbook) {
+    const definition = INPUT_TEMPLATE.settings;
+    const settings = {};
+    const found = this.findSheet(workbook, definition);
+    if (!found) return settings;
+
+    this.readRows(found.worksheet).forEach(({ rowNumber, cells }) => {
+      const [label, value] = cells;
+      if (['setting', 'settings', 'name'].includes(normalizeName(label))) return;
+
+      const field = definition.fields.find(candidate => matchesName(candidate, label));
+      if (!field) {
+        this.addWarning(found.sheetName, rowNumber, String(label), `Unknown setting "${label}" was ignored`);
+        return;
+      }
+
+      const parsed = this.parseCell(value, field, found.sheetName, rowNumber);
+      if (parsed !== undefined) {
+        settings[field.key] = parsed;
+      }
+    });
+
+    return settings;
+  }
+
+  // The blank template's example row, left as it was generated: noted as the
+  // example and still holding the example values. Once edited it's data.
+  isExampleRow(worksheet, { rowNumber, cells }, columnIndexes, definition) {
+    const firstColumn = XLSX.utils.decode_range(worksheet['!ref']).s.c;
+    const noted = cells.some((cell, index) => {
+      const comments = (worksheet[XLSX.utils.encode_cell({ r: rowNumber - 1, c: firstColumn + index })] || {}).c || [];
+      return comments.some(comment => String(comment.t).trim() === EXAMPLE_ROW_NOTE);
+    });
+
+    return noted && definition.columns.every(column => {
+      if (columnIndexes[column.key] === undefined) return true;
+      const cell = cells[columnIndexes[column.key]];
+      return this.isBlank(cell) ? this.isBlank(column.example) : String(cell).trim() === String(column.example);
+    });
+  }
+
+  // Parse a header-plus-rows sheet into [{ rowNumber, record }], or null when
+  // the sheet or one of its required columns is missing
+  parseTable(workbook, definition) {
+    const found = this.findSheet(workbook, definition);
+    if (!found) {
+      if (definition.required) {
+        const expected = [INPUT_TEMPLATE.settings, ...INPUT_TEMPLATE.sheets]
+          .map(sheet => sheet.required ? sheet.name : `${sheet.name} (optional)`)
+          .join(', ');
+        this.addError(definition.name, null, null, `Missing required sheet "${definition.name}". Expected sheets: ${expected}`);
+      }
+      return null;
+    }
+    return this.parseSheet(found, definition);
+  }
+
+  // Rows of one { sheetName, worksheet } read against a template sheet's columns
+  parseSheet(found, definition) {
+    const [headerRow, ...rows] = this.readRows(found.worksheet);
+    if (!headerRow) {
+      this.addError(found.sheetName, null, null, 'Sheet is empty; expected a header row');
+      return null;
+    }
+
+    // Map header cells to template columns by name
+    const columnIndexes = {};
+    headerRow.cells.forEach((header, index) => {
+      if (this.isBlank(header)) return;
+
+      const column = definition.columns.find(candidate => matchesName(candidate, header));
+      if (!column) {
+        this.addWarning(found.sheetName, headerRow.rowNumber, String(header), `Column "${header}" is not part of the template and was ignored`);
+      } else if (columnIndexes[column.key] !== undefined) {
+        this.addWarning(found.sheetName, headerRow.rowNumber, String(header), `Duplicate "${column.label}" column was ignored`);
+      } else {
+        columnIndexes[column.key] = index;
+      }
+    });
+
+    const missing = definition.columns.filter(column => column.required && columnIndexes[column.key] === undefined);
+    missing.forEach(column => {
+      this.addError(found.sheetName, headerRow.rowNumber, column.label, `Missing required column "${column.label}"`);
+    });
+    if (missing.length > 0) return null;
+
+    const dataRows = rows.filter(row => {
+      if (!this.isExampleRow(found.worksheet, row, columnIndexes, definition)) return true;
+      this.addWarning(found.sheetName, row.rowNumber, null, 'The template\'s example row was ignored');
+      return false;
+    });
+    if (dataRows.length === 0) {
+      this.addWarning(found.sheetName, null, null, `No rows found in ${found.sheetName}`);
+    }
+
+    return dataRows.map(({ rowNumber, cells }) => {
+      const record = {};
+      definition.columns.forEach(column => {
+        if (columnIndexes[column.key] === undefined) return;
+
+        const value = this.parseCell(cells[columnIndexes[column.key]], column, found.sheetName, rowNumber);
+        if (value !== undefined) {
+          record[column.key] = value;
+        }
+      });
+      return { rowNumber, record, sheetName: found.sheetName };
+    });
+  }
+
+  // Convert one cell to the column's type, recording an error when it can't be
+  parseCell(value, column, sheetName, rowNumber) {
+    if (this.isBlank(value)) {
+      if (column.required) {
+        this.addError(sheetName, rowNumber, column.label, `${column.label} is required`);
+      }
+      return undefined;
+    }
+
+    const text = String(value).trim();
+
+    switch (column.type) {
+      case 'integer': {
+        const number = Number(text);
+        if (!Number.isInteger(number)) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must be a whole number, got "${text}"`);
+          return undefined;
+        }
+        if (column.min !== undefined && number < column.min) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must be at least ${column.min}, got ${number}`);
+          return undefined;
+        }
+        if (column.max !== undefined && number > column.max) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must be at most ${column.max}, got ${number}`);
+          return undefined;
+        }
+        if (column.suggested && !column.suggested.includes(number)) {
+          this.addWarning(sheetName, rowNumber, column.label, `${column.label} ${number} is not a standard size (${column.suggested.join(', ')})`);
+        }
+        return number;
+      }
+
+      case 'number': {
+        const number = Number(text);
+        if (!Number.isFinite(number)) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must be a number, got "${text}"`);
+          return undefined;
+        }
+        if (column.min !== undefined && number < column.min) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must be at least ${column.min}, got ${number}`);
+          return undefined;
+        }
+        if (column.max !== undefined && number > column.max) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must be at most ${column.max}, got ${number}`);
+          return undefined;
+        }
+        return number;
+      }
+
+      case 'station': {
+        const station = parseStation(text);
+        if (station === null || station < 0) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must be a footage like 1250 or a station like "12+50", got "${text}"`);
+          return undefined;
+        }
+        return station;
+      }
+
+      case 'enum': {
+        const values = column.values();
+        const match = values.find(candidate => candidate.toLowerCase() === text.toLowerCase());
+        if (!match) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} "${text}" is not one of: ${values.join(', ')}`);
+          return undefined;
+        }
+        return match;
+      }
+
+      case 'fiberList': {
+        if (!parseFiberList(text)) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must list fibers like "1-4, 9", got "${text}"`);
+          return undefined;
+        }
+        return text;
+      }
+
+      case 'portRange': {
+        const match = text.match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+        if (!match || parseInt(match[1]) < 1 || (match[2] && parseInt(match[2]) < parseInt(match[1]))) {
+          this.addError(sheetName, rowNumber, column.label, `${column.label} must look like "17-24", got "${text}"`);
+          return undefined;
+        }
+        return match[2] ? `${match[1]}-${match[2]}` : match[1];
+      }
+
+      default:
+        return text;
+    }
+  }
+
+  checkCables(cables) {
+    const seen = {};
+
+    cables.forEach(({ rowNumber, record, sheetName }) => {
+      if (!record.name) return;
+
+      const key = record.name.toLowerCase();
+      if (seen[key]) {
+        this.addError(sheetName, rowNumber, 'Cable Name', `Cable "${record.name}" is already defined on row ${seen[key]}`);
+      } else {
+        seen[key] = rowNumber;
+      }
+
+      if (record.type !== 'ribbon' && record.fibersPerRibbon !== undefined) {
+        this.addWarning(sheetName, rowNumber, 'Fibers Per Ribbon', `Fibers Per Ribbon is ignored for ${record.type || 'loose-tube'} cable "${record.name}"`);
+      }
+      if (record.startFiber !== undefined && record.fiberCount !== undefined && record.startFiber > record.fiberCount) {
+        this.addError(sheetName, rowNumber, 'Start Fiber', `Start Fiber ${record.startFiber} is past the end of the ${record.fiberCount}-fiber cable`);
+      }
+    });
+
+    if (cables.length === 0) {
+      this.addError(INPUT_TEMPLATE.sheets[0].name, null, null, 'No cables defined');
+    }
+  }
+
+  checkAddresses(addresses) {
+    const terminals = {};
+
+    addresses.forEach(({ rowNumber, record, sheetName }) => {
+      if (!record.mst) return;
+
+      const terminal = terminals[record.mst] || (terminals[record.mst] = { fibers: 0, rowNumber, sheetName });
+      terminal.fibers += record.fiberCount || DEFAULT_FIBERS_PER_ADDRESS;
+      if (record.terminalType) {
+        if (terminal.terminalType && terminal.terminalType !== record.terminalType) {
+          this.addWarning(sheetName, rowNumber, 'Terminal Type', `MST ${record.mst} is listed as both ${terminal.terminalType} and ${record.terminalType}`);
+        }
+        terminal.terminalType = terminal.terminalType || record.terminalType;
+      }
+    });
+
+    Object.entries(terminals).forEach(([mst, terminal]) => {
+      if (!terminal.terminalType || !TERMINAL_TYPES.includes(terminal.terminalType)) return;
+
+      const terminalPorts = parseInt(terminal.terminalType);
+      if (terminal.fibers > terminalPorts) {
+        this.addWarning(terminal.sheetName, terminal.rowNumber, 'Terminal Type',
+          `MST ${mst} is assigned ${terminal.fibers} fibers but is a ${terminal.terminalType} terminal`);
+      }
+    });
+  }
+
+  // Each splitter is fed from a feeder fiber or from a leg of another splitter
+  checkSplitters(splitters) {
+    const names = {};
+    splitters.forEach(({ rowNumber, record, sheetName }) => {
+      if (!record.name) return;
+      const key = record.name.toLowerCase();
+      if (names[key]) {
+        this.addError(sheetName, rowNumber, 'Splitter Name', `Splitter "${record.name}" is already defined on row ${names[key]}`);
+      } else {
+        names[key] = rowNumber;
+      }
+    });
+
+    splitters.forEach(({ rowNumber, record, sheetName }) => {
+      if (record.inputSplitter) {
+        if (!names[record.inputSplitter.toLowerCase()]) {
+          this.addError(sheetName, rowNumber, 'Input Splitter', `Input splitter "${record.inputSplitter}" is not defined`);
+        }
+        if (record.inputLeg === undefined) {
+          this.addError(sheetName, rowNumber, 'Input Leg', 'Input Leg is required with Input Splitter');
+        }
+        if (record.feederFiber !== undefined) {
+          this.addWarning(sheetName, rowNumber, 'Feeder Fiber', 'Feeder Fiber is ignored for a splitter fed from another splitter');
+        }
+      } else if (record.feederFiber === undefined && record.name) {
+        this.addError(sheetName, rowNumber, 'Feeder Fiber', 'Set a Feeder Fiber, or an Input Splitter and Input Leg');
+      }
+    });
+  }
+}
+
+module.exports = InputParser;
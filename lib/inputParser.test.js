@@ -0,0 +1,115 @@
+const XLSX = require('xlsx');
+const InputParser = require('./inputParser');
+
+// Workbook from { sheetName: [[cells], ...] }
+function workbook(sheets) {
+  const book = XLSX.utils.book_new();
+  Object.entries(sheets).forEach(([name, rows]) => XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), name));
+  return book;
+}
+
+const parse = sheets => new InputParser().parseWorkbook(workbook(sheets));
+
+const CABLES = [['Cable Name', 'Fiber Count'], ['144F(1)', 144], ['48F(2)', 48]];
+const ADDRESSES = [['MST', 'Address', 'Fiber Count'], ['MST_1', '2101 MARENGO LK RD', 8]];
+
+describe('input parser', () => {
+  test('reads a workbook laid out as the template', () => {
+    const { inputData, validation } = parse({
+      Settings: [['Setting', 'Value'], ['Ports', 96], ['Main Cable Name', 'FDH108'], ['Color Scheme', 'iec-60304']],
+      Cables: CABLES,
+      Addresses: ADDRESSES
+    });
+
+    expect(validation).toEqual({ valid: true, errors: [], warnings: [] });
+    expect(inputData).toEqual({
+      ports: 96,
+      mainCableName: 'FDH108',
+      colorScheme: 'IEC-60304',
+      cables: [{ name: '144F(1)', fiberCount: 144 }, { name: '48F(2)', fiberCount: 48 }],
+      addresses: [{ mst: 'MST_1', address: '2101 MARENGO LK RD', fiberCount: 8 }]
+    });
+  });
+
+  test('finds columns by name or alias in any order', () => {
+    const { inputData } = parse({
+      'cable definitions': [['FIBERS', 'cable name', 'Tube Size'], [24, 'A', 6]],
+      Addresses: [['Service Address', 'terminal name'], ['1 A ST', 'MST_9']]
+    });
+
+    expect(inputData.cables).toEqual([{ name: 'A', fiberCount: 24, fibersPerTube: 6 }]);
+    expect(inputData.addresses).toEqual([{ mst: 'MST_9', address: '1 A ST' }]);
+  });
+
+  test('reports every bad cell with its sheet, row and column', () => {
+    const { validation } = parse({
+      Cables: [['Cable Name', 'Fiber Count', 'Cable Type'], ['A', 'lots', 'ribbon'], ['B', 0, 'figure-8'], ['A', 12, '']],
+      Addresses: [['MST', 'Address', 'Port Range'], ['', '1 A ST', '24-17']]
+    });
+
+    expect(validation.valid).toBe(false);
+    expect(validation.errors).toEqual([
+      { sheet: 'Cables', row: 2, column: 'Fiber Count', message: 'Fiber Count must be a whole number, got "lots"' },
+      { sheet: 'Cables', row: 3, column: 'Fiber Count', message: 'Fiber Count must be at least 1, got 0' },
+      { sheet: 'Cables', row: 3, column: 'Cable Type', message: 'Cable Type "figure-8" is not one of: loose-tube, ribbon' },
+      { sheet: 'Addresses', row: 2, column: 'MST', message: 'MST is required' },
+      { sheet: 'Addresses', row: 2, column: 'Port Range', message: 'Port Range must look like "17-24", got "24-17"' },
+      { sheet: 'Cables', row: 4, column: 'Cable Name', message: 'Cable "A" is already defined on row 2' }
+    ]);
+  });
+
+  test('ports and cable sizes past the largest cables made are errors', () => {
+    const { validation } = parse({
+      Settings: [['Setting', 'Value'], ['Ports', 100000000]],
+      Cables: [['Cable Name', 'Fiber Count', 'Fibers Per Tube'], ['A', 10000, 900]],
+      Addresses: ADDRESSES
+    });
+
+    expect(validation.errors).toEqual([
+      { sheet: 'Settings', row: 2, column: 'Ports', message: 'Ports must be at most 6912, got 100000000' },
+      { sheet: 'Cables', row: 2, column: 'Fiber Count', message: 'Fiber Count must be at most 6912, got 10000' },
+      { sheet: 'Cables', row: 2, column: 'Fibers Per Tube', message: 'Fibers Per Tube must be at most 864, got 900' }
+    ]);
+  });
+
+  test('a missing sheet or column is an error rather than sample data', () => {
+    const { inputData, validation } = parse({ Addresses: [['MST'], ['MST_1']] });
+
+    expect(inputData.cables).toEqual([]);
+    expect(inputData.addresses).toEqual([]);
+    expect(validation.errors.map(error => error.message)).toEqual([
+      'Missing required sheet "Cables". Expected sheets: Settings (optional), Cables, Addresses, Splitters (optional), Route (optional)',
+      'Missing required column "Address"'
+    ]);
+  });
+
+  test('warns about defaults it fills in and columns it ignores', () => {
+    const { inputData, validation } = parse({
+      Cables: [['Cable Name', 'Fiber Count', 'Owner'], ['A', 100, 'ACME']],
+      Addresses: ADDRESSES
+    });
+
+    expect(inputData.ports).toBe(100);
+    expect(validation.valid).toBe(true);
+    expect(validation.warnings.map(entry => entry.message)).toEqual([
+      'Column "Owner" is not part of the template and was ignored',
+      'Fiber Count 100 is not a standard size (12, 24, 48, 72, 96, 144, 216, 288, 432, 864)',
+      'Ports not set; using the total cable capacity of 100',
+      'Main Cable Name not set; the Main Cable column will be blank'
+    ]);
+  });
+
+  test('warns when an MST is given more fibers than its terminal has ports', () => {
+    const { validation } = parse({
+      Cables: CABLES,
+      Addresses: [['MST', 'Address', 'Terminal Type', 'Fiber Count'], ['MST_1', '1 A ST', '4-port', 2], ['MST_1', '2 A ST', '', 4]]
+    });
+
+    expect(validation.warnings).toContainEqual({
+      sheet: 'Addresses',
+      row: 2,
+      column: 'Terminal Type',
+      message: 'MST MST_1 is assigned 6 fibers but is a 4-port terminal'
+    });
+  });
+});
@@ -0,0 +1,221 @@
+// Schema for the Excel input template. The parser reads uploads against it and
+// the blank template is generated from it, so the two stay in step.
+const { listColorSchemes } = require('./colorSchemes');
+const { LENGTH_UNITS } = require('./lossBudget');
+const { ADDRESS_ORDERS } = require('./routeOrder');
+
+const CABLE_TYPES = ['loose-tube', 'ribbon'];
+const DEFAULT_FIBERS_PER_ADDRESS = 4;
+const CABLE_FIBER_COUNTS = [12, 24, 48, 72, 96, 144, 216, 288, 432, 864];
+const TERMINAL_TYPES = ['2-port', '4-port', '6-port', '8-port', '12-port'];
+const SPLIT_RATIOS = [2, 4, 8, 16, 32, 64];
+const YES_NO = ['yes', 'no'];
+
+// Largest cable constructions accepted: the biggest cables made (6912F
+// ribbon) and the biggest tubes and ribbons in them
+const CONSTRUCTION_LIMITS = {
+  fiberCount: 6912,
+  fibersPerTube: 864,
+  tubeCount: 576,
+  fibersPerRibbon: 24
+};
+// Most FDH ports accepted: one 6912F cable's worth
+const MAX_PORTS = CONSTRUCTION_LIMITS.fiberCount;
+
+// Note on the first cell of each sheet's example row in the blank template.
+// The parser skips a row carrying it while the row still holds the examples.
+const EXAMPLE_ROW_NOTE = 'Example row: overwrite it with your own data. Left as it is, it is not read.';
+
+const colorSchemeNames = () => listColorSchemes().map(scheme => scheme.name);
+const LENGTH_UNIT_NAMES = Object.keys(LENGTH_UNITS);
+
+// Settings sheet: one "Setting | Value" pair per row
+const SETTINGS_SHEET = {
+  name: 'Settings',
+  aliases: ['setup'],
+  required: false,
+  fields: [
+    { key: 'ports', label: 'Ports', type: 'integer', min: 1, max: MAX_PORTS, example: 96,
+      description: 'FDH ports to generate (default: total fibers on the cables)' },
+    { key: 'mainCableName', label: 'Main Cable Name', aliases: ['fdh', 'fdh name', 'main cable'], type: 'string', example: 'FDH108_144F_1-96',
+      description: 'FDH / main cable identifier shown on every row' },
+    { key: 'colorScheme', label: 'Color Scheme', type: 'enum', values: colorSchemeNames, example: 'TIA-598-C',
+      description: 'Default color scheme for every cable' },
+    { key: 'feederCable', label: 'Feeder Cable', aliases: ['feeder', 'feeder cable name'], type: 'string', example: 'F1000_288F',
+      description: 'Feeder cable patched to the FDH ports; adds a Trace column' },
+    { key: 'feederFiberCount', label: 'Feeder Fiber Count', aliases: ['feeder fibers', 'feeder size'], type: 'integer', min: 1,
+      max: CONSTRUCTION_LIMITS.fiberCount, example: 288, description: 'Fibers in the feeder cable (required with Feeder Cable)' },
+    { key: 'feederStartFiber', label: 'Feeder Start Fiber', aliases: ['feeder first fiber'], type: 'integer', min: 1,
+      example: 1, description: 'Feeder fiber patched to port 1 (default: 1)' },
+    { key: 'feederLength', label: 'Feeder Length', aliases: ['feeder distance'], type: 'number', min: 0,
+      example: 12000, description: 'Feeder cable length from the OLT to the FDH, in the Length Unit' },
+    { key: 'feederSplices', label: 'Feeder Splices', type: 'integer', min: 0,
+      example: 2, description: 'Splices on the feeder between the OLT and the FDH' },
+    { key: 'lengthUnit', label: 'Length Unit', aliases: ['units'], type: 'enum', values: () => LENGTH_UNIT_NAMES,
+      example: 'ft', description: 'Unit for every length and distance (default: ft); setting it turns on the loss budget' },
+    { key: 'lossBudget1310', label: 'Loss Budget 1310', aliases: ['budget 1310'], type: 'number', min: 0,
+      example: 28, description: 'dB available at 1310 nm (default: 28); setting it turns on the loss budget' },
+    { key: 'lossBudget1550', label: 'Loss Budget 1550', aliases: ['budget 1550'], type: 'number', min: 0,
+      example: 28, description: 'dB available at 1550 nm (default: 28)' },
+    { key: 'lossMargin', label: 'Loss Margin', aliases: ['margin'], type: 'number', min: 0,
+      example: 3, description: 'dB held back from the budget (default: 3)' },
+    { key: 'pathConnectors', label: 'Path Connectors', aliases: ['connectors'], type: 'integer', min: 0,
+      example: 2, description: 'Connector pairs on every path, e.g. FDH patch and ONT (default: 2)' },
+    { key: 'closureName', label: 'Closure Name', aliases: ['closure', 'splice closure'], type: 'string',
+      example: 'SC-108', description: 'Splice closure at the FDH stub; setting it adds a Tray Layout tab' },
+    { key: 'splicesPerTray', label: 'Splices Per Tray', aliases: ['tray size', 'tray capacity'], type: 'integer', min: 1,
+      example: 12, description: 'Splice slots in each tray (default: 12); setting it adds a Tray Layout tab' },
+    { key: 'traysPerClosure', label: 'Trays Per Closure', aliases: ['trays'], type: 'integer', min: 1,
+      example: 8, description: 'Trays one closure holds; more trays roll over to another closure (default: no limit)' },
+    { key: 'lastTubeDark', label: 'Keep Last Tube Dark', aliases: ['last tube dark'], type: 'enum', values: () => YES_NO,
+      example: 'no', description: 'Keep each cable\'s last buffer tube dark, off the FDH ports (default: no)' },
+    { key: 'reservePerMst', label: 'Reserve Per MST', aliases: ['reserved per mst', 'mst reserve'], type: 'integer', min: 0,
+      example: 0, description: 'Fibers reserved for future growth after each MST\'s last address and spares' },
+    { key: 'addressOrder', label: 'Address Order', aliases: ['order addresses by', 'mst order'], type: 'enum', values: () => ADDRESS_ORDERS,
+      example: '', description: 'Order MSTs along the cable by Station, or by where they fall along the Route sheet (default: as listed)' },
+    { key: 'project', label: 'Project', aliases: ['project name', 'job'], type: 'string', example: 'East Coats Ave Build',
+      description: 'Project name for the PDF title block' },
+    { key: 'revision', label: 'Revision', aliases: ['rev'], type: 'string', example: 'A',
+      description: 'Revision shown in the PDF title block' }
+  ]
+};
+
+const CABLES_SHEET = {
+  name: 'Cables',
+  aliases: ['cable definitions', 'cable', 'distribution cables'],
+  required: true,
+  columns: [
+    { key: 'name', label: 'Cable Name', aliases: ['cable', 'name'], type: 'string', required: true, example: '144F(1)',
+      description: 'Cable identifier' },
+    { key: 'fiberCount', label: 'Fiber Count', aliases: ['fibers', 'count', 'size', 'cable size'], type: 'integer', min: 1,
+      max: CONSTRUCTION_LIMITS.fiberCount, required: true, suggested: CABLE_FIBER_COUNTS, example: 144,
+      description: 'Total fibers in the cable' },
+    { key: 'type', label: 'Cable Type', aliases: ['type', 'construction'], type: 'enum', values: () => CABLE_TYPES,
+      example: 'loose-tube', description: 'loose-tube (default) or ribbon' },
+    { key: 'fibersPerTube', label: 'Fibers Per Tube', aliases: ['tube size', 'fibers/tube'], type: 'integer', min: 1,
+      max: CONSTRUCTION_LIMITS.fibersPerTube, example: 12, description: 'Fibers per buffer tube (default: 12, ribbon: 144)' },
+    { key: 'tubeCount', label: 'Tube Count', aliases: ['tubes'], type: 'integer', min: 1,
+      max: CONSTRUCTION_LIMITS.tubeCount, example: 12, description: 'Buffer tubes in the cable' },
+    { key: 'fibersPerRibbon', label: 'Fibers Per Ribbon', aliases: ['ribbon size', 'fibers/ribbon'], type: 'integer', min: 1,
+      max: CONSTRUCTION_LIMITS.fibersPerRibbon, example: '', description: 'Fibers per ribbon, ribbon cables only (default: 12)' },
+    { key: 'startPort', label: 'Start Port', aliases: ['first port'], type: 'integer', min: 1,
+      example: '', description: 'Pin the cable to start at this FDH port' },
+    { key: 'startFiber', label: 'Start Fiber', aliases: ['first fiber'], type: 'integer', min: 1,
+      example: 1, description: 'First fiber used on the cable (default: 1)' },
+    { key: 'colorScheme', label: 'Color Scheme', aliases: ['scheme', 'color code'], type: 'enum', values: colorSchemeNames,
+      example: 'TIA-598-C', description: 'Color scheme for this cable (default: Settings color scheme)' },
+    { key: 'length', label: 'Length', aliases: ['cable length'], type: 'number', min: 0,
+      example: 4500, description: 'Cable length from the FDH to its far end; turns on the loss budget' },
+    { key: 'splices', label: 'Splices', aliases: ['splice count'], type: 'integer', min: 0,
+      example: 1, description: 'Splices a fiber passes through along the cable' },
+    { key: 'expressFibers', label: 'Express Fibers', aliases: ['express', 'pass-through fibers'], type: 'fiberList',
+      example: '', description: 'Fibers passing through uncut, never on an FDH port, e.g. 97-144' },
+    { key: 'darkFibers', label: 'Dark Fibers', aliases: ['dark', 'stored fibers'], type: 'fiberList',
+      example: '', description: 'Fibers kept dark and stored, never on an FDH port' },
+    { key: 'reservedFibers', label: 'Reserved Fibers', aliases: ['reserved'], type: 'fiberList',
+      example: '', description: 'Fibers on a port but held for future growth, never given to a drop' },
+    { key: 'damagedFibers', label: 'Damaged Fibers', aliases: ['damaged', 'bad fibers'], type: 'fiberList',
+      example: '', description: 'Unusable fibers; each keeps its port, marked damaged' }
+  ]
+};
+
+const ADDRESSES_SHEET = {
+  name: 'Addresses',
+  aliases: ['address list', 'drops', 'terminals'],
+  required: true,
+  columns: [
+    { key: 'mst', label: 'MST', aliases: ['mst name', 'terminal name'], type: 'string', required: true,
+      example: 'MST_F1245ECOATSAVE.210819', description: 'Multi-service terminal serving the address' },
+    { key: 'address', label: 'Address', aliases: ['service address', 'premise', 'premises address'], type: 'string', required: true,
+      example: '2101 MARENGO LK RD', description: 'Customer premise address' },
+    { key: 'sheet', label: 'Sheet', aliases: ['sheet #', 'sheet number', 'map sheet'], type: 'integer', min: 1,
+      example: 14, description: 'Design sheet number' },
+    { key: 'terminal', label: 'Terminal', aliases: ['terminal id', 'term'], type: 'string',
+      example: 'T1', description: 'Terminal designation' },
+    { key: 'terminalType', label: 'Terminal Type', aliases: ['mst type', 'mst size'], type: 'enum', values: () => TERMINAL_TYPES,
+      example: '8-port', description: 'Terminal size; fibers assigned to the MST are checked against it' },
+    { key: 'fiberCount', label: 'Fiber Count', aliases: ['fibers', 'drops', 'drop count'], type: 'integer', min: 1,
+      example: 4, description: 'Drop fibers for this address (default: 4)' },
+    { key: 'spareFibers', label: 'Spare Fibers', aliases: ['spares', 'spare'], type: 'integer', min: 0,
+      example: 0, description: 'Fibers reserved as spares after the MST\'s last address' },
+    { key: 'portRange', label: 'Port Range', aliases: ['ports'], type: 'portRange',
+      example: '', description: 'Explicit FDH ports, e.g. 17-24 (overrides Fiber Count)' },
+    { key: 'distance', label: 'Distance', aliases: ['cable distance', 'mst distance'], type: 'number', min: 0,
+      example: 1850, description: 'Distribution cable length from the FDH to the MST (default: the cable\'s Length)' },
+    { key: 'dropLength', label: 'Drop Length', aliases: ['drop'], type: 'number', min: 0,
+      example: 150, description: 'Drop cable length from the MST to the premise' },
+    { key: 'splices', label: 'Splices', aliases: ['splice count'], type: 'integer', min: 0,
+      example: 0, description: 'Splices on this drop beyond the cable\'s' },
+    { key: 'connectors', label: 'Connectors', aliases: ['connector count'], type: 'integer', min: 0,
+      example: 1, description: 'Connector pairs on this drop beyond every path\'s, e.g. a hardened MST port' },
+    { key: 'station', label: 'Station', aliases: ['footage', 'sta', 'chainage'], type: 'station',
+      example: '12+50', description: 'Station or footage of the MST along the cable route, e.g. 12+50 or 1250' },
+    { key: 'latitude', label: 'Latitude', aliases: ['lat', 'y'], type: 'number', min: -90, max: 90,
+      example: '', description: 'Latitude of the address, for ordering along the Route sheet' },
+    { key: 'longitude', label: 'Longitude', aliases: ['lon', 'lng', 'long', 'x'], type: 'number', min: -180, max: 180,
+      example: '', description: 'Longitude of the address, for ordering along the Route sheet' }
+  ]
+};
+
+// Cable route as points in order from the FDH, for Address Order "route"
+const ROUTE_SHEET = {
+  name: 'Route',
+  aliases: ['cable route', 'route line', 'route points'],
+  required: false,
+  columns: [
+    { key: 'latitude', label: 'Latitude', aliases: ['lat', 'y'], type: 'number', min: -90, max: 90, required: true,
+      example: 28.5383, description: 'Latitude of a route point' },
+    { key: 'longitude', label: 'Longitude', aliases: ['lon', 'lng', 'long', 'x'], type: 'number', min: -180, max: 180, required: true,
+      example: -81.3792, description: 'Longitude of a route point' }
+  ]
+};
+
+const SPLITTERS_SHEET = {
+  name: 'Splitters',
+  aliases: ['splitter', 'splits'],
+  required: false,
+  columns: [
+    { key: 'name', label: 'Splitter Name', aliases: ['splitter', 'name'], type: 'string', required: true, example: 'SPL1',
+      description: 'Splitter identifier' },
+    { key: 'ratio', label: 'Ratio', aliases: ['split', 'split ratio'], type: 'enum', required: true,
+      values: () => SPLIT_RATIOS.map(legs => `1x${legs}`), example: '1x32', description: 'Split ratio' },
+    { key: 'feederFiber', label: 'Feeder Fiber', aliases: ['input fiber'], type: 'integer', min: 1, example: 1,
+      description: 'Feeder fiber on the splitter input (first-stage splitters)' },
+    { key: 'inputSplitter', label: 'Input Splitter', aliases: ['upstream splitter', 'parent splitter'], type: 'string', example: '',
+      description: 'Upstream splitter feeding this one (cascaded splitters)' },
+    { key: 'inputLeg', label: 'Input Leg', aliases: ['upstream leg', 'parent leg'], type: 'integer', min: 1, example: '',
+      description: 'Leg of the upstream splitter feeding this one' },
+    { key: 'portRange', label: 'Port Range', aliases: ['ports', 'output ports'], type: 'portRange', example: '1-32',
+      description: 'FDH ports on the legs not cascaded to another splitter, in leg order' }
+  ]
+};
+
+const INPUT_TEMPLATE = {
+  settings: SETTINGS_SHEET,
+  sheets: [CABLES_SHEET, ADDRESSES_SHEET, SPLITTERS_SHEET, ROUTE_SHEET]
+};
+
+// Header/sheet names compare case-, space- and punctuation-insensitively
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9#]/g, '');
+}
+
+function matchesName(definition, name) {
+  const normalized = normalizeName(name);
+  return [definition.label || definition.name, ...(definition.aliases || [])]
+    .some(candidate => normalizeName(candidate) === normalized);
+}
+
+module.exports = {
+  INPUT_TEMPLATE,
+  CABLE_TYPES,
+  DEFAULT_FIBERS_PER_ADDRESS,
+  CABLE_FIBER_COUNTS,
+  TERMINAL_TYPES,
+  CONSTRUCTION_LIMITS,
+  MAX_PORTS,
+  EXAMPLE_ROW_NOTE,
+  SPLIT_RATIOS,
+  normalizeName,
+  matchesName
+};
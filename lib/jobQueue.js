@@ -0,0 +1,167 @@
+// In-process queue running long jobs on worker threads so they don't block
+// the event loop. A worker posts { type: 'progress', stage, percent } while it
+// runs and finishes with { type: 'completed', result } or
+// { type: 'failed', error }.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+
+function conflict(message) {
+  const error = new Error(message);
+  error.statusCode = 409;
+  return error;
+}
+
+// Delete what a stopped worker may have left half written: the output file
+// named by its workerData and the JSON document exported next to it
+function removeOutputs({ outputDir, filename }) {
+  if (!outputDir || !filename) return Promise.resolve();
+  const basename = path.basename(filename, path.extname(filename));
+  return Promise.all([filename, `${basename}.json`].map(name =>
+    fs.promises.rm(path.join(outputDir, name), { force: true })));
+}
+
+class JobQueue {
+  // options.workerPath: script run for each job, given the job's workerData
+  // options.concurrency: jobs run at once (default 1)
+  // options.retention: how long finished jobs are kept, in ms (default 1 hour)
+  constructor({ workerPath, concurrency = 1, retention = DEFAULT_RETENTION_MS }) {
+    this.workerPath = workerPath;
+    this.concurrency = Math.max(1, parseInt(concurrency) || 1);
+    this.retention = retention;
+    this.jobs = new Map();
+    this.pending = [];
+    this.runningCount = 0;
+  }
+
+  // Queue a job. onFinish runs once when it completes, fails or is cancelled,
+  // e.g. to delete an uploaded file. workerData.outputDir and filename, when
+  // set, name the file the job writes.
+  submit(type, workerData, { onFinish } = {}) {
+    this.prune();
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      status: 'queued',
+      progress: { stage: 'queued', percent: 0 },
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      workerData,
+      onFinish,
+      worker: null
+    };
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.runNext();
+    return this.view(job);
+  }
+
+  get(id) {
+    const job = this.jobs.get(id);
+    return job ? this.view(job) : null;
+  }
+
+  list() {
+    return [...this.jobs.values()].map(job => this.view(job));
+  }
+
+  // Cancel a queued or running job; null if there is no such job. A running
+  // job's partial output is deleted once its worker has stopped.
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (FINISHED_STATUSES.includes(job.status)) {
+      throw conflict(`Job ${id} is already ${job.status}`);
+    }
+
+    if (job.status === 'queued') {
+      this.pending = this.pending.filter(candidate => candidate !== job);
+    } else {
+      job.worker.terminate()
+        .then(() => removeOutputs(job.workerData))
+        .catch(error => console.error(`Error cleaning up job ${id}:`, error));
+    }
+    this.finish(job, 'cancelled');
+    return this.view(job);
+  }
+
+  runNext() {
+    while (this.runningCount < this.concurrency && this.pending.length > 0) {
+      this.start(this.pending.shift());
+    }
+  }
+
+  start(job) {
+    this.runningCount++;
+    Object.assign(job, { status: 'running', startedAt: new Date().toISOString() });
+    job.progress = { stage: 'starting', percent: 0 };
+
+    const worker = new Worker(this.workerPath, { workerData: job.workerData });
+    job.worker = worker;
+
+    worker.on('message', message => {
+      if (job.status !== 'running') return;
+      if (message.type === 'progress') {
+        job.progress = { stage: message.stage, percent: message.percent };
+      } else if (message.type === 'completed') {
+        this.finish(job, 'completed', { result: message.result });
+      } else if (message.type === 'failed') {
+        this.finish(job, 'failed', { error: message.error });
+      }
+    });
+    worker.on('error', error => {
+      this.finish(job, 'failed', { error: { message: error.message } });
+    });
+    worker.on('exit', code => {
+      this.runningCount--;
+      if (job.status === 'running') {
+        this.finish(job, 'failed', { error: { message: `Worker stopped with exit code ${code}` } });
+      }
+      this.runNext();
+    });
+  }
+
+  finish(job, status, { result = null, error = null } = {}) {
+    if (FINISHED_STATUSES.includes(job.status)) return;
+
+    Object.assign(job, { status, result, error, finishedAt: new Date().toISOString(), worker: null });
+    if (status === 'completed') job.progress = { stage: 'done', percent: 100 };
+    if (job.onFinish) {
+      try {
+        job.onFinish(job);
+      } catch (finishError) {
+        console.error(`Error finishing job ${job.id}:`, finishError);
+      }
+    }
+  }
+
+  // Forget finished jobs older than the retention period
+  prune() {
+    const cutoff = Date.now() - this.retention;
+    this.jobs.forEach((job, id) => {
+      if (job.finishedAt && Date.parse(job.finishedAt) < cutoff) this.jobs.delete(id);
+    });
+  }
+
+  view(job) {
+    const { workerData, onFinish, worker, ...fields } = job;
+    return {
+      ...fields,
+      position: job.status === 'queued' ? this.pending.indexOf(job) + 1 : null
+    };
+  }
+}
+
+module.exports = {
+  JobQueue,
+  JOB_STATUSES
+};
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JobQueue } = require('./jobQueue');
+
+// Stand-in for generationWorker.js: completes, fails, or writes a partial
+// output and never finishes, as workerData.mode says
+const WORKER = `
+const fs = require('fs');
+const path = require('path');
+const { parentPort, workerData } = require('worker_threads');
+const { mode, outputDir, filename } = workerData;
+
+if (mode === 'fail') {
+  parentPort.postMessage({ type: 'failed', error: { message: 'bad input' } });
+} else if (mode === 'hang') {
+  fs.writeFileSync(path.join(outputDir, filename), 'partial');
+  fs.writeFileSync(path.join(outputDir, filename.replace(/\\.\\w+$/, '.json')), '{}');
+  parentPort.postMessage({ type: 'progress', stage: 'exporting', percent: 70 });
+  setInterval(() => {}, 1000);
+} else {
+  parentPort.postMessage({ type: 'completed', result: { value: workerData.value } });
+}
+`;
+
+// Poll until check() holds, for up to two seconds
+async function waitFor(check) {
+  for (let tries = 0; tries < 100 && !check(); tries++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  expect(check()).toBe(true);
+}
+
+describe('job queue', () => {
+  let dir;
+  let workerPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    workerPath = path.join(dir, 'worker.js');
+    fs.writeFileSync(workerPath, WORKER);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('jobs past the concurrency wait their turn, then complete', async () => {
+    const queue = new JobQueue({ workerPath });
+    const first = queue.submit('generate', { value: 1 });
+    const second = queue.submit('generate', { value: 2 });
+
+    expect(first).toMatchObject({ type: 'generate', status: 'running', position: null });
+    expect(second).toMatchObject({ status: 'queued', position: 1 });
+    expect(second.workerData).toBeUndefined();
+
+    await waitFor(() => queue.get(second.id).status === 'completed');
+    expect(queue.get(first.id)).toMatchObject({ status: 'completed', result: { value: 1 }, progress: { stage: 'done', percent: 100 } });
+    expect(queue.get(second.id).result).toEqual({ value: 2 });
+  });
+
+  test('a failed job keeps the worker\'s error and runs onFinish once', async () => {
+    const onFinish = jest.fn();
+    const queue = new JobQueue({ workerPath });
+    const job = queue.submit('generate', { mode: 'fail' }, { onFinish });
+
+    await waitFor(() => queue.get(job.id).status === 'failed');
+    expect(queue.get(job.id).error).toEqual({ message: 'bad input' });
+    expect(onFinish).toHaveBeenCalledTimes(1);
+  });
+
+  test('cancelling a running job deletes its partial output and JSON document', async () => {
+    const queue = new JobQueue({ workerPath });
+    const job = queue.submit('generate', { mode: 'hang', outputDir: dir, filename: 'splice_sheet_1.xlsx' });
+    const queued = queue.submit('generate', { value: 2 });
+    await waitFor(() => queue.get(job.id).progress.stage === 'exporting');
+    expect(fs.existsSync(path.join(dir, 'splice_sheet_1.json'))).toBe(true);
+
+    expect(queue.cancel(queued.id).status).toBe('cancelled');
+    expect(queue.cancel(job.id).status).toBe('cancelled');
+    await waitFor(() => !fs.existsSync(path.join(dir, 'splice_sheet_1.xlsx')) && !fs.existsSync(path.join(dir, 'splice_sheet_1.json')));
+    expect(queue.get(queued.id).startedAt).toBeNull();
+  });
+
+  test('only queued and running jobs can be cancelled', async () => {
+    const queue = new JobQueue({ workerPath });
+    const job = queue.submit('generate', { value: 1 });
+    await waitFor(() => queue.get(job.id).status === 'completed');
+
+    expect(() => queue.cancel(job.id)).toThrow(expect.objectContaining({ statusCode: 409, message: `Job ${job.id} is already completed` }));
+    expect(queue.cancel('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,100 @@
+// End-to-end optical loss from the feeder to the drop: fiber attenuation over
+// the path length plus splices, connectors and splitters, checked against the
+// link budget at 1310 and 1550 nm.
+
+const WAVELENGTHS = [1310, 1550];
+const LENGTH_UNITS = { ft: 0.0003048, m: 0.001 }; // km per unit
+
+// GPON class B+ optics with typical outside plant losses
+const DEFAULT_LOSS_BUDGET = {
+  lengthUnit: 'ft',
+  budget: { 1310: 28, 1550: 28 }, // dB available between OLT and ONT
+  margin: 3, // dB held back for repairs and aging
+  fiberLoss: { 1310: 0.35, 1550: 0.25 }, // dB/km
+  spliceLoss: 0.1, // dB per fusion splice
+  connectorLoss: 0.5, // dB per mated connector pair
+  connectors: 2, // connector pairs on every path, e.g. FDH patch and ONT
+  splitterLoss: { '1x2': 3.7, '1x4': 7.3, '1x8': 10.5, '1x16': 13.7, '1x32': 17.1, '1x64': 20.5 }
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function checkNumber(value, name) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || number < 0) {
+    throw badRequest(`${name} must be a number of at least 0, got "${value}"`);
+  }
+  return number;
+}
+
+// A single number applies to every wavelength
+function perWavelength(value, defaults, name) {
+  if (value === undefined) return { ...defaults };
+  if (typeof value !== 'object' || value === null) {
+    const number = checkNumber(value, name);
+    return WAVELENGTHS.reduce((values, wavelength) => ({ ...values, [wavelength]: number }), {});
+  }
+  return WAVELENGTHS.reduce((values, wavelength) => ({
+    ...values,
+    [wavelength]: value[wavelength] === undefined ? defaults[wavelength] : checkNumber(value[wavelength], `${name}.${wavelength}`)
+  }), {});
+}
+
+// Fill a design's lossBudget settings in from DEFAULT_LOSS_BUDGET
+function resolveLossBudget(settings = {}) {
+  const lengthUnit = String(settings.lengthUnit || DEFAULT_LOSS_BUDGET.lengthUnit).toLowerCase();
+  if (!LENGTH_UNITS[lengthUnit]) {
+    throw badRequest(`lossBudget.lengthUnit must be one of: ${Object.keys(LENGTH_UNITS).join(', ')}`);
+  }
+
+  const splitterLoss = { ...DEFAULT_LOSS_BUDGET.splitterLoss };
+  Object.entries(settings.splitterLoss || {}).forEach(([ratio, loss]) => {
+    splitterLoss[ratio.replace(/[:x]/i, 'x')] = checkNumber(loss, `lossBudget.splitterLoss.${ratio}`);
+  });
+
+  const scalar = key => (settings[key] === undefined ? DEFAULT_LOSS_BUDGET[key] : checkNumber(settings[key], `lossBudget.${key}`));
+  return {
+    lengthUnit,
+    budget: perWavelength(settings.budget, DEFAULT_LOSS_BUDGET.budget, 'lossBudget.budget'),
+    margin: scalar('margin'),
+    fiberLoss: perWavelength(settings.fiberLoss, DEFAULT_LOSS_BUDGET.fiberLoss, 'lossBudget.fiberLoss'),
+    spliceLoss: scalar('spliceLoss'),
+    connectorLoss: scalar('connectorLoss'),
+    connectors: scalar('connectors'),
+    splitterLoss
+  };
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// path: { length (in lengthUnit), splices, connectors, splitters: ['1x32', ...] }
+// Returns the record fields: pathLength, loss1310, loss1550 and lossStatus,
+// 'fail' when loss plus margin is over the budget at either wavelength.
+function pathLoss(path, lossBudget) {
+  const lengthKm = path.length * LENGTH_UNITS[lossBudget.lengthUnit];
+  const fixedLoss = path.splices * lossBudget.spliceLoss +
+    (lossBudget.connectors + path.connectors) * lossBudget.connectorLoss +
+    path.splitters.reduce((total, ratio) => total + (lossBudget.splitterLoss[ratio] || 0), 0);
+
+  const fields = { pathLength: round(path.length) };
+  let status = 'pass';
+  WAVELENGTHS.forEach(wavelength => {
+    const loss = round(lengthKm * lossBudget.fiberLoss[wavelength] + fixedLoss);
+    fields[`loss${wavelength}`] = loss;
+    if (loss + lossBudget.margin > lossBudget.budget[wavelength]) status = 'fail';
+  });
+  fields.lossStatus = status;
+  return fields;
+}
+
+module.exports = {
+  WAVELENGTHS,
+  LENGTH_UNITS,
+  DEFAULT_LOSS_BUDGET,
+  resolveLossBudget,
+  pathLoss
+};
@@ -0,0 +1,83 @@
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { DEFAULT_LOSS_BUDGET, resolveLossBudget, pathLoss } = require('./lossBudget');
+
+describe('loss budget settings', () => {
+  test('unset options take the defaults', () => {
+    expect(resolveLossBudget()).toEqual(DEFAULT_LOSS_BUDGET);
+  });
+
+  test('one number covers both wavelengths and splitter ratios may use a colon', () => {
+    const lossBudget = resolveLossBudget({ lengthUnit: 'M', budget: 25, fiberLoss: { 1550: 0.22 }, splitterLoss: { '1:32': 17.5 } });
+
+    expect(lossBudget.lengthUnit).toBe('m');
+    expect(lossBudget.budget).toEqual({ 1310: 25, 1550: 25 });
+    expect(lossBudget.fiberLoss).toEqual({ 1310: 0.35, 1550: 0.22 });
+    expect(lossBudget.splitterLoss['1x32']).toBe(17.5);
+  });
+
+  test('bad options are a 400', () => {
+    expect(() => resolveLossBudget({ lengthUnit: 'mi' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'lossBudget.lengthUnit must be one of: ft, m' }));
+    expect(() => resolveLossBudget({ margin: -1 })).toThrow('lossBudget.margin must be a number of at least 0, got "-1"');
+    expect(() => resolveLossBudget({ budget: { 1310: 'lots' } })).toThrow('lossBudget.budget.1310 must be a number of at least 0, got "lots"');
+  });
+});
+
+describe('path loss', () => {
+  const lossBudget = resolveLossBudget();
+
+  test('adds fiber, splices, connectors and splitters at each wavelength', () => {
+    expect(pathLoss({ length: 10000, splices: 2, connectors: 0, splitters: ['1x32'] }, lossBudget))
+      .toEqual({ pathLength: 10000, loss1310: 19.37, loss1550: 19.06, lossStatus: 'pass' });
+  });
+
+  test('fails when loss plus the margin is over the budget', () => {
+    expect(pathLoss({ length: 10000, splices: 2, connectors: 0, splitters: ['1x4', '1x32'] }, lossBudget))
+      .toEqual({ pathLength: 10000, loss1310: 26.67, loss1550: 26.36, lossStatus: 'fail' });
+  });
+});
+
+describe('loss budget on a design', () => {
+  const generator = new SpliceSheetGenerator();
+  const records = generator.buildRecords({
+    ports: 4,
+    lossBudget: { lengthUnit: 'm', budget: 20 },
+    feederCable: { name: 'F1000', fiberCount: 12, length: 5000, splices: 2 },
+    splitters: [{ name: 'SPL1', ratio: '1x32', feederFiber: 1, portRange: '1-2' }],
+    cables: [{ name: '12F(1)', fiberCount: 2, length: 3000 }, { name: '12F(2)', fiberCount: 2 }],
+    addresses: [
+      { mst: 'MST_1', address: '1 A ST', fiberCount: 1, dropLength: 100 },
+      { mst: 'MST_1', address: '2 A ST', fiberCount: 1, distance: 1000, connectors: 1 },
+      { mst: 'MST_2', address: '3 B ST', fiberCount: 1 }
+    ]
+  });
+
+  test('each served port carries the loss from the feeder to its drop', () => {
+    expect(records.map(record => [record.pathLength, record.loss1310, record.loss1550, record.lossStatus])).toEqual([
+      [8100, 21.14, 20.33, 'fail'],
+      [6000, 20.9, 20.3, 'fail'],
+      [5000, 2.95, 2.45, 'pass'],
+      [null, null, null, null]
+    ]);
+  });
+
+  test('drops over budget and drops without a length are reported', () => {
+    expect(generator.warnings).toEqual([
+      { code: 'LOSS_BUDGET_EXCEEDED', message: '2 address(es) exceed the loss budget less the 3 dB margin', addresses: ['1 A ST', '2 A ST'] },
+      {
+        code: 'LOSS_LENGTH_MISSING',
+        message: '1 address(es) have no distance and their cable no length; their loss leaves out the distribution fiber',
+        addresses: ['3 B ST']
+      }
+    ]);
+  });
+
+  test('the summary has the worst path at each wavelength', () => {
+    const summary = generator.buildSummary().lossBudget;
+
+    expect(summary).toMatchObject({ lengthUnit: 'm', margin: 3, paths: 3, passing: 1, failing: 2 });
+    expect(summary.wavelengths[0]).toEqual({
+      wavelength: 1310, budget: 20, available: 17, worstLoss: 21.14, worstAddress: '1 A ST', worstPort: 1, failing: 2
+    });
+  });
+});
@@ -0,0 +1,157 @@
+// The network above and below the FDH: feeder cable -> FDH port ->
+// distribution cable -> MST -> drop. Each level is built from the per-port
+// records, where every record already points at the upstream fiber it is
+// spliced to.
+
+// "1-4, 9" from [1, 2, 3, 4, 9]
+function compactRange(numbers) {
+  const sorted = [...new Set(numbers)].sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach(number => {
+    const last = ranges[ranges.length - 1];
+    if (last && number === last.end + 1) {
+      last.end = number;
+    } else {
+      ranges.push({ start: number, end: number });
+    }
+  });
+  return ranges.map(range => (range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`)).join(', ');
+}
+
+// Hops from the feeder down to the drop for one port, skipping levels the
+// design doesn't have
+function tracePath(record) {
+  const path = [];
+
+  if (record.feederCable) {
+    path.push({
+      level: 'feeder',
+      cable: record.feederCable,
+      fiber: record.feederFiber,
+      bufferColor: record.feederBufferColor,
+      fiberColor: record.feederFiberColor
+    });
+  }
+  (record.splitterPath || []).forEach(hop => {
+    path.push({ level: 'splitter', name: hop.name, leg: hop.leg });
+  });
+  path.push({ level: 'fdh', name: record.mainCableName, port: record.port });
+  if (record.cable) {
+    path.push({
+      level: 'distribution',
+      cable: record.cable,
+      fiber: record.fiber,
+      bufferColor: record.ribbonColor ? `${record.bufferColor} ${record.ribbonColor}` : record.bufferColor,
+      fiberColor: record.fiberColor
+    });
+  }
+  if (record.mst) {
+    path.push({ level: 'mst', name: record.mst, terminal: record.terminal, sheet: record.sheet });
+  }
+  if (record.status === 'assigned') {
+    path.push({ level: 'drop', address: record.address });
+  }
+
+  return path;
+}
+
+// One line per path, with tube (and ribbon) then fiber colors in brackets, e.g.
+// F1000 F12 (BL bl) > SPL1 L3 > FDH108 P12 > 144F(1) F12 (BL bl) > MST_1 T1 > 2101 MARENGO LK RD
+function formatTrace(path) {
+  return path.map(hop => {
+    switch (hop.level) {
+      case 'feeder':
+      case 'distribution':
+        return `${hop.cable} F${hop.fiber}${hop.bufferColor ? ` (${hop.bufferColor} ${hop.fiberColor})` : ''}`;
+      case 'splitter':
+        return `${hop.name} L${hop.leg}`;
+      case 'fdh':
+        return `${hop.name || 'FDH'} P${hop.port}`;
+      case 'mst':
+        return hop.terminal ? `${hop.name} ${hop.terminal}` : hop.name;
+      default:
+        return hop.address;
+    }
+  }).join(' > ');
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+}
+
+// Nested { level, name, ..., children } tree. Each node lists the upstream
+// fibers or ports it hangs off in `upstream`.
+function buildNetworkTree(records, { fdh = '', feederCable = null, cables = [], splitters = [] } = {}) {
+  const lit = records.filter(record => record.cable);
+
+  const cableNodes = cables.map((cable, cableIndex) => {
+    const cableRecords = lit.filter(record => record.cableIndex === cableIndex);
+    const terminals = groupBy(cableRecords.filter(record => record.mst), record => record.mst);
+
+    return {
+      level: 'distribution',
+      name: cable.name,
+      fiberCount: cable.fiberCount,
+      upstream: { fdh, ports: compactRange(cableRecords.map(record => record.port)) },
+      children: [...terminals].map(([mst, mstRecords]) => ({
+        level: 'mst',
+        name: mst,
+        terminals: [...new Set(mstRecords.map(record => record.terminal).filter(Boolean))],
+        upstream: { cable: cable.name, fibers: compactRange(mstRecords.map(record => record.fiber)) },
+        spareFibers: mstRecords.filter(record => record.status === 'spare').map(record => record.fiber),
+        reservedFibers: mstRecords.filter(record => record.status === 'reserved').map(record => record.fiber),
+        children: [...groupBy(mstRecords.filter(record => record.status === 'assigned'), record => record.address)]
+          .map(([address, dropRecords]) => ({
+            level: 'drop',
+            address,
+            sheet: dropRecords[0].sheet,
+            terminal: dropRecords[0].terminal,
+            upstream: { mst, fibers: dropRecords.map(record => record.fiber) },
+            fibers: dropRecords.map(record => ({
+              port: record.port,
+              cable: record.cable,
+              fiber: record.fiber,
+              feederFiber: record.feederFiber === undefined ? null : record.feederFiber,
+              splitter: record.splitter || null,
+              splitterLeg: record.splitterLeg || null,
+              trace: formatTrace(tracePath(record))
+            }))
+          }))
+      }))
+    };
+  });
+
+  const fdhNode = {
+    level: 'fdh',
+    name: fdh,
+    ports: records.length,
+    children: cableNodes
+  };
+  if (splitters.length > 0) {
+    fdhNode.splitters = splitters;
+  }
+
+  if (!feederCable) return fdhNode;
+
+  const fed = records.filter(record => record.feederFiber);
+  fdhNode.upstream = { cable: feederCable.name, fibers: compactRange(fed.map(record => record.feederFiber)) };
+  return {
+    level: 'feeder',
+    name: feederCable.name,
+    fiberCount: feederCable.fiberCount,
+    fibersUsed: fed.length,
+    children: [fdhNode]
+  };
+}
+
+module.exports = {
+  tracePath,
+  formatTrace,
+  buildNetworkTree
+};
@@ -0,0 +1,108 @@
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { tracePath, formatTrace } = require('./networkTree');
+
+function build(design) {
+  const generator = new SpliceSheetGenerator();
+  generator.generateSpliceSheet({ mainCableName: 'FDH108', cables: [{ name: '12F', fiberCount: 12 }], ...design });
+  return { generator, records: generator.records };
+}
+
+const FEEDER = { name: 'F1000', fiberCount: 12, startFiber: 3 };
+const ADDRESSES = [
+  { mst: 'MST_1', address: '1 A ST', fiberCount: 2, terminal: 'T1' },
+  { mst: 'MST_2', address: '2 B ST', fiberCount: 1 }
+];
+
+describe('feeder fibers', () => {
+  test('ports take feeder fibers in order from startFiber', () => {
+    const { records } = build({ ports: 4, feederCable: FEEDER });
+    expect(records.map(record => record.feederFiber)).toEqual([3, 4, 5, 6]);
+    expect(records[0]).toMatchObject({ feederCable: 'F1000', feederBufferColor: 'BL', feederFiberColor: 'gr' });
+  });
+
+  test('fibers taken by a splitter are skipped by directly fed ports', () => {
+    const { records } = build({
+      ports: 6,
+      feederCable: { name: 'F1000', fiberCount: 12 },
+      splitters: [{ name: 'SPL1', ratio: '1x2', feederFiber: 2, portRange: '3-4' }]
+    });
+    expect(records.map(record => record.feederFiber)).toEqual([1, 3, 2, 2, 4, 5]);
+  });
+
+  test('a feeder too small for the ports is reported', () => {
+    const { generator, records } = build({ ports: 6, feederCable: { name: 'F', fiberCount: 4 } });
+    expect(records[5].feederFiber).toBeNull();
+    expect(generator.warnings.find(warning => warning.code === 'FEEDER_SHORTFALL').message).toBe('F has no fiber for 2 port(s): 5-6');
+  });
+
+  test('a splitter on a fiber past the feeder is a 400', () => {
+    expect(() => build({
+      ports: 4,
+      feederCable: { name: 'F12', fiberCount: 12 },
+      splitters: [{ name: 'SPL1', ratio: '1x2', feederFiber: 13, portRange: '1-2' }]
+    })).toThrow(expect.objectContaining({ statusCode: 400, message: 'F12 has 12 fibers; splitter SPL1 is on fiber 13' }));
+  });
+});
+
+describe('trace', () => {
+  test('each record traces from the feeder down to its drop', () => {
+    const { records } = build({ ports: 4, feederCable: FEEDER, addresses: ADDRESSES });
+
+    expect(tracePath(records[0])).toEqual([
+      { level: 'feeder', cable: 'F1000', fiber: 3, bufferColor: 'BL', fiberColor: 'gr' },
+      { level: 'fdh', name: 'FDH108', port: 1 },
+      { level: 'distribution', cable: '12F', fiber: 1, bufferColor: 'BL', fiberColor: 'bl' },
+      { level: 'mst', name: 'MST_1', terminal: 'T1', sheet: null },
+      { level: 'drop', address: '1 A ST' }
+    ]);
+    expect(records.map(record => record.trace)).toEqual([
+      'F1000 F3 (BL gr) > FDH108 P1 > 12F F1 (BL bl) > MST_1 T1 > 1 A ST',
+      'F1000 F4 (BL br) > FDH108 P2 > 12F F2 (BL or) > MST_1 T1 > 1 A ST',
+      'F1000 F5 (BL sl) > FDH108 P3 > 12F F3 (BL gr) > MST_2 > 2 B ST',
+      'F1000 F6 (BL wh) > FDH108 P4 > 12F F4 (BL br)'
+    ]);
+  });
+
+  test('levels the design doesn\'t have are left out', () => {
+    expect(formatTrace([{ level: 'fdh', port: 7 }, { level: 'splitter', name: 'SPL1', leg: 3 }])).toBe('FDH P7 > SPL1 L3');
+    expect(tracePath(build({ ports: 1 }).records[0]).map(hop => hop.level)).toEqual(['fdh', 'distribution']);
+  });
+
+  test('flat designs without a feeder or splitters get no trace column', () => {
+    const { generator, records } = build({ ports: 1 });
+    expect(records[0].trace).toBeUndefined();
+    expect(generator.generateHeaders(generator.cables)).not.toContain('Trace');
+  });
+});
+
+describe('network tree', () => {
+  test('nests feeder, FDH, cable, MST and drop with their upstream fibers', () => {
+    const { generator } = build({ ports: 6, feederCable: FEEDER, addresses: ADDRESSES });
+    const tree = generator.buildNetworkTree();
+
+    expect(tree).toMatchObject({ level: 'feeder', name: 'F1000', fiberCount: 12, fibersUsed: 6 });
+    const [fdh] = tree.children;
+    expect(fdh).toMatchObject({ level: 'fdh', name: 'FDH108', ports: 6, upstream: { cable: 'F1000', fibers: '3-8' } });
+    const [cable] = fdh.children;
+    expect(cable).toMatchObject({ level: 'distribution', name: '12F', upstream: { fdh: 'FDH108', ports: '1-6' } });
+    expect(cable.children.map(mst => [mst.name, mst.terminals, mst.upstream.fibers])).toEqual([['MST_1', ['T1'], '1-2'], ['MST_2', [], '3']]);
+
+    const [drop] = cable.children[0].children;
+    expect(drop).toMatchObject({ level: 'drop', address: '1 A ST', terminal: 'T1', upstream: { mst: 'MST_1', fibers: [1, 2] } });
+    expect(drop.fibers[1]).toEqual({
+      port: 2,
+      cable: '12F',
+      fiber: 2,
+      feederFiber: 4,
+      splitter: null,
+      splitterLeg: null,
+      trace: 'F1000 F4 (BL br) > FDH108 P2 > 12F F2 (BL or) > MST_1 T1 > 1 A ST'
+    });
+  });
+
+  test('without a feeder the FDH is the root', () => {
+    const tree = build({ ports: 2, addresses: ADDRESSES }).generator.buildNetworkTree();
+    expect(tree).toMatchObject({ level: 'fdh', name: 'FDH108', ports: 2 });
+    expect(tree.upstream).toBeUndefined();
+  });
+});
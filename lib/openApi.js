@@ -0,0 +1,737 @@
+// OpenAPI 3.1 description of the API, served at GET /openapi.json. Routes
+// check their query strings and bodies against it before they run (see
+// requestValidator), and the README's request examples are generated from it
+// (scripts/readme-examples.js). Cable, address and splitter entries are built
+// from the input template's columns, so a JSON body takes the same fields as
+// a workbook row.
+const { version } = require('../package.json');
+const { INPUT_TEMPLATE, CABLE_TYPES, SPLIT_RATIOS, CONSTRUCTION_LIMITS, MAX_PORTS } = require('./inputTemplate');
+const { listColorSchemes } = require('./colorSchemes');
+const { LENGTH_UNITS } = require('./lossBudget');
+const { ADDRESS_ORDERS } = require('./routeOrder');
+const { EDIT_OPERATIONS, MARKED_STATUSES } = require('./sheetEditor');
+const { OUTPUT_FORMATS, STREAM_FORMATS } = require('./spliceSheetGenerator');
+
+const RANGE = '\\s*\\d+\\s*(-\\s*\\d+\\s*)?';
+const FIBER_RANGE_PATTERN = `^${RANGE}$`;
+const FIBER_LIST_PATTERN = `^${RANGE}(,${RANGE})*$`;
+const STATION_PATTERN = '^\\s*(\\d+\\+\\d{2}(\\.\\d+)?|\\d+(\\.\\d+)?)\\s*$';
+const SPLIT_RATIO_PATTERN = `^\\s*(1\\s*[xX:]\\s*)?(${SPLIT_RATIOS.join('|')})\\s*$`;
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const describe = (schema, description) => ({ ...schema, description });
+const count = (minimum, description) => ({ type: 'integer', minimum, description });
+const amount = description => ({ type: 'number', minimum: 0, description });
+const constructionSize = key => ({ type: 'integer', minimum: 1, maximum: CONSTRUCTION_LIMITS[key] });
+const text = description => ({ type: 'string', description });
+
+// A value sent as one JSON type or another, with rules for each: e.g. a port
+// range as "17-24" or { "start": 17, "end": 24 }
+function either(schema, otherwise) {
+  return { type: [schema.type, otherwise.type], if: { type: schema.type }, then: schema, else: otherwise };
+}
+
+// An object that takes only the listed fields
+function fields(properties, required = []) {
+  const schema = { type: 'object', additionalProperties: false, properties };
+  return required.length > 0 ? { ...schema, required } : schema;
+}
+
+// Schema of a template column as a JSON body carries it
+function columnSchema(column) {
+  const schema = { description: column.description };
+  switch (column.type) {
+    case 'integer':
+    case 'number':
+      Object.assign(schema, { type: column.type, minimum: column.min });
+      if (column.max !== undefined) schema.maximum = column.max;
+      return schema;
+    case 'enum':
+      return { type: 'string', enum: column.values(), ...schema };
+    case 'fiberList':
+      return { ...ref('FiberList'), ...schema };
+    case 'station':
+      return { ...ref('Station'), ...schema };
+    case 'portRange':
+      return { ...ref('PortRange'), ...schema };
+    default:
+      return { type: 'string', ...(column.required ? { minLength: 1 } : {}), ...schema };
+  }
+}
+
+// One row of a template sheet as an object. overrides replace the columns a
+// JSON body reads more loosely than a cell; required defaults to the
+// template's required columns.
+function rowSchema(sheetName, { overrides = {}, required } = {}) {
+  const sheet = INPUT_TEMPLATE.sheets.find(candidate => candidate.name === sheetName);
+  const properties = {};
+  sheet.columns.forEach(column => {
+    properties[column.key] = overrides[column.key] ? describe(overrides[column.key], column.description) : columnSchema(column);
+  });
+  return fields(properties, required || sheet.columns.filter(column => column.required).map(column => column.key));
+}
+
+// Any registered or custom scheme name; custom schemes are defined per request
+const COLOR_SCHEME = {
+  type: 'string',
+  minLength: 1,
+  examples: listColorSchemes().map(scheme => scheme.name)
+};
+
+const colorSchemeDefinition = {
+  colors: {
+    type: 'array',
+    minItems: 1,
+    items: ref('ColorSchemeColor'),
+    description: 'Colors in sequence order: palette abbreviations or full color objects'
+  },
+  description: text('Shown with the scheme (default: Custom color order)'),
+  stripe: text('Stripe color abbreviation past the end of the sequence (default: BK)'),
+  alternateStripe: text('Stripe color on the stripe color itself (default: YL)')
+};
+
+// Fields shared by every design body: /generate-custom-splice-sheet and the
+// routes that take the same body
+const designProperties = {
+  ports: { ...count(1, 'FDH ports to generate (default: 96)'), maximum: MAX_PORTS },
+  mainCableName: text('FDH / main cable identifier shown on every row'),
+  cables: {
+    type: 'array',
+    minItems: 1,
+    items: ref('Cable'),
+    description: 'Distribution cables, walked onto the ports in order (default: two 144F cables)'
+  },
+  addresses: {
+    type: 'array',
+    items: ref('Address'),
+    description: 'Address entries in service order (default: sample addresses)'
+  },
+  feederCable: describe(ref('Cable'), 'Cable feeding the FDH, patched to the ports in order; adds a Trace column'),
+  splitters: {
+    type: 'array',
+    items: ref('Splitter'),
+    description: 'Optical splitters in the FDH',
+    examples: [[
+      { name: 'SPL1', ratio: '1x4', feederFiber: 1, portRange: '1-3' },
+      { name: 'SPL2', ratio: '1x8', inputSplitter: 'SPL1', inputLeg: 4, portRange: '4-11' }
+    ]]
+  },
+  lossBudget: ref('LossBudget'),
+  closure: ref('Closure'),
+  reserve: ref('Reserve'),
+  addressOrder: ref('AddressOrder'),
+  colorScheme: describe(COLOR_SCHEME, 'Color scheme for every cable (default: TIA-598-C)'),
+  customColorSchemes: ref('CustomColorSchemes'),
+  project: text('Project name for the PDF title block and the JSON document'),
+  revision: { type: ['string', 'integer'], description: 'Revision shown in the PDF title block' }
+};
+
+// Design options a project keeps in its settings
+const SETTINGS_KEYS = ['ports', 'mainCableName', 'splitters', 'lossBudget', 'closure', 'reserve', 'addressOrder', 'colorScheme', 'customColorSchemes'];
+
+const projectProperties = {
+  name: { type: 'string', minLength: 1, description: 'Project name' },
+  fdh: text('FDH / main cable name'),
+  feederCable: {
+    type: ['object', 'null'],
+    if: { type: 'null' },
+    then: { type: 'null' },
+    else: ref('Cable'),
+    description: 'Cable feeding the FDH, or null for none'
+  },
+  cables: designProperties.cables,
+  addresses: designProperties.addresses,
+  settings: ref('ProjectSettings')
+};
+
+const fiberTarget = {
+  port: count(1, 'FDH port'),
+  cable: text('Distribution cable name, with fiber'),
+  fiber: count(1, 'Fiber on the cable')
+};
+
+const schemas = {
+  OutputFormat: { type: 'string', enum: OUTPUT_FORMATS, description: 'Generated file format' },
+  FiberList: describe(either(
+    { type: 'string', pattern: FIBER_LIST_PATTERN, examples: ['97-144'] },
+    { type: 'array', minItems: 1, items: either({ type: 'integer', minimum: 1 }, { type: 'string', pattern: FIBER_RANGE_PATTERN, examples: ['5-8'] }) }
+  ), 'Fibers and ranges, e.g. "1-4, 9" or [1, "5-8"]'),
+  PortRange: describe(either(
+    { type: 'string', pattern: FIBER_RANGE_PATTERN, examples: ['17-24'] },
+    fields({ start: count(1, 'First port'), end: count(1, 'Last port') }, ['start', 'end'])
+  ), 'FDH ports, e.g. "17-24" or { "start": 17, "end": 24 }'),
+  Station: describe(either(
+    { type: 'number', minimum: 0 },
+    { type: 'string', pattern: STATION_PATTERN, examples: ['12+50'] }
+  ), 'Footage along the route such as 1250, or stationing such as "12+50"'),
+  SplitRatio: describe(either(
+    { type: 'integer', enum: SPLIT_RATIOS },
+    { type: 'string', pattern: SPLIT_RATIO_PATTERN, examples: ['1x32'] }
+  ), `Legs, e.g. "1x32", "1:32" or 32: ${SPLIT_RATIOS.map(legs => `1x${legs}`).join(', ')}`),
+  Cable: {
+    ...rowSchema('Cables', { overrides: { colorScheme: COLOR_SCHEME } }),
+    description: 'A cable, with the columns of the Cables sheet',
+    examples: [{ name: '144F(1)', fiberCount: 144 }]
+  },
+  // Entries without an MST are allowed; the consistency checks report them
+  Address: {
+    ...rowSchema('Addresses', { required: [] }),
+    description: 'An address entry, with the columns of the Addresses sheet',
+    examples: [{ mst: 'MST_1', address: '2101 MARENGO LK RD', sheet: 10, terminal: 'T1' }]
+  },
+  Splitter: {
+    ...rowSchema('Splitters', { overrides: { ratio: ref('SplitRatio') } }),
+    description: 'A splitter, with the columns of the Splitters sheet'
+  },
+  PerWavelength: describe(either(
+    { type: 'number', minimum: 0 },
+    fields({ 1310: amount('At 1310 nm'), 1550: amount('At 1550 nm') })
+  ), 'One number for both wavelengths, or one per wavelength'),
+  LossBudget: {
+    ...fields({
+      lengthUnit: { type: 'string', enum: Object.keys(LENGTH_UNITS), description: 'Unit for every length (default: ft)' },
+      budget: describe(ref('PerWavelength'), 'dB available between OLT and ONT (default: 28)'),
+      margin: amount('dB held back for repairs and aging (default: 3)'),
+      fiberLoss: describe(ref('PerWavelength'), 'Fiber attenuation in dB/km (default: 0.35 at 1310, 0.25 at 1550)'),
+      spliceLoss: amount('dB per fusion splice (default: 0.1)'),
+      connectorLoss: amount('dB per mated connector pair (default: 0.5)'),
+      connectors: amount('Connector pairs on every path (default: 2)'),
+      splitterLoss: {
+        type: 'object',
+        propertyNames: { pattern: SPLIT_RATIO_PATTERN },
+        additionalProperties: amount('dB'),
+        description: 'dB per splitter ratio, e.g. { "1x32": 17.1 }'
+      }
+    }),
+    description: 'Turns on the optical loss calculation',
+    examples: [{ lengthUnit: 'ft', budget: { 1310: 28, 1550: 28 }, margin: 3 }]
+  },
+  Closure: {
+    ...fields({
+      name: text('Closure name (default: Closure)'),
+      splicesPerTray: count(1, 'Splice slots in each tray (default: 12)'),
+      traysPerClosure: { type: ['integer', 'null'], minimum: 1, description: 'Trays one closure holds (default: no limit)' }
+    }),
+    description: 'Splice closure at the FDH stub; adds a Tray Layout tab',
+    examples: [{ name: 'SC-108', splicesPerTray: 12, traysPerClosure: 8 }]
+  },
+  Reserve: {
+    ...fields({
+      lastTubeDark: { type: 'boolean', description: 'Keep each cable\'s last buffer tube dark, off the ports (default: false)' },
+      perMst: count(0, 'Ports reserved after each MST (default: 0)')
+    }),
+    description: 'Rules that hold fibers back from drops',
+    examples: [{ lastTubeDark: true, perMst: 2 }]
+  },
+  Route: {
+    type: ['array', 'object'],
+    description: 'Cable route from the FDH: a GeoJSON LineString, MultiLineString or Feature holding one, or a list of [longitude, latitude] points'
+  },
+  AddressOrder: {
+    ...either(
+      { type: 'string', enum: ADDRESS_ORDERS },
+      fields({
+        by: { type: 'string', enum: ADDRESS_ORDERS, description: 'station: by each address\'s station; route: by its coordinates along route' },
+        route: ref('Route')
+      }, ['by'])
+    ),
+    description: 'Serve MSTs in the order the cable reaches them; "station" is short for { "by": "station" }',
+    examples: [{ by: 'route', route: { type: 'LineString', coordinates: [[-81.3792, 28.5383], [-81.3790, 28.5421]] } }]
+  },
+  ColorSchemeColor: either(
+    { type: 'string', minLength: 1, description: 'Palette abbreviation, e.g. BL' },
+    fields({
+      abbreviation: { type: 'string', minLength: 1 },
+      name: { type: 'string' },
+      hex: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$', examples: ['#E0B0FF'] }
+    }, ['abbreviation'])
+  ),
+  CustomColorScheme: fields({
+    name: { type: 'string', minLength: 1, description: 'Name to reference the scheme by' },
+    ...colorSchemeDefinition
+  }, ['name', 'colors']),
+  CustomColorSchemes: describe(either(
+    { type: 'array', items: ref('CustomColorScheme') },
+    { type: 'object', additionalProperties: fields(colorSchemeDefinition, ['colors']) }
+  ), 'Color orders for this request: a list of schemes, or definitions keyed by name'),
+  Design: {
+    ...fields({ ...designProperties, format: ref('OutputFormat') }),
+    description: 'A design, as /generate-custom-splice-sheet takes it. Anything left out is filled in from the sample design.'
+  },
+  StreamDesign: {
+    ...fields({ ...designProperties, format: { type: 'string', enum: STREAM_FORMATS, description: 'Streamed file format' } }),
+    description: 'A design, with a format that can be streamed'
+  },
+  ProjectSettings: {
+    ...fields(SETTINGS_KEYS.reduce((settings, key) => ({ ...settings, [key]: designProperties[key] }), {})),
+    description: 'Design options used when the project is generated'
+  },
+  Project: fields(projectProperties, ['name']),
+  ProjectUpdate: {
+    ...fields(projectProperties),
+    description: 'Fields not sent keep their current values'
+  },
+  EditOperation: {
+    ...fields({
+      op: { type: 'string', enum: EDIT_OPERATIONS },
+      from: fields({ ...fiberTarget, address: text('Every port serving this address') }),
+      to: fields(fiberTarget),
+      ...fiberTarget,
+      status: { type: 'string', enum: MARKED_STATUSES, description: 'mark-fiber status (default: damaged)' },
+      note: text('mark-fiber note')
+    }, ['op']),
+    if: { properties: { op: { const: 'move-drop' } } },
+    then: { required: ['from', 'to'] },
+    description: 'move-drop: { from, to }; mark-fiber: { port } or { cable, fiber }, with status and note'
+  },
+  ErrorResponse: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      error: { type: 'string' }
+    }
+  },
+  RequestValidationError: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      message: { type: 'string' },
+      error: { type: 'string', description: 'Every problem on one line' },
+      errors: {
+        type: 'array',
+        items: fields({
+          in: { type: 'string', enum: ['query', 'body'] },
+          field: { type: ['string', 'null'], description: 'Path to the field, e.g. cables[0].fiberCount; null for the whole body' },
+          message: { type: 'string' }
+        })
+      }
+    },
+    examples: [{
+      success: false,
+      message: 'Request failed validation',
+      error: 'ports must be a whole number; cables[0].fiberCount is required; cables[0].fibercount is not a known field',
+      errors: [
+        { in: 'body', field: 'ports', message: 'must be a whole number' },
+        { in: 'body', field: 'cables[0].fiberCount', message: 'is required' },
+        { in: 'body', field: 'cables[0].fibercount', message: 'is not a known field' }
+      ]
+    }]
+  }
+};
+
+const DESIGN_EXAMPLES = {
+  design: {
+    summary: 'Three cables and one MST',
+    value: {
+      format: 'xlsx',
+      project: 'East Coats Ave Build',
+      revision: 'A',
+      ports: 96,
+      mainCableName: 'FDH108_144F_1-96',
+      cables: [
+        { name: '144F(1)', fiberCount: 144 },
+        { name: '144F(2)', fiberCount: 144 },
+        { name: '48F(3)', fiberCount: 48 }
+      ],
+      addresses: [
+        { mst: 'MST_F1245ECOATSAVE.210819', address: '2101 MARENGO LK RD', sheet: 14, terminal: 'T1', fiberCount: 8, spareFibers: 2 }
+      ]
+    }
+  },
+  customColorSchemes: {
+    summary: 'A carrier color order on one cable',
+    value: {
+      colorScheme: 'IEC-60304',
+      customColorSchemes: [{
+        name: 'ACME-ORDER',
+        colors: ['BL', 'OR', 'GR', 'BR', 'SL', 'WH', 'RD', 'BK', 'YL', 'VT', 'RS', { abbreviation: 'MV', name: 'Mauve', hex: '#E0B0FF' }]
+      }],
+      cables: [
+        { name: '144F(1)', fiberCount: 144 },
+        { name: '48F(2)', fiberCount: 48, colorScheme: 'ACME-ORDER' }
+      ]
+    }
+  }
+};
+
+const parameters = {
+  format: {
+    name: 'format',
+    in: 'query',
+    description: 'Output format; the Accept header can ask for a file type instead',
+    schema: ref('OutputFormat')
+  },
+  id: { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+  revision: { name: 'revision', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }
+};
+
+const TRACE_PARAMETERS = [
+  { name: 'address', in: 'query', description: 'Assigned drops whose address is close to this one', schema: { type: 'string' } },
+  { name: 'mst', in: 'query', description: 'Every fiber landing at the MST', schema: { type: 'string' } },
+  { name: 'cable', in: 'query', description: 'Distribution cable, with fiber', schema: { type: 'string' } },
+  { name: 'fiber', in: 'query', description: 'Fiber on cable', schema: { type: 'integer', minimum: 1 } },
+  { name: 'port', in: 'query', description: 'FDH port', schema: { type: 'integer', minimum: 1 } },
+  { name: 'limit', in: 'query', description: 'Most matches to return (default: 5)', schema: { type: 'integer', minimum: 1 } },
+  { name: 'threshold', in: 'query', description: 'Lowest address score to return (default: 0.7)', schema: { type: 'number', minimum: 0, maximum: 1 } }
+];
+
+const FILE_TYPES = ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/pdf', 'text/csv', 'application/json'];
+
+const formatParameter = { $ref: '#/components/parameters/format' };
+const pathParameters = (...names) => names.map(name => ({ $ref: `#/components/parameters/${name}` }));
+const file = description => ({ type: 'string', contentMediaType: 'application/octet-stream', description });
+const jsonBody = (schema, examples) => ({ 'application/json': examples ? { schema, examples } : { schema } });
+const multipartBody = properties => ({ 'multipart/form-data': { schema: fields(properties) } });
+const json = description => ({ description, content: { 'application/json': { schema: { type: 'object' } } } });
+const files = description => ({ description, content: FILE_TYPES.reduce((content, type) => ({ ...content, [type]: {} }), {}) });
+
+const responses = {
+  BadRequest: {
+    description: 'The query or body failed validation (errors names each field), or the input was rejected',
+    content: { 'application/json': { schema: { anyOf: [ref('RequestValidationError'), ref('ErrorResponse')] } } }
+  },
+  NotFound: {
+    description: 'Not found',
+    content: { 'application/json': { schema: ref('ErrorResponse') } }
+  }
+};
+const badRequest = { $ref: '#/components/responses/BadRequest' };
+const notFound = { $ref: '#/components/responses/NotFound' };
+
+// An operation. Those with a query or body also answer 400 when it fails
+// validation; path parameters aren't validated, the routes check them.
+function operation(operationId, tag, summary, { parameters: params, body, responses: answers }) {
+  const described = { operationId, tags: [tag], summary };
+  if (params) described.parameters = params;
+  if (body) described.requestBody = { content: body };
+
+  const inQuery = parameter => (parameter.$ref ? parameters[parameter.$ref.split('/').pop()] : parameter).in === 'query';
+  const validated = body || (params || []).some(inQuery);
+  described.responses = validated ? { ...answers, 400: answers[400] || badRequest } : answers;
+  return described;
+}
+
+const designBody = jsonBody(ref('Design'));
+
+const paths = {
+  '/health': {
+    get: operation('getHealth', 'Service', 'API status', { responses: { 200: json('The API is running') } })
+  },
+  '/openapi.json': {
+    get: operation('getOpenApiDocument', 'Service', 'This OpenAPI document', { responses: { 200: json('OpenAPI 3.1 document') } })
+  },
+  '/input-template': {
+    get: operation('getInputTemplate', 'Generate', 'Blank input workbook', { responses: { 200: files('Input template (.xlsx)') } })
+  },
+  '/addresses/import': {
+    post: operation('importAddresses', 'Generate', 'Read a CSV or GeoJSON address list into address entries', {
+      body: multipartBody({
+        addressFile: file('.csv, .geojson or .json address list (required)'),
+        addressOrder: { type: 'string', enum: ADDRESS_ORDERS, description: 'Return the entries in route order' },
+        route: text('Route line as JSON, for route order when the file carries none')
+      }),
+      responses: { 200: json('Address entries, with the validation report') }
+    })
+  },
+  '/generate-splice-sheet': {
+    post: operation('generateSpliceSheet', 'Generate', 'Generate a splice sheet from an input workbook', {
+      parameters: [formatParameter],
+      body: multipartBody({
+        inputFile: file('Input workbook (.xlsx or .xls); the sample design when left out'),
+        addressFile: file('CSV or GeoJSON address list used in place of the Addresses sheet'),
+        addressOrder: { type: 'string', enum: ADDRESS_ORDERS, description: 'Overrides the workbook\'s Address Order' },
+        format: ref('OutputFormat')
+      }),
+      responses: { 200: json('Generated file details, or the file itself when the Accept header asks for it') }
+    })
+  },
+  '/generate-custom-splice-sheet': {
+    post: operation('generateCustomSpliceSheet', 'Generate', 'Generate a splice sheet from a JSON design', {
+      parameters: [formatParameter],
+      body: jsonBody(ref('Design'), DESIGN_EXAMPLES),
+      responses: { 200: json('Generated file details, or the file itself when the Accept header asks for it') }
+    })
+  },
+  '/generate-batch': {
+    post: operation('generateBatch', 'Generate', 'Generate many FDHs into one zip', {
+      parameters: [formatParameter],
+      body: multipartBody({
+        inputFiles: { type: 'array', items: file('Input workbook'), description: 'One or more input workbooks (required)' },
+        format: ref('OutputFormat')
+      }),
+      responses: { 200: json('Batch totals and one entry per FDH, or the zip when the Accept header asks for it') }
+    })
+  },
+  '/generate-stream': {
+    post: operation('generateStream', 'Generate', 'Stream a splice sheet into the response', {
+      parameters: [{ name: 'format', in: 'query', schema: { type: 'string', enum: STREAM_FORMATS } }],
+      body: {
+        ...jsonBody(ref('StreamDesign')),
+        ...multipartBody({
+          inputFile: file('Input workbook (.xlsx or .xls)'),
+          format: { type: 'string', enum: STREAM_FORMATS }
+        })
+      },
+      responses: { 200: files('The splice sheet, with X-Row-Count and X-Warning-Count headers') }
+    })
+  },
+  '/jobs': {
+    post: operation('submitJob', 'Jobs', 'Queue a generation on a worker thread', {
+      parameters: [formatParameter],
+      body: {
+        ...designBody,
+        ...multipartBody({
+          inputFile: file('Input workbook (.xlsx or .xls)'),
+          format: ref('OutputFormat')
+        })
+      },
+      responses: { 202: json('The queued job') }
+    }),
+    get: operation('listJobs', 'Jobs', 'Queued, running and finished jobs', { responses: { 200: json('Every job') } })
+  },
+  '/jobs/{id}': {
+    get: operation('getJob', 'Jobs', 'Job progress, and its download link once completed', {
+      responses: { 200: json('The job'), 404: notFound }
+    }),
+    delete: operation('cancelJob', 'Jobs', 'Cancel a queued or running job', {
+      responses: { 200: json('The cancelled job'), 404: notFound, 409: json('The job has already finished') }
+    })
+  },
+  '/download/{filename}': {
+    get: operation('downloadFile', 'Generate', 'Download a generated file', {
+      parameters: [{ name: 'filename', in: 'path', required: true, schema: { type: 'string' } }, formatParameter],
+      responses: { 200: files('The file, in the format asked for'), 404: notFound }
+    })
+  },
+  '/projects': {
+    get: operation('listProjects', 'Projects', 'Saved projects', { responses: { 200: json('Every project') } }),
+    post: operation('createProject', 'Projects', 'Save a design as a project', {
+      body: jsonBody(ref('Project'), {
+        project: {
+          summary: 'A project with one cable and one address',
+          value: {
+            name: 'East Coats Ave Build',
+            fdh: 'FDH108_144F_1-96',
+            feederCable: { name: 'F1000', fiberCount: 288 },
+            cables: [{ name: '144F(1)', fiberCount: 144 }],
+            addresses: [{ mst: 'MST_1', address: '2101 MARENGO LK RD', sheet: 10, terminal: 'T1' }],
+            settings: { ports: 96, colorScheme: 'TIA-598-C' }
+          }
+        }
+      }),
+      responses: { 201: json('The project') }
+    })
+  },
+  '/projects/{id}': {
+    get: operation('getProject', 'Projects', 'A project', { parameters: pathParameters('id'), responses: { 200: json('The project'), 404: notFound } }),
+    put: operation('updateProject', 'Projects', 'Change a project', {
+      parameters: pathParameters('id'),
+      body: jsonBody(ref('ProjectUpdate')),
+      responses: { 200: json('The project'), 404: notFound }
+    }),
+    delete: operation('deleteProject', 'Projects', 'Delete a project and its revisions', {
+      parameters: pathParameters('id'),
+      responses: { 204: { description: 'Deleted' }, 404: notFound }
+    })
+  },
+  '/projects/{id}/revisions': {
+    post: operation('createRevision', 'Projects', 'Generate the project\'s design as its next revision', {
+      parameters: [...pathParameters('id'), formatParameter],
+      body: jsonBody(fields({ format: ref('OutputFormat'), notes: text('Revision notes') }), {
+        revision: { summary: 'A PDF revision', value: { format: 'pdf', notes: 'Moved MST_3 drops' } }
+      }),
+      responses: { 201: json('The revision'), 404: notFound }
+    }),
+    get: operation('listRevisions', 'Projects', 'A project\'s revisions', {
+      parameters: pathParameters('id'),
+      responses: { 200: json('Every revision'), 404: notFound }
+    })
+  },
+  '/projects/{id}/revisions/{revision}': {
+    get: operation('getRevision', 'Projects', 'A revision', {
+      parameters: pathParameters('id', 'revision'),
+      responses: { 200: json('The revision'), 404: notFound }
+    })
+  },
+  '/projects/{id}/revisions/{revision}/download': {
+    get: operation('downloadRevision', 'Projects', 'Download a revision\'s output', {
+      parameters: [...pathParameters('id', 'revision'), formatParameter],
+      responses: { 200: files('The output, in the format asked for'), 404: notFound }
+    })
+  },
+  '/projects/{id}/revisions/{revision}/regenerate': {
+    post: operation('regenerateRevision', 'Projects', 'Render a revision again from its stored input', {
+      parameters: [...pathParameters('id', 'revision'), formatParameter],
+      body: jsonBody(fields({ format: ref('OutputFormat') })),
+      responses: { 200: json('The revision\'s formats and download link'), 404: notFound }
+    })
+  },
+  '/projects/{id}/diff': {
+    get: operation('diffRevisions', 'Analysis', 'Compare two revisions of a project', {
+      parameters: [
+        ...pathParameters('id'),
+        { name: 'from', in: 'query', required: true, description: 'Older revision', schema: { type: 'integer', minimum: 1 } },
+        { name: 'to', in: 'query', description: 'Newer revision (default: the latest)', schema: { type: 'integer', minimum: 1 } }
+      ],
+      responses: { 200: json('Changed fibers and a link to the diff workbook'), 404: notFound }
+    })
+  },
+  '/diff': {
+    post: operation('diffSpliceSheets', 'Analysis', 'Compare two uploaded splice sheets', {
+      body: multipartBody({
+        before: file('Older splice sheet (.xlsx, required)'),
+        after: file('Newer splice sheet (.xlsx, required)')
+      }),
+      responses: { 200: json('Changed fibers and a link to the diff workbook') }
+    })
+  },
+  '/network-tree': {
+    post: operation('buildNetworkTree', 'Analysis', 'Feeder to drop tree of a design', {
+      body: designBody,
+      responses: { 200: json('The network tree') }
+    })
+  },
+  '/projects/{id}/revisions/{revision}/tree': {
+    get: operation('getRevisionTree', 'Analysis', 'Network tree of a revision', {
+      parameters: pathParameters('id', 'revision'),
+      responses: { 200: json('The network tree'), 404: notFound }
+    })
+  },
+  '/tray-layout': {
+    post: operation('buildTrayLayout', 'Analysis', 'Closure, tray and slot of every splice in a design', {
+      body: designBody,
+      responses: { 200: json('The tray layout') }
+    })
+  },
+  '/projects/{id}/revisions/{revision}/tray-layout': {
+    get: operation('getRevisionTrayLayout', 'Analysis', 'Tray layout of a revision', {
+      parameters: pathParameters('id', 'revision'),
+      responses: { 200: json('The tray layout'), 404: notFound }
+    })
+  },
+  '/trace': {
+    post: operation('traceDesign', 'Analysis', 'Trace a premise or fiber through a design', {
+      parameters: TRACE_PARAMETERS,
+      body: designBody,
+      responses: { 200: json('Matches, best first'), 404: notFound }
+    })
+  },
+  '/projects/{id}/revisions/{revision}/trace': {
+    get: operation('traceRevision', 'Analysis', 'Trace a premise or fiber through a revision', {
+      parameters: [...pathParameters('id', 'revision'), ...TRACE_PARAMETERS],
+      responses: { 200: json('Matches, best first'), 404: notFound }
+    })
+  },
+  '/validate': {
+    post: operation('validateDesign', 'Analysis', 'Consistency checks on a design or an uploaded splice sheet', {
+      body: {
+        ...designBody,
+        ...multipartBody({
+          sheetFile: file('Splice sheet (.xlsx)'),
+          colorScheme: describe(COLOR_SCHEME, 'Color scheme the sheet was made with')
+        })
+      },
+      responses: { 200: json('The checks') }
+    })
+  },
+  '/sheets/import': {
+    post: operation('importSheet', 'Sheets', 'Store an existing splice sheet for editing', {
+      body: multipartBody({
+        sheetFile: file('Splice sheet (.xlsx, required)'),
+        name: text('Name for the stored sheet (default: the file name)'),
+        colorScheme: describe(COLOR_SCHEME, 'Color scheme the sheet was made with')
+      }),
+      responses: { 201: json('The stored sheet and its checks') }
+    })
+  },
+  '/sheets': {
+    get: operation('listSheets', 'Sheets', 'Stored sheets', { responses: { 200: json('Every stored sheet') } })
+  },
+  '/sheets/{id}': {
+    get: operation('getSheet', 'Sheets', 'A stored sheet', { parameters: pathParameters('id'), responses: { 200: json('The sheet'), 404: notFound } }),
+    delete: operation('deleteSheet', 'Sheets', 'Delete a stored sheet', {
+      parameters: pathParameters('id'),
+      responses: { 204: { description: 'Deleted' }, 404: notFound }
+    })
+  },
+  '/sheets/{id}/edits': {
+    post: operation('editSheet', 'Sheets', 'Apply edit operations to a stored sheet, all or none', {
+      parameters: pathParameters('id'),
+      body: jsonBody(fields({
+        operations: { type: 'array', minItems: 1, items: ref('EditOperation') }
+      }, ['operations']), {
+        edits: {
+          summary: 'Move two drops and mark a fiber damaged',
+          value: {
+            operations: [
+              { op: 'move-drop', from: { address: '2101 MARENGO LK RD' }, to: { port: 41 } },
+              { op: 'move-drop', from: { port: 12 }, to: { cable: '144F(2)', fiber: 7 } },
+              { op: 'mark-fiber', cable: '144F(1)', fiber: 5, status: 'damaged', note: 'Crushed at MH-12' }
+            ]
+          }
+        }
+      }),
+      responses: { 200: json('The operations applied and the checks'), 404: notFound }
+    })
+  },
+  '/sheets/{id}/trace': {
+    get: operation('traceSheet', 'Sheets', 'Trace a premise or fiber through a stored sheet', {
+      parameters: [...pathParameters('id'), ...TRACE_PARAMETERS],
+      responses: { 200: json('Matches, best first'), 404: notFound }
+    })
+  },
+  '/sheets/{id}/download': {
+    get: operation('downloadSheet', 'Sheets', 'Export a stored sheet as it stands', {
+      parameters: [...pathParameters('id'), formatParameter],
+      responses: { 200: files('The sheet, in the format asked for'), 404: notFound }
+    })
+  },
+  '/fiber-standards': {
+    get: operation('getFiberStandards', 'Standards', 'Color sequences for a cable construction', {
+      parameters: [
+        { name: 'scheme', in: 'query', description: 'Color scheme (default: TIA-598-C)', schema: COLOR_SCHEME },
+        { name: 'fiberCount', in: 'query', description: 'Fibers in the cable (default: 144)', schema: constructionSize('fiberCount') },
+        { name: 'fibersPerTube', in: 'query', schema: constructionSize('fibersPerTube') },
+        { name: 'tubeCount', in: 'query', schema: constructionSize('tubeCount') },
+        { name: 'type', in: 'query', schema: { type: 'string', enum: CABLE_TYPES } },
+        { name: 'fibersPerRibbon', in: 'query', schema: constructionSize('fibersPerRibbon') }
+      ],
+      responses: { 200: json('Buffer, fiber and ribbon colors, with the construction') }
+    })
+  },
+  '/fiber-standards/schemes': {
+    get: operation('listColorSchemes', 'Standards', 'Registered color schemes', { responses: { 200: json('Every scheme') } })
+  },
+  '/fiber-standards/schemes/{name}': {
+    get: operation('getColorScheme', 'Standards', 'A color scheme', {
+      parameters: [{ name: 'name', in: 'path', required: true, schema: { type: 'string' } }],
+      responses: { 200: json('The scheme'), 404: notFound }
+    })
+  }
+};
+
+const OPENAPI_DOCUMENT = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Fiber Splice Sheet Generator API',
+    version,
+    description: 'Generates fiber optic splice sheets from Excel input files or JSON designs. ' +
+      'Query strings and request bodies are validated against this document; a request that fails gets a 400 naming each field.'
+  },
+  tags: [
+    { name: 'Generate', description: 'Splice sheets from workbooks or JSON designs' },
+    { name: 'Jobs', description: 'Generations queued on worker threads' },
+    { name: 'Projects', description: 'Saved designs and their revisions' },
+    { name: 'Sheets', description: 'Imported splice sheets and edits' },
+    { name: 'Analysis', description: 'Trees, tray layouts, traces, checks and diffs' },
+    { name: 'Standards', description: 'Fiber color codes' },
+    { name: 'Service', description: 'Status and this document' }
+  ],
+  paths,
+  components: { schemas, parameters, responses }
+};
+
+module.exports = {
+  OPENAPI_DOCUMENT
+};
@@ -0,0 +1,43 @@
+const { OPENAPI_DOCUMENT } = require('./openApi');
+const { CONSTRUCTION_LIMITS, MAX_PORTS } = require('./inputTemplate');
+
+// Every { $ref } in a piece of the document
+function refs(value, found = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => refs(item, found));
+  } else if (value && typeof value === 'object') {
+    if (typeof value.$ref === 'string') found.push(value.$ref);
+    Object.values(value).forEach(item => refs(item, found));
+  }
+  return found;
+}
+
+describe('OpenAPI document', () => {
+  const operations = Object.values(OPENAPI_DOCUMENT.paths).flatMap(pathItem => Object.values(pathItem));
+
+  test('every operation has its own id and every $ref resolves', () => {
+    const ids = operations.map(operation => operation.operationId);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    const resolve = ref => ref.split('/').slice(1).reduce((value, key) => (value ? value[key] : undefined), OPENAPI_DOCUMENT);
+    expect(refs(OPENAPI_DOCUMENT).filter(ref => resolve(ref) === undefined)).toEqual([]);
+  });
+
+  test('cables take the template\'s columns with their limits', () => {
+    const { properties } = OPENAPI_DOCUMENT.components.schemas.Cable;
+
+    expect(properties.fiberCount).toEqual({
+      description: 'Total fibers in the cable', type: 'integer', minimum: 1, maximum: CONSTRUCTION_LIMITS.fiberCount
+    });
+    expect(Object.keys(CONSTRUCTION_LIMITS).map(key => properties[key].maximum)).toEqual(Object.values(CONSTRUCTION_LIMITS));
+  });
+
+  test('ports and the /fiber-standards sizes have maximums', () => {
+    expect(OPENAPI_DOCUMENT.components.schemas.Design.properties.ports).toMatchObject({ type: 'integer', minimum: 1, maximum: MAX_PORTS });
+
+    const parameters = OPENAPI_DOCUMENT.paths['/fiber-standards'].get.parameters;
+    Object.entries(CONSTRUCTION_LIMITS).forEach(([key, limit]) => {
+      expect(parameters.find(parameter => parameter.name === key).schema.maximum).toBe(limit);
+    });
+  });
+});
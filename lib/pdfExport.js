@@ -0,0 +1,214 @@
+// Printable splice sheet: paginated PDF with a title block and column headers
+// on every page, tube/fiber color swatches and page numbers. Rendered locally
+// with pdfkit.
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { findColor } = require('./colorSchemes');
+const { LEADING_COLUMNS, GROUP_WIDTH } = require('./excelExport');
+
+const MARGIN = 28;
+const TITLE_HEIGHT = 54;
+const HEADER_ROW_HEIGHT = 13;
+const ROW_HEIGHT = 12;
+const FOOTER_HEIGHT = 18;
+const FONT_SIZE = 6.5;
+const CHAR_WIDTH = 3.6; // Approximate Helvetica width per character at FONT_SIZE
+const COLOR_OFFSETS = [3, 5]; // (B) and (F) within a group
+const BUFFER_OFFSET = 2;
+
+// Letter landscape fits up to ~18 columns; wider sheets go to tabloid
+function pageSizeFor(columnCount) {
+  return columnCount > 18 ? 'TABLOID' : 'LETTER';
+}
+
+function isDark(hex) {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 0xff) + 0.114 * (value & 0xff)) / 255 <= 0.55;
+}
+
+// Column widths proportional to their longest value, scaled to the page width
+function columnWidths(headers, rows, columnCount, availableWidth) {
+  const natural = [];
+  for (let column = 0; column < columnCount; column++) {
+    const longest = [headers, ...rows].reduce((length, row) => {
+      const value = row[column];
+      return value === undefined || value === null ? length : Math.max(length, String(value).length);
+    }, 3);
+    natural.push(Math.min(longest, 32) * CHAR_WIDTH + 6);
+  }
+  const total = natural.reduce((sum, width) => sum + width, 0);
+  return natural.map(width => width * (availableWidth / total));
+}
+
+function drawTitleBlock(doc, titleBlock, top, width) {
+  const { project, fdh, cables, date, revision } = titleBlock;
+  const left = MARGIN;
+  const thirds = width / 3;
+
+  doc.lineWidth(1).rect(left, top, width, TITLE_HEIGHT - 8).stroke('#000000');
+  [1, 2].forEach(index => {
+    doc.moveTo(left + thirds * index, top).lineTo(left + thirds * index, top + TITLE_HEIGHT - 8).stroke();
+  });
+
+  const field = (label, value, x, y) => {
+    doc.font('Helvetica-Bold').fontSize(7).fillColor('#555555').text(label, x, y, { width: thirds - 12 });
+    doc.font('Helvetica').fontSize(9).fillColor('#000000').text(value || '-', x, y + 8, { width: thirds - 12, height: 11, ellipsis: true });
+  };
+
+  field('PROJECT', project, left + 6, top + 4);
+  field('FDH', fdh, left + 6, top + 24);
+  field('CABLES', cables.join(', '), left + thirds + 6, top + 4);
+  field('DATE', date, left + thirds * 2 + 6, top + 4);
+  field('REVISION', revision, left + thirds * 2 + 6, top + 24);
+}
+
+function drawHeader(doc, headers, widths, groupTitles, top) {
+  const left = MARGIN;
+  let x = left;
+
+  // Group titles across each cable's columns
+  groupTitles.forEach(({ title, start, end }) => {
+    const groupWidth = widths.slice(start, end + 1).reduce((sum, width) => sum + width, 0);
+    const groupLeft = left + widths.slice(0, start).reduce((sum, width) => sum + width, 0);
+    doc.rect(groupLeft, top, groupWidth, HEADER_ROW_HEIGHT).fillAndStroke('#1F4E78', '#000000');
+    doc.font('Helvetica-Bold').fontSize(FONT_SIZE + 0.5).fillColor('#FFFFFF')
+      .text(title, groupLeft, top + 3.5, { width: groupWidth, align: 'center', lineBreak: false, ellipsis: true });
+  });
+
+  headers.forEach((header, column) => {
+    doc.rect(x, top + HEADER_ROW_HEIGHT, widths[column], HEADER_ROW_HEIGHT).fillAndStroke('#D9E1F2', '#000000');
+    doc.font('Helvetica-Bold').fontSize(FONT_SIZE).fillColor('#000000')
+      .text(String(header), x, top + HEADER_ROW_HEIGHT + 3.5, { width: widths[column], align: 'center', lineBreak: false });
+    x += widths[column];
+  });
+}
+
+function drawRow(doc, values, widths, top, { groupCount, getGroupScheme, tubeBreaks }) {
+  const left = MARGIN;
+  const swatchColumns = new Map();
+  for (let group = 0; group < groupCount; group++) {
+    COLOR_OFFSETS.forEach(offset => swatchColumns.set(LEADING_COLUMNS + group * GROUP_WIDTH + offset, group));
+  }
+
+  let x = left;
+  widths.forEach((width, column) => {
+    const value = values[column];
+    const text = value === undefined || value === null ? '' : String(value);
+    let textColor = ['Unused', 'Dark', 'Spare', 'Reserved'].includes(text) ? '#7F7F7F' : '#000000';
+    if (text === 'Damaged') textColor = '#C00000';
+
+    doc.lineWidth(0.25).rect(x, top, width, ROW_HEIGHT).stroke('#BFBFBF');
+
+    // Color swatch behind (B)/(F) values, with the stripe drawn down the middle
+    if (text && swatchColumns.has(column)) {
+      const color = findColor(getGroupScheme(swatchColumns.get(column)), text);
+      if (color) {
+        doc.rect(x + 0.5, top + 0.5, width - 1, ROW_HEIGHT - 1).fill(color.hex);
+        if (color.stripeHex) {
+          doc.rect(x + width - 5, top + 0.5, 2.5, ROW_HEIGHT - 1).fill(color.stripeHex);
+        }
+        if (color.hex.toUpperCase() === '#FFFFFF') {
+          doc.lineWidth(0.25).rect(x + 0.5, top + 0.5, width - 1, ROW_HEIGHT - 1).stroke('#7F7F7F');
+        }
+        textColor = isDark(color.hex) ? '#FFFFFF' : '#000000';
+      }
+    }
+
+    doc.font(textColor === '#7F7F7F' ? 'Helvetica-Oblique' : 'Helvetica').fontSize(FONT_SIZE).fillColor(textColor)
+      .text(text, x + 2, top + 3, { width: width - 4, height: ROW_HEIGHT, lineBreak: false, ellipsis: true });
+    x += width;
+  });
+
+  // Heavier rule where a cable moves on to a new tube/ribbon
+  tubeBreaks.forEach(group => {
+    const start = LEADING_COLUMNS + group * GROUP_WIDTH;
+    const groupLeft = left + widths.slice(0, start).reduce((sum, width) => sum + width, 0);
+    const groupWidth = widths.slice(start, start + GROUP_WIDTH).reduce((sum, width) => sum + width, 0);
+    doc.lineWidth(1).moveTo(groupLeft, top).lineTo(groupLeft + groupWidth, top).stroke('#000000');
+  });
+}
+
+// Write spliceData (header row plus data rows) to outputPath. titleBlock is
+// { project, fdh, cables, date, revision }; getGroupScheme(index) returns the
+// color scheme for a cable group.
+function writeSplicePdf(spliceData, outputPath, { titleBlock, getGroupScheme }) {
+  const [headers, ...rows] = spliceData;
+  const columnCount = Math.max(headers.length, ...rows.slice(0, 1).map(row => row.length));
+  const groupCount = headers.filter(header => header === '(F)').length;
+  const trailingStart = LEADING_COLUMNS + groupCount * GROUP_WIDTH;
+
+  const doc = new PDFDocument({
+    size: pageSizeFor(columnCount),
+    layout: 'landscape',
+    margin: MARGIN,
+    bufferPages: true,
+    info: { Title: `Splice Sheet ${titleBlock.fdh || ''}`.trim(), Subject: titleBlock.project || '' }
+  });
+
+  const width = doc.page.width - MARGIN * 2;
+  const widths = columnWidths(headers, rows, columnCount, width);
+  const paddedHeaders = Array.from({ length: columnCount }, (_, column) => headers[column] || '');
+
+  const groupTitles = [{ title: 'FDH', start: 0, end: LEADING_COLUMNS - 1 }];
+  for (let group = 0; group < groupCount; group++) {
+    const start = LEADING_COLUMNS + group * GROUP_WIDTH;
+    const cableName = titleBlock.cables[group] || (rows.find(row => row[start + 1]) || [])[start + 1];
+    groupTitles.push({ title: cableName || `Cable ${group + 1}`, start, end: start + GROUP_WIDTH - 1 });
+  }
+  if (columnCount > trailingStart) {
+    groupTitles.push({ title: 'Drop', start: trailingStart, end: columnCount - 1 });
+  }
+
+  const tableTop = MARGIN + TITLE_HEIGHT;
+  const rowsTop = tableTop + HEADER_ROW_HEIGHT * 2;
+  const rowsPerPage = Math.max(1, Math.floor((doc.page.height - MARGIN - FOOTER_HEIGHT - rowsTop) / ROW_HEIGHT));
+
+  const startPage = () => {
+    drawTitleBlock(doc, titleBlock, MARGIN, width);
+    drawHeader(doc, paddedHeaders, widths, groupTitles, tableTop);
+  };
+
+  startPage();
+  const previousTube = new Array(groupCount).fill('');
+  rows.forEach((values, index) => {
+    const pageRow = index % rowsPerPage;
+    if (index > 0 && pageRow === 0) {
+      doc.addPage();
+      startPage();
+    }
+
+    const tubeBreaks = [];
+    for (let group = 0; group < groupCount; group++) {
+      const tube = values[LEADING_COLUMNS + group * GROUP_WIDTH + BUFFER_OFFSET];
+      const current = tube === undefined || tube === null ? '' : tube;
+      if (current !== '' && current !== previousTube[group] && pageRow > 0) {
+        tubeBreaks.push(group);
+      }
+      previousTube[group] = current;
+    }
+
+    drawRow(doc, values, widths, rowsTop + pageRow * ROW_HEIGHT, { groupCount, getGroupScheme, tubeBreaks });
+  });
+
+  // Page numbers once the page count is known
+  const { start, count } = doc.bufferedPageRange();
+  for (let page = start; page < start + count; page++) {
+    doc.switchToPage(page);
+    const footerTop = doc.page.height - MARGIN - FOOTER_HEIGHT + 6;
+    doc.font('Helvetica').fontSize(7).fillColor('#555555');
+    doc.text(`${titleBlock.fdh || ''} ${titleBlock.revision ? `Rev ${titleBlock.revision}` : ''}`.trim(), MARGIN, footerTop,
+      { width: width / 2, lineBreak: false });
+    doc.text(`Page ${page - start + 1} of ${count}`, MARGIN + width / 2, footerTop,
+      { width: width / 2, align: 'right', lineBreak: false });
+  }
+
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(outputPath);
+    stream.on('finish', () => resolve(outputPath));
+    stream.on('error', reject);
+    doc.pipe(stream);
+    doc.end();
+  });
+}
+
+module.exports = { writeSplicePdf };
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { writeSplicePdf } = require('./pdfExport');
+
+describe('PDF splice sheet', () => {
+  let outputDir;
+
+  beforeEach(() => {
+    outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-export-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  });
+
+  // The written PDF's source; pdfkit leaves the document structure uncompressed
+  async function exportPdf(design) {
+    const generator = new SpliceSheetGenerator();
+    const spliceData = generator.generateSpliceSheet({ addresses: [], ...design });
+    const outputPath = await writeSplicePdf(spliceData, path.join(outputDir, 'sheet.pdf'), {
+      titleBlock: { project: '', fdh: design.mainCableName || '', cables: generator.cables.map(cable => cable.name), date: '2024-01-01', revision: '3' },
+      getGroupScheme: index => generator.getGroupScheme(index)
+    });
+    return { outputPath, source: fs.readFileSync(outputPath, 'latin1') };
+  }
+
+  const pageCount = source => (source.match(/\/Type \/Page\b/g) || []).length;
+
+  test('paginates the rows onto landscape letter pages', async () => {
+    const { outputPath, source } = await exportPdf({
+      ports: 100,
+      mainCableName: 'FDH108',
+      cables: [{ name: '144F(1)', fiberCount: 144 }]
+    });
+
+    expect(path.dirname(outputPath)).toBe(outputDir);
+    expect(source.startsWith('%PDF-')).toBe(true);
+    expect(pageCount(source)).toBe(3);
+    expect(source).toContain('/MediaBox [0 0 792 612]');
+    expect(source).toContain('(Splice Sheet FDH108)');
+  });
+
+  test('fewer rows take fewer pages', async () => {
+    const { source } = await exportPdf({ ports: 20, cables: [{ name: '24F', fiberCount: 24 }] });
+    expect(pageCount(source)).toBe(1);
+  });
+
+  test('wide sheets go to tabloid', async () => {
+    const { source } = await exportPdf({
+      ports: 36,
+      cables: [{ name: 'A', fiberCount: 12 }, { name: 'B', fiberCount: 12 }, { name: 'C', fiberCount: 12 }]
+    });
+    expect(source).toContain('/MediaBox [0 0 1224 792]');
+  });
+});
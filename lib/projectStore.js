@@ -0,0 +1,252 @@
+// File-backed store for splice sheet projects and their numbered revisions:
+//   <dataDir>/projects/<id>/project.json
+//   <dataDir>/projects/<id>/revisions/<n>/revision.json, plus that revision's output files
+// and for splice sheets imported for editing:
+//   <dataDir>/sheets/<id>/sheet.json, plus its re-exported files
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PROJECT_FIELDS = ['name', 'fdh', 'feederCable', 'cables', 'addresses', 'settings'];
+const ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+// Lowercase, filename-safe version of a project name
+function slugify(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'project';
+}
+
+class ProjectStore {
+  constructor(dataDir) {
+    this.projectsDir = path.join(dataDir, 'projects');
+    this.sheetsDir = path.join(dataDir, 'sheets');
+  }
+
+  projectDir(id) {
+    if (!ID_PATTERN.test(String(id))) {
+      throw badRequest(`Invalid project id "${id}"`);
+    }
+    return path.join(this.projectsDir, id);
+  }
+
+  sheetDir(id) {
+    if (!ID_PATTERN.test(String(id))) {
+      throw badRequest(`Invalid sheet id "${id}"`);
+    }
+    return path.join(this.sheetsDir, id);
+  }
+
+  revisionDir(id, revision) {
+    const number = parseInt(revision);
+    if (!Number.isInteger(number) || number < 1) {
+      throw badRequest(`Invalid revision "${revision}"`);
+    }
+    return path.join(this.projectDir(id), 'revisions', String(number));
+  }
+
+  readJson(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  // Write through a temp file so a crash never leaves half a JSON file behind
+  writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  validateFields(fields, { requireName }) {
+    if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+      throw badRequest('Project must be a JSON object');
+    }
+    if (requireName || fields.name !== undefined) {
+      if (typeof fields.name !== 'string' || fields.name.trim() === '') {
+        throw badRequest('Project name is required');
+      }
+    }
+    ['cables', 'addresses'].forEach(key => {
+      if (fields[key] !== undefined && !Array.isArray(fields[key])) {
+        throw badRequest(`${key} must be an array`);
+      }
+    });
+    if (fields.settings !== undefined && (typeof fields.settings !== 'object' || Array.isArray(fields.settings))) {
+      throw badRequest('settings must be an object');
+    }
+  }
+
+  pickFields(fields) {
+    return PROJECT_FIELDS.reduce((picked, key) => {
+      if (fields[key] !== undefined) picked[key] = fields[key];
+      return picked;
+    }, {});
+  }
+
+  listProjects() {
+    if (!fs.existsSync(this.projectsDir)) return [];
+
+    return fs.readdirSync(this.projectsDir)
+      .map(id => this.readJson(path.join(this.projectsDir, id, 'project.json')))
+      .filter(Boolean)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  getProject(id) {
+    return this.readJson(path.join(this.projectDir(id), 'project.json'));
+  }
+
+  createProject(fields) {
+    this.validateFields(fields, { requireName: true });
+
+    const now = new Date().toISOString();
+    const project = {
+      id: crypto.randomUUID(),
+      fdh: '',
+      feederCable: null,
+      cables: [],
+      addresses: [],
+      settings: {},
+      ...this.pickFields(fields),
+      revisionCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.writeJson(path.join(this.projectDir(project.id), 'project.json'), project);
+    return project;
+  }
+
+  // Fields not supplied keep their current values
+  updateProject(id, fields) {
+    const project = this.getProject(id);
+    if (!project) return null;
+    this.validateFields(fields, { requireName: false });
+
+    const updated = {
+      ...project,
+      ...this.pickFields(fields),
+      updatedAt: new Date().toISOString()
+    };
+    this.writeJson(path.join(this.projectDir(id), 'project.json'), updated);
+    return updated;
+  }
+
+  deleteProject(id) {
+    const dir = this.projectDir(id);
+    if (!fs.existsSync(dir)) return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+  }
+
+  // Generator input for the project's current design
+  toInputData(project) {
+    const settings = project.settings || {};
+    return {
+      ...settings,
+      mainCableName: project.fdh || settings.mainCableName || '',
+      feederCable: project.feederCable || undefined,
+      cables: project.cables || [],
+      addresses: project.addresses || [],
+      project: project.name
+    };
+  }
+
+  // Reserve the next revision number and its directory
+  createRevision(id, fields = {}) {
+    const project = this.getProject(id);
+    if (!project) return null;
+
+    const revision = project.revisionCount + 1;
+    const record = {
+      revision,
+      basename: `${slugify(project.name)}_rev${revision}`,
+      createdAt: new Date().toISOString(),
+      formats: [],
+      ...fields
+    };
+
+    fs.mkdirSync(this.revisionDir(id, revision), { recursive: true });
+    this.saveRevision(id, record);
+    this.writeJson(path.join(this.projectDir(id), 'project.json'), {
+      ...project,
+      revisionCount: revision,
+      latestRevision: revision,
+      updatedAt: record.createdAt
+    });
+
+    return record;
+  }
+
+  saveRevision(id, record) {
+    this.writeJson(path.join(this.revisionDir(id, record.revision), 'revision.json'), record);
+    return record;
+  }
+
+  getRevision(id, revision) {
+    return this.readJson(path.join(this.revisionDir(id, revision), 'revision.json'));
+  }
+
+  listRevisions(id) {
+    const project = this.getProject(id);
+    if (!project) return null;
+
+    const revisions = [];
+    for (let revision = 1; revision <= project.revisionCount; revision++) {
+      const record = this.getRevision(id, revision);
+      if (record) {
+        const { input, ...summary } = record;
+        revisions.push(summary);
+      }
+    }
+    return revisions;
+  }
+
+  // sheet: { name, mainCableName, colorScheme, cables, records, validation, ... }
+  createSheet(sheet) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: crypto.randomUUID(),
+      ...sheet,
+      basename: slugify(sheet.name),
+      editCount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    return this.saveSheet(stored);
+  }
+
+  saveSheet(sheet) {
+    this.writeJson(path.join(this.sheetDir(sheet.id), 'sheet.json'), sheet);
+    return sheet;
+  }
+
+  getSheet(id) {
+    return this.readJson(path.join(this.sheetDir(id), 'sheet.json'));
+  }
+
+  // Sheet metadata without the per-port records
+  listSheets() {
+    if (!fs.existsSync(this.sheetsDir)) return [];
+
+    return fs.readdirSync(this.sheetsDir)
+      .map(id => this.readJson(path.join(this.sheetsDir, id, 'sheet.json')))
+      .filter(Boolean)
+      .map(({ records, ...sheet }) => ({ ...sheet, portCount: records.length }))
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  deleteSheet(id) {
+    const dir = this.sheetDir(id);
+    if (!fs.existsSync(dir)) return false;
+    fs.rmSync(dir, { recursive: true, force: true });
+    return true;
+  }
+}
+
+module.exports = ProjectStore;
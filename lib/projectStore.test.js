@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ProjectStore = require('./projectStore');
+
+describe('project store', () => {
+  let dataDir;
+  let store;
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-store-'));
+    store = new ProjectStore(dataDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('projects are saved as JSON files and listed oldest first', () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T12:00:00Z') });
+    const first = store.createProject({ name: 'Marengo Lake', fdh: 'FDH108', cables: [{ name: '144F(1)', fiberCount: 144 }] });
+    jest.setSystemTime(new Date('2024-03-02T12:00:00Z'));
+    const second = store.createProject({ name: 'Second', owner: 'ignored' });
+    jest.useRealTimers();
+
+    expect(fs.existsSync(path.join(dataDir, 'projects', first.id, 'project.json'))).toBe(true);
+    expect(store.getProject(first.id)).toEqual(first);
+    expect(first).toMatchObject({ fdh: 'FDH108', feederCable: null, addresses: [], settings: {}, revisionCount: 0 });
+    expect(second.owner).toBeUndefined();
+    expect(store.listProjects().map(project => project.name)).toEqual(['Marengo Lake', 'Second']);
+  });
+
+  test('updates keep the fields not supplied', () => {
+    const project = store.createProject({ name: 'Marengo Lake', fdh: 'FDH108' });
+    const updated = store.updateProject(project.id, { addresses: [{ mst: 'MST_1', address: '1 A ST' }] });
+
+    expect(updated).toMatchObject({ name: 'Marengo Lake', fdh: 'FDH108', addresses: [{ mst: 'MST_1', address: '1 A ST' }] });
+    expect(store.updateProject('00000000-0000-0000-0000-000000000000', { fdh: 'X' })).toBeNull();
+  });
+
+  test('bad fields and ids are 400s', () => {
+    expect(() => store.createProject({ name: ' ' })).toThrow(expect.objectContaining({ statusCode: 400, message: 'Project name is required' }));
+    expect(() => store.createProject({ name: 'A', cables: {} })).toThrow('cables must be an array');
+    expect(() => store.createProject({ name: 'A', settings: [] })).toThrow('settings must be an object');
+    expect(() => store.getProject('../etc')).toThrow(expect.objectContaining({ statusCode: 400, message: 'Invalid project id "../etc"' }));
+    expect(() => store.getRevision('abc', 0)).toThrow('Invalid revision "0"');
+  });
+
+  test('revisions are numbered in order and named after the project', () => {
+    const project = store.createProject({ name: 'Marengo Lake!', fdh: 'FDH108', settings: { ports: 96 } });
+    const first = store.createRevision(project.id, { notes: 'first cut' });
+    store.saveRevision(project.id, { ...first, input: store.toInputData(project), formats: ['xlsx'] });
+    const second = store.createRevision(project.id);
+
+    expect(first).toMatchObject({ revision: 1, basename: 'marengo_lake_rev1', formats: [], notes: 'first cut' });
+    expect(second.revision).toBe(2);
+    expect(store.getProject(project.id)).toMatchObject({ revisionCount: 2, latestRevision: 2 });
+    expect(store.getRevision(project.id, 1).input).toEqual({
+      ports: 96,
+      mainCableName: 'FDH108',
+      cables: [],
+      addresses: [],
+      project: 'Marengo Lake!'
+    });
+    expect(store.listRevisions(project.id).map(record => [record.revision, record.input])).toEqual([[1, undefined], [2, undefined]]);
+    expect(fs.existsSync(store.revisionDir(project.id, 2))).toBe(true);
+  });
+
+  test('deleting a project removes its revisions', () => {
+    const project = store.createProject({ name: 'Gone' });
+    store.createRevision(project.id);
+
+    expect(store.deleteProject(project.id)).toBe(true);
+    expect(store.getProject(project.id)).toBeNull();
+    expect(store.listRevisions(project.id)).toBeNull();
+    expect(store.deleteProject(project.id)).toBe(false);
+  });
+
+  test('a write leaves no temp file behind', () => {
+    const project = store.createProject({ name: 'Atomic' });
+    expect(fs.readdirSync(store.projectDir(project.id))).toEqual(['project.json']);
+  });
+});
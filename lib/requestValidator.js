@@ -0,0 +1,237 @@
+// Checks each request's query string and body against its operation in the
+// OpenAPI document before the route runs. JSON bodies must match their schema
+// as sent, so "96" is not a port count; query strings and multipart fields
+// are text, so numbers and booleans in them are read as such. A request that
+// fails is answered with a 400 naming every field at fault.
+const fs = require('fs');
+const Ajv2020 = require('ajv/dist/2020').default;
+
+const DOCUMENT_ID = 'openapi.json';
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+
+// Document sections that aren't schemas; the schemas in them are reached by $ref
+const DOCUMENT_KEYWORDS = ['openapi', 'info', 'servers', 'tags', 'paths', 'components'];
+
+const TYPE_NAMES = {
+  integer: 'a whole number',
+  number: 'a number',
+  string: 'text',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+  null: 'null'
+};
+
+function createAjv(document, options) {
+  const ajv = new Ajv2020({ allErrors: true, allowUnionTypes: true, verbose: true, ...options });
+  ajv.addVocabulary(DOCUMENT_KEYWORDS);
+  ajv.addSchema(document, DOCUMENT_ID);
+  return ajv;
+}
+
+// JSON pointer into the document, e.g. to paths./trace.post
+function pointer(...segments) {
+  return `${DOCUMENT_ID}#/${segments.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+}
+
+// Readable path to the field an error is about, e.g. cables[0].fiberCount,
+// walking the data so list indexes and object keys that look like numbers
+// are told apart. null for the whole body or query.
+function fieldPath(error, data) {
+  const segments = error.instancePath.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+  const { missingProperty, additionalProperty, propertyName } = error.params;
+  const field = missingProperty || additionalProperty || propertyName;
+  if (field !== undefined) segments.push(field);
+
+  let path = '';
+  let value = data;
+  segments.forEach(segment => {
+    path = Array.isArray(value) ? `${path}[${segment}]` : (path ? `${path}.${segment}` : segment);
+    value = value !== null && typeof value === 'object' ? value[segment] : undefined;
+  });
+  return path || null;
+}
+
+function describeError(error) {
+  const { keyword, params, parentSchema } = error;
+  switch (keyword) {
+    case 'required':
+      return 'is required';
+    case 'additionalProperties':
+      return 'is not a known field';
+    case 'propertyNames':
+      return 'is not an allowed name';
+    case 'type':
+      return `must be ${String(params.type).split(',').map(type => TYPE_NAMES[type] || type).join(' or ')}`;
+    case 'enum':
+      return `must be one of: ${params.allowedValues.join(', ')}`;
+    case 'const':
+      return `must be ${JSON.stringify(params.allowedValue)}`;
+    case 'pattern':
+      return parentSchema.examples ? `must look like "${parentSchema.examples[0]}"` : 'is not in the expected form';
+    case 'minimum':
+      return `must be at least ${params.limit}`;
+    case 'maximum':
+      return `must be at most ${params.limit}`;
+    case 'minItems':
+      return `must list at least ${params.limit} item(s)`;
+    case 'minLength':
+      return params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters`;
+    default:
+      return error.message;
+  }
+}
+
+// { in, field, message } per problem. The if/then/else wrappers of values
+// that take more than one type add nothing to their branches' errors, and a
+// value of the wrong type is reported once.
+function formatErrors(errors, location, data) {
+  const problems = [];
+  const seen = new Set();
+  const mistyped = new Set();
+  (errors || []).forEach(error => {
+    if (error.keyword === 'if' || error.propertyName !== undefined) return;
+
+    const field = fieldPath(error, data);
+    if (error.keyword === 'type') {
+      if (mistyped.has(field)) return;
+      mistyped.add(field);
+    }
+    const message = describeError(error);
+    const key = `${field}\n${message}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    problems.push({ in: location, field, message });
+  });
+  return problems;
+}
+
+// Body of the 400 for a request with problems, each also summed up in error
+function invalidRequest(problems) {
+  return {
+    success: false,
+    message: 'Request failed validation',
+    error: problems.map(problem => `${problem.field || `request ${problem.in}`} ${problem.message}`).join('; '),
+    errors: problems
+  };
+}
+
+// Delete the uploads of a rejected request, as the route would have
+function removeUploads(req) {
+  const files = [
+    ...(req.file ? [req.file] : []),
+    ...(Array.isArray(req.files) ? req.files : Object.values(req.files || {}).flat())
+  ];
+  files.forEach(file => fs.unlink(file.path, (err) => {
+    if (err && err.code !== 'ENOENT') console.error('Error deleting uploaded file:', err);
+  }));
+}
+
+class RequestValidator {
+  constructor(document) {
+    this.document = document;
+    this.strict = createAjv(document, { coerceTypes: false });
+    this.coercing = createAjv(document, { coerceTypes: true });
+    this.operations = new Map();
+
+    Object.entries(document.paths).forEach(([route, pathItem]) => {
+      METHODS.filter(method => pathItem[method]).forEach(method => {
+        const described = pathItem[method];
+        this.operations.set(described.operationId, {
+          query: this.compileQuery(route, method, described.parameters || []),
+          body: this.compileBody(route, method, described.requestBody)
+        });
+      });
+    });
+  }
+
+  // The parameter a { $ref } points to, or the parameter itself
+  resolveParameter(parameter) {
+    if (!parameter.$ref) return parameter;
+    return parameter.$ref.split('/').slice(1).reduce((value, key) => value[key], this.document);
+  }
+
+  // One object schema for the operation's query parameters; null if it has none
+  compileQuery(route, method, parameters) {
+    const properties = {};
+    const required = [];
+    parameters.forEach((parameter, index) => {
+      const resolved = this.resolveParameter(parameter);
+      if (resolved.in !== 'query') return;
+      properties[resolved.name] = {
+        $ref: parameter.$ref
+          ? pointer(...parameter.$ref.split('/').slice(1), 'schema')
+          : pointer('paths', route, method, 'parameters', index, 'schema')
+      };
+      if (resolved.required) required.push(resolved.name);
+    });
+    if (Object.keys(properties).length === 0) return null;
+    return this.coercing.compile({ type: 'object', additionalProperties: false, properties, required });
+  }
+
+  // A validate function per media type of the request body
+  compileBody(route, method, requestBody) {
+    const validators = {};
+    Object.keys(requestBody ? requestBody.content : {}).forEach(mediaType => {
+      const ajv = mediaType === 'application/json' ? this.strict : this.coercing;
+      validators[mediaType] = ajv.compile({ $ref: pointer('paths', route, method, 'requestBody', 'content', mediaType, 'schema') });
+    });
+    return validators;
+  }
+
+  // Problems with a request to the operation, as [{ in, field, message }].
+  // Multipart fields are checked on a copy, so the route still gets them as
+  // sent.
+  check(operationId, { query = {}, body = {}, mediaType = 'application/json' }) {
+    const operation = this.operations.get(operationId);
+    if (!operation) {
+      throw new Error(`No operation ${operationId} in the OpenAPI document`);
+    }
+
+    const problems = [];
+    if (operation.query) {
+      const copy = { ...query };
+      if (!operation.query(copy)) problems.push(...formatErrors(operation.query.errors, 'query', copy));
+    }
+    const validateBody = operation.body[mediaType];
+    if (validateBody) {
+      const copy = mediaType === 'application/json' ? body : { ...body };
+      if (!validateBody(copy)) problems.push(...formatErrors(validateBody.errors, 'body', copy));
+    }
+    return problems;
+  }
+
+  // Problems with a value as a JSON body matching components.schemas[name]
+  checkSchema(name, value) {
+    if (!this.document.components.schemas[name]) {
+      throw new Error(`No schema ${name} in the OpenAPI document`);
+    }
+    const validate = this.strict.getSchema(pointer('components', 'schemas', name));
+    return validate(value) ? [] : formatErrors(validate.errors, 'body', value);
+  }
+
+  // Express middleware checking requests to the operation; put it after the
+  // upload handler on multipart routes so the fields have been read
+  middleware(operationId) {
+    if (!this.operations.has(operationId)) {
+      throw new Error(`No operation ${operationId} in the OpenAPI document`);
+    }
+
+    return (req, res, next) => {
+      const problems = this.check(operationId, {
+        query: req.query,
+        body: req.body,
+        mediaType: req.is('multipart/form-data') ? 'multipart/form-data' : 'application/json'
+      });
+      if (problems.length === 0) return next();
+
+      removeUploads(req);
+      res.status(400).json(invalidRequest(problems));
+    };
+  }
+}
+
+module.exports = {
+  RequestValidator,
+  invalidRequest
+};
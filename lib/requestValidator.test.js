@@ -0,0 +1,58 @@
+const { RequestValidator, invalidRequest } = require('./requestValidator');
+const { OPENAPI_DOCUMENT } = require('./openApi');
+
+const validator = new RequestValidator(OPENAPI_DOCUMENT);
+const design = body => validator.check('generateCustomSpliceSheet', { body });
+
+describe('request validator', () => {
+  test('JSON bodies must use the documented types and fields', () => {
+    expect(design({ ports: '96', cables: [{ name: 'A', fibercount: 12 }] })).toEqual([
+      { in: 'body', field: 'ports', message: 'must be a whole number' },
+      { in: 'body', field: 'cables[0].fiberCount', message: 'is required' },
+      { in: 'body', field: 'cables[0].fibercount', message: 'is not a known field' }
+    ]);
+  });
+
+  test('ports and cable sizes are capped at the largest cables made', () => {
+    expect(design({ ports: 6912, cables: [{ name: 'A', fiberCount: 6912 }] })).toEqual([]);
+    expect(design({
+      ports: 1e8,
+      cables: [{ name: 'A', fiberCount: 100000, fibersPerTube: 900, tubeCount: 600, fibersPerRibbon: 36 }],
+      feederCable: { name: 'F', fiberCount: 7000 }
+    })).toEqual([
+      { in: 'body', field: 'ports', message: 'must be at most 6912' },
+      { in: 'body', field: 'cables[0].fiberCount', message: 'must be at most 6912' },
+      { in: 'body', field: 'cables[0].fibersPerTube', message: 'must be at most 864' },
+      { in: 'body', field: 'cables[0].tubeCount', message: 'must be at most 576' },
+      { in: 'body', field: 'cables[0].fibersPerRibbon', message: 'must be at most 24' },
+      { in: 'body', field: 'feederCable.fiberCount', message: 'must be at most 6912' }
+    ]);
+  });
+
+  test('query strings are read as numbers, against the same caps', () => {
+    expect(validator.check('getFiberStandards', { query: { fiberCount: '288', fibersPerTube: '24' } })).toEqual([]);
+    expect(validator.check('getFiberStandards', { query: { fiberCount: '99999', colour: 'blue' } })).toEqual([
+      { in: 'query', field: 'colour', message: 'is not a known field' },
+      { in: 'query', field: 'fiberCount', message: 'must be at most 6912' }
+    ]);
+  });
+
+  test('single schemas can be checked on their own', () => {
+    expect(validator.checkSchema('Cable', { name: '', fiberCount: 0 })).toEqual([
+      { in: 'body', field: 'name', message: 'must not be empty' },
+      { in: 'body', field: 'fiberCount', message: 'must be at least 1' }
+    ]);
+    expect(() => validator.checkSchema('Cabel', {})).toThrow('No schema Cabel in the OpenAPI document');
+    expect(() => validator.middleware('generateEverything')).toThrow('No operation generateEverything in the OpenAPI document');
+  });
+
+  test('the 400 sums every problem up in error', () => {
+    expect(invalidRequest([{ in: 'body', field: 'ports', message: 'must be at most 6912' }, { in: 'body', field: '', message: 'must be an object' }]))
+      .toEqual({
+        success: false,
+        message: 'Request failed validation',
+        error: 'ports must be at most 6912; request body must be an object',
+        errors: [{ in: 'body', field: 'ports', message: 'must be at most 6912' }, { in: 'body', field: '', message: 'must be an object' }]
+      });
+  });
+});
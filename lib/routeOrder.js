@@ -0,0 +1,163 @@
+// Orders address entries along the distribution cable route so the fiber
+// sequence follows the physical path: by each address's station (footage
+// along the route), or by where its coordinates fall along a route line.
+
+// station: the address's station or footage along the route
+// route: the point on a route line nearest the address's coordinates
+const ADDRESS_ORDERS = ['station', 'route'];
+
+const EARTH_RADIUS = 6371008.8; // metres
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// 1250, "1250" or engineering stationing "12+50" -> 1250; null if none of those
+function parseStation(value) {
+  if (isBlank(value)) return null;
+  const text = String(value).trim();
+  const stationing = text.match(/^(\d+)\+(\d{2}(?:\.\d+)?)$/);
+  if (stationing) return parseInt(stationing[1]) * 100 + parseFloat(stationing[2]);
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+}
+
+function isPosition(position) {
+  if (!Array.isArray(position) || position.length < 2 || position.slice(0, 2).some(isBlank)) return false;
+  const [longitude, latitude] = position.map(Number);
+  return Math.abs(longitude) <= 180 && Math.abs(latitude) <= 90;
+}
+
+// [[longitude, latitude], ...] from a list of points, a GeoJSON LineString or
+// MultiLineString (parts joined in order), or a Feature holding one
+function routePositions(route, name = 'addressOrder.route') {
+  const geometry = route && route.type === 'Feature' ? route.geometry : route;
+  let positions = geometry;
+  if (geometry && geometry.type === 'LineString') {
+    positions = geometry.coordinates;
+  } else if (geometry && geometry.type === 'MultiLineString') {
+    positions = [].concat(...(geometry.coordinates || []));
+  }
+
+  if (!Array.isArray(positions) || positions.length < 2 || !positions.every(isPosition)) {
+    throw badRequest(`${name} must be a LineString or a list of at least two [longitude, latitude] points`);
+  }
+  return positions.map(([longitude, latitude]) => [Number(longitude), Number(latitude)]);
+}
+
+// { by, route } from "station", { by: "station" } or { by: "route", route }
+function resolveAddressOrder(settings) {
+  const order = typeof settings === 'string' ? { by: settings } : settings;
+  if (typeof order !== 'object' || order === null || Array.isArray(order)) {
+    throw badRequest('addressOrder must be an object');
+  }
+  if (!ADDRESS_ORDERS.includes(order.by)) {
+    throw badRequest(`addressOrder.by must be one of: ${ADDRESS_ORDERS.join(', ')}`);
+  }
+  if (order.by === 'route' && isBlank(order.route)) {
+    throw badRequest('addressOrder.route is required to order addresses by route');
+  }
+  return { by: order.by, route: order.by === 'route' ? routePositions(order.route) : null };
+}
+
+// Distance along the route (metres) to the point nearest each address, on a
+// flat projection centred on the route; fine over an FDH's serving area
+function routeLocator(route) {
+  const centre = route.reduce((total, [, latitude]) => total + latitude, 0) / route.length;
+  const scale = EARTH_RADIUS * Math.PI / 180;
+  const project = ([longitude, latitude]) => [longitude * scale * Math.cos(centre * Math.PI / 180), latitude * scale];
+
+  let travelled = 0;
+  const segments = [];
+  for (let index = 1; index < route.length; index++) {
+    const start = project(route[index - 1]);
+    const end = project(route[index]);
+    const length = Math.hypot(end[0] - start[0], end[1] - start[1]);
+    segments.push({ start, end, length, from: travelled });
+    travelled += length;
+  }
+
+  return ([longitude, latitude]) => {
+    const [x, y] = project([longitude, latitude]);
+    let nearest = null;
+    segments.forEach(({ start, end, length, from }) => {
+      const along = length === 0 ? 0 : Math.max(0, Math.min(1,
+        ((x - start[0]) * (end[0] - start[0]) + (y - start[1]) * (end[1] - start[1])) / (length * length)));
+      const offset = Math.hypot(x - (start[0] + along * (end[0] - start[0])), y - (start[1] + along * (end[1] - start[1])));
+      if (!nearest || offset < nearest.offset) {
+        nearest = { offset, distance: from + along * length };
+      }
+    });
+    return nearest.distance;
+  };
+}
+
+// Where an address entry falls along the route, or null when it has no
+// station (or coordinates) to place it by
+function addressPosition(order) {
+  if (order.by === 'station') {
+    return entry => {
+      if (isBlank(entry.station)) return null;
+      const station = parseStation(entry.station);
+      if (station === null) {
+        throw badRequest(`Address ${entry.address || entry.mst} has an invalid station "${entry.station}"`);
+      }
+      return station;
+    };
+  }
+
+  const locate = routeLocator(order.route);
+  return entry => {
+    if (isBlank(entry.latitude) || isBlank(entry.longitude)) return null;
+    if (!isPosition([entry.longitude, entry.latitude])) {
+      throw badRequest(`Address ${entry.address || entry.mst} has invalid coordinates ${entry.latitude}, ${entry.longitude}`);
+    }
+    return locate([Number(entry.longitude), Number(entry.latitude)]);
+  };
+}
+
+// Address entries with their terminals (grouped by terminalKey) in route
+// order, each terminal placed at its first address along the route. Entries
+// keep their order within a terminal; terminals with no placed address go
+// last, as listed. Returns { addresses, unlocated }.
+function orderAlongRoute(addresses, order, terminalKey) {
+  const position = addressPosition(order);
+  const terminals = new Map();
+  const unlocated = [];
+
+  addresses.forEach((entry, index) => {
+    const key = terminalKey(entry, index);
+    if (!terminals.has(key)) terminals.set(key, { entries: [], position: null, listed: terminals.size });
+    const terminal = terminals.get(key);
+    terminal.entries.push(entry);
+
+    const at = position(entry);
+    if (at === null) {
+      unlocated.push(entry);
+    } else if (terminal.position === null || at < terminal.position) {
+      terminal.position = at;
+    }
+  });
+
+  const ordered = [...terminals.values()].sort((a, b) => {
+    if (a.position === null || b.position === null) {
+      return (a.position === null) - (b.position === null) || a.listed - b.listed;
+    }
+    return a.position - b.position || a.listed - b.listed;
+  });
+  return { addresses: ordered.flatMap(terminal => terminal.entries), unlocated };
+}
+
+module.exports = {
+  ADDRESS_ORDERS,
+  parseStation,
+  routePositions,
+  resolveAddressOrder,
+  orderAlongRoute
+};
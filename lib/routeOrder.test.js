@@ -0,0 +1,64 @@
+const { parseStation, routePositions, resolveAddressOrder, orderAlongRoute } = require('./routeOrder');
+
+const byMst = entry => entry.mst;
+const msts = ({ addresses }) => addresses.map(byMst);
+
+describe('address order settings', () => {
+  test('stations may be plain footage or engineering stationing', () => {
+    expect(parseStation(1250)).toBe(1250);
+    expect(parseStation(' 12+50 ')).toBe(1250);
+    expect(parseStation('3+07.5')).toBe(307.5);
+    expect(parseStation('')).toBeNull();
+    expect(parseStation('pole 7')).toBeNull();
+  });
+
+  test('a route may be points, a LineString, a MultiLineString or a Feature', () => {
+    const points = [[-97, 32], [-97, 32.01]];
+    expect(routePositions(points)).toEqual(points);
+    expect(routePositions({ type: 'Feature', geometry: { type: 'LineString', coordinates: points } })).toEqual(points);
+    expect(routePositions({ type: 'MultiLineString', coordinates: [points, [[-96.99, 32.01]]] }))
+      .toEqual([...points, [-96.99, 32.01]]);
+  });
+
+  test('bad settings are a 400', () => {
+    expect(() => resolveAddressOrder('alphabet'))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'addressOrder.by must be one of: station, route' }));
+    expect(() => resolveAddressOrder({ by: 'route' })).toThrow('addressOrder.route is required to order addresses by route');
+    expect(() => resolveAddressOrder({ by: 'route', route: [[-97, 32]] }))
+      .toThrow('addressOrder.route must be a LineString or a list of at least two [longitude, latitude] points');
+    expect(resolveAddressOrder('station')).toEqual({ by: 'station', route: null });
+  });
+});
+
+describe('ordering along the route', () => {
+  test('terminals follow their nearest station; unplaced terminals go last, as listed', () => {
+    const result = orderAlongRoute([
+      { mst: 'X', address: 'x' },
+      { mst: 'Y', address: 'y1', station: '5+00' },
+      { mst: 'Z', address: 'z', station: 100 },
+      { mst: 'Y', address: 'y2', station: 50 },
+      { mst: 'W', address: 'w' }
+    ], resolveAddressOrder('station'), byMst);
+
+    expect(result.addresses.map(entry => entry.address)).toEqual(['y1', 'y2', 'z', 'x', 'w']);
+    expect(result.unlocated.map(entry => entry.address)).toEqual(['x', 'w']);
+  });
+
+  test('coordinates are placed at their nearest point on the route line', () => {
+    const order = resolveAddressOrder({ by: 'route', route: [[-97, 32], [-97, 32.01], [-96.99, 32.01]] });
+    const result = orderAlongRoute([
+      { mst: 'EAST', latitude: 32.0101, longitude: -96.995 },
+      { mst: 'NORTH', latitude: 32.008, longitude: -97.0001 },
+      { mst: 'SOUTH', latitude: '32.002', longitude: '-96.9999' }
+    ], order, byMst);
+
+    expect(msts(result)).toEqual(['SOUTH', 'NORTH', 'EAST']);
+  });
+
+  test('a bad station or coordinate is a 400', () => {
+    expect(() => orderAlongRoute([{ mst: 'A', address: '1 A ST', station: 'pole 7' }], resolveAddressOrder('station'), byMst))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Address 1 A ST has an invalid station "pole 7"' }));
+    expect(() => orderAlongRoute([{ mst: 'A', latitude: 95, longitude: -97 }], resolveAddressOrder({ by: 'route', route: [[0, 0], [1, 1]] }), byMst))
+      .toThrow('Address A has invalid coordinates 95, -97');
+  });
+});
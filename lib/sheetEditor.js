@@ -0,0 +1,136 @@
+// Edit operations on an imported splice sheet's records. A batch is applied
+// to a copy and only returned if every operation succeeds, so a bad
+// operation never leaves the sheet half-edited.
+const DROP_FIELDS = ['mst', 'address', 'sheet', 'terminal', 'status'];
+const FIBER_STATUSES = ['damaged', 'reserved', 'unused'];
+
+function badRequest(index, message) {
+  const error = new Error(`Operation ${index + 1}: ${message}`);
+  error.statusCode = 400;
+  return error;
+}
+
+function sameText(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function describeFiber(record) {
+  return `${record.cable} fiber ${record.fiber}`;
+}
+
+// Record by { port } or by { cable, fiber }
+function findRecord(records, target, index) {
+  if (!target || typeof target !== 'object') {
+    throw badRequest(index, 'expected { port } or { cable, fiber }');
+  }
+
+  let record;
+  if (target.port !== undefined) {
+    record = records.find(candidate => candidate.port === parseInt(target.port));
+    if (!record) throw badRequest(index, `port ${target.port} is not on this sheet`);
+  } else if (target.cable !== undefined && target.fiber !== undefined) {
+    record = records.find(candidate => sameText(candidate.cable, target.cable) && candidate.fiber === parseInt(target.fiber));
+    if (!record) throw badRequest(index, `${target.cable} fiber ${target.fiber} is not on this sheet`);
+  } else {
+    throw badRequest(index, 'expected { port } or { cable, fiber }');
+  }
+  return record;
+}
+
+// Move the drop on one port, or every port serving an address, to the free
+// port(s) starting at `to`
+function moveDrop(records, operation, index) {
+  const { from = {}, to } = operation;
+  let sources;
+  if (from.address !== undefined) {
+    sources = records.filter(record => record.status === 'assigned' && sameText(record.address, from.address));
+    if (sources.length === 0) throw badRequest(index, `no port serves "${from.address}"`);
+  } else {
+    const source = findRecord(records, from, index);
+    if (source.status !== 'assigned' && source.status !== 'spare') {
+      throw badRequest(index, `port ${source.port} has no drop to move`);
+    }
+    sources = [source];
+  }
+
+  const start = findRecord(records, to, index);
+  const ports = records.map(record => record.port).sort((a, b) => a - b);
+  const startIndex = ports.indexOf(start.port);
+  const targetPorts = ports.slice(startIndex, startIndex + sources.length);
+  if (targetPorts.length < sources.length) {
+    throw badRequest(index, `not enough ports after port ${start.port} for ${sources.length} fibers`);
+  }
+
+  const drops = sources.map(record => DROP_FIELDS.reduce((drop, field) => ({ ...drop, [field]: record[field] }), {}));
+  sources.forEach(record => Object.assign(record, { mst: '', address: '', sheet: null, terminal: '', status: 'unused' }));
+
+  const targets = targetPorts.map(port => records.find(record => record.port === port));
+  targets.forEach(record => {
+    if (record.cable === null) throw badRequest(index, `port ${record.port} has no cable fiber`);
+    if (record.status !== 'unused') {
+      throw badRequest(index, `port ${record.port} is ${record.status === 'damaged' ? 'on a damaged fiber' : 'already in use'}`);
+    }
+  });
+  targets.forEach((record, position) => Object.assign(record, drops[position]));
+
+  return {
+    op: 'move-drop',
+    from: sources.map(record => record.port),
+    to: targets.map(record => record.port)
+  };
+}
+
+// Mark a fiber damaged or reserved, or back to unused once it has been
+// repaired or released
+function markFiber(records, operation, index) {
+  const status = operation.status || 'damaged';
+  if (!FIBER_STATUSES.includes(status)) {
+    throw badRequest(index, `status must be one of: ${FIBER_STATUSES.join(', ')}`);
+  }
+
+  const record = findRecord(records, operation, index);
+  if (record.cable === null) throw badRequest(index, `port ${record.port} has no cable fiber`);
+  if (record.status === 'assigned' || record.status === 'spare') {
+    throw badRequest(index, `${describeFiber(record)} serves ${record.mst}; move the drop first`);
+  }
+
+  record.status = status;
+  if (operation.note) {
+    record.note = String(operation.note);
+  } else if (status === 'unused') {
+    delete record.note;
+  }
+
+  return { op: 'mark-fiber', port: record.port, cable: record.cable, fiber: record.fiber, status };
+}
+
+const OPERATIONS = {
+  'move-drop': moveDrop,
+  'mark-fiber': markFiber
+};
+
+// Returns { records, applied } without touching the records passed in
+function applySheetEdits(records, operations) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    const error = new Error('operations must be a non-empty array');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const edited = records.map(record => ({ ...record }));
+  const applied = operations.map((operation, index) => {
+    const apply = operation && OPERATIONS[operation.op];
+    if (!apply) {
+      throw badRequest(index, `op must be one of: ${Object.keys(OPERATIONS).join(', ')}`);
+    }
+    return apply(edited, operation, index);
+  });
+
+  return { records: edited, applied };
+}
+
+module.exports = {
+  EDIT_OPERATIONS: Object.keys(OPERATIONS),
+  MARKED_STATUSES: FIBER_STATUSES,
+  applySheetEdits
+};
@@ -0,0 +1,63 @@
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { applySheetEdits } = require('./sheetEditor');
+
+function sheetRecords() {
+  const generator = new SpliceSheetGenerator();
+  generator.generateSpliceSheet({
+    ports: 14,
+    cables: [{ name: '12F(1)', fiberCount: 12 }],
+    addresses: [
+      { mst: 'MST_1', address: '1 A ST', fiberCount: 2 },
+      { mst: 'MST_2', address: '2 B ST', fiberCount: 1 }
+    ]
+  });
+  return generator.records;
+}
+
+const drop = record => [record.port, record.mst, record.address, record.status];
+
+describe('sheet edits', () => {
+  test('move a drop from one port to a free fiber', () => {
+    const records = sheetRecords();
+    const { records: edited, applied } = applySheetEdits(records, [
+      { op: 'move-drop', from: { port: 3 }, to: { cable: '12f(1)', fiber: 8 } }
+    ]);
+
+    expect(applied).toEqual([{ op: 'move-drop', from: [3], to: [8] }]);
+    expect(drop(edited[2])).toEqual([3, '', '', 'unused']);
+    expect(drop(edited[7])).toEqual([8, 'MST_2', '2 B ST', 'assigned']);
+    expect(drop(records[2])).toEqual([3, 'MST_2', '2 B ST', 'assigned']);
+  });
+
+  test('move every port serving an address together', () => {
+    const { records, applied } = applySheetEdits(sheetRecords(), [{ op: 'move-drop', from: { address: '1 a st' }, to: { port: 5 } }]);
+
+    expect(applied[0]).toEqual({ op: 'move-drop', from: [1, 2], to: [5, 6] });
+    expect(records.slice(4, 6).map(drop)).toEqual([[5, 'MST_1', '1 A ST', 'assigned'], [6, 'MST_1', '1 A ST', 'assigned']]);
+  });
+
+  test('mark a fiber damaged with a note, then repaired', () => {
+    const { records } = applySheetEdits(sheetRecords(), [{ op: 'mark-fiber', port: 9, note: 'crushed at HH-4' }]);
+    expect(records[8]).toMatchObject({ status: 'damaged', note: 'crushed at HH-4' });
+
+    const repaired = applySheetEdits(records, [{ op: 'mark-fiber', cable: '12F(1)', fiber: 9, status: 'unused' }]).records[8];
+    expect(repaired.status).toBe('unused');
+    expect(repaired.note).toBeUndefined();
+  });
+
+  test('a failing operation rejects the whole batch as a 400', () => {
+    const records = sheetRecords();
+    const edit = operations => () => applySheetEdits(records, operations);
+
+    expect(edit([{ op: 'mark-fiber', port: 9 }, { op: 'move-drop', from: { port: 1 }, to: { port: 9 } }]))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'Operation 2: port 9 is on a damaged fiber' }));
+    expect(records[8].status).toBe('unused');
+
+    expect(edit([{ op: 'move-drop', from: { port: 1 }, to: { port: 3 } }])).toThrow('Operation 1: port 3 is already in use');
+    expect(edit([{ op: 'move-drop', from: { port: 1 }, to: { port: 13 } }])).toThrow('Operation 1: port 13 has no cable fiber');
+    expect(edit([{ op: 'mark-fiber', port: 1 }])).toThrow('Operation 1: 12F(1) fiber 1 serves MST_1; move the drop first');
+    expect(edit([{ op: 'mark-fiber', port: 40 }])).toThrow('Operation 1: port 40 is not on this sheet');
+    expect(edit([{ op: 'splice' }])).toThrow('Operation 1: op must be one of: move-drop, mark-fiber');
+    expect(edit([])).toThrow('operations must be a non-empty array');
+  });
+});
@@ -0,0 +1,106 @@
+// Fiber-by-fiber comparison of two splice sheets. Fibers are matched on
+// cable name and fiber number, so a fiber keeps its identity even when it
+// lands on a different FDH port between revisions.
+const CHANGE_TYPES = {
+  reassigned: 'Fiber now feeds a different MST, terminal or FDH port',
+  'newly-lit': 'Fiber was dark and is now spliced through to an MST',
+  released: 'Fiber was spliced through to an MST and is now dark',
+  'address-changed': 'Same MST and terminal, different address'
+};
+
+function fiberKey(record) {
+  return `${record.cable}\u0000${record.fiber}`;
+}
+
+// Assigned and spare fibers are both spliced through to their terminal
+function isLit(record) {
+  return Boolean(record) && (record.status === 'assigned' || record.status === 'spare');
+}
+
+function snapshot(record) {
+  if (!record) return null;
+  return {
+    port: record.port,
+    mst: record.mst || '',
+    address: record.address || '',
+    sheet: record.sheet || null,
+    terminal: record.terminal || '',
+    status: record.status
+  };
+}
+
+function indexByFiber(records) {
+  const fibers = new Map();
+  records.forEach(record => {
+    if (record.cable && record.fiber) fibers.set(fiberKey(record), record);
+  });
+  return fibers;
+}
+
+function classify(before, after) {
+  const wasLit = isLit(before);
+  const isNowLit = isLit(after);
+
+  if (!wasLit && isNowLit) return 'newly-lit';
+  if (wasLit && !isNowLit) return 'released';
+  if (!wasLit) return null;
+
+  if (before.mst !== after.mst || before.terminal !== after.terminal || before.port !== after.port) {
+    return 'reassigned';
+  }
+  if (before.address !== after.address || before.status !== after.status) {
+    return 'address-changed';
+  }
+  return null;
+}
+
+// Compare two lists of per-port records (from generateSpliceSheet or
+// readSpliceSheet). Returns { summary, changes } with changes sorted by cable
+// order in the newer sheet, then fiber.
+function diffSpliceSheets(beforeRecords, afterRecords) {
+  const beforeFibers = indexByFiber(beforeRecords);
+  const afterFibers = indexByFiber(afterRecords);
+  const keys = [...new Set([...afterFibers.keys(), ...beforeFibers.keys()])];
+  const cableOrder = [...new Set([...afterRecords, ...beforeRecords].map(record => record.cable).filter(Boolean))];
+
+  const changes = [];
+  keys.forEach(key => {
+    const before = beforeFibers.get(key);
+    const after = afterFibers.get(key);
+    const type = classify(before, after);
+    if (!type) return;
+
+    const record = after || before;
+    changes.push({
+      type,
+      cable: record.cable,
+      fiber: record.fiber,
+      before: snapshot(before),
+      after: snapshot(after)
+    });
+  });
+
+  changes.sort((a, b) => cableOrder.indexOf(a.cable) - cableOrder.indexOf(b.cable) || a.fiber - b.fiber);
+
+  const summary = { fibersCompared: keys.length, changed: changes.length };
+  Object.keys(CHANGE_TYPES).forEach(type => {
+    summary[type] = changes.filter(change => change.type === type).length;
+  });
+
+  return { summary, changes };
+}
+
+// FDH port (row) in the newer sheet for each change, for highlighting
+function changedPorts(report) {
+  const ports = new Map();
+  report.changes.forEach(change => {
+    if (change.after && change.after.port) ports.set(change.after.port, change.type);
+  });
+  return ports;
+}
+
+module.exports = {
+  CHANGE_TYPES,
+  diffSpliceSheets,
+  changedPorts
+};
@@ -0,0 +1,105 @@
+const ExcelJS = require('exceljs');
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { CHANGE_FILLS, addChangesSheet, addSpliceSheet } = require('./excelExport');
+const { CHANGE_TYPES, diffSpliceSheets, changedPorts } = require('./spliceDiff');
+
+const CABLES = [{ name: '12F(1)', fiberCount: 12 }, { name: '12F(2)', fiberCount: 12 }];
+
+function records(addresses, cables = CABLES) {
+  const generator = new SpliceSheetGenerator();
+  generator.generateSpliceSheet({ ports: 24, cables, addresses });
+  return generator.records;
+}
+
+describe('splice sheet diff', () => {
+  const first = [
+    { mst: 'MST_1', address: '1 A ST', fiberCount: 2 },
+    { mst: 'MST_2', address: '2 B ST', fiberCount: 2 },
+    { mst: 'MST_3', address: '3 C ST', fiberCount: 2 }
+  ];
+
+  test('identical sheets have no changes', () => {
+    expect(diffSpliceSheets(records(first), records(first))).toEqual({
+      summary: { fibersCompared: 24, changed: 0, reassigned: 0, 'newly-lit': 0, released: 0, 'address-changed': 0 },
+      changes: []
+    });
+  });
+
+  test('classifies each changed fiber', () => {
+    const report = diffSpliceSheets(records(first), records([
+      { mst: 'MST_1', address: '1 A ST UNIT 2', fiberCount: 2 },
+      { mst: 'MST_3', address: '3 C ST', fiberCount: 2 },
+      { mst: 'MST_4', address: '4 D ST', fiberCount: 4 }
+    ]));
+
+    expect(report.summary).toEqual({ fibersCompared: 24, changed: 8, reassigned: 4, 'newly-lit': 2, released: 0, 'address-changed': 2 });
+    expect(report.changes.map(change => [change.fiber, change.type])).toEqual([
+      [1, 'address-changed'],
+      [2, 'address-changed'],
+      [3, 'reassigned'],
+      [4, 'reassigned'],
+      [5, 'reassigned'],
+      [6, 'reassigned'],
+      [7, 'newly-lit'],
+      [8, 'newly-lit']
+    ]);
+    expect(report.changes[2]).toEqual({
+      type: 'reassigned',
+      cable: '12F(1)',
+      fiber: 3,
+      before: { port: 3, mst: 'MST_2', address: '2 B ST', sheet: null, terminal: '', status: 'assigned' },
+      after: { port: 3, mst: 'MST_3', address: '3 C ST', sheet: null, terminal: '', status: 'assigned' }
+    });
+  });
+
+  test('fibers keep their identity when they move to another port', () => {
+    const after = records(
+      [{ mst: 'MST_1', address: '1 A ST', portRange: '13-14' }],
+      [{ name: '12F(1)', fiberCount: 12, startPort: 13 }, { name: '12F(2)', fiberCount: 12 }]
+    );
+    const report = diffSpliceSheets(records(first), after);
+
+    expect(report.summary).toMatchObject({ changed: 6, reassigned: 2, 'newly-lit': 0, released: 4 });
+    expect(report.changes[0]).toMatchObject({
+      cable: '12F(1)',
+      fiber: 1,
+      type: 'reassigned',
+      before: { port: 1, mst: 'MST_1', address: '1 A ST' },
+      after: { port: 13, mst: 'MST_1', address: '1 A ST' }
+    });
+  });
+
+  test('fibers going dark are released, and ports map to their change', () => {
+    const report = diffSpliceSheets(records(first), records(first.slice(0, 2)));
+
+    expect(report.changes.map(change => [change.fiber, change.type])).toEqual([[5, 'released'], [6, 'released']]);
+    expect(changedPorts(report)).toEqual(new Map([[5, 'released'], [6, 'released']]));
+  });
+});
+
+describe('diff workbook', () => {
+  test('lists the changes and highlights their rows in the newer sheet', () => {
+    const before = records([{ mst: 'MST_1', address: '1 A ST', fiberCount: 2 }]);
+    const generator = new SpliceSheetGenerator();
+    const spliceData = generator.generateSpliceSheet({ ports: 24, cables: CABLES, addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 3 }] });
+    const report = diffSpliceSheets(before, generator.records);
+
+    // Built the way exportDiffToExcel builds it
+    const workbook = new ExcelJS.Workbook();
+    const highlights = new Map();
+    changedPorts(report).forEach((type, port) => highlights.set(port, CHANGE_FILLS[type]));
+    addChangesSheet(workbook, report, CHANGE_TYPES);
+    const sheet = addSpliceSheet(workbook, spliceData, {
+      cables: generator.cables,
+      getGroupScheme: index => generator.getGroupScheme(index),
+      highlights
+    });
+
+    expect(workbook.worksheets.map(worksheet => worksheet.name)).toEqual(['Changes', 'Splice Sheet']);
+    const changes = workbook.getWorksheet('Changes').getSheetValues().map(values => values[1]).filter(Boolean);
+    expect(changes).toEqual(['Legend', 'reassigned', 'newly-lit', 'released', 'address-changed', 'Changed Fibers (1)', 'Change', 'newly-lit']);
+
+    expect(sheet.getRow(5).getCell(1).fill.fgColor.argb).toBe(CHANGE_FILLS['newly-lit']);
+    expect(sheet.getRow(4).getCell(1).fill).toBeUndefined();
+  });
+});
@@ -0,0 +1,1421 @@
+// Turns an FDH design (ports, cables, addresses, optional feeder cable and
+// splitters) into a splice sheet and exports it as xlsx, pdf, csv or json.
+const ExcelJS = require('exceljs');
+const path = require('path');
+const fs = require('fs');
+
+const {
+  DEFAULT_COLOR_SCHEME,
+  createColorScheme,
+  getColorScheme,
+  sequenceColor
+} = require('./colorSchemes');
+const { CABLE_TYPES, DEFAULT_FIBERS_PER_ADDRESS, SPLIT_RATIOS } = require('./inputTemplate');
+const InputParser = require('./inputParser');
+const { writeSplicePdf } = require('./pdfExport');
+const { buildFiberDocument, toCsv, writeCsv, writeFiberDocument } = require('./dataExport');
+const SpliceValidator = require('./spliceValidator');
+const { tracePath, formatTrace, buildNetworkTree } = require('./networkTree');
+const { traceFibers } = require('./fiberTrace');
+const { WAVELENGTHS, resolveLossBudget, pathLoss } = require('./lossBudget');
+const { resolveClosure, trayTally, trayEntries, buildTrayLayout } = require('./trayLayout');
+const {
+  FIBER_STATUSES,
+  DECLARED_STATUSES,
+  OFF_PORT_STATUSES,
+  resolveReserveRules,
+  resolveFiberStatuses,
+  fiberStatusOf,
+  countStatuses
+} = require('./fiberStatus');
+const { resolveAddressOrder, orderAlongRoute } = require('./routeOrder');
+const { CHANGE_TYPES, changedPorts } = require('./spliceDiff');
+const {
+  addSpliceSheet,
+  streamSpliceSheet,
+  addTerminalSheets,
+  streamTerminalSheets,
+  addSummarySheet,
+  addCableInventorySheet,
+  addTrayLayoutSheet,
+  streamTrayLayoutSheet,
+  addChangesSheet,
+  CHANGE_FILLS
+} = require('./excelExport');
+
+// Fiber construction standards
+const STANDARD_FIBERS_PER_TUBE = 12;
+const STANDARD_FIBERS_PER_RIBBON = 12;
+const OUTPUT_DIR = path.join(__dirname, '..', 'output');
+
+// Output file formats exportOutput can produce
+const OUTPUT_FORMATS = ['xlsx', 'pdf', 'csv', 'json'];
+
+// Formats streamOutput can write row by row
+const STREAM_FORMATS = ['xlsx', 'csv', 'json'];
+
+// Address entries for vacant lots, e.g. "VAC"
+const VACANT_ADDRESS = /^VAC(ANT)?\b/i;
+
+class SpliceSheetGenerator {
+  // options.outputDir: where exports are written (default: output/)
+  constructor(options = {}) {
+    this.outputDir = options.outputDir || OUTPUT_DIR;
+    this.fiberColorIndex = 0;
+    this.bufferTubeIndex = 0;
+    this.warnings = [];
+    this.inputData = {};
+    this.cables = [];
+    this.feederCable = null;
+    this.splitters = [];
+    this.lossBudget = null;
+    this.closure = null;
+    this.reserveRules = resolveReserveRules();
+    this.fiberStatuses = [];
+    this.addresses = [];
+    this.records = [];
+    this.plan = null;
+    this.unservedAddresses = [];
+    this.colorScheme = DEFAULT_COLOR_SCHEME;
+    this.customColorSchemes = {};
+  }
+
+  // Pick up the request-level color scheme and any custom schemes the input
+  // defines, as an array of { name, colors } or a map of name to definition
+  useColorSchemes(inputData) {
+    const { colorScheme, customColorSchemes = [] } = inputData;
+    const definitions = Array.isArray(customColorSchemes)
+      ? customColorSchemes
+      : Object.entries(customColorSchemes).map(([name, definition]) => ({ ...definition, name }));
+
+    definitions.forEach(definition => {
+      try {
+        const scheme = createColorScheme(definition.name, definition);
+        this.customColorSchemes[scheme.name.toUpperCase()] = scheme;
+      } catch (error) {
+        error.statusCode = 400;
+        throw error;
+      }
+    });
+
+    if (colorScheme) {
+      this.colorScheme = this.getColorScheme(colorScheme).name;
+    }
+  }
+
+  // Resolve a scheme name against this request's custom schemes, then the registry
+  getColorScheme(name = this.colorScheme) {
+    return this.customColorSchemes[String(name).toUpperCase()] || getColorScheme(name);
+  }
+
+  // Resolve a cable's construction, filling in the standard loose-tube defaults.
+  // Ribbon cables default to twelve 12-fiber ribbons per tube.
+  getCableConstruction(cable = {}) {
+    const type = cable.type === 'ribbon' ? 'ribbon' : 'loose-tube';
+    const fiberCount = parseInt(cable.fiberCount) || 0;
+    const fibersPerRibbon = parseInt(cable.fibersPerRibbon) || STANDARD_FIBERS_PER_RIBBON;
+    const fibersPerTube = parseInt(cable.fibersPerTube) ||
+      (type === 'ribbon' ? fibersPerRibbon * 12 : STANDARD_FIBERS_PER_TUBE);
+    const tubeCount = parseInt(cable.tubeCount) || Math.max(1, Math.ceil(fiberCount / fibersPerTube));
+
+    return { type, fiberCount, fibersPerTube, tubeCount, fibersPerRibbon };
+  }
+
+  // Calculate buffer tube and fiber numbers based on position. For ribbon
+  // cables fiberNumber/fiberColor are the position within the ribbon.
+  calculateFiberPosition(fiberNumber, cable = {}) {
+    const construction = this.getCableConstruction(
+      typeof cable === 'number' ? { fibersPerTube: cable } : cable
+    );
+    const { fibersPerTube, fibersPerRibbon } = construction;
+    const scheme = this.getColorScheme(cable.colorScheme || this.colorScheme);
+    const bufferTubeNumber = Math.floor((fiberNumber - 1) / fibersPerTube) + 1;
+    const fiberInTube = ((fiberNumber - 1) % fibersPerTube) + 1;
+    
+    if (construction.type === 'ribbon') {
+      const ribbonInTube = Math.floor((fiberInTube - 1) / fibersPerRibbon) + 1;
+      const fiberInRibbon = ((fiberNumber - 1) % fibersPerRibbon) + 1;
+
+      return {
+        bufferTube: bufferTubeNumber,
+        bufferColor: sequenceColor(scheme, bufferTubeNumber),
+        ribbon: Math.floor((fiberNumber - 1) / fibersPerRibbon) + 1,
+        ribbonColor: sequenceColor(scheme, ribbonInTube),
+        fiberNumber: fiberInRibbon,
+        fiberColor: sequenceColor(scheme, fiberInRibbon, { lowercase: true }),
+        colorScheme: scheme.name
+      };
+    }
+
+    return {
+      bufferTube: bufferTubeNumber,
+      bufferColor: sequenceColor(scheme, bufferTubeNumber),
+      fiberNumber: fiberInTube,
+      fiberColor: sequenceColor(scheme, fiberInTube, { lowercase: true }),
+      colorScheme: scheme.name
+    };
+  }
+
+  // Warn about cable definitions whose construction can't hold their fibers
+  checkCableConstruction(cables) {
+    cables.forEach(cable => {
+      const construction = this.getCableConstruction(cable);
+
+      if (cable.colorScheme) {
+        this.getColorScheme(cable.colorScheme);
+      }
+      if (cable.type && !CABLE_TYPES.includes(cable.type)) {
+        this.addWarning('INVALID_CABLE_TYPE', `Cable ${cable.name} has unknown type "${cable.type}"; treated as loose-tube`);
+      }
+      if (construction.tubeCount * construction.fibersPerTube < construction.fiberCount) {
+        this.addWarning(
+          'CONSTRUCTION_MISMATCH',
+          `Cable ${cable.name} has ${construction.fiberCount} fibers but ${construction.tubeCount} tubes of ${construction.fibersPerTube} only hold ${construction.tubeCount * construction.fibersPerTube}`
+        );
+      }
+      if (construction.type === 'ribbon' && construction.fibersPerTube % construction.fibersPerRibbon !== 0) {
+        this.addWarning(
+          'CONSTRUCTION_MISMATCH',
+          `Cable ${cable.name} has ${construction.fibersPerTube} fibers per tube, which is not a whole number of ${construction.fibersPerRibbon}-fiber ribbons`
+        );
+      }
+    });
+  }
+
+  // Generate splice sheet data
+  generateSpliceSheet(inputData) {
+    this.buildRecords(inputData);
+    return [...this.rows()];
+  }
+
+  // prepareRecords, then build every record and keep them in this.records,
+  // without laying out the sheet rows
+  buildRecords(inputData) {
+    this.prepareRecords(inputData);
+    this.records = [...this.generateRecords()];
+    return this.records;
+  }
+
+  // Allocate fibers, splitters, feeder and drops: everything the records are
+  // built from, so bad input fails here before any record is read
+  prepareRecords(inputData) {
+    const {
+      ports = 96,
+      mainCableName = 'FDH108_144F_1-96',
+      cables = [],
+      addresses = []
+    } = inputData;
+
+    this.warnings = [];
+    this.inputData = inputData;
+    this.cables = cables;
+    this.records = [];
+    this.feederCable = inputData.feederCable || null;
+    if (this.feederCable && (!this.feederCable.name || !(parseInt(this.feederCable.fiberCount) > 0))) {
+      const error = new Error('feederCable needs a name and a fiberCount');
+      error.statusCode = 400;
+      throw error;
+    }
+    this.addresses = inputData.addressOrder ? this.orderAddresses(addresses, resolveAddressOrder(inputData.addressOrder)) : addresses;
+    this.useColorSchemes(inputData);
+    this.checkCableConstruction(this.feederCable ? [this.feederCable, ...cables] : cables);
+    this.reserveRules = resolveReserveRules(inputData.reserve);
+    this.fiberStatuses = cables.map(cable => resolveFiberStatuses(cable, this.getCableConstruction(cable), this.reserveRules));
+    const allocations = this.allocateFibers(cables, ports);
+    const splitterLegs = this.allocateSplitters(inputData.splitters, ports);
+    const feederFibers = this.allocateFeeder(this.feederCable, ports, splitterLegs);
+    const { assignments, unserved } = this.assignAddresses(this.addresses, ports, allocations);
+    this.unservedAddresses = unserved;
+    this.lossBudget = inputData.lossBudget ? resolveLossBudget(inputData.lossBudget) : null;
+    this.closure = inputData.closure ? resolveClosure(inputData.closure) : null;
+    this.plan = { ports, mainCableName, allocations, assignments, feederFibers, splitterLegs };
+    if (this.lossBudget) this.checkLossBudget();
+  }
+
+  // The prepared records one port at a time, each built as it is read and
+  // not kept. ports narrows them to some ports, in the order given.
+  * generateRecords(ports) {
+    const { mainCableName, allocations, assignments, feederFibers, splitterLegs } = this.plan;
+    const build = port => this.buildRecord(port, mainCableName, allocations[port], assignments[port], feederFibers[port], splitterLegs[port]);
+    if (ports) {
+      for (const port of ports) yield build(port);
+      return;
+    }
+    for (let port = 1; port <= this.plan.ports; port++) yield build(port);
+  }
+
+  // The header row, then dataRows
+  * rows(records = this.records) {
+    yield this.generateHeaders(this.cables);
+    yield* this.dataRows(records);
+  }
+
+  // One sheet row per record, laid out as it's read
+  * dataRows(records = this.records) {
+    for (const record of records) {
+      yield this.recordToRow(record, this.cables);
+    }
+  }
+
+  // Use records read back from an existing splice sheet (and possibly edited
+  // since) instead of generating them, so the usual exports can render them.
+  // Returns the sheet rows as generateSpliceSheet would.
+  loadRecords({ mainCableName = '', cables = [], records = [], colorScheme, project, revision }) {
+    this.warnings = [];
+    this.inputData = { mainCableName, cables, colorScheme, project, revision };
+    this.cables = cables;
+    this.feederCable = null;
+    this.splitters = [];
+    this.lossBudget = null;
+    this.closure = null;
+    this.reserveRules = resolveReserveRules();
+    this.records = records;
+    this.plan = null;
+    this.unservedAddresses = [];
+    this.useColorSchemes(this.inputData);
+    this.fiberStatuses = cables.map(cable => resolveFiberStatuses(cable, this.getCableConstruction(cable)));
+
+    // One address entry per drop, for the summary's address totals
+    const drops = new Map();
+    records.filter(record => record.status === 'assigned').forEach(record => {
+      drops.set(`${record.mst}\u0000${record.address}`, { mst: record.mst, address: record.address });
+    });
+    this.addresses = [...drops.values()];
+
+    return [...this.rows()];
+  }
+
+  // Feeder -> FDH -> distribution -> MST -> drop tree of the last sheet
+  buildNetworkTree() {
+    return buildNetworkTree(this.records, {
+      fdh: this.inputData.mainCableName || '',
+      feederCable: this.feederCable,
+      splitters: this.splitters,
+      cables: this.cables.map(cable => ({ name: cable.name, fiberCount: this.getCableConstruction(cable).fiberCount }))
+    });
+  }
+
+  // Closure tray and slot for every splice on the last sheet, with the cable
+  // fibers stored or passing through. closure defaults to the design's own, if any.
+  buildTrayLayout(closure = this.closure || resolveClosure()) {
+    const fibers = this.fiberTally();
+    this.records.forEach(fibers.add);
+    return buildTrayLayout(this.records, this.trayLayoutOptions(closure, fibers));
+  }
+
+  // buildTrayLayout of the prepared records: the totals from a summaryTally
+  // that has seen every record, and the entries built again as they are read
+  preparedTrayLayout(tally) {
+    return {
+      closure: this.closure,
+      summary: tally.trays.summary(),
+      trays: tally.trays.trays(),
+      entries: trayEntries(this.generateRecords(), tally.trays.count(), this.trayLayoutOptions(this.closure, tally.fibers))
+    };
+  }
+
+  // fibers is a fiberTally that has seen every record by the time the fibers
+  // on no port are read
+  trayLayoutOptions(closure, fibers) {
+    return {
+      closure,
+      fdh: this.inputData.mainCableName || '',
+      unported: () => fibers.unported(),
+      stubPosition: port => this.calculateFiberPosition(port, {}),
+      cablePosition: (cableIndex, fiber) => this.calculateFiberPosition(fiber, this.cables[cableIndex])
+    };
+  }
+
+  // Every fiber of every distribution cable with its status and the port it
+  // lands on. Fibers on no port are express unless the design says otherwise.
+  buildFiberInventory(records = this.records) {
+    const fibers = this.fiberTally();
+    for (const record of records) fibers.add(record);
+    return fibers.inventory();
+  }
+
+  // buildFiberInventory counted as the records go by: add() each record, then
+  // inventory() or unported() once the last is in. Only a port and a status
+  // are kept per cable fiber, so what's held is set by the cables.
+  fiberTally() {
+    const cables = this.cables.map((cable, cableIndex) => {
+      const { fiberCount } = this.getCableConstruction(cable);
+      return {
+        name: cable.name,
+        fiberCount,
+        declared: this.fiberStatuses[cableIndex] || new Map(),
+        ports: new Uint32Array(fiberCount + 1),
+        statuses: new Uint8Array(fiberCount + 1)
+      };
+    });
+
+    const add = record => {
+      const cable = record.cable === null ? null : cables[record.cableIndex];
+      if (!cable || record.fiber > cable.fiberCount) return;
+      cable.ports[record.fiber] = record.port;
+      cable.statuses[record.fiber] = FIBER_STATUSES.indexOf(fiberStatusOf(record)) + 1;
+    };
+    const fiberAt = (cable, fiber) => ({
+      fiber,
+      port: cable.ports[fiber] || null,
+      status: cable.statuses[fiber] ? FIBER_STATUSES[cable.statuses[fiber] - 1] : (cable.declared.get(fiber) || 'express')
+    });
+
+    const inventory = () => cables.map(cable => {
+      const fibers = [];
+      for (let fiber = 1; fiber <= cable.fiberCount; fiber++) fibers.push(fiberAt(cable, fiber));
+      return { name: cable.name, fibers };
+    });
+
+    // { cableIndex, cable, fiber, status } of each fiber on no port
+    function* unported() {
+      for (let cableIndex = 0; cableIndex < cables.length; cableIndex++) {
+        const cable = cables[cableIndex];
+        for (let fiber = 1; fiber <= cable.fiberCount; fiber++) {
+          if (!cable.ports[fiber]) yield { cableIndex, cable: cable.name, fiber, status: fiberAt(cable, fiber).status };
+        }
+      }
+    }
+
+    return { add, inventory, unported };
+  }
+
+  // Fibers the cables can bring to FDH ports: from each cable's startFiber,
+  // less the fibers kept off the ports as express or dark. A dark fiber
+  // already on a port (an idle port read back from a sheet) still counts.
+  portCapacity() {
+    const onPorts = new Set(this.records.filter(record => record.cable !== null)
+      .map(record => `${record.cableIndex}/${record.fiber}`));
+
+    return this.cables.reduce((total, cable, cableIndex) => {
+      const { fiberCount } = this.getCableConstruction(cable);
+      const startFiber = parseInt(cable.startFiber) || 1;
+      let offPort = 0;
+      (this.fiberStatuses[cableIndex] || new Map()).forEach((status, fiber) => {
+        if (OFF_PORT_STATUSES.includes(status) && fiber >= startFiber && !onPorts.has(`${cableIndex}/${fiber}`)) offPort++;
+      });
+      return total + Math.max(0, fiberCount - startFiber + 1 - offPort);
+    }, 0);
+  }
+
+  // Full path for an address (fuzzy), MST, cable fiber or port on the last sheet
+  trace(query, options = {}) {
+    return traceFibers(this.records, query, { fdh: this.inputData.mainCableName, ...options });
+  }
+
+  // Consistency checks on the last generated or loaded sheet
+  validateSheet() {
+    return new SpliceValidator(this).validate();
+  }
+
+  // Structured view of one port: the cable fiber it lands on and what it serves
+  buildRecord(port, mainCableName, allocation, assignment, feederFiber, splitterLeg) {
+    const record = {
+      port,
+      mainCableName,
+      cable: null,
+      cableIndex: null,
+      fiber: null,
+      mst: '',
+      address: '',
+      sheet: null,
+      terminal: '',
+      status: 'unused'
+    };
+
+    if (allocation) {
+      const fiberPos = this.calculateFiberPosition(allocation.fiber, allocation.cable);
+      Object.assign(record, {
+        cable: allocation.cable.name,
+        cableIndex: allocation.cableIndex,
+        fiber: allocation.fiber
+      }, fiberPos);
+      // A fiber the cable declares reserved or damaged holds its port
+      if (allocation.status) record.status = allocation.status;
+    }
+
+    if (assignment) {
+      const addressInfo = assignment.addressInfo;
+      Object.assign(record, {
+        mst: addressInfo.mst || '',
+        address: assignment.status === 'assigned' ? (addressInfo.address || '') : '',
+        sheet: addressInfo.sheet || null,
+        terminal: addressInfo.terminal || '',
+        status: assignment.status
+      });
+    }
+
+    // Splitter leg feeding the port, with any upstream splitters in splitterPath
+    if (this.splitters.length > 0) {
+      Object.assign(record, {
+        splitter: splitterLeg ? splitterLeg.splitter : null,
+        splitterLeg: splitterLeg ? splitterLeg.leg : null,
+        splitterPath: splitterLeg ? splitterLeg.path : []
+      });
+    }
+
+    // Upstream feeder fiber and the full path down to the drop
+    if (this.feederCable || this.splitters.length > 0) {
+      const feederPosition = feederFiber && this.feederCable ? this.calculateFiberPosition(feederFiber, this.feederCable) : null;
+      Object.assign(record, {
+        feederCable: feederFiber && this.feederCable ? this.feederCable.name : null,
+        feederFiber: feederFiber || null,
+        feederBufferColor: feederPosition ? feederPosition.bufferColor : null,
+        feederFiberColor: feederPosition ? feederPosition.fiberColor : null
+      });
+      record.trace = formatTrace(tracePath(record));
+    }
+
+    // End-to-end loss for served addresses
+    if (this.lossBudget) {
+      Object.assign(record, { pathLength: null, loss1310: null, loss1550: null, lossStatus: null });
+      if (record.status === 'assigned' && allocation) {
+        Object.assign(record, pathLoss(this.lossPath(record, allocation.cable, assignment.addressInfo), this.lossBudget));
+      }
+    }
+
+    return record;
+  }
+
+  // Length, splices, connectors and splitters between the feeder and a drop.
+  // An address's distance replaces its cable's full length when given.
+  lossPath(record, cable, addressInfo) {
+    const feeder = record.feederCable ? this.feederCable : {};
+    const number = value => parseFloat(value) || 0;
+    const distance = addressInfo.distance !== undefined ? addressInfo.distance : cable.length;
+    return {
+      length: number(feeder.length) + number(distance) + number(addressInfo.dropLength),
+      splices: number(feeder.splices) + number(cable.splices) + number(addressInfo.splices),
+      connectors: number(addressInfo.connectors),
+      splitters: (record.splitterPath || []).map(hop => {
+        const splitter = this.splitters.find(candidate => candidate.name === hop.name);
+        return splitter ? splitter.ratio : null;
+      })
+    };
+  }
+
+  // Warn about drops over the budget, and drops whose loss leaves out the
+  // distribution fiber because neither the address nor its cable has a length.
+  // Only the drop ports' records are built, and none are kept.
+  checkLossBudget() {
+    const { assignments } = this.plan;
+    const failing = new Set();
+    const unmeasured = new Set();
+    const dropPorts = assignments.map((assignment, port) => (assignment ? port : null)).filter(port => port !== null);
+    for (const record of this.generateRecords(dropPorts)) {
+      if (record.lossStatus === 'fail') failing.add(record.address);
+      const cable = this.cables[record.cableIndex];
+      if (record.status === 'assigned' && assignments[record.port].addressInfo.distance === undefined && !(cable && cable.length)) {
+        unmeasured.add(record.address);
+      }
+    }
+
+    if (failing.size > 0) {
+      this.addWarning('LOSS_BUDGET_EXCEEDED',
+        `${failing.size} address(es) exceed the loss budget less the ${this.lossBudget.margin} dB margin`,
+        { addresses: [...failing] });
+    }
+    if (unmeasured.size > 0) {
+      this.addWarning('LOSS_LENGTH_MISSING',
+        `${unmeasured.size} address(es) have no distance and their cable no length; their loss leaves out the distribution fiber`,
+        { addresses: [...unmeasured] });
+    }
+  }
+
+  // Lay a record out in the generateHeaders column order
+  recordToRow(record, cables) {
+    const row = [record.port, record.mainCableName];
+    
+    // Fill in the cable group this port's fiber lands on
+    cables.forEach((cable, cableIndex) => {
+      if (record.cableIndex === cableIndex) {
+        const isRibbon = record.ribbon !== undefined;
+        row.push(
+          record.fiber, // Fiber number on this cable
+          cable.name,
+          isRibbon ? record.ribbon : record.bufferTube,
+          isRibbon ? record.ribbonColor : record.bufferColor,
+          record.fiberNumber,
+          record.fiberColor
+        );
+      } else {
+        // Add empty values for unused cable positions
+        row.push('', cable.name, '', '', '', '');
+      }
+    });
+
+    // Add MST and address information
+    if (record.status === 'unused') {
+      // An idle port's fiber is dark; a port with no fiber is unused
+      row.push('', record.cable === null ? 'Unused' : 'Dark', '', '');
+    } else if (record.status === 'damaged') {
+      row.push('', 'Damaged', '', '');
+    } else {
+      const labels = { spare: 'Spare', reserved: 'Reserved' };
+      row.push(
+        record.mst,
+        labels[record.status] || record.address,
+        record.sheet ? `SHEET # ${record.sheet}` : '',
+        record.terminal
+      );
+    }
+
+    if (record.splitter !== undefined) {
+      row.push(record.splitter || '', record.splitterLeg || '');
+    }
+    if (record.trace !== undefined) {
+      row.push(record.trace);
+    }
+    if (record.lossStatus !== undefined) {
+      row.push(
+        record.loss1310 === null ? '' : record.loss1310,
+        record.loss1550 === null ? '' : record.loss1550,
+        record.lossStatus ? record.lossStatus.toUpperCase() : ''
+      );
+    }
+
+    return row;
+  }
+
+  // Totals for the summary and inventory tabs: fibers used/spare/dark per
+  // cable, addresses served and vacant lots
+  buildSummary(records = this.records) {
+    const tally = this.summaryTally();
+    for (const record of records) tally.add(record);
+    return tally.summary();
+  }
+
+  // buildSummary counted as the records go by: add() each record, then
+  // summary() once the last is in, so streamed records needn't be kept
+  summaryTally() {
+    let total = 0;
+    let lit = 0;
+    const statuses = { assigned: 0, spare: 0, reserved: 0, unused: 0, damaged: 0 };
+    const cableTotals = this.cables.map(() => ({ allocated: 0, ports: null, fibers: null }));
+    const legsInUse = new Map(this.splitters.map(splitter => [splitter.name, 0]));
+    const widen = (range, value) => (range ? { min: Math.min(range.min, value), max: Math.max(range.max, value) } : { min: value, max: value });
+    const formatRange = range => (range ? `${range.min}-${range.max}` : '');
+    const inUse = record => record.status === 'assigned' || record.status === 'spare';
+    const loss = this.lossBudget ? this.lossTally() : null;
+    const fibers = this.fiberTally();
+    const trays = this.closure ? trayTally(this.trayLayoutOptions(this.closure, fibers)) : null;
+
+    const add = record => {
+      total++;
+      if (record.cable !== null) lit++;
+      if (statuses[record.status] !== undefined) statuses[record.status]++;
+
+      const totals = cableTotals[record.cableIndex];
+      if (totals) {
+        totals.allocated++;
+        totals.ports = widen(totals.ports, record.port);
+        totals.fibers = widen(totals.fibers, record.fiber);
+      }
+      if (record.splitter && inUse(record) && legsInUse.has(record.splitter)) {
+        legsInUse.set(record.splitter, legsInUse.get(record.splitter) + 1);
+      }
+      fibers.add(record);
+      if (loss) loss.add(record);
+      if (trays) trays.add(record);
+    };
+
+    const summary = () => {
+      const inventory = fibers.inventory();
+      const cables = this.cables.map((cable, cableIndex) => {
+        const construction = this.getCableConstruction(cable);
+        const totals = cableTotals[cableIndex];
+        const cableStatuses = countStatuses(inventory[cableIndex].fibers);
+        const fibersWith = status => this.formatPortList(inventory[cableIndex].fibers
+          .filter(fiber => fiber.status === status).map(fiber => fiber.fiber));
+
+        return {
+          name: cable.name,
+          ...construction,
+          colorScheme: this.getColorScheme(cable.colorScheme || this.colorScheme).name,
+          startFiber: parseInt(cable.startFiber) || 1,
+          portRange: formatRange(totals.ports),
+          fiberRange: formatRange(totals.fibers),
+          allocated: totals.allocated,
+          used: cableStatuses.assigned,
+          spare: cableStatuses.spare,
+          reserved: cableStatuses.reserved,
+          dark: cableStatuses.dark,
+          express: cableStatuses.express,
+          damaged: cableStatuses.damaged,
+          ...DECLARED_STATUSES.reduce((lists, status) => ({ ...lists, [`${status}Fibers`]: fibersWith(status) }), {})
+        };
+      });
+
+      const servedAddresses = this.addresses.filter(addressInfo => !this.unservedAddresses.includes(addressInfo));
+
+      // Legs feeding a port with a drop or spare are in use; the rest of the
+      // legs that aren't cascaded to another splitter are idle
+      const splitters = this.splitters.map(splitter => {
+        const used = legsInUse.get(splitter.name);
+        return {
+          ...splitter,
+          legsInUse: used,
+          legsIdle: splitter.legs - splitter.legsToSplitters - used,
+          utilization: Math.round(((used + splitter.legsToSplitters) / splitter.legs) * 100)
+        };
+      });
+
+      return {
+        ports: { total, lit, ...statuses },
+        cables,
+        fibers: {
+          total: inventory.reduce((sum, cable) => sum + cable.fibers.length, 0),
+          ...countStatuses(inventory.flatMap(cable => cable.fibers))
+        },
+        addresses: {
+          total: this.addresses.length,
+          served: servedAddresses.length,
+          unserved: this.unservedAddresses.length,
+          vacancies: this.addresses.filter(addressInfo => VACANT_ADDRESS.test(addressInfo.address || '')).length,
+          terminals: new Set(servedAddresses.map(addressInfo => addressInfo.mst).filter(Boolean)).size
+        },
+        splitters,
+        lossBudget: loss ? loss.summary() : null,
+        trays: trays ? trays.summary() : null
+      };
+    };
+
+    // Pass records through, adding each as it goes by
+    function* count(records) {
+      for (const record of records) {
+        add(record);
+        yield record;
+      }
+    }
+
+    return { add, count, summary, fibers, trays };
+  }
+
+  // Paths over budget and the worst path at each wavelength, counted the
+  // same way as summaryTally
+  lossTally() {
+    const { lengthUnit, margin, budget } = this.lossBudget;
+    let paths = 0;
+    let passing = 0;
+    let failing = 0;
+    const wavelengths = WAVELENGTHS.map(wavelength => ({ wavelength, key: `loss${wavelength}`, worst: null, failing: 0 }));
+
+    const add = record => {
+      if (!record.lossStatus) return;
+      paths++;
+      if (record.lossStatus === 'pass') passing++;
+      if (record.lossStatus === 'fail') failing++;
+      wavelengths.forEach(entry => {
+        const value = record[entry.key];
+        if (!entry.worst || value > entry.worst.loss) {
+          entry.worst = { loss: value, address: record.address, port: record.port };
+        }
+        if (value + margin > budget[entry.wavelength]) entry.failing++;
+      });
+    };
+
+    const summary = () => ({
+      lengthUnit,
+      margin,
+      paths,
+      passing,
+      failing,
+      wavelengths: wavelengths.map(({ wavelength, worst, failing: over }) => ({
+        wavelength,
+        budget: budget[wavelength],
+        available: Math.round((budget[wavelength] - margin) * 100) / 100,
+        worstLoss: worst ? worst.loss : null,
+        worstAddress: worst ? worst.address : null,
+        worstPort: worst ? worst.port : null,
+        failing: over
+      }))
+    });
+
+    return { add, summary };
+  }
+
+  // Map each port to the cable fiber it lands on. Cables with a startPort are
+  // pinned there first; the rest are walked in order, each continuing on the
+  // next free port. startFiber skips fibers at the head of a cable, and
+  // express and dark fibers never land on a port. A reserved or damaged
+  // fiber takes its port with its status so no drop is put on it.
+  allocateFibers(cables, ports) {
+    const allocations = new Array(ports + 1).fill(null);
+
+    const allocateCable = (cable, cableIndex, startPort) => {
+      const fiberCount = parseInt(cable.fiberCount) || 0;
+      const startFiber = parseInt(cable.startFiber) || 1;
+      const declared = this.fiberStatuses[cableIndex] || new Map();
+      const nextFiber = from => {
+        let next = from;
+        while (OFF_PORT_STATUSES.includes(declared.get(next))) next++;
+        return next;
+      };
+      let fiber = nextFiber(startFiber);
+      let lastPort = startPort - 1;
+
+      if (startFiber > fiberCount) {
+        this.addWarning('INVALID_START_FIBER', `Cable ${cable.name} starts at fiber ${startFiber} but only has ${fiberCount} fibers`);
+        return lastPort;
+      }
+
+      for (let port = startPort; port <= ports && fiber <= fiberCount; port++) {
+        if (allocations[port]) {
+          if (cable.startPort) {
+            this.addWarning('PORT_CONFLICT', `Port ${port} is pinned to both ${allocations[port].cable.name} and ${cable.name}`);
+            fiber = nextFiber(fiber + 1);
+          }
+          continue;
+        }
+        allocations[port] = { cable, cableIndex, fiber, status: declared.get(fiber) };
+        fiber = nextFiber(fiber + 1);
+        lastPort = port;
+      }
+      return lastPort;
+    };
+
+    cables.forEach((cable, cableIndex) => {
+      if (cable.startPort) {
+        allocateCable(cable, cableIndex, parseInt(cable.startPort));
+      }
+    });
+
+    let nextPort = 1;
+    cables.forEach((cable, cableIndex) => {
+      if (!cable.startPort) {
+        nextPort = allocateCable(cable, cableIndex, nextPort) + 1;
+      }
+    });
+
+    const unlitPorts = [];
+    for (let port = 1; port <= ports; port++) {
+      if (!allocations[port]) unlitPorts.push(port);
+    }
+    if (unlitPorts.length > 0) {
+      this.addWarning(
+        'PORTS_WITHOUT_FIBER',
+        `${unlitPorts.length} port(s) have no cable fiber: ${this.formatPortList(unlitPorts)}`
+      );
+    }
+
+    return allocations;
+  }
+
+  // Map each FDH port to the feeder fiber behind it: the input fiber of its
+  // splitter, or for ports fed directly, the next feeder fiber from
+  // startFiber that no splitter takes
+  allocateFeeder(feederCable, ports, splitterLegs = []) {
+    const feederFibers = new Array(ports + 1).fill(null);
+    splitterLegs.forEach((leg, port) => {
+      if (leg) feederFibers[port] = leg.feederFiber;
+    });
+    if (!feederCable) return feederFibers;
+
+    const { fiberCount } = this.getCableConstruction(feederCable);
+    const splitFibers = new Set(this.splitters.map(splitter => splitter.feederFiber));
+    const overrun = this.splitters.filter(splitter => splitter.stage === 1 && splitter.feederFiber > fiberCount);
+    if (overrun.length > 0) {
+      const error = new Error(`${feederCable.name} has ${fiberCount} fibers; splitter ${overrun[0].name} is on fiber ${overrun[0].feederFiber}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let fiber = parseInt(feederCable.startFiber) || 1;
+    const unfed = [];
+    for (let port = 1; port <= ports; port++) {
+      if (splitterLegs[port]) continue;
+
+      while (splitFibers.has(fiber)) fiber++;
+      if (fiber <= fiberCount) {
+        feederFibers[port] = fiber++;
+      } else {
+        unfed.push(port);
+      }
+    }
+
+    if (unfed.length > 0) {
+      this.addWarning('FEEDER_SHORTFALL',
+        `${feederCable.name} has no fiber for ${unfed.length} port(s): ${this.formatPortList(unfed)}`);
+    }
+    return feederFibers;
+  }
+
+  // "1x32", "1:32" or 32 -> 32
+  parseSplitRatio(ratio, name) {
+    const match = String(ratio || '').trim().match(/^(?:1\s*[x:]\s*)?(\d+)$/i);
+    const legs = match ? parseInt(match[1]) : NaN;
+    if (!SPLIT_RATIOS.includes(legs)) {
+      const error = new Error(`Splitter ${name} has ratio "${ratio}"; use one of: ${SPLIT_RATIOS.map(count => `1x${count}`).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return legs;
+  }
+
+  // Resolve each splitter's input (a feeder fiber for the first stage, or a
+  // leg of an upstream splitter for cascaded stages) and map the legs that
+  // don't feed another splitter to its portRange in order. Returns, per port,
+  // { splitter, leg, path, feederFiber } or null.
+  allocateSplitters(definitions = [], ports) {
+    const splitterLegs = new Array(ports + 1).fill(null);
+    const fail = message => {
+      const error = new Error(message);
+      error.statusCode = 400;
+      throw error;
+    };
+
+    const byName = new Map();
+    definitions.forEach((definition, index) => {
+      const name = definition.name ? String(definition.name) : fail(`Splitter ${index + 1} needs a name`);
+      if (byName.has(name.toUpperCase())) fail(`Splitter ${name} is defined twice`);
+      byName.set(name.toUpperCase(), {
+        name,
+        ratio: this.parseSplitRatio(definition.ratio, name),
+        definition,
+        childLegs: new Map()
+      });
+    });
+
+    const resolve = (splitter, pending) => {
+      if (splitter.stage) return;
+      const { inputSplitter, inputLeg, feederFiber } = splitter.definition;
+
+      if (inputSplitter) {
+        const parent = byName.get(String(inputSplitter).toUpperCase()) || fail(`Splitter ${splitter.name} is fed from unknown splitter ${inputSplitter}`);
+        if (pending.has(parent)) fail(`Splitters ${splitter.name} and ${parent.name} feed each other`);
+        resolve(parent, new Set([...pending, splitter]));
+
+        const leg = parseInt(inputLeg);
+        if (!(leg >= 1 && leg <= parent.ratio)) fail(`Splitter ${splitter.name} needs an inputLeg from 1 to ${parent.ratio} on ${parent.name}`);
+        if (parent.childLegs.has(leg)) fail(`${parent.name} leg ${leg} already feeds ${parent.childLegs.get(leg).name}`);
+        parent.childLegs.set(leg, splitter);
+
+        Object.assign(splitter, {
+          stage: parent.stage + 1,
+          feederFiber: parent.feederFiber,
+          input: `${parent.name} L${leg}`,
+          path: [...parent.path, { name: parent.name, leg }]
+        });
+      } else {
+        const fiber = parseInt(feederFiber);
+        if (!(fiber >= 1)) fail(`Splitter ${splitter.name} needs a feederFiber or an inputSplitter`);
+        Object.assign(splitter, { stage: 1, feederFiber: fiber, input: `F${fiber}`, path: [] });
+      }
+    };
+    byName.forEach(splitter => resolve(splitter, new Set([splitter])));
+
+    const fedFibers = new Map();
+    byName.forEach(splitter => {
+      if (splitter.stage !== 1) return;
+      if (fedFibers.has(splitter.feederFiber)) {
+        fail(`Splitters ${fedFibers.get(splitter.feederFiber)} and ${splitter.name} are both on feeder fiber ${splitter.feederFiber}`);
+      }
+      fedFibers.set(splitter.feederFiber, splitter.name);
+    });
+
+    this.splitters = [...byName.values()].map(splitter => {
+      const freeLegs = [];
+      for (let leg = 1; leg <= splitter.ratio; leg++) {
+        if (!splitter.childLegs.has(leg)) freeLegs.push(leg);
+      }
+
+      const { portRange } = splitter.definition;
+      const range = portRange ? this.parsePortRange(portRange) : null;
+      if (portRange && !range) fail(`Splitter ${splitter.name} has an invalid portRange "${portRange}"`);
+
+      const mapped = [];
+      if (range) {
+        const wanted = range.end - range.start + 1;
+        if (wanted > freeLegs.length) {
+          this.addWarning('SPLITTER_OVERSUBSCRIBED',
+            `${splitter.name} (1x${splitter.ratio}) has ${freeLegs.length} free leg(s) for ${wanted} ports in ${portRange}`);
+        }
+
+        for (let port = range.start; port <= range.end && mapped.length < freeLegs.length; port++) {
+          if (port > ports) break;
+          if (splitterLegs[port]) {
+            this.addWarning('SPLITTER_PORT_CONFLICT', `Port ${port} is already on ${splitterLegs[port].splitter}; ${splitter.name} skips it`);
+            continue;
+          }
+          const leg = freeLegs[mapped.length];
+          splitterLegs[port] = {
+            splitter: splitter.name,
+            leg,
+            path: [...splitter.path, { name: splitter.name, leg }],
+            feederFiber: splitter.feederFiber
+          };
+          mapped.push(port);
+        }
+      }
+
+      return {
+        name: splitter.name,
+        ratio: `1x${splitter.ratio}`,
+        legs: splitter.ratio,
+        stage: splitter.stage,
+        input: splitter.input,
+        feederFiber: splitter.feederFiber,
+        portRange: this.formatPortList(mapped),
+        legsToSplitters: splitter.childLegs.size,
+        legsToPorts: mapped.length
+      };
+    });
+
+    return splitterLegs;
+  }
+
+  // Collapse [1, 2, 3, 7, 9, 10] into "1-3, 7, 9-10"
+  formatPortList(ports) {
+    const ranges = [];
+    ports.forEach(port => {
+      const last = ranges[ranges.length - 1];
+      if (last && port === last.end + 1) {
+        last.end = port;
+      } else {
+        ranges.push({ start: port, end: port });
+      }
+    });
+    return ranges.map(range => range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`).join(', ');
+  }
+
+  // Map each port to the address entry it serves. Entries take the next free
+  // ports in order (fiberCount each, default 4) unless they pin a portRange,
+  // and each terminal reserves its spareFibers after its last entry, then
+  // the reserve rules' perMst ports for an MST. Ports without a cable fiber
+  // in allocations, or on a reserved or damaged fiber, are never assigned.
+  assignAddresses(addresses, ports, allocations) {
+    const assignments = new Array(ports + 1).fill(null);
+    const unserved = [];
+    const unservedPinned = [];
+    const heldStatus = port => (allocations && allocations[port] ? allocations[port].status : undefined);
+    const isLit = port => !allocations || (Boolean(allocations[port]) && !heldStatus(port));
+    const terminalSpares = {};
+    let nextPort = 1;
+
+    addresses.forEach((addressInfo, index) => {
+      const terminalKey = this.getTerminalKey(addressInfo, index);
+      const spareFibers = parseInt(addressInfo.spareFibers) || 0;
+      terminalSpares[terminalKey] = Math.max(terminalSpares[terminalKey] || 0, spareFibers);
+    });
+
+    const claimPorts = (start, count, addressInfo, status) => {
+      let claimed = 0;
+      for (let port = start; port <= ports && claimed < count; port++) {
+        if (!assignments[port] && isLit(port)) {
+          assignments[port] = { addressInfo, status };
+          claimed++;
+          nextPort = Math.max(nextPort, port + 1);
+        }
+      }
+      return claimed;
+    };
+
+    addresses.forEach((addressInfo, index) => {
+      const label = addressInfo.address || addressInfo.mst || `address #${index + 1}`;
+      const pinned = addressInfo.portRange !== undefined && addressInfo.portRange !== null && addressInfo.portRange !== '';
+      let served = 0;
+      let requested;
+
+      if (pinned) {
+        const range = this.parsePortRange(addressInfo.portRange);
+        if (!range) {
+          this.addWarning('INVALID_PORT_RANGE', `Invalid port range "${addressInfo.portRange}" for ${label}`, addressInfo);
+          unserved.push(addressInfo);
+          unservedPinned.push(addressInfo);
+          return;
+        }
+
+        requested = range.end - range.start + 1;
+        if (range.end > ports) {
+          const beyond = range.start > ports ? `${range.start}-${range.end}` : `${ports + 1}-${range.end}`;
+          this.addWarning('INVALID_PORT_RANGE', `Ports ${beyond} requested by ${label} are past the last port (${ports})`, addressInfo);
+        }
+        for (let port = range.start; port <= Math.min(range.end, ports); port++) {
+          if (assignments[port]) {
+            this.addWarning('PORT_CONFLICT', `Port ${port} requested by ${label} is already assigned`, addressInfo);
+          } else if (heldStatus(port)) {
+            this.addWarning('PORT_HELD', `Port ${port} requested by ${label} is on a ${heldStatus(port)} fiber`, addressInfo);
+          } else if (!isLit(port)) {
+            this.addWarning('PORT_WITHOUT_FIBER', `Port ${port} requested by ${label} has no cable fiber`, addressInfo);
+          } else {
+            assignments[port] = { addressInfo, status: 'assigned' };
+            served++;
+          }
+        }
+        nextPort = Math.max(nextPort, Math.min(range.end, ports) + 1);
+      } else {
+        requested = parseInt(addressInfo.fiberCount) || DEFAULT_FIBERS_PER_ADDRESS;
+        served = claimPorts(nextPort, requested, addressInfo, 'assigned');
+      }
+
+      if (served === 0) {
+        unserved.push(addressInfo);
+        if (pinned) unservedPinned.push(addressInfo);
+      } else if (served < requested) {
+        this.addWarning('ADDRESS_PARTIAL', `${label} requested ${requested} fibers but only ${served} were available`, addressInfo);
+      }
+
+      // Reserve the terminal's spare fibers once its last entry has been placed
+      const terminalKey = this.getTerminalKey(addressInfo, index);
+      const nextEntry = addresses[index + 1];
+      if (!nextEntry || this.getTerminalKey(nextEntry, index + 1) !== terminalKey) {
+        const spareFibers = terminalSpares[terminalKey];
+        if (spareFibers > 0) {
+          const reserved = claimPorts(nextPort, spareFibers, addressInfo, 'spare');
+          if (reserved < spareFibers) {
+            this.addWarning('SPARE_SHORTFALL', `Only ${reserved} of ${spareFibers} spare fibers could be reserved for ${addressInfo.mst || label}`, addressInfo);
+          }
+        }
+        const { perMst } = this.reserveRules;
+        if (perMst > 0 && addressInfo.mst) {
+          const reserved = claimPorts(nextPort, perMst, addressInfo, 'reserved');
+          if (reserved < perMst) {
+            this.addWarning('RESERVE_SHORTFALL', `Only ${reserved} of ${perMst} reserved fibers could be held for ${addressInfo.mst}`, addressInfo);
+          }
+        }
+      }
+    });
+
+    // Entries left without a port because the fibers ran out, told apart
+    // from those whose portRange gave them none (already warned about above)
+    if (unserved.length > 0) {
+      const ranOut = unserved.length - unservedPinned.length;
+      const reasons = [];
+      if (ranOut > 0) reasons.push(`Cable fibers ran out before ${ranOut} address(es) could be served`);
+      if (unservedPinned.length > 0) reasons.push(`${unservedPinned.length} address(es) got no usable port from their portRange`);
+      this.addWarning(
+        'ADDRESSES_UNSERVED',
+        reasons.join('; '),
+        { addresses: unserved.map(entry => entry.address || entry.mst) }
+      );
+    }
+
+    return { assignments, unserved };
+  }
+
+  // Accepts "9-16", "12", [9, 16] or { start: 9, end: 16 }
+  parsePortRange(portRange) {
+    let start;
+    let end;
+
+    if (Array.isArray(portRange)) {
+      [start, end = portRange[0]] = portRange.map(value => parseInt(value));
+    } else if (typeof portRange === 'object') {
+      start = parseInt(portRange.start);
+      end = portRange.end !== undefined ? parseInt(portRange.end) : start;
+    } else {
+      const match = String(portRange).trim().match(/^(\d+)\s*(?:-\s*(\d+))?$/);
+      if (!match) return null;
+      start = parseInt(match[1]);
+      end = match[2] ? parseInt(match[2]) : start;
+    }
+
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end < start) {
+      return null;
+    }
+    return { start, end };
+  }
+
+  // Address entries with their MSTs in order along the cable route, so fibers
+  // are handed out in the order the cable reaches them
+  orderAddresses(addresses, order) {
+    const { addresses: ordered, unlocated } = orderAlongRoute(addresses, order, (entry, index) => this.getTerminalKey(entry, index));
+    if (unlocated.length > 0) {
+      const missing = order.by === 'station' ? 'no station' : 'no coordinates';
+      this.addWarning('ADDRESS_UNLOCATED', `${unlocated.length} address(es) have ${missing}; their MSTs follow the ones placed along the route`, {
+        addresses: unlocated.map(entry => entry.address)
+      });
+    }
+    return ordered;
+  }
+
+  // Entries sharing an MST belong to the same terminal
+  getTerminalKey(addressInfo, index) {
+    return addressInfo.mst || addressInfo.terminal || `#${index}`;
+  }
+
+  addWarning(code, message, details = {}) {
+    const { mst, address, addresses } = details;
+    this.warnings.push({ code, message, mst, address, addresses });
+  }
+
+  // Generate dynamic headers based on cable configuration
+  generateHeaders(cables) {
+    const headers = ['Port #', 'Main Cable'];
+    
+    cables.forEach(cable => {
+      headers.push('Port #', 'Cable', 'B#', '(B)', 'F#', '(F)');
+    });
+    
+    headers.push('MST', 'Address', 'Sheet', 'Terminal');
+    if (this.splitters.length > 0) {
+      headers.push('Splitter', 'Leg');
+    }
+    if (this.feederCable || this.splitters.length > 0) {
+      headers.push('Trace');
+    }
+    if (this.lossBudget) {
+      headers.push('Loss 1310 (dB)', 'Loss 1550 (dB)', 'Budget');
+    }
+    return headers;
+  }
+
+  // Parse input Excel file against the input template. Returns
+  // { inputData, validation }; check validation.valid before generating.
+  parseInputFile(filePath, options = {}) {
+    try {
+      return new InputParser().parseFile(filePath, options);
+    } catch (error) {
+      throw new Error(`Error parsing input file: ${error.message}`);
+    }
+  }
+
+  // Generate sample addresses for demonstration
+  generateSampleAddresses() {
+    const sampleAddresses = [
+      '2101 MARENGO LK RD', '1245 E COATS AVE', '821 E COATS AVE', '801 E COATS AVE',
+      '976 E COATS AVE', '764 E COATS AVE', '268 HIGHLAND CIR', '608 7TH AVE',
+      '702 7TH AVE', '302 TUCKER ST', '207 TUCKER ST', '205 TUCKER ST',
+      '101 E COATS AVE', '108 E COATS AVE'
+    ];
+    
+    return sampleAddresses.map((addr, index) => ({
+      mst: `MST_F${1000 + index}ECOATSAVE.21082${index % 10}`,
+      address: addr,
+      sheet: Math.floor(index / 3) + 10,
+      terminal: index < 2 ? `T${index + 1}` : undefined
+    }));
+  }
+
+  ensureOutputDir() {
+    if (!fs.existsSync(this.outputDir)) {
+      fs.mkdirSync(this.outputDir, { recursive: true });
+    }
+    return this.outputDir;
+  }
+
+  getGroupScheme(index) {
+    const cable = this.cables[index];
+    return this.getColorScheme((cable && cable.colorScheme) || this.colorScheme);
+  }
+
+  // Export to a formatted Excel workbook: the master splice sheet, a summary,
+  // the cable inventory, the tray layout (with a closure) and one tab per MST
+  async exportToExcel(spliceData, filename = 'splice_sheet.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheetOptions = {
+      cables: this.cables,
+      getGroupScheme: index => this.getGroupScheme(index)
+    };
+
+    addSpliceSheet(workbook, spliceData, sheetOptions);
+    if (this.records.length > 0) {
+      const summary = this.buildSummary();
+      addSummarySheet(workbook, summary);
+      addCableInventorySheet(workbook, summary);
+      if (this.closure) {
+        addTrayLayoutSheet(workbook, this.buildTrayLayout(), { getScheme: name => this.getColorScheme(name) });
+      }
+    }
+    addTerminalSheets(workbook, spliceData, sheetOptions);
+    
+    const outputPath = path.join(this.ensureOutputDir(), filename);
+    await workbook.xlsx.writeFile(outputPath);
+    
+    return outputPath;
+  }
+
+  // Export a revision diff: the Changes tab, then spliceData (the newer
+  // sheet) with the row of every changed fiber highlighted
+  async exportDiffToExcel(report, spliceData, filename = 'splice_sheet_diff.xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const highlights = new Map();
+    changedPorts(report).forEach((type, port) => highlights.set(port, CHANGE_FILLS[type]));
+
+    addChangesSheet(workbook, report, CHANGE_TYPES);
+    addSpliceSheet(workbook, spliceData, {
+      cables: this.cables,
+      getGroupScheme: index => this.getGroupScheme(index),
+      highlights
+    });
+
+    const outputPath = path.join(this.ensureOutputDir(), filename);
+    await workbook.xlsx.writeFile(outputPath);
+    return outputPath;
+  }
+
+  // Export to a paginated PDF for printing
+  async exportToPdf(spliceData, filename = 'splice_sheet.pdf') {
+    const { project, revision, mainCableName } = this.inputData;
+    return writeSplicePdf(spliceData, path.join(this.ensureOutputDir(), filename), {
+      titleBlock: {
+        project: project || '',
+        fdh: mainCableName || '',
+        cables: this.cables.map(cable => cable.name),
+        date: new Date().toISOString().slice(0, 10),
+        revision: revision !== undefined ? String(revision) : ''
+      },
+      getGroupScheme: index => this.getGroupScheme(index)
+    });
+  }
+
+  // Header fields of the JSON document
+  fiberDocumentMeta() {
+    const { project, revision, mainCableName } = this.inputData;
+    return { fdh: mainCableName, project, revision, colorScheme: this.colorScheme };
+  }
+
+  // Normalized JSON document with one record per fiber; the tray layout rides
+  // along when the design has a closure
+  buildFiberDocument() {
+    return buildFiberDocument(this.records, {
+      ...this.fiberDocumentMeta(),
+      cables: this.buildSummary().cables,
+      trayLayout: this.closure ? this.buildTrayLayout() : undefined
+    });
+  }
+
+  // Stream the prepared records (prepareRecords) to a writable stream in one
+  // of STREAM_FORMATS. Each record is built, written and dropped before the
+  // next, and the totals are counted on the way. Nothing is written to disk.
+  async streamOutput(stream, format = 'xlsx') {
+    switch (format) {
+      case 'csv':
+        return writeCsv(stream, this.generateRecords());
+      case 'json': {
+        const tally = this.summaryTally();
+        return writeFiberDocument(stream, tally.count(this.generateRecords()), {
+          ...this.fiberDocumentMeta(),
+          cables: () => tally.summary().cables,
+          trayLayout: tally.trays ? () => this.preparedTrayLayout(tally) : undefined
+        });
+      }
+      case 'xlsx':
+        return this.streamExcel(stream);
+      default: {
+        const error = new Error(`Streaming supports ${STREAM_FORMATS.join(', ')}, not "${format}"`);
+        error.statusCode = 400;
+        throw error;
+      }
+    }
+  }
+
+  // exportToExcel through ExcelJS's streaming writer: the same tabs. The
+  // splice sheet is written first, counting the totals for the Summary and
+  // Cable Inventory tabs that follow it, and each MST tab then rebuilds just
+  // the records of its own ports.
+  async streamExcel(stream) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const tally = this.summaryTally();
+    const headers = this.generateHeaders(this.cables);
+    const sheetOptions = {
+      cables: this.cables,
+      getGroupScheme: index => this.getGroupScheme(index),
+      contentLengths: this.columnContentLengths(headers)
+    };
+
+    await streamSpliceSheet(workbook, headers, this.dataRows(tally.count(this.generateRecords())), sheetOptions);
+    if (this.plan.ports > 0) {
+      const summary = tally.summary();
+      addSummarySheet(workbook, summary).commit();
+      addCableInventorySheet(workbook, summary).commit();
+      if (tally.trays) {
+        const { entries } = this.preparedTrayLayout(tally);
+        await streamTrayLayoutSheet(workbook, entries, { getScheme: name => this.getColorScheme(name) });
+      }
+    }
+
+    const terminals = new Map();
+    this.terminalPorts().forEach((ports, mst) => terminals.set(mst, this.dataRows(this.generateRecords(ports))));
+    await streamTerminalSheets(workbook, headers, terminals, sheetOptions);
+
+    await workbook.commit();
+  }
+
+  // Ports of each MST on the prepared sheet, in port order
+  terminalPorts() {
+    const terminals = new Map();
+    this.plan.assignments.forEach((assignment, port) => {
+      const mst = assignment && assignment.addressInfo.mst;
+      if (!mst) return;
+      if (!terminals.has(mst)) terminals.set(mst, []);
+      terminals.get(mst).push(port);
+    });
+    return terminals;
+  }
+
+  // Longest value each column of the prepared sheet can hold, worked out
+  // from the cable construction and the design since streamed rows are only
+  // read once
+  columnContentLengths(headers) {
+    const longest = values => values.reduce((length, value) => Math.max(length, value ? String(value).length : 0), 0);
+    const longestColor = (scheme, count) => {
+      let length = 0;
+      for (let position = 1; position <= count; position++) {
+        length = Math.max(length, sequenceColor(scheme, position).length);
+      }
+      return length;
+    };
+
+    const lengths = [String(this.plan.ports).length, String(this.plan.mainCableName).length];
+    this.cables.forEach(cable => {
+      const { type, fiberCount, fibersPerTube, tubeCount, fibersPerRibbon } = this.getCableConstruction(cable);
+      const scheme = this.getColorScheme(cable.colorScheme || this.colorScheme);
+      const isRibbon = type === 'ribbon';
+      const fibersPerGroup = isRibbon ? fibersPerRibbon : fibersPerTube;
+      lengths.push(
+        String(fiberCount).length,
+        String(cable.name).length,
+        String(isRibbon ? Math.ceil(fiberCount / fibersPerRibbon) : tubeCount).length,
+        longestColor(scheme, isRibbon ? Math.ceil(fibersPerTube / fibersPerRibbon) : tubeCount),
+        String(fibersPerGroup).length,
+        longestColor(scheme, fibersPerGroup)
+      );
+    });
+
+    // Drop columns, by header; traces always run past the widest column
+    const byHeader = {
+      MST: longest(this.addresses.map(addressInfo => addressInfo.mst)),
+      Address: Math.max('Reserved'.length, longest(this.addresses.map(addressInfo => addressInfo.address))),
+      Sheet: longest(this.addresses.map(addressInfo => addressInfo.sheet && `SHEET # ${addressInfo.sheet}`)),
+      Terminal: longest(this.addresses.map(addressInfo => addressInfo.terminal)),
+      Splitter: longest(this.splitters.map(splitter => splitter.name)),
+      Leg: longest(this.splitters.map(splitter => splitter.legs)),
+      Trace: Infinity
+    };
+    headers.slice(lengths.length).forEach(header => lengths.push(byHeader[header] || 0));
+    return lengths;
+  }
+
+  // Export in one of OUTPUT_FORMATS. The normalized JSON document is always
+  // written next to the output so /download can convert it to CSV or JSON later.
+  async exportOutput(spliceData, filename, format = 'xlsx') {
+    const outputDir = this.ensureOutputDir();
+    const fiberDocument = this.buildFiberDocument();
+    const basename = path.basename(filename, path.extname(filename));
+    await fs.promises.writeFile(path.join(outputDir, `${basename}.json`), JSON.stringify(fiberDocument, null, 2));
+
+    switch (format) {
+      case 'pdf':
+        return this.exportToPdf(spliceData, filename);
+      case 'csv': {
+        const outputPath = path.join(outputDir, filename);
+        await fs.promises.writeFile(outputPath, toCsv(fiberDocument.fibers));
+        return outputPath;
+      }
+      case 'json':
+        return path.join(outputDir, `${basename}.json`);
+      default:
+        return this.exportToExcel(spliceData, filename);
+    }
+  }
+}
+
+module.exports = {
+  SpliceSheetGenerator,
+  OUTPUT_DIR,
+  OUTPUT_FORMATS,
+  STREAM_FORMATS,
+  STANDARD_FIBERS_PER_TUBE,
+  STANDARD_FIBERS_PER_RIBBON
+};
@@ -0,0 +1,413 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const XLSX = require('xlsx');
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+
+// Sheet rows for a design, with the generator for its warnings
+function build(design) {
+  const generator = new SpliceSheetGenerator();
+  const [headers, ...rows] = generator.generateSpliceSheet(design);
+  return { generator, headers, rows };
+}
+
+const warning = (generator, code) => generator.warnings.find(entry => entry.code === code);
+
+// Ports whose Address cell reads `address`
+function portsOf({ headers, rows }, address) {
+  const column = headers.indexOf('Address');
+  return rows.filter(row => row[column] === address).map(row => row[0]);
+}
+
+describe('address assignment', () => {
+  const cables = [{ name: '24F', fiberCount: 24 }];
+
+  test('each entry takes its own fiberCount, four by default', () => {
+    const sheet = build({
+      ports: 24,
+      cables,
+      addresses: [
+        { mst: 'MST_1', address: '1 A ST' },
+        { mst: 'MST_2', address: '2 B ST', fiberCount: 8 },
+        { mst: 'MST_3', address: '3 C ST', fiberCount: 2 }
+      ]
+    });
+
+    expect(portsOf(sheet, '1 A ST')).toEqual([1, 2, 3, 4]);
+    expect(portsOf(sheet, '2 B ST')).toEqual([5, 6, 7, 8, 9, 10, 11, 12]);
+    expect(portsOf(sheet, '3 C ST')).toEqual([13, 14]);
+    expect(portsOf(sheet, 'Dark')).toHaveLength(10);
+  });
+
+  test('a portRange pins an entry and later entries continue after it', () => {
+    const sheet = build({
+      ports: 24,
+      cables,
+      addresses: [
+        { mst: 'MST_1', address: '1 A ST', portRange: '9-12' },
+        { mst: 'MST_2', address: '2 B ST', fiberCount: 2 }
+      ]
+    });
+
+    expect(portsOf(sheet, '1 A ST')).toEqual([9, 10, 11, 12]);
+    expect(portsOf(sheet, '2 B ST')).toEqual([13, 14]);
+  });
+
+  test('spare fibers are reserved once after the last entry of a terminal', () => {
+    const sheet = build({
+      ports: 24,
+      cables,
+      addresses: [
+        { mst: 'MST_1', address: '1 A ST', fiberCount: 2, spareFibers: 2 },
+        { mst: 'MST_1', address: '3 A ST', fiberCount: 2 },
+        { mst: 'MST_2', address: '2 B ST', fiberCount: 2 }
+      ]
+    });
+
+    expect(portsOf(sheet, 'Spare')).toEqual([5, 6]);
+    expect(sheet.rows[4][sheet.headers.indexOf('MST')]).toBe('MST_1');
+    expect(portsOf(sheet, '2 B ST')).toEqual([7, 8]);
+  });
+
+  test('running out of fibers is reported with the addresses left over', () => {
+    const { generator } = build({
+      ports: 8,
+      cables: [{ name: '8F', fiberCount: 8 }],
+      addresses: [
+        { mst: 'MST_1', address: '1 A ST', fiberCount: 6 },
+        { mst: 'MST_2', address: '2 B ST', fiberCount: 4 },
+        { mst: 'MST_3', address: '3 C ST', fiberCount: 4 }
+      ]
+    });
+
+    expect(warning(generator, 'ADDRESS_PARTIAL').message).toBe('2 B ST requested 4 fibers but only 2 were available');
+    expect(warning(generator, 'ADDRESSES_UNSERVED')).toMatchObject({
+      message: 'Cable fibers ran out before 1 address(es) could be served',
+      addresses: ['3 C ST']
+    });
+  });
+
+  test('a portRange past the last port is not reported as fibers running out', () => {
+    const { generator } = build({
+      ports: 24,
+      cables,
+      addresses: [
+        { mst: 'MST_1', address: '1 A ST', portRange: '30-31' },
+        { mst: 'MST_2', address: '2 B ST', portRange: 'north' }
+      ]
+    });
+
+    expect(generator.warnings.filter(entry => entry.code === 'INVALID_PORT_RANGE').map(entry => entry.message)).toEqual([
+      'Ports 30-31 requested by 1 A ST are past the last port (24)',
+      'Invalid port range "north" for 2 B ST'
+    ]);
+    expect(warning(generator, 'ADDRESSES_UNSERVED')).toMatchObject({
+      message: '2 address(es) got no usable port from their portRange',
+      addresses: ['1 A ST', '2 B ST']
+    });
+  });
+
+  test('both causes are counted when fibers run out and a portRange fails', () => {
+    const { generator } = build({
+      ports: 4,
+      cables: [{ name: '4F', fiberCount: 4 }],
+      addresses: [
+        { mst: 'MST_1', address: '1 A ST', fiberCount: 4 },
+        { mst: 'MST_2', address: '2 B ST' },
+        { mst: 'MST_3', address: '3 C ST', portRange: '1-2' }
+      ]
+    });
+
+    expect(warning(generator, 'ADDRESSES_UNSERVED').message)
+      .toBe('Cable fibers ran out before 1 address(es) could be served; 1 address(es) got no usable port from their portRange');
+    expect(warning(generator, 'PORT_CONFLICT').message).toBe('Port 1 requested by 3 C ST is already assigned');
+  });
+});
+
+describe('fiber allocation', () => {
+  // "cable/fiber" for the cable group a row's port lands on
+  const landing = row => {
+    for (let column = 2; column + 6 <= row.length; column += 6) {
+      if (row[column] !== '') return `${row[column + 1]}/${row[column]}`;
+    }
+    return null;
+  };
+
+  test('cables are walked in order, each continuing after the last', () => {
+    const { rows } = build({
+      ports: 30,
+      cables: [{ name: '12F(1)', fiberCount: 12 }, { name: '24F(2)', fiberCount: 24 }]
+    });
+
+    expect(landing(rows[0])).toBe('12F(1)/1');
+    expect(landing(rows[11])).toBe('12F(1)/12');
+    expect(landing(rows[12])).toBe('24F(2)/1');
+    expect(rows[12].slice(8, 14)).toEqual([1, '24F(2)', 1, 'BL', 1, 'bl']);
+    expect(landing(rows[29])).toBe('24F(2)/18');
+  });
+
+  test('startFiber skips fibers at the head of a cable', () => {
+    const { rows } = build({ ports: 4, cables: [{ name: '12F', fiberCount: 12, startFiber: 5 }] });
+    expect(rows.map(landing)).toEqual(['12F/5', '12F/6', '12F/7', '12F/8']);
+    expect(rows[0].slice(6, 8)).toEqual([5, 'sl']);
+  });
+
+  test('startPort pins a cable and the others fill the ports around it', () => {
+    const { rows } = build({
+      ports: 12,
+      cables: [{ name: 'A', fiberCount: 12 }, { name: 'B', fiberCount: 4, startPort: 5 }]
+    });
+
+    expect(rows.map(landing)).toEqual([
+      'A/1', 'A/2', 'A/3', 'A/4', 'B/1', 'B/2', 'B/3', 'B/4', 'A/5', 'A/6', 'A/7', 'A/8'
+    ]);
+  });
+
+  test('ports beyond the cables are reported and left without a fiber', () => {
+    const { generator, rows } = build({ ports: 10, cables: [{ name: '8F', fiberCount: 8 }] });
+
+    expect(landing(rows[8])).toBeNull();
+    expect(warning(generator, 'PORTS_WITHOUT_FIBER').message).toBe('2 port(s) have no cable fiber: 9-10');
+  });
+
+  test('a portRange on a port without a fiber is reported', () => {
+    const { generator } = build({
+      ports: 10,
+      cables: [{ name: '8F', fiberCount: 8 }],
+      addresses: [{ mst: 'MST_1', address: '1 A ST', portRange: '8-9' }]
+    });
+
+    expect(warning(generator, 'PORT_WITHOUT_FIBER').message).toBe('Port 9 requested by 1 A ST has no cable fiber');
+    expect(warning(generator, 'ADDRESS_PARTIAL').message).toBe('1 A ST requested 2 fibers but only 1 were available');
+  });
+
+  test('two cables pinned to the same port are reported', () => {
+    const { generator } = build({
+      ports: 8,
+      cables: [{ name: 'A', fiberCount: 4, startPort: 1 }, { name: 'B', fiberCount: 4, startPort: 3 }]
+    });
+    expect(warning(generator, 'PORT_CONFLICT').message).toBe('Port 3 is pinned to both A and B');
+  });
+
+  test('a startFiber past the cable is reported', () => {
+    const { generator } = build({ ports: 4, cables: [{ name: '12F', fiberCount: 12, startFiber: 13 }] });
+    expect(warning(generator, 'INVALID_START_FIBER').message).toBe('Cable 12F starts at fiber 13 but only has 12 fibers');
+  });
+
+  test('each row fills only the cable group its port lands on', () => {
+    const { headers, rows } = build({
+      ports: 13,
+      cables: [{ name: '12F(1)', fiberCount: 12 }, { name: '12F(2)', fiberCount: 12 }],
+      addresses: []
+    });
+
+    expect(headers.slice(0, 8)).toEqual(['Port #', 'Main Cable', 'Port #', 'Cable', 'B#', '(B)', 'F#', '(F)']);
+    expect(rows[12].slice(2, 14)).toEqual(['', '12F(1)', '', '', '', '', 1, '12F(2)', 1, 'BL', 1, 'bl']);
+  });
+});
+
+describe('cable construction', () => {
+  const generator = new SpliceSheetGenerator();
+
+  test('loose-tube fibers follow the cable\'s fibers per tube', () => {
+    expect(generator.calculateFiberPosition(30, { fiberCount: 48, fibersPerTube: 24 }))
+      .toMatchObject({ bufferTube: 2, bufferColor: 'OR', fiberNumber: 6, fiberColor: 'wh' });
+    expect(generator.calculateFiberPosition(7, { fiberCount: 12, fibersPerTube: 6 }))
+      .toMatchObject({ bufferTube: 2, bufferColor: 'OR', fiberNumber: 1, fiberColor: 'bl' });
+  });
+
+  test('positions 13-24 take a black stripe, and black a yellow one', () => {
+    const position = generator.calculateFiberPosition(20, { fiberCount: 24, fibersPerTube: 24 });
+    expect(position).toMatchObject({ bufferTube: 1, fiberNumber: 20, fiberColor: 'bk/yl' });
+    expect(generator.calculateFiberPosition(13, { fiberCount: 24, fibersPerTube: 24 }).fiberColor).toBe('bl/bk');
+  });
+
+  test('ribbon cables give the ribbon and the position within it', () => {
+    const position = generator.calculateFiberPosition(150, { type: 'ribbon', fiberCount: 288 });
+    expect(position).toMatchObject({
+      bufferTube: 2,
+      bufferColor: 'OR',
+      ribbon: 13,
+      ribbonColor: 'BL',
+      fiberNumber: 6,
+      fiberColor: 'wh'
+    });
+  });
+
+  test('construction defaults fill in from the fiber count', () => {
+    expect(generator.getCableConstruction({ fiberCount: 144 }))
+      .toEqual({ type: 'loose-tube', fiberCount: 144, fibersPerTube: 12, tubeCount: 12, fibersPerRibbon: 12 });
+    expect(generator.getCableConstruction({ type: 'ribbon', fiberCount: 864 }))
+      .toEqual({ type: 'ribbon', fiberCount: 864, fibersPerTube: 144, tubeCount: 6, fibersPerRibbon: 12 });
+  });
+
+  test('tubes that can\'t hold the fibers are reported', () => {
+    const { generator: built } = build({ ports: 4, cables: [{ name: '48F', fiberCount: 48, fibersPerTube: 6, tubeCount: 4 }] });
+    expect(warning(built, 'CONSTRUCTION_MISMATCH').message).toBe('Cable 48F has 48 fibers but 4 tubes of 6 only hold 24');
+  });
+});
+
+// A 12-port FDH on one 12F cable with the given splitters
+function buildSplit(splitters, addresses = []) {
+  const { generator } = build({
+    ports: 12,
+    mainCableName: 'FDH108',
+    cables: [{ name: '12F', fiberCount: 12 }],
+    splitters,
+    addresses
+  });
+  return { generator, records: generator.records };
+}
+
+const legOf = record => record.splitter && `${record.splitter} L${record.splitterLeg}`;
+
+describe('splitters', () => {
+  test('map their legs onto the port range in order', () => {
+    const { records } = buildSplit([{ name: 'SPL1', ratio: '1x4', feederFiber: 3, portRange: '5-8' }]);
+
+    expect(records.slice(3, 9).map(legOf)).toEqual([null, 'SPL1 L1', 'SPL1 L2', 'SPL1 L3', 'SPL1 L4', null]);
+    expect(records[4]).toMatchObject({ feederFiber: 3, trace: 'SPL1 L1 > FDH108 P5 > 12F F5 (BL sl)' });
+  });
+
+  test('accept 1x8, 1:8 and 8 as the same ratio and reject others', () => {
+    ['1x8', '1:8', 8].forEach(ratio => {
+      expect(buildSplit([{ name: 'S', ratio, feederFiber: 1 }]).generator.splitters[0].ratio).toBe('1x8');
+    });
+    expect(() => buildSplit([{ name: 'S', ratio: '1x6', feederFiber: 1 }])).toThrow(expect.objectContaining({
+      statusCode: 400,
+      message: 'Splitter S has ratio "1x6"; use one of: 1x2, 1x4, 1x8, 1x16, 1x32, 1x64'
+    }));
+  });
+
+  test('cascade from a leg of an upstream splitter', () => {
+    const { generator, records } = buildSplit([
+      { name: 'SPL1', ratio: '1x4', feederFiber: 1, portRange: '1-3' },
+      { name: 'SPL2', ratio: '1x2', inputSplitter: 'spl1', inputLeg: 4, portRange: '4-5' }
+    ]);
+
+    expect(records.slice(0, 5).map(legOf)).toEqual(['SPL1 L1', 'SPL1 L2', 'SPL1 L3', 'SPL2 L1', 'SPL2 L2']);
+    expect(records[4]).toMatchObject({ feederFiber: 1, trace: 'SPL1 L4 > SPL2 L2 > FDH108 P5 > 12F F5 (BL sl)' });
+    expect(generator.splitters[1]).toMatchObject({ stage: 2, input: 'SPL1 L4', feederFiber: 1 });
+  });
+
+  test('report capacity per splitter', () => {
+    const { generator } = buildSplit([
+      { name: 'SPL1', ratio: '1x4', feederFiber: 1, portRange: '1-3' },
+      { name: 'SPL2', ratio: '1x2', inputSplitter: 'SPL1', inputLeg: 4, portRange: '4-5' }
+    ], [{ mst: 'MST_1', address: '1 A ST', fiberCount: 1 }, { mst: 'MST_1', address: '2 A ST', fiberCount: 1 }]);
+
+    expect(generator.buildSummary().splitters).toEqual([
+      {
+        name: 'SPL1', ratio: '1x4', legs: 4, stage: 1, input: 'F1', feederFiber: 1, portRange: '1-3',
+        legsToSplitters: 1, legsToPorts: 3, legsInUse: 2, legsIdle: 1, utilization: 75
+      },
+      {
+        name: 'SPL2', ratio: '1x2', legs: 2, stage: 2, input: 'SPL1 L4', feederFiber: 1, portRange: '4-5',
+        legsToSplitters: 0, legsToPorts: 2, legsInUse: 0, legsIdle: 2, utilization: 0
+      }
+    ]);
+    expect(generator.generateHeaders(generator.cables).slice(-3)).toEqual(['Splitter', 'Leg', 'Trace']);
+  });
+
+  test('warn when a range outgrows the legs or overlaps another splitter', () => {
+    const { generator, records } = buildSplit([
+      { name: 'SPL1', ratio: '1x2', feederFiber: 1, portRange: '1-2' },
+      { name: 'SPL2', ratio: '1x2', feederFiber: 2, portRange: '2-5' }
+    ]);
+
+    expect(generator.warnings.map(warning => `${warning.code}: ${warning.message}`)).toEqual([
+      'SPLITTER_OVERSUBSCRIBED: SPL2 (1x2) has 2 free leg(s) for 4 ports in 2-5',
+      'SPLITTER_PORT_CONFLICT: Port 2 is already on SPL1; SPL2 skips it'
+    ]);
+    expect(records.slice(0, 5).map(legOf)).toEqual(['SPL1 L1', 'SPL1 L2', 'SPL2 L1', 'SPL2 L2', null]);
+  });
+
+  test('bad inputs are 400s', () => {
+    const error = splitters => () => buildSplit(splitters);
+
+    expect(error([{ ratio: '1x2', feederFiber: 1 }])).toThrow('Splitter 1 needs a name');
+    expect(error([{ name: 'A', ratio: 2, feederFiber: 1 }, { name: 'a', ratio: 2, feederFiber: 2 }])).toThrow('Splitter a is defined twice');
+    expect(error([{ name: 'A', ratio: 2 }])).toThrow('Splitter A needs a feederFiber or an inputSplitter');
+    expect(error([{ name: 'A', ratio: 2, inputSplitter: 'Z', inputLeg: 1 }])).toThrow('Splitter A is fed from unknown splitter Z');
+    expect(error([{ name: 'A', ratio: 2, inputSplitter: 'B', inputLeg: 1 }, { name: 'B', ratio: 2, inputSplitter: 'A', inputLeg: 1 }]))
+      .toThrow('Splitters B and A feed each other');
+    expect(error([{ name: 'A', ratio: 2, feederFiber: 1 }, { name: 'B', ratio: 2, inputSplitter: 'A', inputLeg: 3 }]))
+      .toThrow('Splitter B needs an inputLeg from 1 to 2 on A');
+    expect(error([{ name: 'A', ratio: 2, feederFiber: 1 }, { name: 'B', ratio: 2, feederFiber: 1 }]))
+      .toThrow('Splitters A and B are both on feeder fiber 1');
+    expect(error([{ name: 'A', ratio: 2, feederFiber: 1, portRange: 'north' }])).toThrow('Splitter A has an invalid portRange "north"');
+  });
+});
+
+// Everything streamOutput writes, in one buffer
+async function streamed(generator, format) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+  await generator.streamOutput(stream, format);
+  stream.end();
+  return Buffer.concat(chunks);
+}
+
+const tabs = workbook => Object.fromEntries(workbook.SheetNames.map(name =>
+  [name, XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, defval: '' })]));
+
+describe('streaming', () => {
+  const design = {
+    ports: 30,
+    mainCableName: 'FDH108',
+    lossBudget: { lengthUnit: 'm' },
+    closure: { name: 'SC', splicesPerTray: 8, traysPerClosure: 2 },
+    feederCable: { name: 'F96', fiberCount: 96 },
+    splitters: [{ name: 'SPL1', ratio: '1x4', feederFiber: 2, portRange: '5-8' }],
+    reserve: { perMst: 1 },
+    cables: [
+      { name: '12F', fiberCount: 12, fibersPerTube: 6, darkFibers: '6', expressFibers: '11-12' },
+      { name: '24R', fiberCount: 24, type: 'ribbon', fibersPerTube: 24 }
+    ],
+    addresses: [
+      { mst: 'MST_1', address: '1 A ST', fiberCount: 2, spareFibers: 1 },
+      { mst: 'MST_2', address: '2 B ST', sheet: 3 },
+      { mst: 'MST_1', address: '9 Z ST', portRange: '20-21' }
+    ]
+  };
+  const prepared = () => {
+    const generator = new SpliceSheetGenerator();
+    generator.prepareRecords(design);
+    return generator;
+  };
+
+  test('records are built one port at a time as they are read, and not kept', () => {
+    const generator = prepared();
+    const records = generator.generateRecords();
+
+    expect(records.next().value).toMatchObject({ port: 1, cable: '12F', mst: 'MST_1' });
+    expect(generator.records).toEqual([]);
+    expect([...generator.generateRecords([21, 2])].map(record => [record.port, record.address])).toEqual([[21, '9 Z ST'], [2, '1 A ST']]);
+    expect([...generator.generateRecords()]).toEqual(new SpliceSheetGenerator().buildRecords(design));
+  });
+
+  test('xlsx has the tabs and cells of the buffered workbook', async () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'splice-stream-'));
+    try {
+      const buffered = new SpliceSheetGenerator({ outputDir });
+      const filePath = await buffered.exportToExcel(buffered.generateSpliceSheet(design), 'buffered.xlsx');
+      const workbook = XLSX.read(await streamed(prepared(), 'xlsx'));
+
+      expect(workbook.SheetNames).toEqual(['Splice Sheet', 'Summary', 'Cable Inventory', 'Tray Layout', 'MST_1', 'MST_2']);
+      expect(tabs(workbook)).toEqual(tabs(XLSX.readFile(filePath)));
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
+  test('json is the buffered document, with the totals and tray layout after the fibers', async () => {
+    const buffered = new SpliceSheetGenerator();
+    buffered.buildRecords(design);
+    const document = JSON.parse((await streamed(prepared(), 'json')).toString());
+
+    expect({ ...document, generatedAt: null }).toEqual({ ...buffered.buildFiberDocument(), generatedAt: null });
+    expect(Object.keys(document)).toEqual(['fdh', 'project', 'revision', 'colorScheme', 'generatedAt', 'fibers', 'fiberCount', 'cables', 'trayLayout']);
+  });
+});
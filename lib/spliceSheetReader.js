@@ -0,0 +1,285 @@
+// Reads a splice sheet workbook in the generateHeaders layout (generated or
+// hand-edited) back into per-port records, collecting problems into a
+// validation report the same way InputParser does for input workbooks.
+const XLSX = require('xlsx');
+const { LEADING_COLUMNS, GROUP_WIDTH } = require('./excelExport');
+const { CABLE_FIBER_COUNTS } = require('./inputTemplate');
+const { DEFAULT_COLOR_SCHEME, getColorScheme } = require('./colorSchemes');
+
+const SPLICE_SHEET_NAME = 'Splice Sheet';
+const CABLE_INVENTORY_NAME = 'Cable Inventory';
+const SHEET_LABEL = /^SHEET\s*#\s*/i;
+const DEFAULT_FIBERS_PER_TUBE = 12;
+
+// Address column markers for ports that don't serve a drop. An idle port
+// reads Dark when a cable fiber is behind it and Unused when not.
+const STATUS_LABELS = {
+  unused: ['Unused', 'Dark'],
+  spare: ['Spare'],
+  reserved: ['Reserved'],
+  damaged: ['Damaged']
+};
+
+// Cable Inventory columns listing fibers by status, e.g. "97-144"
+const FIBER_LIST_COLUMNS = {
+  expressFibers: 'Express Fibers',
+  darkFibers: 'Dark Fibers',
+  reservedFibers: 'Reserved Fibers',
+  damagedFibers: 'Damaged Fibers'
+};
+
+function toNumber(value) {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function toText(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+class SpliceSheetReader {
+  // options.colorScheme: scheme the sheet's colors follow (default TIA-598-C)
+  constructor(options = {}) {
+    this.scheme = getColorScheme(options.colorScheme || DEFAULT_COLOR_SCHEME);
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  addError(sheet, row, column, message) {
+    this.errors.push({ sheet, row, column, message });
+  }
+
+  addWarning(sheet, row, column, message) {
+    this.warnings.push({ sheet, row, column, message });
+  }
+
+  getReport() {
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  readFile(filePath) {
+    return this.readWorkbook(XLSX.readFile(filePath));
+  }
+
+  // Returns { sheet, validation } where sheet is
+  // { mainCableName, colorScheme, cables, headers, rows, records } and rows are
+  // the raw data rows in the shape generateSpliceSheet returns
+  readWorkbook(workbook) {
+    const sheetName = workbook.SheetNames.includes(SPLICE_SHEET_NAME) ? SPLICE_SHEET_NAME : workbook.SheetNames[0];
+    if (!sheetName) {
+      throw badRequest('Workbook has no sheets');
+    }
+    this.sheetName = sheetName;
+
+    const table = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '', raw: true });
+    const headerIndex = this.findHeaderRow(table);
+    const headers = table[headerIndex].map(toText);
+    const groupCount = headers.filter(header => header === '(F)').length;
+    if (groupCount === 0) {
+      this.addError(sheetName, headerIndex + 1, null, 'No cable groups (Port #, Cable, B#, (B), F#, (F)) found');
+    }
+
+    const rows = [];
+    const records = [];
+    table.slice(headerIndex + 1).forEach((values, index) => {
+      const rowNumber = headerIndex + index + 2;
+      if (values.every(value => toText(value) === '')) return;
+
+      const record = this.rowToRecord(values, groupCount, rowNumber);
+      if (record) {
+        record.row = rowNumber;
+        rows.push(values);
+        records.push(record);
+      }
+    });
+
+    const cables = this.inferCables(records, groupCount, this.readCableInventory(workbook));
+    this.checkRecords(records);
+
+    const mainCableName = (records.find(record => record.mainCableName) || {}).mainCableName || '';
+    records.forEach(record => {
+      const cable = cables[record.cableIndex];
+      record.colorScheme = (cable && cable.colorScheme) || this.scheme.name;
+      delete record.row;
+    });
+
+    return {
+      sheet: { mainCableName, colorScheme: this.scheme.name, cables, headers, rows, records },
+      validation: this.getReport()
+    };
+  }
+
+  // The header row is the one starting with "Port #": row 2 under the merged
+  // cable titles, or row 1 in sheets written before the titles were added
+  findHeaderRow(rows) {
+    const index = rows.findIndex(row => toText(row[0]) === 'Port #');
+    if (index === -1) {
+      throw badRequest('No "Port #" header row found; is this a splice sheet in the generated layout?');
+    }
+    return index;
+  }
+
+  // Parse one data row the way recordToRow laid it out
+  rowToRecord(values, groupCount, rowNumber) {
+    const trailingStart = LEADING_COLUMNS + groupCount * GROUP_WIDTH;
+    const port = toNumber(values[0]);
+    if (port === null || port < 1) {
+      this.addError(this.sheetName, rowNumber, 'Port #', `"${toText(values[0])}" is not a port number`);
+      return null;
+    }
+
+    const record = {
+      port,
+      mainCableName: toText(values[1]),
+      cable: null,
+      cableIndex: null,
+      fiber: null
+    };
+
+    for (let group = 0; group < groupCount; group++) {
+      const start = LEADING_COLUMNS + group * GROUP_WIDTH;
+      const fiberText = toText(values[start]);
+      if (fiberText === '') continue;
+
+      const fiber = toNumber(fiberText);
+      if (fiber === null || fiber < 1) {
+        this.addError(this.sheetName, rowNumber, 'Port #', `Cable fiber "${fiberText}" is not a number`);
+        continue;
+      }
+      if (record.cable !== null) {
+        this.addError(this.sheetName, rowNumber, 'Port #', `Port ${port} lands on more than one cable`);
+        continue;
+      }
+
+      Object.assign(record, {
+        cable: toText(values[start + 1]),
+        cableIndex: group,
+        fiber,
+        bufferTube: toNumber(values[start + 2]),
+        bufferColor: toText(values[start + 3]),
+        fiberNumber: toNumber(values[start + 4]),
+        fiberColor: toText(values[start + 5]).toLowerCase()
+      });
+    }
+
+    const address = toText(values[trailingStart + 1]);
+    const status = Object.keys(STATUS_LABELS)
+      .find(key => STATUS_LABELS[key].some(label => label.toLowerCase() === address.toLowerCase()));
+    record.mst = toText(values[trailingStart]);
+    record.sheet = toNumber(toText(values[trailingStart + 2]).replace(SHEET_LABEL, ''));
+    record.terminal = toText(values[trailingStart + 3]);
+
+    if (status) {
+      record.status = status;
+      record.address = '';
+    } else if (!address && !record.mst) {
+      record.status = 'unused';
+      record.address = '';
+    } else {
+      record.status = 'assigned';
+      record.address = address;
+    }
+
+    if (record.status === 'assigned' && !record.mst) {
+      this.addWarning(this.sheetName, rowNumber, 'MST', `Address "${address}" has no MST`);
+    } else if (record.status === 'assigned' && !address) {
+      this.addWarning(this.sheetName, rowNumber, 'Address', `MST "${record.mst}" has no address; reading it as spare`);
+      record.status = 'spare';
+    }
+    if (record.cable === null && (record.status === 'assigned' || record.status === 'spare')) {
+      this.addError(this.sheetName, rowNumber, 'Port #', `Port ${port} serves ${record.mst} but has no cable fiber`);
+    }
+
+    return record;
+  }
+
+  // Cable constructions from the Cable Inventory tab of an exported workbook,
+  // keyed by cable name
+  readCableInventory(workbook) {
+    const inventory = new Map();
+    const worksheet = workbook.Sheets[CABLE_INVENTORY_NAME];
+    if (!worksheet) return inventory;
+
+    XLSX.utils.sheet_to_json(worksheet, { defval: '' }).forEach(row => {
+      const name = toText(row['Cable']);
+      const fiberCount = toNumber(row['Fiber Count']);
+      if (!name || !fiberCount) return;
+      const cable = {
+        name,
+        type: toText(row['Type']),
+        fiberCount,
+        fibersPerTube: toNumber(row['Fibers/Tube']),
+        fibersPerRibbon: toNumber(row['Fibers/Ribbon']),
+        colorScheme: toText(row['Color Scheme'])
+      };
+      Object.entries(FIBER_LIST_COLUMNS).forEach(([key, header]) => {
+        cable[key] = toText(row[header]);
+      });
+      Object.keys(cable).forEach(key => {
+        if (cable[key] === '' || cable[key] === null) delete cable[key];
+      });
+      inventory.set(name, cable);
+    });
+    return inventory;
+  }
+
+  // Use the Cable Inventory tab when the workbook has one. Otherwise work each
+  // cable out from the fibers on it: fibers per tube from tube/position pairs,
+  // fiber count as the smallest standard size that holds the highest fiber.
+  inferCables(records, groupCount, inventory) {
+    const cables = [];
+    for (let group = 0; group < groupCount; group++) {
+      const cableRecords = records.filter(record => record.cableIndex === group);
+      const named = cableRecords.find(record => record.cable);
+      const listed = named ? inventory.get(named.cable) : [...inventory.values()][group];
+      if (listed) {
+        if (listed.colorScheme) {
+          try {
+            listed.colorScheme = getColorScheme(listed.colorScheme).name;
+          } catch (error) {
+            this.addWarning(CABLE_INVENTORY_NAME, null, 'Color Scheme',
+              `Unknown color scheme "${listed.colorScheme}" for ${listed.name}; using ${this.scheme.name}`);
+            delete listed.colorScheme;
+          }
+        }
+        cables.push(listed);
+        continue;
+      }
+
+      const tubed = cableRecords.find(record => record.bufferTube > 1 && record.fiberNumber);
+      const fibersPerTube = tubed
+        ? Math.round((tubed.fiber - tubed.fiberNumber) / (tubed.bufferTube - 1)) || DEFAULT_FIBERS_PER_TUBE
+        : DEFAULT_FIBERS_PER_TUBE;
+      const highestFiber = Math.max(fibersPerTube, ...cableRecords.map(record => record.fiber));
+      const fiberCount = CABLE_FIBER_COUNTS.find(count => count >= highestFiber && count % fibersPerTube === 0) ||
+        Math.ceil(highestFiber / fibersPerTube) * fibersPerTube;
+
+      cables.push({ name: named ? named.cable : `Cable ${group + 1}`, fiberCount, fibersPerTube });
+    }
+    return cables;
+  }
+
+  // Fiber and color consistency is left to SpliceValidator, which also runs
+  // on generated sheets; a port can only be read once, though
+  checkRecords(records) {
+    const ports = new Map();
+    records.forEach(record => {
+      if (ports.has(record.port)) {
+        this.addError(this.sheetName, record.row, 'Port #', `Port ${record.port} already appears on row ${ports.get(record.port)}`);
+      }
+      ports.set(record.port, record.row);
+    });
+  }
+}
+
+module.exports = SpliceSheetReader;
@@ -0,0 +1,84 @@
+const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { addSpliceSheet, addSummarySheet, addCableInventorySheet } = require('./excelExport');
+const SpliceSheetReader = require('./spliceSheetReader');
+
+// Workbook holding one sheet of rows, as a hand-made splice sheet would
+function handMade(rows, name = 'Splice Sheet') {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  return workbook;
+}
+
+const HEADERS = ['Port #', 'Main Cable', 'Port #', 'Cable', 'B#', '(B)', 'F#', '(F)', 'MST', 'Address', 'Sheet', 'Terminal'];
+
+// The generator's exported workbook, as SheetJS reads an upload of it
+async function exported(generator, spliceData) {
+  const workbook = new ExcelJS.Workbook();
+  const summary = generator.buildSummary();
+  addSpliceSheet(workbook, spliceData, { cables: generator.cables, getGroupScheme: index => generator.getGroupScheme(index) });
+  addSummarySheet(workbook, summary);
+  addCableInventorySheet(workbook, summary);
+  return XLSX.read(Buffer.from(await workbook.xlsx.writeBuffer()));
+}
+
+describe('splice sheet reader', () => {
+  test('reads an exported workbook back into the records it was made from', async () => {
+    const generator = new SpliceSheetGenerator();
+    const spliceData = generator.generateSpliceSheet({
+      ports: 30,
+      mainCableName: 'FDH1',
+      cables: [{ name: '12F(1)', fiberCount: 12 }, { name: '24F(2)', fiberCount: 24, colorScheme: 'IEC-60304' }],
+      addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 2, spareFibers: 1 }]
+    });
+    const { sheet, validation } = new SpliceSheetReader().readWorkbook(await exported(generator, spliceData));
+
+    expect(validation).toEqual({ valid: true, errors: [], warnings: [] });
+    expect(sheet.mainCableName).toBe('FDH1');
+    expect(sheet.cables.map(cable => [cable.name, cable.fiberCount, cable.colorScheme]))
+      .toEqual([['12F(1)', 12, 'TIA-598-C'], ['24F(2)', 24, 'IEC-60304']]);
+    expect(sheet.rows).toEqual(spliceData.slice(1));
+
+    const fields = ['port', 'cable', 'fiber', 'bufferTube', 'fiberColor', 'mst', 'address', 'status', 'colorScheme'];
+    const pick = record => fields.map(field => (field === 'address' && record.status !== 'assigned' ? '' : record[field]));
+    expect(sheet.records.map(pick)).toEqual(generator.records.map(pick));
+  });
+
+  test('works out cable sizes on a sheet with no inventory tab', () => {
+    const { sheet, validation } = new SpliceSheetReader().readWorkbook(handMade([
+      HEADERS,
+      [1, 'FDH1', 1, 'LEGACY', 1, 'BL', 1, 'BL', 'MST_1', '1 A ST', 'Sheet #2', 'T1'],
+      [2, 'FDH1', 8, 'LEGACY', 2, 'OR', 2, 'OR', 'MST_1', '', '', ''],
+      [3, 'FDH1', 9, 'LEGACY', 2, 'OR', 3, 'GR', '', 'Damaged', '', '']
+    ]));
+
+    expect(validation.valid).toBe(true);
+    expect(validation.warnings).toEqual([
+      { sheet: 'Splice Sheet', row: 3, column: 'Address', message: 'MST "MST_1" has no address; reading it as spare' }
+    ]);
+    expect(sheet.cables).toEqual([{ name: 'LEGACY', fiberCount: 12, fibersPerTube: 6 }]);
+    expect(sheet.records[0]).toMatchObject({ fiberColor: 'bl', sheet: 2, terminal: 'T1', status: 'assigned' });
+    expect(sheet.records.map(record => record.status)).toEqual(['assigned', 'spare', 'damaged']);
+  });
+
+  test('reports bad and repeated ports by row', () => {
+    const { validation } = new SpliceSheetReader().readWorkbook(handMade([
+      HEADERS,
+      ['one', 'FDH1', 1, 'A', 1, 'BL', 1, 'BL', '', '', '', ''],
+      [2, 'FDH1', 2, 'A', 1, 'BL', 2, 'OR', '', '', '', ''],
+      [2, 'FDH1', '', '', '', '', '', '', 'MST_1', '1 A ST', '', '']
+    ]));
+
+    expect(validation.errors).toEqual([
+      { sheet: 'Splice Sheet', row: 2, column: 'Port #', message: '"one" is not a port number' },
+      { sheet: 'Splice Sheet', row: 4, column: 'Port #', message: 'Port 2 serves MST_1 but has no cable fiber' },
+      { sheet: 'Splice Sheet', row: 4, column: 'Port #', message: 'Port 2 already appears on row 3' }
+    ]);
+  });
+
+  test('a workbook without a splice sheet header is a 400', () => {
+    expect(() => new SpliceSheetReader().readWorkbook(handMade([['Cable Name', 'Fiber Count']], 'Cables')))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringMatching(/^No "Port #" header row found/) }));
+  });
+});
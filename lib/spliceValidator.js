@@ -0,0 +1,183 @@
+// Consistency checks on a finished splice sheet, run after every generate
+// and on imported sheets: it catches what the generator or a hand edit got
+// wrong rather than what the input asked for. Rows are 1-based data rows
+// (row 1 is the first port under the header).
+const MAX_LISTED = 10;
+
+function listPorts(records) {
+  const ports = records.map(record => record.port);
+  return ports.length > MAX_LISTED ? `${ports.slice(0, MAX_LISTED).join(', ')} and ${ports.length - MAX_LISTED} more` : ports.join(', ');
+}
+
+function sameValue(a, b) {
+  return String(a === undefined || a === null ? '' : a).toLowerCase() === String(b === undefined || b === null ? '' : b).toLowerCase();
+}
+
+class SpliceValidator {
+  // generator: a SpliceSheetGenerator holding a generated or loaded sheet
+  constructor(generator) {
+    this.generator = generator;
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  addIssue(list, code, message, records = []) {
+    list.push({
+      code,
+      message,
+      rows: records.map(record => record.row),
+      ports: records.map(record => record.port)
+    });
+  }
+
+  addError(code, message, records) {
+    this.addIssue(this.errors, code, message, records);
+  }
+
+  addWarning(code, message, records) {
+    this.addIssue(this.warnings, code, message, records);
+  }
+
+  getReport() {
+    return {
+      valid: this.errors.length === 0,
+      errors: this.errors,
+      warnings: this.warnings
+    };
+  }
+
+  validate() {
+    const records = this.generator.records.map((record, index) => ({ ...record, row: index + 1 }));
+
+    const capacity = this.generator.portCapacity();
+
+    this.checkCapacity(records, capacity);
+    this.checkAllocation(records, capacity);
+    this.checkDuplicates(records);
+    this.checkColors(records);
+    this.checkTerminals(records);
+
+    return this.getReport();
+  }
+
+  // Ports beyond what the cables can carry, and addresses left without ports
+  checkCapacity(records, capacity) {
+    const { unservedAddresses } = this.generator;
+    if (records.length > capacity) {
+      this.addError('CAPACITY_SHORTFALL',
+        `${records.length} ports need more fibers than the cables' ${capacity} available`,
+        records.slice(capacity));
+    }
+    if (unservedAddresses.length > 0) {
+      this.addError('CAPACITY_SHORTFALL',
+        `${unservedAddresses.length} address(es) have no port: ${unservedAddresses.map(entry => entry.address).slice(0, MAX_LISTED).join(', ')}`);
+    }
+  }
+
+  // Ports with no fiber behind them even though the cables have room (a
+  // capacity shortfall is reported on its own), and fibers past the end of
+  // their cable
+  checkAllocation(records, capacity) {
+    const { cables } = this.generator;
+    const dark = records.filter(record => record.cable === null);
+    const misallocated = dark.filter(record => record.row <= capacity);
+    if (misallocated.length > 0) {
+      this.addError('OVER_ALLOCATION', `Ports ${listPorts(misallocated)} have no cable fiber`, misallocated);
+    }
+
+    const served = dark.filter(record => record.status === 'assigned' || record.status === 'spare');
+    if (served.length > 0) {
+      this.addError('DROP_WITHOUT_FIBER', `Ports ${listPorts(served)} serve a drop but have no cable fiber`, served);
+    }
+
+    cables.forEach((cable, cableIndex) => {
+      const { fiberCount } = this.generator.getCableConstruction(cable);
+      const beyond = records.filter(record => record.cableIndex === cableIndex && record.fiber > fiberCount);
+      if (beyond.length > 0) {
+        this.addError('OVER_ALLOCATION', `${cable.name} has ${fiberCount} fibers but ports ${listPorts(beyond)} use fibers past it`, beyond);
+      }
+    });
+  }
+
+  // A fiber or port used twice means two drops are spliced to one path
+  checkDuplicates(records) {
+    const groups = (keyOf) => {
+      const grouped = new Map();
+      records.forEach(record => {
+        const key = keyOf(record);
+        if (key === null) return;
+        if (!grouped.has(key)) grouped.set(key, []);
+        grouped.get(key).push(record);
+      });
+      return [...grouped.values()].filter(group => group.length > 1);
+    };
+
+    groups(record => record.port).forEach(group => {
+      this.addError('DUPLICATE_PORT', `Port ${group[0].port} appears on ${group.length} rows`, group);
+    });
+    groups(record => (record.cable === null ? null : `${record.cable}\u0000${record.fiber}`)).forEach(group => {
+      const drops = [...new Set(group.filter(record => record.address).map(record => record.address))];
+      this.addError('DUPLICATE_FIBER',
+        `${group[0].cable} fiber ${group[0].fiber} is on ports ${listPorts(group)}${drops.length > 1 ? ` serving ${drops.join(', ')}` : ''}`,
+        group);
+    });
+  }
+
+  // Tube/ribbon, position and colors must be the ones the fiber number gives
+  // under the cable's color scheme, or the crew splices the wrong fiber
+  checkColors(records) {
+    const { cables } = this.generator;
+    records.forEach(record => {
+      const cable = cables[record.cableIndex];
+      if (record.cable === null || !cable) return;
+
+      const expected = this.generator.calculateFiberPosition(record.fiber, cable);
+      const isRibbon = expected.ribbon !== undefined;
+      const hasRibbon = record.ribbon !== undefined && record.ribbon !== null;
+      const columns = [
+        ['B#', hasRibbon ? record.ribbon : record.bufferTube, isRibbon ? expected.ribbon : expected.bufferTube],
+        ['(B)', hasRibbon ? record.ribbonColor : record.bufferColor, isRibbon ? expected.ribbonColor : expected.bufferColor],
+        ['F#', record.fiberNumber, expected.fiberNumber],
+        ['(F)', record.fiberColor, expected.fiberColor]
+      ];
+
+      const mismatched = columns.filter(([, actual, value]) => !sameValue(actual, value));
+      if (mismatched.length > 0) {
+        const details = mismatched.map(([column, actual, value]) => `${column} is "${actual === null || actual === undefined ? '' : actual}", expected ${value}`);
+        this.addError('COLOR_MISMATCH',
+          `${record.cable} fiber ${record.fiber} (${expected.colorScheme}): ${details.join('; ')}`,
+          [record]);
+      }
+    });
+  }
+
+  // MSTs that were designed but serve nothing, and drops with no MST
+  checkTerminals(records) {
+    const { addresses } = this.generator;
+    const served = new Set(records.filter(record => record.status === 'assigned').map(record => record.mst));
+    const withSpares = new Map();
+    records.filter(record => record.status === 'spare').forEach(record => {
+      if (!withSpares.has(record.mst)) withSpares.set(record.mst, []);
+      withSpares.get(record.mst).push(record);
+    });
+
+    const designed = new Set(addresses.map(entry => entry.mst).filter(Boolean));
+    designed.forEach(mst => {
+      if (!served.has(mst) && !withSpares.has(mst)) {
+        this.addWarning('ORPHAN_MST', `${mst} has addresses in the design but no fibers`);
+      }
+    });
+    withSpares.forEach((spares, mst) => {
+      if (!served.has(mst)) {
+        this.addWarning('ORPHAN_MST', `${mst} only has spare fibers and serves no address`, spares);
+      }
+    });
+
+    const unlabelled = records.filter(record => record.status === 'assigned' && !record.mst);
+    if (unlabelled.length > 0) {
+      this.addWarning('DROP_WITHOUT_MST', `Ports ${listPorts(unlabelled)} serve an address but have no MST`, unlabelled);
+    }
+  }
+}
+
+module.exports = SpliceValidator;
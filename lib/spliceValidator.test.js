@@ -0,0 +1,67 @@
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const SpliceValidator = require('./spliceValidator');
+
+function generated(design) {
+  const generator = new SpliceSheetGenerator();
+  generator.generateSpliceSheet(design);
+  return generator;
+}
+
+const codes = issues => issues.map(issue => issue.code);
+
+describe('splice sheet validator', () => {
+  test('a generated sheet that fits its cables is valid', () => {
+    const generator = generated({
+      ports: 24,
+      cables: [{ name: '12F(1)', fiberCount: 12 }, { name: '12F(2)', fiberCount: 12 }],
+      addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 2, spareFibers: 1 }]
+    });
+    expect(new SpliceValidator(generator).validate()).toEqual({ valid: true, errors: [], warnings: [] });
+  });
+
+  test('more ports than fibers is a capacity shortfall naming the rows', () => {
+    const generator = generated({
+      ports: 14,
+      cables: [{ name: '12F', fiberCount: 12 }],
+      addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 12 }, { mst: 'MST_2', address: '2 B ST', fiberCount: 2 }]
+    });
+    const { valid, errors, warnings } = new SpliceValidator(generator).validate();
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { code: 'CAPACITY_SHORTFALL', message: '14 ports need more fibers than the cables\' 12 available', rows: [13, 14], ports: [13, 14] },
+      { code: 'CAPACITY_SHORTFALL', message: '1 address(es) have no port: 2 B ST', rows: [], ports: [] }
+    ]);
+    expect(warnings).toEqual([{ code: 'ORPHAN_MST', message: 'MST_2 has addresses in the design but no fibers', rows: [], ports: [] }]);
+  });
+
+  test('catches duplicate fibers, wrong colors and drops without an MST', () => {
+    const generator = generated({
+      ports: 6,
+      cables: [{ name: '12F', fiberCount: 12 }],
+      addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 2 }]
+    });
+    Object.assign(generator.records[1], { fiber: 1 });
+    Object.assign(generator.records[2], { fiberColor: 'rd' });
+    Object.assign(generator.records[3], { status: 'assigned', address: '9 Z ST' });
+    const { errors, warnings } = new SpliceValidator(generator).validate();
+
+    expect(codes(errors)).toEqual(['DUPLICATE_FIBER', 'COLOR_MISMATCH', 'COLOR_MISMATCH']);
+    expect(errors[0]).toMatchObject({ message: '12F fiber 1 is on ports 1, 2', rows: [1, 2] });
+    expect(errors[2].message).toBe('12F fiber 3 (TIA-598-C): (F) is "rd", expected gr');
+    expect(warnings).toEqual([{ code: 'DROP_WITHOUT_MST', message: 'Ports 4 serve an address but have no MST', rows: [4], ports: [4] }]);
+  });
+
+  test('catches ports reused, fibers past the cable and drops with no fiber', () => {
+    const generator = generated({ ports: 4, cables: [{ name: '12F', fiberCount: 12 }] });
+    Object.assign(generator.records[1], { port: 1 });
+    Object.assign(generator.records[2], { fiber: 14 });
+    Object.assign(generator.records[3], { cable: null, mst: 'MST_9', status: 'spare' });
+    const { errors, warnings } = new SpliceValidator(generator).validate();
+
+    expect(codes(errors)).toEqual(['OVER_ALLOCATION', 'DROP_WITHOUT_FIBER', 'OVER_ALLOCATION', 'DUPLICATE_PORT', 'COLOR_MISMATCH']);
+    expect(errors[2].message).toBe('12F has 12 fibers but ports 3 use fibers past it');
+    expect(errors[3]).toMatchObject({ message: 'Port 1 appears on 2 rows', rows: [1, 2] });
+    expect(warnings).toEqual([{ code: 'ORPHAN_MST', message: 'MST_9 only has spare fibers and serves no address', rows: [4], ports: [4] }]);
+  });
+});
@@ -0,0 +1,187 @@
+// Builds the blank input workbook straight from the input template schema
+const ExcelJS = require('exceljs');
+const { INPUT_TEMPLATE, EXAMPLE_ROW_NOTE } = require('./inputTemplate');
+
+// Rows below the header that carry data validation
+const VALIDATED_ROWS = 500;
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1F4E78' } };
+const HEADER_FONT = { bold: true, color: { argb: 'FFFFFFFF' } };
+const EXAMPLE_FONT = { italic: true, color: { argb: 'FF7F7F7F' } };
+
+// Excel data validation for a template column or setting, or null if free text
+function columnValidation(column) {
+  const prompt = {
+    showInputMessage: true,
+    promptTitle: column.label,
+    prompt: column.description
+  };
+
+  if (column.type === 'enum') {
+    return {
+      ...prompt,
+      type: 'list',
+      allowBlank: !column.required,
+      formulae: [`"${column.values().join(',')}"`],
+      showErrorMessage: true,
+      errorTitle: column.label,
+      error: `Choose one of: ${column.values().join(', ')}`
+    };
+  }
+
+  if (column.type === 'integer' && column.suggested) {
+    // Standard sizes as a dropdown, but other sizes are still accepted
+    return {
+      ...prompt,
+      type: 'list',
+      allowBlank: !column.required,
+      formulae: [`"${column.suggested.join(',')}"`],
+      showErrorMessage: true,
+      errorStyle: 'warning',
+      errorTitle: column.label,
+      error: `${column.label} is usually one of: ${column.suggested.join(', ')}`
+    };
+  }
+
+  if (column.type === 'integer' && column.max !== undefined) {
+    return {
+      ...prompt,
+      type: 'whole',
+      operator: 'between',
+      allowBlank: !column.required,
+      formulae: [column.min, column.max],
+      showErrorMessage: true,
+      errorTitle: column.label,
+      error: `${column.label} must be a whole number from ${column.min} to ${column.max}`
+    };
+  }
+
+  if (column.type === 'integer') {
+    return {
+      ...prompt,
+      type: 'whole',
+      operator: 'greaterThanOrEqual',
+      allowBlank: !column.required,
+      formulae: [column.min !== undefined ? column.min : 0],
+      showErrorMessage: true,
+      errorTitle: column.label,
+      error: `${column.label} must be a whole number${column.min !== undefined ? ` of at least ${column.min}` : ''}`
+    };
+  }
+
+  if (column.type === 'number' && column.max !== undefined) {
+    return {
+      ...prompt,
+      type: 'decimal',
+      operator: 'between',
+      allowBlank: !column.required,
+      formulae: [column.min, column.max],
+      showErrorMessage: true,
+      errorTitle: column.label,
+      error: `${column.label} must be a number from ${column.min} to ${column.max}`
+    };
+  }
+
+  if (column.type === 'number') {
+    return {
+      ...prompt,
+      type: 'decimal',
+      operator: 'greaterThanOrEqual',
+      allowBlank: !column.required,
+      formulae: [column.min !== undefined ? column.min : 0],
+      showErrorMessage: true,
+      errorTitle: column.label,
+      error: `${column.label} must be a number${column.min !== undefined ? ` of at least ${column.min}` : ''}`
+    };
+  }
+
+  return { ...prompt, type: 'any', allowBlank: true };
+}
+
+function styleHeaderRow(row) {
+  row.eachCell(cell => {
+    cell.fill = HEADER_FILL;
+    cell.font = HEADER_FONT;
+    cell.alignment = { vertical: 'middle' };
+  });
+}
+
+function addSettingsSheet(workbook) {
+  const definition = INPUT_TEMPLATE.settings;
+  const worksheet = workbook.addWorksheet(definition.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  worksheet.columns = [
+    { header: 'Setting', key: 'setting', width: 20 },
+    { header: 'Value', key: 'value', width: 24 },
+    { header: 'Description', key: 'description', width: 60 }
+  ];
+  styleHeaderRow(worksheet.getRow(1));
+
+  definition.fields.forEach((field, index) => {
+    const row = worksheet.addRow({ setting: field.label, value: field.example, description: field.description });
+    row.getCell('setting').font = { bold: true };
+    row.getCell('description').font = EXAMPLE_FONT;
+    worksheet.getCell(`B${index + 2}`).dataValidation = columnValidation(field);
+  });
+}
+
+function addTableSheet(workbook, definition) {
+  const worksheet = workbook.addWorksheet(definition.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+  worksheet.columns = definition.columns.map(column => ({
+    header: column.label,
+    key: column.key,
+    width: Math.max(column.label.length + 4, String(column.example).length + 2, 12)
+  }));
+  styleHeaderRow(worksheet.getRow(1));
+
+  definition.columns.forEach((column, index) => {
+    const header = worksheet.getRow(1).getCell(index + 1);
+    header.note = `${column.required ? 'Required. ' : ''}${column.description}`;
+
+    const letter = worksheet.getColumn(index + 1).letter;
+    worksheet.dataValidations.add(`${letter}2:${letter}${VALIDATED_ROWS + 1}`, columnValidation(column));
+  });
+
+  // Example row, greyed so it reads as a placeholder to overwrite, and noted
+  // so the parser skips it if it's left in
+  const example = worksheet.addRow(
+    definition.columns.reduce((values, column) => ({ ...values, [column.key]: column.example }), {})
+  );
+  example.font = EXAMPLE_FONT;
+  example.getCell(1).note = EXAMPLE_ROW_NOTE;
+}
+
+function addInstructionsSheet(workbook) {
+  const worksheet = workbook.addWorksheet('Instructions');
+  worksheet.getColumn(1).width = 100;
+
+  const lines = [
+    'Splice Sheet Generator input template',
+    '',
+    `${INPUT_TEMPLATE.settings.name}: optional project settings, one per row.`,
+    ...INPUT_TEMPLATE.sheets.map(sheet =>
+      `${sheet.name}: ${sheet.required ? 'required' : 'optional'}; columns ${sheet.columns.map(column => column.label).join(', ')}.`
+    ),
+    '',
+    'Replace the grey example rows with your own data; left unchanged, they are skipped. Sheets and columns are matched by name,',
+    'so columns can be reordered and extra columns are ignored. Hover over a header for details.',
+    'Upload the completed workbook to POST /generate-splice-sheet as "inputFile".'
+  ];
+  lines.forEach(line => worksheet.addRow([line]));
+  worksheet.getCell('A1').font = { bold: true, size: 14 };
+}
+
+function buildTemplateWorkbook() {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Splice Sheet Generator';
+  workbook.created = new Date();
+
+  addSettingsSheet(workbook);
+  INPUT_TEMPLATE.sheets.forEach(definition => addTableSheet(workbook, definition));
+  addInstructionsSheet(workbook);
+
+  return workbook;
+}
+
+module.exports = { buildTemplateWorkbook };
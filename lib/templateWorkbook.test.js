@@ -0,0 +1,65 @@
+const XLSX = require('xlsx');
+const { buildTemplateWorkbook } = require('./templateWorkbook');
+const { INPUT_TEMPLATE } = require('./inputTemplate');
+const InputParser = require('./inputParser');
+
+// The blank template as SheetJS reads an upload of it
+async function readTemplate(edit = () => {}) {
+  const workbook = buildTemplateWorkbook();
+  edit(workbook);
+  return XLSX.read(Buffer.from(await workbook.xlsx.writeBuffer()));
+}
+
+describe('input template workbook', () => {
+  test('has the settings, every template sheet and instructions', async () => {
+    const workbook = await readTemplate();
+    expect(workbook.SheetNames).toEqual(['Settings', 'Cables', 'Addresses', 'Splitters', 'Route', 'Instructions']);
+
+    const [cables] = INPUT_TEMPLATE.sheets;
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets.Cables, { header: 1 });
+    expect(rows[0]).toEqual(cables.columns.map(column => column.label));
+    expect(rows[1].slice(0, 2)).toEqual(['144F(1)', 144]);
+  });
+
+  test('offers dropdowns for enumerated columns', () => {
+    const worksheet = buildTemplateWorkbook().getWorksheet('Cables');
+    const validations = worksheet.dataValidations.model;
+
+    expect(validations['C2:C501']).toMatchObject({ type: 'list', formulae: ['"loose-tube,ribbon"'] });
+    expect(validations['B2:B501']).toMatchObject({ type: 'list', errorStyle: 'warning' });
+    expect(validations['I2:I501'].formulae[0]).toContain('TIA-598-C');
+    expect(validations['D2:D501']).toMatchObject({ type: 'whole', operator: 'between', formulae: [1, 864] });
+    expect(validations['G2:G501']).toMatchObject({ type: 'whole', operator: 'greaterThanOrEqual', formulae: [1] });
+  });
+
+  test('its example rows are not read as data when left in', async () => {
+    const { inputData, validation } = new InputParser().parseWorkbook(await readTemplate());
+
+    expect(inputData.cables).toEqual([]);
+    expect(inputData.addresses).toEqual([]);
+    expect(validation.warnings).toContainEqual({ sheet: 'Cables', row: 2, column: null, message: 'The template\'s example row was ignored' });
+    expect(validation.errors).toContainEqual({ sheet: 'Cables', row: null, column: null, message: 'No cables defined' });
+  });
+
+  test('an example row that has been edited is read as data', async () => {
+    const workbook = await readTemplate(book => {
+      book.getWorksheet('Cables').getCell('A2').value = '288F(1)';
+      book.getWorksheet('Cables').getCell('B2').value = 288;
+    });
+    const { inputData } = new InputParser().parseWorkbook(workbook);
+
+    expect(inputData.cables).toHaveLength(1);
+    expect(inputData.cables[0]).toMatchObject({ name: '288F(1)', fiberCount: 288 });
+  });
+
+  test('a row matching the example without the template note is data', async () => {
+    const workbook = await readTemplate(book => {
+      book.getWorksheet('Addresses').getCell('A2').note = undefined;
+    });
+    const { inputData } = new InputParser().parseWorkbook(workbook);
+
+    expect(inputData.addresses).toEqual([
+      expect.objectContaining({ mst: 'MST_F1245ECOATSAVE.210819', address: '2101 MARENGO LK RD', fiberCount: 4 })
+    ]);
+  });
+});
@@ -0,0 +1,271 @@
+// Splice closure layout: each FDH port's splice, the FDH stub fiber (side A)
+// to its distribution cable fiber (side B), placed in a tray and slot, plus
+// the cable fibers that are stored in the trays or pass through uncut.
+const { fiberStatusOf } = require('./fiberStatus');
+
+// spliced: stub fiber spliced to its cable fiber
+// stored: slot holding a stub fiber with no cable fiber, a damaged fiber, or
+// a cable fiber kept off the ports (dark) coiled without a splice
+// pass-through: express cable fiber, not cut and not in a tray
+const TRAY_ENTRY_TYPES = ['spliced', 'stored', 'pass-through'];
+
+const DEFAULT_CLOSURE = {
+  name: 'Closure',
+  splicesPerTray: 12,
+  traysPerClosure: null // no limit: one closure holds every tray
+};
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function checkCount(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw badRequest(`${name} must be a whole number of at least 1, got "${value}"`);
+  }
+  return number;
+}
+
+// Fill in the closure defaults; sizes must be whole numbers of at least 1
+function resolveClosure(settings = {}) {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    throw badRequest('closure must be an object');
+  }
+  return {
+    name: isBlank(settings.name) ? DEFAULT_CLOSURE.name : String(settings.name),
+    splicesPerTray: isBlank(settings.splicesPerTray)
+      ? DEFAULT_CLOSURE.splicesPerTray
+      : checkCount(settings.splicesPerTray, 'closure.splicesPerTray'),
+    traysPerClosure: isBlank(settings.traysPerClosure)
+      ? DEFAULT_CLOSURE.traysPerClosure
+      : checkCount(settings.traysPerClosure, 'closure.traysPerClosure')
+  };
+}
+
+// Tube (or ribbon) colors of one fiber, as calculateFiberPosition gives them
+function describeFiber(cable, fiber, position) {
+  const described = { cable, fiber, bufferTube: position.bufferTube, bufferColor: position.bufferColor };
+  if (position.ribbon !== undefined) {
+    Object.assign(described, { ribbon: position.ribbon, ribbonColor: position.ribbonColor });
+  }
+  return Object.assign(described, {
+    fiberNumber: position.fiberNumber,
+    fiberColor: position.fiberColor,
+    colorScheme: position.colorScheme
+  });
+}
+
+// Tray and slot of each record, one slot each in the order given: add(record)
+// each, then end(). A run of fibers on the same buffer tube (or ribbon) that
+// fits in one tray starts a new tray rather than being split across two, so
+// a run is held back until it ends or outgrows a tray. place(record, tray,
+// slot) is called as each record is placed.
+function trayPlacer(splicesPerTray, place) {
+  let tray = 1;
+  let slot = 0;
+  let key;
+  let run = [];
+  let flowing = false;
+
+  const put = record => {
+    if (slot === splicesPerTray) {
+      tray++;
+      slot = 0;
+    }
+    place(record, tray, ++slot);
+  };
+  const flush = () => {
+    if (slot > 0 && run.length > splicesPerTray - slot && run.length <= splicesPerTray) {
+      tray++;
+      slot = 0;
+    }
+    run.forEach(put);
+    run = [];
+  };
+
+  const add = record => {
+    const unit = record.ribbon !== undefined ? `R${record.ribbon}` : `B${record.bufferTube}`;
+    const recordKey = record.cable === null ? null : `${record.cableIndex}/${unit}`;
+    if (recordKey !== key) {
+      flush();
+      key = recordKey;
+      flowing = false;
+    }
+    if (flowing) return put(record);
+    run.push(record);
+    // Too long for any one tray: it runs on from the current slot
+    if (run.length > splicesPerTray) {
+      flush();
+      flowing = true;
+    }
+  };
+
+  // Trays used once every record is in
+  const end = () => {
+    flush();
+    return slot > 0 ? tray : 0;
+  };
+
+  return { add, end };
+}
+
+// Closure and tray number within it for each tray, once the tray count is known
+function trayLocator(closure, trayCount) {
+  const { traysPerClosure } = closure;
+  const closureCount = traysPerClosure ? Math.ceil(trayCount / traysPerClosure) : Math.min(trayCount, 1);
+  const closureName = number => (closureCount > 1 ? `${closure.name} #${number}` : closure.name);
+  const locate = trayNumber => {
+    const closureNumber = traysPerClosure ? Math.ceil(trayNumber / traysPerClosure) : 1;
+    return {
+      closure: closureName(closureNumber),
+      tray: traysPerClosure ? trayNumber - (closureNumber - 1) * traysPerClosure : trayNumber
+    };
+  };
+  return { closureCount, locate };
+}
+
+const entryType = record => (record.port === null || record.cable === null || record.status === 'damaged' ? 'stored' : 'spliced');
+
+// A cable fiber on no port, placed as a record with no port when it's stored
+function unportedRecord(fiber, cablePosition) {
+  return {
+    port: null,
+    cable: fiber.cable,
+    cableIndex: fiber.cableIndex,
+    fiber: fiber.fiber,
+    ...cablePosition(fiber.cableIndex, fiber.fiber),
+    status: fiber.status,
+    mst: '',
+    address: ''
+  };
+}
+
+// The layout's summary and per-tray totals counted as records go by: add()
+// each in port order, then summary() and trays() once the last is in.
+// options as for trayEntries.
+function trayTally({ closure, unported, cablePosition }) {
+  const { splicesPerTray, traysPerClosure } = closure;
+  const trayTotals = [];
+  const counts = { spliced: 0, stored: 0, passThrough: 0 };
+  const placer = trayPlacer(splicesPerTray, (record, tray) => {
+    if (!trayTotals[tray - 1]) trayTotals[tray - 1] = { spliced: 0, stored: 0, free: splicesPerTray };
+    trayTotals[tray - 1][entryType(record)]++;
+    trayTotals[tray - 1].free--;
+  });
+  let trayCount = null;
+
+  const add = record => {
+    counts[entryType(record)]++;
+    placer.add(record);
+  };
+  // Trays used, once the last record is in and the fibers on no port follow
+  const count = () => {
+    if (trayCount !== null) return trayCount;
+    for (const fiber of unported()) {
+      if (fiber.status === 'express') {
+        counts.passThrough++;
+      } else {
+        add(unportedRecord(fiber, cablePosition));
+      }
+    }
+    trayCount = placer.end();
+    return trayCount;
+  };
+
+  const summary = () => {
+    const { closureCount } = trayLocator(closure, count());
+    return {
+      closures: closureCount,
+      trays: trayCount,
+      splicesPerTray,
+      traysPerClosure,
+      ...counts
+    };
+  };
+
+  const trays = () => {
+    const { locate } = trayLocator(closure, count());
+    return trayTotals.map((totals, index) => ({ ...locate(index + 1), ...totals }));
+  };
+
+  return { add, count, summary, trays };
+}
+
+// The layout's entries, one per port as records are read, then the cable
+// fibers on no port: stored ones in the trays, express ones passing through.
+// trayCount (from trayTally) names the closures up front, so only a run of
+// ports is held at a time. options: { closure, fdh, unported() iterating
+// { cableIndex, cable, fiber, status } once the records are in,
+// stubPosition(port), cablePosition(cableIndex, fiber) }
+function* trayEntries(records, trayCount, { closure, fdh = '', unported, stubPosition, cablePosition }) {
+  const { locate } = trayLocator(closure, trayCount);
+  const placed = [];
+  const placer = trayPlacer(closure.splicesPerTray, (record, tray, slot) => placed.push({
+    ...locate(tray),
+    slot,
+    port: record.port,
+    type: entryType(record),
+    fiberA: record.port === null ? null : describeFiber(fdh, record.port, stubPosition(record.port)),
+    fiberB: record.cable === null ? null : describeFiber(record.cable, record.fiber, record),
+    status: record.port === null ? record.status : fiberStatusOf(record),
+    mst: record.mst,
+    address: record.address
+  }));
+
+  for (const record of records) {
+    placer.add(record);
+    yield* placed.splice(0);
+  }
+  for (const fiber of unported()) {
+    if (fiber.status === 'express') continue;
+    placer.add(unportedRecord(fiber, cablePosition));
+    yield* placed.splice(0);
+  }
+  placer.end();
+  yield* placed.splice(0);
+
+  for (const fiber of unported()) {
+    if (fiber.status !== 'express') continue;
+    yield {
+      closure: null,
+      tray: null,
+      slot: null,
+      port: null,
+      type: 'pass-through',
+      fiberA: null,
+      fiberB: describeFiber(fiber.cable, fiber.fiber, cablePosition(fiber.cableIndex, fiber.fiber)),
+      status: fiber.status,
+      mst: '',
+      address: ''
+    };
+  }
+}
+
+// The whole layout of records in port order: { closure, summary, trays,
+// entries }. options as for trayEntries.
+function buildTrayLayout(records, options) {
+  const tally = trayTally(options);
+  records.forEach(tally.add);
+  return {
+    closure: options.closure,
+    summary: tally.summary(),
+    trays: tally.trays(),
+    entries: [...trayEntries(records, tally.count(), options)]
+  };
+}
+
+module.exports = {
+  TRAY_ENTRY_TYPES,
+  DEFAULT_CLOSURE,
+  resolveClosure,
+  trayTally,
+  trayEntries,
+  buildTrayLayout
+};
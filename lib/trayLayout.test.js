@@ -0,0 +1,100 @@
+const { SpliceSheetGenerator } = require('./spliceSheetGenerator');
+const { DEFAULT_CLOSURE, resolveClosure } = require('./trayLayout');
+
+function layoutOf(design) {
+  const generator = new SpliceSheetGenerator();
+  generator.buildRecords(design);
+  return generator.buildTrayLayout();
+}
+
+const slots = layout => layout.entries.map(entry => [entry.closure, entry.tray, entry.slot, entry.port, entry.type, entry.fiberB && entry.fiberB.fiber]);
+
+describe('closure settings', () => {
+  test('unset sizes take the defaults', () => {
+    expect(resolveClosure()).toEqual(DEFAULT_CLOSURE);
+    expect(resolveClosure({ name: 'SC-1', splicesPerTray: '24' })).toEqual({ name: 'SC-1', splicesPerTray: 24, traysPerClosure: null });
+  });
+
+  test('sizes must be whole numbers of at least 1', () => {
+    expect(() => resolveClosure({ splicesPerTray: 0 }))
+      .toThrow(expect.objectContaining({ statusCode: 400, message: 'closure.splicesPerTray must be a whole number of at least 1, got "0"' }));
+    expect(() => resolveClosure({ traysPerClosure: 1.5 })).toThrow('closure.traysPerClosure must be a whole number of at least 1, got "1.5"');
+    expect(() => resolveClosure([])).toThrow('closure must be an object');
+  });
+});
+
+describe('tray layout', () => {
+  const layout = layoutOf({
+    ports: 10,
+    mainCableName: 'FDH1',
+    closure: { name: 'SC-1', splicesPerTray: 8 },
+    cables: [{ name: '24F', fiberCount: 24, fibersPerTube: 6, darkFibers: '7-8', expressFibers: '19-24', damagedFibers: '3' }],
+    addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 2 }]
+  });
+
+  test('a buffer tube that fits in one tray starts a new tray rather than being split', () => {
+    expect(slots(layout).slice(0, 12)).toEqual([
+      ['SC-1', 1, 1, 1, 'spliced', 1],
+      ['SC-1', 1, 2, 2, 'spliced', 2],
+      ['SC-1', 1, 3, 3, 'stored', 3],
+      ['SC-1', 1, 4, 4, 'spliced', 4],
+      ['SC-1', 1, 5, 5, 'spliced', 5],
+      ['SC-1', 1, 6, 6, 'spliced', 6],
+      ['SC-1', 2, 1, 7, 'spliced', 9],
+      ['SC-1', 2, 2, 8, 'spliced', 10],
+      ['SC-1', 2, 3, 9, 'spliced', 11],
+      ['SC-1', 2, 4, 10, 'spliced', 12],
+      ['SC-1', 2, 5, null, 'stored', 7],
+      ['SC-1', 2, 6, null, 'stored', 8]
+    ]);
+  });
+
+  test('a splice joins the FDH stub fiber to its cable fiber', () => {
+    expect(layout.entries[0]).toEqual({
+      closure: 'SC-1',
+      tray: 1,
+      slot: 1,
+      port: 1,
+      type: 'spliced',
+      fiberA: { cable: 'FDH1', fiber: 1, bufferTube: 1, bufferColor: 'BL', fiberNumber: 1, fiberColor: 'bl', colorScheme: 'TIA-598-C' },
+      fiberB: { cable: '24F', fiber: 1, bufferTube: 1, bufferColor: 'BL', fiberNumber: 1, fiberColor: 'bl', colorScheme: 'TIA-598-C' },
+      status: 'assigned',
+      mst: 'MST_1',
+      address: '1 A ST'
+    });
+    expect(layout.entries.map(entry => entry.status).slice(2, 4)).toEqual(['damaged', 'dark']);
+  });
+
+  test('fibers on no port that are not dark pass through outside the trays', () => {
+    const passing = layout.entries.filter(entry => entry.type === 'pass-through');
+    expect(passing.map(entry => entry.fiberB.fiber)).toEqual([13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24]);
+    expect(passing[0]).toMatchObject({ closure: null, tray: null, slot: null, fiberA: null, status: 'express' });
+  });
+
+  test('trays and the summary count what each holds', () => {
+    expect(layout.trays).toEqual([
+      { closure: 'SC-1', tray: 1, spliced: 5, stored: 1, free: 2 },
+      { closure: 'SC-1', tray: 2, spliced: 4, stored: 2, free: 2 }
+    ]);
+    expect(layout.summary).toEqual({
+      closures: 1, trays: 2, splicesPerTray: 8, traysPerClosure: null, spliced: 9, stored: 3, passThrough: 12
+    });
+  });
+
+  test('a buffer tube too big for any one tray runs on from the next free slot', () => {
+    const { trays } = layoutOf({ ports: 12, closure: { splicesPerTray: 4 }, cables: [{ name: '12F', fiberCount: 12, fibersPerTube: 6 }] });
+
+    expect(trays.map(tray => tray.spliced)).toEqual([4, 4, 4]);
+  });
+
+  test('trays past traysPerClosure go into numbered closures', () => {
+    const { summary, trays } = layoutOf({
+      ports: 36,
+      closure: { name: 'SC', traysPerClosure: 2 },
+      cables: [{ name: '36F', fiberCount: 36 }]
+    });
+
+    expect(summary).toMatchObject({ closures: 2, trays: 3, spliced: 36 });
+    expect(trays.map(tray => [tray.closure, tray.tray])).toEqual([['SC #1', 1], ['SC #1', 2], ['SC #2', 1]]);
+  });
+});
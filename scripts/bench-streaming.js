@@ -0,0 +1,132 @@
+// Compares peak memory of buffered exports (generateSpliceSheet, then
+// exportToExcel/exportOutput) with streamOutput for growing designs. Each run
+// is a fresh child process so one run's garbage can't skew the next.
+//
+//   node scripts/bench-streaming.js [--ports 864,1728,3456,6912] [--formats xlsx,csv,json]
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { fork } = require('child_process');
+const { Writable } = require('stream');
+const { SpliceSheetGenerator } = require('../lib/spliceSheetGenerator');
+
+const DEFAULT_PORTS = [864, 1728, 3456, 6912];
+const DEFAULT_FORMATS = ['xlsx', 'csv'];
+const CABLE_SIZE = 432;
+const SAMPLE_MS = 10;
+
+function option(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? fallback : process.argv[index + 1].split(',');
+}
+
+// A 1728F feeder into 432F distribution cables, two ports per drop and
+// eight drops per MST
+function benchDesign(ports) {
+  const cableCount = Math.ceil(ports / CABLE_SIZE);
+  return {
+    ports,
+    mainCableName: `FDH_BENCH_${ports}`,
+    feederCable: { name: 'F1728', fiberCount: 1728 },
+    cables: Array.from({ length: cableCount }, (_, index) => ({ name: `432F(${index + 1})`, fiberCount: CABLE_SIZE })),
+    addresses: Array.from({ length: Math.floor(ports / 2) }, (_, index) => ({
+      mst: `MST_${Math.floor(index / 8) + 1}`,
+      address: `${100 + index} BENCHMARK RD`,
+      sheet: Math.floor(index / 64) + 1,
+      fiberCount: 2
+    }))
+  };
+}
+
+// Discards everything written, counting the bytes
+function nullStream() {
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      stream.bytes += chunk.length;
+      callback();
+    }
+  });
+  stream.bytes = 0;
+  return stream;
+}
+
+async function runOnce(mode, format, ports) {
+  let peakRss = 0;
+  let peakHeap = 0;
+  const sample = () => {
+    const { rss, heapUsed } = process.memoryUsage();
+    peakRss = Math.max(peakRss, rss);
+    peakHeap = Math.max(peakHeap, heapUsed);
+  };
+  const timer = setInterval(sample, SAMPLE_MS);
+  const started = Date.now();
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'splice-bench-'));
+  const generator = new SpliceSheetGenerator({ outputDir });
+  let bytes;
+
+  try {
+    if (mode === 'buffered') {
+      const spliceData = generator.generateSpliceSheet(benchDesign(ports));
+      sample();
+      const filePath = await generator.exportOutput(spliceData, `bench.${format}`, format);
+      bytes = fs.statSync(filePath).size;
+    } else {
+      generator.prepareRecords(benchDesign(ports));
+      const stream = nullStream();
+      await generator.streamOutput(stream, format);
+      bytes = stream.bytes;
+    }
+  } finally {
+    clearInterval(timer);
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+  sample();
+
+  return { mode, format, ports, ms: Date.now() - started, bytes, peakRss, peakHeap };
+}
+
+function runChild(mode, format, ports) {
+  return new Promise((resolve, reject) => {
+    const child = fork(__filename, ['--child', mode, format, String(ports)]);
+    child.on('message', resolve);
+    child.on('error', reject);
+    child.on('exit', code => {
+      if (code !== 0) reject(new Error(`${mode} ${format} ${ports} exited with code ${code}`));
+    });
+  });
+}
+
+const mb = bytes => (bytes / 1024 / 1024).toFixed(1);
+
+async function main() {
+  if (process.argv[2] === '--child') {
+    const [mode, format, ports] = process.argv.slice(3);
+    process.send(await runOnce(mode, format, parseInt(ports)));
+    return;
+  }
+
+  const portCounts = option('ports', DEFAULT_PORTS).map(Number);
+  const formats = option('formats', DEFAULT_FORMATS);
+  console.log('format  ports  mode       time(ms)  output(MB)  peak heap(MB)  peak rss(MB)');
+  for (const format of formats) {
+    for (const ports of portCounts) {
+      for (const mode of ['buffered', 'streamed']) {
+        const result = await runChild(mode, format, ports);
+        console.log([
+          format.padEnd(6),
+          String(ports).padStart(5),
+          mode.padEnd(9),
+          String(result.ms).padStart(9),
+          mb(result.bytes).padStart(11),
+          mb(result.peakHeap).padStart(14),
+          mb(result.peakRss).padStart(13)
+        ].join('  '));
+      }
+    }
+  }
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,160 @@
+// Rewrites the JSON examples in README.md from the OpenAPI document, so the
+// README shows what the API accepts. Each example sits between markers:
+//
+//   <!-- openapi-example: generateCustomSpliceSheet -->  first request example
+//   <!-- openapi-example: createProject:project -->       named request example
+//   <!-- openapi-example: Closure -->                     a schema's example
+//   <!-- openapi-example: Design.reserve -->              "reserve": <example>
+//   <!-- /openapi-example -->
+//
+// Every example is validated first; --check exits 1 if the README is stale.
+//
+//   node scripts/readme-examples.js [--check]
+const fs = require('fs');
+const path = require('path');
+const { OPENAPI_DOCUMENT } = require('../lib/openApi');
+const { RequestValidator } = require('../lib/requestValidator');
+
+const README = path.join(__dirname, '..', 'README.md');
+const WIDTH = 120;
+const MARKER = /(<!-- openapi-example: ([\w.:-]+) -->\n)[\s\S]*?(<!-- \/openapi-example -->)/g;
+
+const validator = new RequestValidator(OPENAPI_DOCUMENT);
+const { schemas } = OPENAPI_DOCUMENT.components;
+
+function operationById(operationId) {
+  for (const pathItem of Object.values(OPENAPI_DOCUMENT.paths)) {
+    const found = Object.values(pathItem).find(described => described.operationId === operationId);
+    if (found) return found;
+  }
+  return null;
+}
+
+function resolve(schema) {
+  return schema && schema.$ref ? schemas[schema.$ref.split('/').pop()] : schema;
+}
+
+function firstExample(schema) {
+  return schema && schema.examples ? schema.examples[0] : undefined;
+}
+
+function fail(reference, message) {
+  throw new Error(`README example ${reference}: ${message}`);
+}
+
+function assertValid(reference, problems) {
+  if (problems.length > 0) {
+    fail(reference, problems.map(problem => `${problem.field || 'body'} ${problem.message}`).join('; '));
+  }
+}
+
+// { value, property } for a marker reference; property names the fragment key
+function exampleFor(reference) {
+  const [name, member] = reference.split(/[.:]/);
+  const described = operationById(name);
+
+  if (described) {
+    const media = described.requestBody && described.requestBody.content['application/json'];
+    const examples = media && media.examples ? media.examples : {};
+    const key = member || Object.keys(examples)[0];
+    if (!examples[key]) fail(reference, 'no such request example');
+    assertValid(reference, validator.check(name, { body: examples[key].value }));
+    return { value: examples[key].value };
+  }
+
+  if (!schemas[name]) fail(reference, 'no such operation or schema');
+  if (!member) {
+    const value = firstExample(schemas[name]);
+    if (value === undefined) fail(reference, 'the schema has no example');
+    assertValid(reference, validator.checkSchema(name, value));
+    return { value };
+  }
+
+  const property = (schemas[name].properties || {})[member];
+  if (!property) fail(reference, 'no such property');
+  const value = firstExample(property) !== undefined ? firstExample(property) : firstExample(resolve(property));
+  if (value === undefined) fail(reference, 'the property has no example');
+  assertValid(reference, validator.checkSchema(name, { [member]: value }));
+  return { value, property: member };
+}
+
+function isPlain(value) {
+  return value === null || typeof value !== 'object';
+}
+
+// List items one per line, except runs of plain values, which share lines
+function listLines(items, indent) {
+  const inner = ' '.repeat(indent + 2);
+  const lines = [];
+  let run = null;
+  items.forEach(item => {
+    const text = formatJson(item, indent + 2);
+    if (isPlain(item) && run !== null && run.length + text.length + 2 <= WIDTH) {
+      run += `, ${text}`;
+      return;
+    }
+    if (run !== null) lines.push(run);
+    run = isPlain(item) ? inner + text : null;
+    if (run === null) lines.push(inner + text);
+  });
+  if (run !== null) lines.push(run);
+  return lines;
+}
+
+// JSON with objects and lists on one line where they fit in WIDTH columns
+// after indent and the leading text; expand puts the outermost level on
+// separate lines regardless
+function formatJson(value, indent = 0, leading = 0, expand = false) {
+  const inline = JSON.stringify(value, null, 1).replace(/\n\s*/g, ' ')
+    .replace(/\[ /g, '[').replace(/ \]/g, ']').replace(/{ }/g, '{}');
+  const isList = Array.isArray(value);
+  if (isPlain(value) || Object.keys(value).length === 0 || (!expand && indent + leading + inline.length <= WIDTH)) {
+    return inline;
+  }
+
+  const inner = ' '.repeat(indent + 2);
+  const lines = isList
+    ? listLines(value, indent)
+    : Object.entries(value).map(([key, item]) => {
+      const label = `${JSON.stringify(key)}: `;
+      return inner + label + formatJson(item, indent + 2, label.length);
+    });
+  const [open, close] = isList ? ['[', ']'] : ['{', '}'];
+  return `${open}\n${lines.join(',\n')}\n${' '.repeat(indent)}${close}`;
+}
+
+function renderExample(reference) {
+  const { value, property } = exampleFor(reference);
+  const json = property
+    ? `${JSON.stringify(property)}: ${formatJson(value, 0, property.length + 4)}`
+    : formatJson(value, 0, 0, true);
+  return `\`\`\`json\n${json}\n\`\`\`\n`;
+}
+
+function main() {
+  const readme = fs.readFileSync(README, 'utf8');
+  let count = 0;
+  const updated = readme.replace(MARKER, (block, open, reference, close) => {
+    count++;
+    return open + renderExample(reference) + close;
+  });
+
+  if (process.argv.includes('--check')) {
+    if (updated !== readme) {
+      console.error('README.md examples are out of date; run npm run docs:examples');
+      process.exit(1);
+    }
+    console.log(`${count} README example(s) up to date`);
+    return;
+  }
+
+  fs.writeFileSync(README, updated);
+  console.log(`${count} README example(s) written`);
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
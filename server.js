@@ -1,9 +1,10 @@
 const express = require('express');
 const multer = require('multer');
-const XLSX = require('xlsx');
+const ExcelJS = require('exceljs');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const archiver = require('archiver');
 const app = express();
 
 // Enable CORS for frontend
@@ -11,12 +12,21 @@ app.use(cors());
 app.use(express.json());
 app.use(express.static('public')); // Serve static files
 
-// Configure multer for file uploads
+// Configure multer for file uploads. Address lists come as CSV or GeoJSON,
+// everything else as Excel.
 const upload = multer({ 
   dest: 'uploads/',
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.xlsx', '.xls'];
     const fileExt = path.extname(file.originalname).toLowerCase();
+    if (file.fieldname === 'addressFile') {
+      if (ADDRESS_FILE_TYPES[fileExt]) {
+        cb(null, true);
+      } else {
+        cb(new Error(`Address files must be one of: ${Object.keys(ADDRESS_FILE_TYPES).join(', ')}`), false);
+      }
+      return;
+    }
+    const allowedTypes = ['.xlsx', '.xls'];
     if (allowedTypes.includes(fileExt)) {
       cb(null, true);
     } else {
@@ -25,222 +35,316 @@ const upload = multer({
   }
 });
 
-// Fiber color coding standards
-const BUFFER_COLORS = ['BL', 'OR', 'GR', 'BR', 'SL', 'WH', 'RD', 'BK', 'YL', 'VT', 'RS', 'AQ'];
-const FIBER_COLORS = ['bl', 'or', 'gr', 'br', 'sl', 'wh', 'rd', 'bk', 'yl', 'vt', 'rs', 'aq'];
+const {
+  DEFAULT_COLOR_SCHEME,
+  getColorScheme,
+  listColorSchemes,
+  sequenceColor
+} = require('./lib/colorSchemes');
+const { CABLE_TYPES } = require('./lib/inputTemplate');
+const {
+  SpliceSheetGenerator,
+  OUTPUT_DIR,
+  OUTPUT_FORMATS,
+  STREAM_FORMATS,
+  STANDARD_FIBERS_PER_TUBE
+} = require('./lib/spliceSheetGenerator');
+const { readBatchFile } = require('./lib/batchInput');
+const { ADDRESS_FILE_TYPES, readAddressFile } = require('./lib/addressImport');
+const { resolveAddressOrder } = require('./lib/routeOrder');
+const { buildTemplateWorkbook } = require('./lib/templateWorkbook');
+const { toCsv } = require('./lib/dataExport');
+const ProjectStore = require('./lib/projectStore');
+const SpliceSheetReader = require('./lib/spliceSheetReader');
+const { EDIT_OPERATIONS, applySheetEdits } = require('./lib/sheetEditor');
+const { CHANGE_TYPES, diffSpliceSheets } = require('./lib/spliceDiff');
+const { addBatchSheets } = require('./lib/excelExport');
+const { JobQueue } = require('./lib/jobQueue');
+const { OPENAPI_DOCUMENT } = require('./lib/openApi');
+const { RequestValidator, invalidRequest } = require('./lib/requestValidator');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 
-class SpliceSheetGenerator {
-  constructor() {
-    this.fiberColorIndex = 0;
-    this.bufferTubeIndex = 0;
+// Content types of the output formats, and of batch zips
+const FORMAT_MIME_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf',
+  csv: 'text/csv',
+  json: 'application/json',
+  zip: 'application/zip'
+};
+
+// Large generations run as queued jobs on worker threads
+const jobQueue = new JobQueue({
+  workerPath: path.join(__dirname, 'lib', 'generationWorker.js'),
+  concurrency: process.env.JOB_CONCURRENCY || 1
+});
+
+const STRIPE_CONVENTION = 'Positions past the end of the color sequence repeat it with a stripe/dash: ' +
+  '13-24 carry one black stripe (BL/BK), 25-36 a double stripe (BL//BK), and so on; black takes a yellow stripe (BK/YL)';
+
+// Validate a requested output format, defaulting to xlsx
+function getOutputFormat(format) {
+  const normalized = String(format || 'xlsx').toLowerCase();
+  if (!OUTPUT_FORMATS.includes(normalized)) {
+    const error = new Error(`Unsupported format "${format}". Use one of: ${OUTPUT_FORMATS.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
   }
+  return normalized;
+}
 
-  // Calculate buffer tube and fiber numbers based on position
-  calculateFiberPosition(fiberNumber, fibersPerTube = 12) {
-    const bufferTubeNumber = Math.floor((fiberNumber - 1) / fibersPerTube) + 1;
-    const fiberInTube = ((fiberNumber - 1) % fibersPerTube) + 1;
-    
-    return {
-      bufferTube: bufferTubeNumber,
-      bufferColor: BUFFER_COLORS[(bufferTubeNumber - 1) % BUFFER_COLORS.length],
-      fiberNumber: fiberInTube,
-      fiberColor: FIBER_COLORS[(fiberInTube - 1) % FIBER_COLORS.length]
-    };
+// File format the Accept header asks for, listing `preferred` first so a
+// wildcard Accept picks it
+function getAcceptedFormat(req, preferred) {
+  if (!req.get('Accept')) return null;
+  const mimeTypes = [preferred, ...OUTPUT_FORMATS].map(format => FORMAT_MIME_TYPES[format]);
+  const accepted = req.accepts(mimeTypes);
+  return OUTPUT_FORMATS.find(format => FORMAT_MIME_TYPES[format] === accepted) || null;
+}
+
+// A file format other than JSON (the API's own response type) named by the
+// Accept header of a generate request
+function getRequestedFileFormat(req) {
+  const format = getAcceptedFormat(req, 'json');
+  return format === 'json' ? null : format;
+}
+
+// Send a generated file: as JSON metadata with a download link, or as the
+// file itself when the client asked for it with the Accept header
+function sendGeneratedFile(req, res, filePath, body) {
+  const explicitFormat = req.body.format || req.query.format;
+  if (!explicitFormat && getRequestedFileFormat(req)) {
+    return res.download(filePath, path.basename(filePath));
   }
+  res.json(body);
+}
 
-  // Generate splice sheet data
-  generateSpliceSheet(inputData) {
-    const {
-      ports = 96,
-      mainCableName = 'FDH108_144F_1-96',
-      cables = [],
-      addresses = []
-    } = inputData;
+const projectStore = new ProjectStore(DATA_DIR);
 
-    const spliceData = [];
-    let addressIndex = 0;
-    
-    // Generate header row
-    const headers = this.generateHeaders(cables);
-    spliceData.push(headers);
+// Query strings and bodies are checked against the OpenAPI document before a
+// route runs; validateRequest(operationId) goes after the upload handler
+const requestValidator = new RequestValidator(OPENAPI_DOCUMENT);
+const validateRequest = operationId => requestValidator.middleware(operationId);
 
-    // Generate data rows
-    for (let port = 1; port <= ports; port++) {
-      const row = [port, mainCableName];
-      
-      // Add cable information for each defined cable
-      cables.forEach((cable) => {
-        if (port <= cable.fiberCount) {
-          const fiberPos = this.calculateFiberPosition(port);
-          row.push(
-            port, // Port number for this cable
-            cable.name,
-            fiberPos.bufferTube,
-            fiberPos.bufferColor,
-            fiberPos.fiberNumber,
-            fiberPos.fiberColor
-          );
-        } else {
-          // Add empty values for unused cable positions
-          row.push('', cable.name, '', '', '', '');
-        }
-      });
+// Render a stored revision's input into its own directory, adding the format
+// to the revision's list of generated outputs
+async function renderRevision(projectId, record, format) {
+  const generator = new SpliceSheetGenerator({
+    outputDir: projectStore.revisionDir(projectId, record.revision)
+  });
+  const spliceData = generator.generateSpliceSheet(record.input);
+  const filename = `${record.basename}.${format}`;
+  const filePath = await generator.exportOutput(spliceData, filename, format);
 
-      // Add MST and address information
-      if (addressIndex < addresses.length) {
-        const addressInfo = addresses[addressIndex];
-        row.push(addressInfo.mst || '', addressInfo.address || '');
-        
-        // Add sheet and terminal info if available
-        if (addressInfo.sheet) {
-          row.push(`SHEET # ${addressInfo.sheet}`);
-        }
-        if (addressInfo.terminal) {
-          row.push(addressInfo.terminal);
-        }
-        
-        // Move to next address based on pattern (every 4 ports)
-        if (port % 4 === 0 && addressIndex < addresses.length - 1) {
-          addressIndex++;
-        }
-      } else {
-        // Mark as unused if no address data
-        row.push('', 'Unused');
-      }
+  record.formats = [...new Set([...(record.formats || []), format])];
+  record.warnings = generator.warnings;
+  record.checks = generator.validateSheet();
+  record.summary = generator.buildSummary();
+  return { generator, spliceData, filename, filePath };
+}
 
-      spliceData.push(row);
-    }
+// Regenerate a saved revision in memory, for comparing against another
+function loadRevisionSheet(projectId, revision) {
+  const record = projectStore.getRevision(projectId, revision);
+  if (!record) return null;
 
-    return spliceData;
-  }
+  const generator = new SpliceSheetGenerator();
+  const spliceData = generator.generateSpliceSheet(record.input);
+  return { record, generator, spliceData };
+}
 
-  // Generate dynamic headers based on cable configuration
-  generateHeaders(cables) {
-    const headers = ['Port #', 'Main Cable'];
-    
-    cables.forEach(cable => {
-      headers.push('Port #', 'Cable', 'B#', '(B)', 'F#', '(F)');
-    });
-    
-    headers.push('MST', 'Address');
-    return headers;
+// Write the diff workbook to output/ and build the JSON response for it
+async function sendDiffReport(res, report, generator, spliceData, labels) {
+  const filename = `splice_sheet_diff_${Date.now()}.xlsx`;
+  await generator.exportDiffToExcel(report, spliceData, filename);
+
+  res.json({
+    success: true,
+    message: `${report.summary.changed} fiber(s) changed`,
+    before: labels.before,
+    after: labels.after,
+    filename,
+    downloadUrl: `/download/${filename}`,
+    changeTypes: CHANGE_TYPES,
+    summary: report.summary,
+    changes: report.changes
+  });
+}
+
+// Answer a trace query (?address= | ?mst= | ?cable=&fiber= | ?port=, with
+// optional limit and threshold) against the generator's last sheet
+function sendTrace(res, generator, query) {
+  const result = generator.trace(query, { limit: query.limit, threshold: query.threshold });
+  if (!result) {
+    return res.status(400).json({ error: 'Give an address, mst, cable and fiber, or port to trace' });
   }
+  if (result.matches.length === 0) {
+    return res.status(404).json({ error: `No ${result.by} matches the query`, by: result.by, matches: [] });
+  }
+  res.json(result);
+}
 
-  // Parse input Excel file
-  parseInputFile(filePath) {
-    try {
-      const workbook = XLSX.readFile(filePath);
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-      const data = XLSX.utils.sheet_to_json(worksheet, { header: 1 });
-      
-      // Parse the input structure
-      const headers = data[0] || [];
-      const inputData = this.parseInputStructure(headers, data.slice(1));
-      
-      return inputData;
-    } catch (error) {
-      throw new Error(`Error parsing input file: ${error.message}`);
+// Generate every FDH of a batch into batchDir. An FDH that fails validation
+// or generation is reported and skipped; the rest still go out.
+async function generateBatch(inputs, format, batchDir) {
+  const basenames = new Set();
+  const results = [];
+
+  for (const input of inputs) {
+    const result = { fdh: input.name, source: input.source, tab: input.tab, status: 'failed', file: null, summary: null };
+    const located = entry => ({ fdh: input.name, source: input.source, ...entry });
+    result.warnings = input.validation.warnings.map(located);
+    result.errors = input.validation.errors.map(located);
+
+    if (input.validation.valid) {
+      try {
+        const generator = new SpliceSheetGenerator({ outputDir: batchDir });
+        const spliceData = generator.generateSpliceSheet(input.inputData);
+
+        let basename = String(input.name).replace(/[^A-Za-z0-9_().-]+/g, '_') || 'FDH';
+        for (let copy = 2; basenames.has(basename.toLowerCase()); copy++) {
+          basename = `${basename.replace(/_\d+$/, '')}_${copy}`;
+        }
+        basenames.add(basename.toLowerCase());
+
+        const filePath = await generator.exportOutput(spliceData, `${basename}.${format}`, format);
+        Object.assign(result, { status: 'generated', file: path.basename(filePath), filePath, summary: generator.buildSummary() });
+        result.warnings.push(...generator.warnings.map(warning => located({ message: warning.message, code: warning.code })));
+        result.errors.push(...generator.validateSheet().errors.map(check => located({ message: check.message, code: check.code })));
+      } catch (error) {
+        if (!error.statusCode) console.error(`Error generating ${input.name}:`, error);
+        result.errors.push(located({ message: error.message }));
+      }
     }
+    results.push(result);
   }
+  return results;
+}
 
-  // Parse input structure to understand cable configuration
-  parseInputStructure(headers, data) {
-    const cables = [];
-    const addresses = [];
-    
-    // Extract cable information from headers
-    headers.forEach((header, index) => {
-      if (header && typeof header === 'string' && header.toLowerCase().includes('cable')) {
-        const cableMatch = header.match(/(\d+)F/i);
-        const fiberCount = cableMatch ? parseInt(cableMatch[1]) : 144;
-        cables.push({
-          name: header,
-          fiberCount: fiberCount
-        });
-      }
-    });
+// Batch totals across every generated FDH
+function summarizeBatch(results, skipped) {
+  const generated = results.filter(result => result.status === 'generated');
+  const total = (group, key) => generated.reduce((sum, result) => sum + result.summary[group][key], 0);
+  const errors = [
+    ...skipped.map(entry => ({ fdh: '', source: entry.source, sheet: entry.tab, message: entry.message })),
+    ...results.flatMap(result => result.errors)
+  ];
 
-    // Parse address data if provided in subsequent rows
-    data.forEach((row, index) => {
-      if (row && row.length > 0) {
-        const addressData = {
-          mst: row[4] || `MST_F${1000 + index}ECOATSAVE.21082${index % 10}`,
-          address: row[5] || 'Unused',
-          sheet: row[6] ? parseInt(row[6]) : Math.floor(index / 3) + 10,
-          terminal: row[7] || (index < 2 ? `T${index + 1}` : undefined)
-        };
-        addresses.push(addressData);
-      }
-    });
+  return {
+    summary: {
+      fdhs: results.length,
+      generated: generated.length,
+      failed: results.length - generated.length,
+      skippedTabs: skipped.length,
+      ports: ['total', 'assigned', 'spare', 'reserved', 'unused', 'damaged'].reduce((ports, key) => ({ ...ports, [key]: total('ports', key) }), {}),
+      addresses: ['total', 'served', 'unserved'].reduce((addresses, key) => ({ ...addresses, [key]: total('addresses', key) }), {})
+    },
+    results: results.map(({ filePath, ...result }) => result),
+    errors
+  };
+}
 
-    return {
-      ports: data.length > 0 ? Math.max(96, data.length) : 96,
-      mainCableName: 'FDH108_144F_1-96',
-      cables: cables.length > 0 ? cables : [
-        { name: '144F(1)', fiberCount: 144 },
-        { name: '144F(2)', fiberCount: 144 },
-        { name: '48F(3)', fiberCount: 48 },
-        { name: '48F(4)', fiberCount: 48 }
-      ],
-      addresses: addresses.length > 0 ? addresses : this.generateSampleAddresses()
-    };
-  }
+function writeZip(zipPath, files) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(zipPath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    output.on('close', () => resolve(zipPath));
+    archive.on('error', reject);
+    archive.pipe(output);
+    files.forEach(file => archive.file(file, { name: path.basename(file) }));
+    archive.finalize();
+  });
+}
 
-  // Generate sample addresses for demonstration
-  generateSampleAddresses() {
-    const sampleAddresses = [
-      '2101 MARENGO LK RD', '1245 E COATS AVE', '821 E COATS AVE', '801 E COATS AVE',
-      '976 E COATS AVE', '764 E COATS AVE', '268 HIGHLAND CIR', '608 7TH AVE',
-      '702 7TH AVE', '302 TUCKER ST', '207 TUCKER ST', '205 TUCKER ST',
-      '101 E COATS AVE', '108 E COATS AVE'
-    ];
-    
-    return sampleAddresses.map((addr, index) => ({
-      mst: `MST_F${1000 + index}ECOATSAVE.21082${index % 10}`,
-      address: addr,
-      sheet: Math.floor(index / 3) + 10,
-      terminal: index < 2 ? `T${index + 1}` : undefined
-    }));
+// A job as the API shows it: the download link once it has completed
+function jobResponse(job) {
+  const response = { ...job, statusUrl: `/jobs/${job.id}` };
+  if (job.result) {
+    const { filePath, ...result } = job.result;
+    response.result = result;
+    response.downloadUrl = `/download/${result.filename}`;
   }
+  return response;
+}
 
-  // Export to Excel format
-  exportToExcel(spliceData, filename = 'splice_sheet.xlsx') {
-    const worksheet = XLSX.utils.aoa_to_sheet(spliceData);
-    const workbook = XLSX.utils.book_new();
-    
-    // Set column widths
-    worksheet['!cols'] = [
-      { width: 8 },   // Port #
-      { width: 20 },  // Main Cable
-      { width: 8 },   // Port #
-      { width: 15 },  // Cable
-      { width: 6 },   // B#
-      { width: 6 },   // (B)
-      { width: 6 },   // F#
-      { width: 6 },   // (F)
-      { width: 8 },   // Port #
-      { width: 15 },  // Cable
-      { width: 6 },   // B#
-      { width: 6 },   // (B)
-      { width: 6 },   // F#
-      { width: 6 },   // (F)
-      { width: 30 },  // MST
-      { width: 25 },  // Address
-    ];
-    
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'Splice Sheet');
-    
-    // Ensure output directory exists
-    const outputDir = path.join(__dirname, 'output');
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+function revisionDownloadUrl(projectId, revision, format) {
+  return `/projects/${projectId}/revisions/${revision}/download?format=${format}`;
+}
+
+// Design from a /generate-custom-splice-sheet style body, with the sample
+// cables and addresses filling in anything left out
+function customInputData(body, generator) {
+  const {
+    ports = 96,
+    mainCableName = 'FDH108_144F_1-96',
+    cables = [
+      { name: '144F(1)', fiberCount: 144 },
+      { name: '144F(2)', fiberCount: 144 }
+    ],
+    addresses = [],
+    feederCable,
+    splitters,
+    lossBudget,
+    closure,
+    reserve,
+    addressOrder,
+    colorScheme,
+    customColorSchemes,
+    project,
+    revision
+  } = body;
+
+  return {
+    ports,
+    mainCableName,
+    feederCable,
+    splitters,
+    lossBudget,
+    closure,
+    reserve,
+    addressOrder,
+    cables,
+    colorScheme,
+    customColorSchemes,
+    project,
+    revision,
+    addresses: addresses.length > 0 ? addresses : generator.generateSampleAddresses()
+  };
+}
+
+// Swap in the addresses of an uploaded CSV/GeoJSON address file, if any, and
+// its route line for the workbook's Route sheet. addressOrder (station or
+// route) overrides the workbook's Address Order. The two validation reports
+// are merged.
+function withAddressFile(inputData, validation, addressFile, addressOrder) {
+  let imported = null;
+  if (addressFile) {
+    try {
+      imported = readAddressFile(addressFile.path, addressFile.originalname);
+    } finally {
+      fs.unlink(addressFile.path, (err) => {
+        if (err) console.error('Error deleting uploaded file:', err);
+      });
     }
-    
-    const outputPath = path.join(outputDir, filename);
-    XLSX.writeFile(workbook, outputPath);
-    
-    return outputPath;
   }
+
+  const order = inputData.addressOrder || {};
+  const by = addressOrder || order.by;
+  const route = (imported && imported.route) || order.route;
+  const merged = { ...inputData, addressOrder: by ? { by, route } : undefined };
+  if (!imported) return { inputData: merged, validation };
+
+  merged.addresses = imported.addresses;
+  const reports = [validation, imported.validation].filter(Boolean);
+  return {
+    inputData: merged,
+    validation: {
+      valid: reports.every(report => report.valid),
+      errors: reports.flatMap(report => report.errors),
+      warnings: reports.flatMap(report => report.warnings)
+    }
+  };
 }
 
 // API Routes
@@ -250,24 +354,110 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', message: 'Splice Sheet Generator API is running' });
 });
 
+// The OpenAPI document every route's query and body are validated against
+app.get('/openapi.json', (req, res) => {
+  res.json(OPENAPI_DOCUMENT);
+});
+
 // Serve the frontend
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Generate splice sheet from uploaded Excel file
-app.post('/generate-splice-sheet', upload.single('inputFile'), (req, res) => {
+// Download a blank input template for /generate-splice-sheet
+app.get('/input-template', async (req, res) => {
+  try {
+    const buffer = await buildTemplateWorkbook().xlsx.writeBuffer();
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', 'attachment; filename="splice_sheet_input_template.xlsx"');
+    res.send(Buffer.from(buffer));
+  } catch (error) {
+    console.error('Error building input template:', error);
+    res.status(500).json({ error: 'Error building input template' });
+  }
+});
+
+// Read a CSV or GeoJSON address list (addressFile) into address entries for
+// the generate routes, with the MSTs in route order when addressOrder is set
+app.post('/addresses/import', upload.single('addressFile'), validateRequest('importAddresses'), (req, res) => {
   try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a CSV or GeoJSON address list as addressFile' });
+    }
+
+    const imported = readAddressFile(req.file.path, req.file.originalname);
+    if (!imported.validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Address file failed validation',
+        validation: imported.validation
+      });
+    }
+
     const generator = new SpliceSheetGenerator();
+    let addressOrder = null;
+    let addresses = imported.addresses;
+    if (req.body.addressOrder) {
+      // A route line in the file wins over one sent alongside it as JSON
+      let route = imported.route;
+      if (!route && req.body.route) {
+        try {
+          route = JSON.parse(req.body.route);
+        } catch (error) {
+          return res.status(400).json({ success: false, message: 'Error importing addresses', error: `route is not valid JSON: ${error.message}` });
+        }
+      }
+      addressOrder = resolveAddressOrder({ by: req.body.addressOrder, route });
+      addresses = generator.orderAddresses(addresses, addressOrder);
+    }
+
+    res.json({
+      success: true,
+      message: `Imported ${addresses.length} address(es)`,
+      format: imported.format,
+      addresses,
+      route: imported.route,
+      addressOrder: addressOrder ? addressOrder.by : null,
+      validation: imported.validation,
+      warnings: generator.warnings
+    });
+  } catch (error) {
+    console.error('Error importing addresses:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error importing addresses',
+      error: error.message
+    });
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, (err) => {
+        if (err) console.error('Error deleting uploaded file:', err);
+      });
+    }
+  }
+});
+
+// Generate splice sheet from uploaded Excel file, optionally with the
+// addresses from a CSV or GeoJSON addressFile in place of its Addresses sheet
+app.post('/generate-splice-sheet', upload.fields([{ name: 'inputFile', maxCount: 1 }, { name: 'addressFile', maxCount: 1 }]), validateRequest('generateSpliceSheet'), async (req, res) => {
+  try {
+    const generator = new SpliceSheetGenerator();
+    const format = getOutputFormat(req.body.format || req.query.format || getRequestedFileFormat(req));
+    const inputFile = req.files && req.files.inputFile ? req.files.inputFile[0] : null;
+    const addressFile = req.files && req.files.addressFile ? req.files.addressFile[0] : null;
     
     let inputData;
+    let validation;
     
-    if (req.file) {
+    if (inputFile) {
       // Parse uploaded file
-      inputData = generator.parseInputFile(req.file.path);
+      ({ inputData, validation } = generator.parseInputFile(inputFile.path, {
+        addressFile: addressFile ? addressFile.originalname : undefined
+      }));
       
       // Clean up uploaded file
-      fs.unlink(req.file.path, (err) => {
+      fs.unlink(inputFile.path, (err) => {
         if (err) console.error('Error deleting uploaded file:', err);
       });
     } else {
@@ -282,26 +472,43 @@ app.post('/generate-splice-sheet', upload.single('inputFile'), (req, res) => {
         addresses: generator.generateSampleAddresses()
       };
     }
+
+    if (addressFile || req.body.addressOrder) {
+      ({ inputData, validation } = withAddressFile(inputData, validation, addressFile, req.body.addressOrder));
+    }
+
+    if (validation) {
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Input file failed validation',
+          validation
+        });
+      }
+    }
     
     // Generate splice sheet
     const spliceData = generator.generateSpliceSheet(inputData);
     
-    // Export to Excel
-    const filename = `splice_sheet_${Date.now()}.xlsx`;
-    const filePath = generator.exportToExcel(spliceData, filename);
+    // Export in the requested format
+    const filename = `splice_sheet_${Date.now()}.${format}`;
+    const filePath = await generator.exportOutput(spliceData, filename, format);
     
-    res.json({
+    sendGeneratedFile(req, res, filePath, {
       success: true,
       message: 'Splice sheet generated successfully',
       filename: filename,
       rowCount: spliceData.length - 1, // Excluding header
       downloadUrl: `/download/${filename}`,
-      preview: spliceData.slice(0, 10) // Return first 10 rows as preview
+      preview: spliceData.slice(0, 10), // Return first 10 rows as preview
+      validation,
+      warnings: generator.warnings,
+      checks: generator.validateSheet()
     });
     
   } catch (error) {
     console.error('Error generating splice sheet:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error generating splice sheet',
       error: error.message
@@ -309,49 +516,206 @@ app.post('/generate-splice-sheet', upload.single('inputFile'), (req, res) => {
   }
 });
 
+// Generate many FDHs at once from inputFiles: template workbooks (one FDH
+// each) and/or workbooks with one tab per FDH. Responds with a zip of every
+// splice sheet plus batch_summary.xlsx/json, or with the zip itself when the
+// Accept header asks for application/zip.
+app.post('/generate-batch', upload.array('inputFiles'), validateRequest('generateBatch'), async (req, res) => {
+  const uploaded = req.files || [];
+  const batchId = `splice_sheets_batch_${Date.now()}`;
+  const batchDir = path.join(OUTPUT_DIR, batchId);
+
+  try {
+    if (uploaded.length === 0) {
+      return res.status(400).json({ success: false, message: 'Upload one or more input workbooks as inputFiles' });
+    }
+    const format = getOutputFormat(req.body.format || req.query.format);
+
+    const inputs = [];
+    const skipped = [];
+    uploaded.forEach(file => {
+      try {
+        const read = readBatchFile(file.path, file.originalname);
+        inputs.push(...read.inputs);
+        skipped.push(...read.skipped);
+      } catch (error) {
+        skipped.push({ source: file.originalname, tab: null, message: `Could not read workbook: ${error.message}` });
+      }
+    });
+
+    fs.mkdirSync(batchDir, { recursive: true });
+    const batch = summarizeBatch(await generateBatch(inputs, format, batchDir), skipped);
+
+    const workbook = new ExcelJS.Workbook();
+    addBatchSheets(workbook, batch);
+    const summaryPath = path.join(batchDir, 'batch_summary.xlsx');
+    await workbook.xlsx.writeFile(summaryPath);
+    const summaryJsonPath = path.join(batchDir, 'batch_summary.json');
+    await fs.promises.writeFile(summaryJsonPath, JSON.stringify(batch, null, 2));
+
+    const files = batch.results.filter(result => result.file).map(result => path.join(batchDir, result.file));
+    const filename = `${batchId}.zip`;
+    const zipPath = await writeZip(path.join(OUTPUT_DIR, filename), [...files, summaryPath, summaryJsonPath]);
+
+    if (req.accepts([FORMAT_MIME_TYPES.json, FORMAT_MIME_TYPES.zip]) === FORMAT_MIME_TYPES.zip) {
+      return res.download(zipPath, filename);
+    }
+    res.status(batch.summary.generated > 0 ? 200 : 400).json({
+      success: batch.summary.generated > 0,
+      message: `Generated ${batch.summary.generated} of ${batch.summary.fdhs} FDH splice sheet(s)`,
+      filename,
+      downloadUrl: `/download/${filename}`,
+      ...batch
+    });
+  } catch (error) {
+    console.error('Error generating batch:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error generating batch',
+      error: error.message
+    });
+  } finally {
+    uploaded.forEach(file => fs.unlink(file.path, (err) => {
+      if (err) console.error('Error deleting uploaded file:', err);
+    }));
+    fs.promises.rm(batchDir, { recursive: true, force: true }).catch(err => {
+      console.error('Error removing batch directory:', err);
+    });
+  }
+});
+
+// Stream a splice sheet to the response row by row instead of building it in
+// memory first: an uploaded inputFile or a /generate-custom-splice-sheet JSON
+// body, as xlsx, csv or json. The design is allocated and checked before the
+// first byte; nothing is kept on disk.
+app.post('/generate-stream', upload.single('inputFile'), validateRequest('generateStream'), async (req, res) => {
+  try {
+    const format = String(req.body.format || req.query.format || 'xlsx').toLowerCase();
+    if (!STREAM_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported format "${format}". Use one of: ${STREAM_FORMATS.join(', ')}` });
+    }
+
+    const generator = new SpliceSheetGenerator();
+    let inputData;
+    if (req.file) {
+      const parsed = generator.parseInputFile(req.file.path);
+      if (!parsed.validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Input file failed validation',
+          validation: parsed.validation
+        });
+      }
+      inputData = parsed.inputData;
+    } else {
+      inputData = customInputData(req.body, generator);
+    }
+    generator.prepareRecords(inputData);
+
+    res.attachment(`splice_sheet_${Date.now()}.${format}`);
+    res.type(FORMAT_MIME_TYPES[format]);
+    res.set({ 'X-Row-Count': generator.plan.ports, 'X-Warning-Count': generator.warnings.length });
+    await generator.streamOutput(res, format);
+    if (!res.writableEnded) res.end();
+  } catch (error) {
+    console.error('Error streaming splice sheet:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, (err) => {
+        if (err) console.error('Error deleting uploaded file:', err);
+      });
+    }
+  }
+});
+
+// Queue a generation instead of waiting for it: an uploaded inputFile like
+// /generate-splice-sheet, or a /generate-custom-splice-sheet JSON body.
+// Poll GET /jobs/:id for progress and the download link.
+app.post('/jobs', upload.single('inputFile'), validateRequest('submitJob'), (req, res) => {
+  try {
+    const format = getOutputFormat(req.body.format || req.query.format);
+    const filename = `splice_sheet_${Date.now()}.${format}`;
+    const workerData = req.file
+      ? { inputFile: req.file.path }
+      : { inputData: customInputData(req.body, new SpliceSheetGenerator()) };
+
+    const job = jobQueue.submit('generate', { ...workerData, format, filename, outputDir: OUTPUT_DIR }, {
+      onFinish: () => {
+        if (req.file) {
+          fs.unlink(req.file.path, (err) => {
+            if (err && err.code !== 'ENOENT') console.error('Error deleting uploaded file:', err);
+          });
+        }
+      }
+    });
+    res.status(202).json(jobResponse(job));
+  } catch (error) {
+    if (req.file) fs.unlink(req.file.path, () => {});
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/jobs', (req, res) => {
+  res.json({ jobs: jobQueue.list().map(jobResponse) });
+});
+
+app.get('/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(jobResponse(job));
+});
+
+// Cancel a queued or running job
+app.delete('/jobs/:id', (req, res) => {
+  try {
+    const job = jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(jobResponse(job));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 // Generate splice sheet with custom parameters
-app.post('/generate-custom-splice-sheet', (req, res) => {
+app.post('/generate-custom-splice-sheet', validateRequest('generateCustomSpliceSheet'), async (req, res) => {
   try {
     const generator = new SpliceSheetGenerator();
-    const {
-      ports = 96,
-      mainCableName = 'FDH108_144F_1-96',
-      cables = [
-        { name: '144F(1)', fiberCount: 144 },
-        { name: '144F(2)', fiberCount: 144 }
-      ],
-      addresses = []
-    } = req.body;
-    
-    const inputData = {
-      ports,
-      mainCableName,
-      cables,
-      addresses: addresses.length > 0 ? addresses : generator.generateSampleAddresses()
-    };
+    const inputData = customInputData(req.body, generator);
+    const outputFormat = getOutputFormat(req.body.format || req.query.format || getRequestedFileFormat(req));
     
     const spliceData = generator.generateSpliceSheet(inputData);
     
-    // Export to Excel
-    const filename = `custom_splice_sheet_${Date.now()}.xlsx`;
-    const filePath = generator.exportToExcel(spliceData, filename);
+    // Export in the requested format
+    const filename = `custom_splice_sheet_${Date.now()}.${outputFormat}`;
+    const filePath = await generator.exportOutput(spliceData, filename, outputFormat);
     
-    res.json({
+    sendGeneratedFile(req, res, filePath, {
       success: true,
       message: 'Custom splice sheet generated successfully',
       filename: filename,
       downloadUrl: `/download/${filename}`,
       preview: spliceData.slice(0, 10),
       summary: {
-        totalPorts: ports,
-        cables: cables.length,
+        totalPorts: inputData.ports,
+        cables: inputData.cables.length,
         addresses: inputData.addresses.length
-      }
+      },
+      warnings: generator.warnings,
+      checks: generator.validateSheet()
     });
     
   } catch (error) {
     console.error('Error generating custom splice sheet:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error generating custom splice sheet',
       error: error.message
@@ -359,31 +723,623 @@ app.post('/generate-custom-splice-sheet', (req, res) => {
   }
 });
 
-// Download generated file
-app.get('/download/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const filePath = path.join(__dirname, 'output', filename);
-  
+// Send outputDir/filename, or the same output in the format asked for with
+// ?format= or the Accept header. CSV is converted from the stored fiber
+// document when no CSV was generated. Resolves false if nothing matches.
+async function sendOutputFile(req, res, outputDir, filename) {
+  const storedFormat = path.extname(filename).slice(1).toLowerCase();
+  const basename = path.basename(filename, path.extname(filename));
+  const format = req.query.format
+    ? getOutputFormat(req.query.format)
+    : (getAcceptedFormat(req, storedFormat) || storedFormat);
+
+  const filePath = path.join(outputDir, `${basename}.${format}`);
+  const documentPath = path.join(outputDir, `${basename}.json`);
+
   if (fs.existsSync(filePath)) {
-    res.download(filePath, filename, (err) => {
+    res.download(filePath, `${basename}.${format}`, (err) => {
       if (err) {
         console.error('Error downloading file:', err);
-        res.status(500).json({ error: 'Error downloading file' });
+        if (!res.headersSent) res.status(500).json({ error: 'Error downloading file' });
       }
     });
-  } else {
-    res.status(404).json({ error: 'File not found' });
+    return true;
+  }
+
+  if (format === 'csv' && fs.existsSync(documentPath)) {
+    const fiberDocument = JSON.parse(await fs.promises.readFile(documentPath, 'utf8'));
+    res.attachment(`${basename}.csv`);
+    res.type('text/csv').send(toCsv(fiberDocument.fibers));
+    return true;
+  }
+
+  return false;
+}
+
+// Download generated file. ?format= or the Accept header can ask for another
+// format; CSV and JSON are converted from the stored fiber document.
+app.get('/download/:filename', validateRequest('downloadFile'), async (req, res) => {
+  try {
+    const sent = await sendOutputFile(req, res, OUTPUT_DIR, path.basename(req.params.filename));
+    if (!sent) {
+      res.status(404).json({ error: 'File not found' });
+    }
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Get fiber color standards
-app.get('/fiber-standards', (req, res) => {
-  res.json({
-    bufferColors: BUFFER_COLORS,
-    fiberColors: FIBER_COLORS,
-    standardFibersPerTube: 12,
-    colorCodingStandard: 'TIA-598-C'
-  });
+// Projects: a saved design (FDH, feeder cable, cables, addresses, settings)
+// whose generated splice sheets are kept as numbered revisions
+app.get('/projects', (req, res) => {
+  res.json({ projects: projectStore.listProjects() });
+});
+
+app.post('/projects', validateRequest('createProject'), (req, res) => {
+  try {
+    res.status(201).json(projectStore.createProject(req.body));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/projects/:id', (req, res) => {
+  try {
+    const project = projectStore.getProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(project);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.put('/projects/:id', validateRequest('updateProject'), (req, res) => {
+  try {
+    const project = projectStore.updateProject(req.params.id, req.body);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json(project);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/projects/:id', (req, res) => {
+  try {
+    if (!projectStore.deleteProject(req.params.id)) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Generate the project's current design as its next revision. The input is
+// snapshotted into the revision so it can be regenerated after later edits.
+app.post('/projects/:id/revisions', validateRequest('createRevision'), async (req, res) => {
+  try {
+    const project = projectStore.getProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const format = getOutputFormat(req.body.format || req.query.format);
+    const input = projectStore.toInputData(project);
+
+    // Fail on bad input before a revision number is used up
+    new SpliceSheetGenerator().generateSpliceSheet(input);
+
+    const record = projectStore.createRevision(project.id, { notes: req.body.notes || '' });
+    record.input = { ...input, revision: record.revision };
+    const { spliceData } = await renderRevision(project.id, record, format);
+    projectStore.saveRevision(project.id, record);
+
+    res.status(201).json({
+      success: true,
+      message: `Revision ${record.revision} generated successfully`,
+      projectId: project.id,
+      revision: record.revision,
+      rowCount: spliceData.length - 1,
+      downloadUrl: revisionDownloadUrl(project.id, record.revision, format),
+      preview: spliceData.slice(0, 10),
+      summary: record.summary,
+      warnings: record.warnings,
+      checks: record.checks
+    });
+  } catch (error) {
+    console.error('Error generating revision:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error generating revision',
+      error: error.message
+    });
+  }
+});
+
+app.get('/projects/:id/revisions', (req, res) => {
+  try {
+    const revisions = projectStore.listRevisions(req.params.id);
+    if (!revisions) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ revisions });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/projects/:id/revisions/:revision', (req, res) => {
+  try {
+    const record = projectStore.getRevision(req.params.id, req.params.revision);
+    if (!record) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json(record);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Re-download a revision's output. ?format= picks another format; xlsx and
+// pdf outputs that were never generated need /regenerate first.
+app.get('/projects/:id/revisions/:revision/download', validateRequest('downloadRevision'), async (req, res) => {
+  try {
+    const record = projectStore.getRevision(req.params.id, req.params.revision);
+    if (!record) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const outputDir = projectStore.revisionDir(req.params.id, record.revision);
+    const sent = await sendOutputFile(req, res, outputDir, `${record.basename}.${record.formats[0]}`);
+    if (!sent) {
+      res.status(404).json({
+        error: 'Format not generated for this revision',
+        formats: record.formats
+      });
+    }
+  } catch (error) {
+    console.error('Error downloading revision:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Re-render a past revision from its stored input, e.g. in another format
+app.post('/projects/:id/revisions/:revision/regenerate', validateRequest('regenerateRevision'), async (req, res) => {
+  try {
+    const record = projectStore.getRevision(req.params.id, req.params.revision);
+    if (!record) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    const format = getOutputFormat(req.body.format || req.query.format);
+    await renderRevision(req.params.id, record, format);
+    record.regeneratedAt = new Date().toISOString();
+    projectStore.saveRevision(req.params.id, record);
+
+    res.json({
+      success: true,
+      message: `Revision ${record.revision} regenerated successfully`,
+      revision: record.revision,
+      formats: record.formats,
+      downloadUrl: revisionDownloadUrl(req.params.id, record.revision, format),
+      warnings: record.warnings
+    });
+  } catch (error) {
+    console.error('Error regenerating revision:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error regenerating revision',
+      error: error.message
+    });
+  }
+});
+
+// Compare two saved revisions of a project: ?from=1&to=2 (to defaults to the
+// latest revision)
+app.get('/projects/:id/diff', validateRequest('diffRevisions'), async (req, res) => {
+  try {
+    const project = projectStore.getProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!req.query.from) {
+      return res.status(400).json({ error: 'from revision is required' });
+    }
+
+    const before = loadRevisionSheet(project.id, req.query.from);
+    const after = loadRevisionSheet(project.id, req.query.to || project.latestRevision);
+    if (!before || !after) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const report = diffSpliceSheets(before.generator.records, after.generator.records);
+    await sendDiffReport(res, report, after.generator, after.spliceData, {
+      before: `Revision ${before.record.revision}`,
+      after: `Revision ${after.record.revision}`
+    });
+  } catch (error) {
+    console.error('Error comparing revisions:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error comparing revisions',
+      error: error.message
+    });
+  }
+});
+
+// Compare two uploaded splice sheets exported by this service: fields
+// "before" and "after"
+app.post('/diff', upload.fields([{ name: 'before', maxCount: 1 }, { name: 'after', maxCount: 1 }]), validateRequest('diffSpliceSheets'), async (req, res) => {
+  const files = req.files || {};
+  const uploaded = [...(files.before || []), ...(files.after || [])];
+
+  try {
+    if (!files.before || !files.after) {
+      return res.status(400).json({ error: 'Upload both a "before" and an "after" splice sheet' });
+    }
+
+    const readings = [files.before[0], files.after[0]].map(file => new SpliceSheetReader().readFile(file.path));
+    const invalid = readings.find(reading => !reading.validation.valid);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Splice sheet failed validation',
+        validation: invalid.validation
+      });
+    }
+
+    const [before, after] = readings.map(reading => reading.sheet);
+    const report = diffSpliceSheets(before.records, after.records);
+
+    const generator = new SpliceSheetGenerator();
+    generator.cables = after.cables;
+    await sendDiffReport(res, report, generator, [after.headers, ...after.rows], {
+      before: files.before[0].originalname,
+      after: files.after[0].originalname
+    });
+  } catch (error) {
+    console.error('Error comparing splice sheets:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error comparing splice sheets',
+      error: error.message
+    });
+  } finally {
+    uploaded.forEach(file => fs.unlink(file.path, (err) => {
+      if (err) console.error('Error deleting uploaded file:', err);
+    }));
+  }
+});
+
+// Network hierarchy of a design (a /generate-custom-splice-sheet body) as a
+// feeder -> FDH -> distribution cable -> MST -> drop tree
+app.post('/network-tree', validateRequest('buildNetworkTree'), (req, res) => {
+  try {
+    const generator = new SpliceSheetGenerator();
+    generator.generateSpliceSheet(customInputData(req.body, generator));
+    res.json({ tree: generator.buildNetworkTree(), warnings: generator.warnings });
+  } catch (error) {
+    console.error('Error building network tree:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/projects/:id/revisions/:revision/tree', (req, res) => {
+  try {
+    const loaded = loadRevisionSheet(req.params.id, req.params.revision);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json({ revision: loaded.record.revision, tree: loaded.generator.buildNetworkTree() });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Splice closure layout of a design (a /generate-custom-splice-sheet body):
+// the tray and slot of every splice, using the body's closure or the default
+// 12 splices per tray
+app.post('/tray-layout', validateRequest('buildTrayLayout'), (req, res) => {
+  try {
+    const generator = new SpliceSheetGenerator();
+    generator.generateSpliceSheet(customInputData(req.body, generator));
+    res.json({ trayLayout: generator.buildTrayLayout(), warnings: generator.warnings });
+  } catch (error) {
+    console.error('Error building tray layout:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/projects/:id/revisions/:revision/tray-layout', (req, res) => {
+  try {
+    const loaded = loadRevisionSheet(req.params.id, req.params.revision);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    res.json({ revision: loaded.record.revision, trayLayout: loaded.generator.buildTrayLayout() });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Trace a design (a /generate-custom-splice-sheet body); the lookup goes in
+// the query string
+app.post('/trace', validateRequest('traceDesign'), (req, res) => {
+  try {
+    const generator = new SpliceSheetGenerator();
+    generator.generateSpliceSheet(customInputData(req.body, generator));
+    sendTrace(res, generator, req.query);
+  } catch (error) {
+    console.error('Error tracing fiber:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/projects/:id/revisions/:revision/trace', validateRequest('traceRevision'), (req, res) => {
+  try {
+    const loaded = loadRevisionSheet(req.params.id, req.params.revision);
+    if (!loaded) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    sendTrace(res, loaded.generator, req.query);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Check a design (a /generate-custom-splice-sheet body) or an uploaded splice
+// sheet (sheetFile) for over-allocation, duplicate fibers, color mismatches,
+// orphan MSTs and capacity shortfalls without exporting anything
+app.post('/validate', upload.single('sheetFile'), validateRequest('validateDesign'), (req, res) => {
+  try {
+    const generator = new SpliceSheetGenerator();
+    let validation;
+
+    if (req.file) {
+      const reading = new SpliceSheetReader({ colorScheme: req.body.colorScheme }).readFile(req.file.path);
+      validation = reading.validation;
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Splice sheet failed validation',
+          validation
+        });
+      }
+      generator.loadRecords(reading.sheet);
+    } else {
+      generator.generateSpliceSheet(customInputData(req.body, generator));
+    }
+
+    const checks = generator.validateSheet();
+    res.json({
+      success: true,
+      message: checks.valid
+        ? 'No errors found'
+        : `${checks.errors.length} error(s) found`,
+      checks,
+      validation,
+      warnings: generator.warnings
+    });
+  } catch (error) {
+    console.error('Error validating splice sheet:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error validating splice sheet',
+      error: error.message
+    });
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, (err) => {
+        if (err) console.error('Error deleting uploaded file:', err);
+      });
+    }
+  }
+});
+
+// Imported splice sheets: an existing sheet in the generated layout, read back
+// into per-port records so it can be validated, edited and exported again
+app.post('/sheets/import', upload.single('sheetFile'), validateRequest('importSheet'), (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Upload a splice sheet as sheetFile' });
+    }
+
+    const { sheet, validation } = new SpliceSheetReader({ colorScheme: req.body.colorScheme }).readFile(req.file.path);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Splice sheet failed validation',
+        validation
+      });
+    }
+
+    const generator = new SpliceSheetGenerator();
+    generator.loadRecords(sheet);
+
+    const stored = projectStore.createSheet({
+      name: req.body.name || path.basename(req.file.originalname, path.extname(req.file.originalname)),
+      source: req.file.originalname,
+      mainCableName: sheet.mainCableName,
+      colorScheme: sheet.colorScheme,
+      cables: sheet.cables,
+      records: sheet.records,
+      validation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${stored.records.length} ports`,
+      id: stored.id,
+      name: stored.name,
+      mainCableName: stored.mainCableName,
+      cables: stored.cables,
+      validation,
+      checks: generator.validateSheet()
+    });
+  } catch (error) {
+    console.error('Error importing splice sheet:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error importing splice sheet',
+      error: error.message
+    });
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, (err) => {
+        if (err) console.error('Error deleting uploaded file:', err);
+      });
+    }
+  }
+});
+
+app.get('/sheets', (req, res) => {
+  res.json({ sheets: projectStore.listSheets() });
+});
+
+app.get('/sheets/:id', (req, res) => {
+  try {
+    const sheet = projectStore.getSheet(req.params.id);
+    if (!sheet) {
+      return res.status(404).json({ error: 'Sheet not found' });
+    }
+    res.json(sheet);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.delete('/sheets/:id', (req, res) => {
+  try {
+    if (!projectStore.deleteSheet(req.params.id)) {
+      return res.status(404).json({ error: 'Sheet not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Apply { operations: [...] } in order; all of them or none are saved
+app.post('/sheets/:id/edits', validateRequest('editSheet'), (req, res) => {
+  try {
+    const sheet = projectStore.getSheet(req.params.id);
+    if (!sheet) {
+      return res.status(404).json({ error: 'Sheet not found' });
+    }
+
+    const { records, applied } = applySheetEdits(sheet.records, req.body.operations);
+    const edited = projectStore.saveSheet({
+      ...sheet,
+      records,
+      editCount: sheet.editCount + applied.length,
+      updatedAt: new Date().toISOString()
+    });
+
+    const generator = new SpliceSheetGenerator();
+    generator.loadRecords(edited);
+    res.json({
+      success: true,
+      message: `Applied ${applied.length} operation(s)`,
+      applied,
+      checks: generator.validateSheet()
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: 'Error editing splice sheet',
+      error: error.message,
+      operations: EDIT_OPERATIONS
+    });
+  }
+});
+
+app.get('/sheets/:id/trace', validateRequest('traceSheet'), (req, res) => {
+  try {
+    const sheet = projectStore.getSheet(req.params.id);
+    if (!sheet) {
+      return res.status(404).json({ error: 'Sheet not found' });
+    }
+
+    const generator = new SpliceSheetGenerator();
+    generator.loadRecords(sheet);
+    sendTrace(res, generator, req.query);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Export the sheet as it stands now, in any of OUTPUT_FORMATS
+app.get('/sheets/:id/download', validateRequest('downloadSheet'), async (req, res) => {
+  try {
+    const sheet = projectStore.getSheet(req.params.id);
+    if (!sheet) {
+      return res.status(404).json({ error: 'Sheet not found' });
+    }
+
+    const format = getOutputFormat(req.query.format);
+    const generator = new SpliceSheetGenerator({ outputDir: projectStore.sheetDir(sheet.id) });
+    const spliceData = generator.loadRecords({ ...sheet, project: sheet.name });
+    const filePath = await generator.exportOutput(spliceData, `${sheet.basename}.${format}`, format);
+    res.download(filePath, path.basename(filePath));
+  } catch (error) {
+    console.error('Error exporting splice sheet:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Optional query: scheme, fiberCount, fibersPerTube, tubeCount, type and
+// fibersPerRibbon to get the color sequences for that cable construction.
+// Sizes past CONSTRUCTION_LIMITS are rejected by the schema.
+app.get('/fiber-standards', validateRequest('getFiberStandards'), (req, res) => {
+  try {
+    const generator = new SpliceSheetGenerator();
+    const scheme = generator.getColorScheme(req.query.scheme || DEFAULT_COLOR_SCHEME);
+    const construction = generator.getCableConstruction({
+      fiberCount: req.query.fiberCount || 144,
+      fibersPerTube: req.query.fibersPerTube,
+      tubeCount: req.query.tubeCount,
+      type: req.query.type,
+      fibersPerRibbon: req.query.fibersPerRibbon
+    });
+    const sequence = (length, options) => Array.from({ length }, (_, index) => sequenceColor(scheme, index + 1, options));
+    const sequenceLength = scheme.colors.length;
+
+    const standards = {
+      bufferColors: sequence(Math.max(construction.tubeCount, sequenceLength)),
+      fiberColors: sequence(construction.type === 'ribbon'
+        ? construction.fibersPerRibbon
+        : Math.max(construction.fibersPerTube, sequenceLength), { lowercase: true }),
+      standardFibersPerTube: STANDARD_FIBERS_PER_TUBE,
+      colorCodingStandard: scheme.name,
+      colorSchemes: listColorSchemes().map(registered => registered.name),
+      stripeConvention: STRIPE_CONVENTION,
+      cableTypes: CABLE_TYPES,
+      construction
+    };
+
+    if (construction.type === 'ribbon') {
+      standards.ribbonColors = sequence(construction.fibersPerTube / construction.fibersPerRibbon);
+    }
+
+    res.json(standards);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// List every registered color scheme with full color names and hex values
+app.get('/fiber-standards/schemes', (req, res) => {
+  res.json({ schemes: listColorSchemes() });
+});
+
+// Get a single color scheme by name
+app.get('/fiber-standards/schemes/:name', (req, res) => {
+  try {
+    res.json(getColorScheme(req.params.name));
+  } catch (error) {
+    res.status(error.statusCode === 400 ? 404 : 500).json({ error: error.message });
+  }
 });
 
 // Error handling middleware
@@ -392,24 +1348,33 @@ app.use((error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ error: 'File too large' });
     }
+    if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json(invalidRequest([{ in: 'body', field: error.field, message: 'is not a known file field' }]));
+    }
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(invalidRequest([{ in: 'body', field: null, message: `is not valid JSON: ${error.message}` }]));
   }
-  
+
   res.status(500).json({ error: error.message });
 });
 
+// Listen when run directly; tests require the app without starting a server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Splice Sheet Generator API running on port ${PORT}`);
-  console.log(`Frontend available at: http://localhost:${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/health`);
-  
-  // Create necessary directories
-  const dirs = ['uploads', 'output', 'public'];
-  dirs.forEach(dir => {
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Splice Sheet Generator API running on port ${PORT}`);
+    console.log(`Frontend available at: http://localhost:${PORT}`);
+    console.log(`Health check: http://localhost:${PORT}/health`);
+
+    // Create necessary directories
+    const dirs = ['uploads', 'output', 'public'];
+    dirs.forEach(dir => {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+    });
   });
-});
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,208 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+const DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'splice-server-'));
+process.env.DATA_DIR = DATA_DIR;
+const app = require('./server');
+
+afterAll(() => {
+  fs.rmSync(DATA_DIR, { recursive: true, force: true });
+});
+
+describe('GET /fiber-standards', () => {
+  test('describes the construction asked for', async () => {
+    const res = await request(app).get('/fiber-standards?fiberCount=288&fibersPerTube=24');
+
+    expect(res.status).toBe(200);
+    expect(res.body.construction).toEqual({ type: 'loose-tube', fiberCount: 288, fibersPerTube: 24, tubeCount: 12, fibersPerRibbon: 12 });
+    expect(res.body.fiberColors).toHaveLength(24);
+    expect(res.body.fiberColors[12]).toBe('bl/bk');
+  });
+
+  test('lists ribbon colors for ribbon cables', async () => {
+    const res = await request(app).get('/fiber-standards?type=ribbon&fiberCount=864');
+
+    expect(res.status).toBe(200);
+    expect(res.body.ribbonColors).toHaveLength(12);
+    expect(res.body.fiberColors).toHaveLength(12);
+  });
+
+  test('rejects constructions larger than any cable made', async () => {
+    const res = await request(app).get('/fiber-standards?fibersPerTube=5000&tubeCount=5000');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('fibersPerTube must be at most 864; tubeCount must be at most 576');
+  });
+});
+
+describe('POST /generate-custom-splice-sheet', () => {
+  test('rejects more ports or larger cables than any FDH holds', async () => {
+    const res = await request(app).post('/generate-custom-splice-sheet')
+      .send({ ports: 1e8, cables: [{ name: '12F', fiberCount: 100000 }] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { in: 'body', field: 'ports', message: 'must be at most 6912' },
+      { in: 'body', field: 'cables[0].fiberCount', message: 'must be at most 6912' }
+    ]);
+  });
+
+  test('an output format other than xlsx, pdf, csv or json is a 400', async () => {
+    const res = await request(app)
+      .post('/generate-custom-splice-sheet?format=docx')
+      .send({ ports: 12, cables: [{ name: 'A', fiberCount: 12 }], addresses: [] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ in: 'query', field: 'format', message: 'must be one of: xlsx, pdf, csv, json' }]);
+  });
+});
+
+describe('GET /projects/:id/revisions/:revision/download', () => {
+  let projectId;
+
+  beforeAll(async () => {
+    const project = await request(app).post('/projects').send({
+      name: 'Formats',
+      fdh: 'FDH1',
+      settings: { ports: 4 },
+      cables: [{ name: 'A', fiberCount: 12 }],
+      addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 2 }]
+    });
+    projectId = project.body.id;
+    await request(app).post(`/projects/${projectId}/revisions`).send({ format: 'json' }).expect(201);
+  });
+
+  test('converts the stored fiber document to CSV for an Accept header', async () => {
+    const res = await request(app).get(`/projects/${projectId}/revisions/1/download`).set('Accept', 'text/csv');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toContain('formats_rev1.csv');
+    expect(res.text.split('\r\n')[1]).toMatch(/^1,FDH1,A,1,1,BL,,,1,bl,TIA-598-C,MST_1,1 A ST,/);
+  });
+
+  test('?format= picks the JSON document, and formats never rendered are a 404', async () => {
+    const json = await request(app).get(`/projects/${projectId}/revisions/1/download?format=json`);
+    expect(json.headers['content-disposition']).toContain('formats_rev1.json');
+    expect(json.body).toMatchObject({ fdh: 'FDH1', project: 'Formats', revision: '1', fiberCount: 4 });
+
+    const pdf = await request(app).get(`/projects/${projectId}/revisions/1/download?format=pdf`);
+    expect(pdf.status).toBe(404);
+    expect(pdf.body).toEqual({ error: 'Format not generated for this revision', formats: ['json'] });
+  });
+});
+
+describe('POST /validate', () => {
+  test('checks a design without exporting it', async () => {
+    const res = await request(app).post('/validate').send({
+      ports: 14,
+      cables: [{ name: '12F', fiberCount: 12 }],
+      addresses: [{ mst: 'MST_1', address: '1 A ST' }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.message).toBe('1 error(s) found');
+    expect(res.body.checks.errors).toEqual([
+      { code: 'CAPACITY_SHORTFALL', message: '14 ports need more fibers than the cables\' 12 available', rows: [13, 14], ports: [13, 14] }
+    ]);
+  });
+});
+
+describe('POST /network-tree', () => {
+  test('returns the design as a feeder-rooted tree', async () => {
+    const res = await request(app).post('/network-tree').send({
+      ports: 2,
+      mainCableName: 'FDH108',
+      feederCable: { name: 'F1000', fiberCount: 12 },
+      cables: [{ name: '12F', fiberCount: 12 }],
+      addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 1 }]
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.tree).toMatchObject({ level: 'feeder', name: 'F1000', fibersUsed: 2, children: [{ level: 'fdh', name: 'FDH108' }] });
+    expect(res.body.tree.children[0].children[0].children[0].children[0].fibers[0].trace)
+      .toBe('F1000 F1 (BL bl) > FDH108 P1 > 12F F1 (BL bl) > MST_1 > 1 A ST');
+  });
+});
+
+describe('POST /trace', () => {
+  const design = {
+    ports: 4,
+    cables: [{ name: '12F', fiberCount: 12 }],
+    addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 1 }]
+  };
+
+  test('traces the fibers serving an MST', async () => {
+    const res = await request(app).post('/trace?mst=mst_1').send(design);
+
+    expect(res.status).toBe(200);
+    expect(res.body.matches.map(match => [match.match, match.fibers.length])).toEqual([['MST_1', 1]]);
+  });
+
+  test('an MST with no letters or digits is a 400, not a match on everything', async () => {
+    const res = await request(app).post('/trace?mst=--').send(design);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('mst "--" has no letters or digits to match');
+  });
+
+  test('a query nothing matches is a 404', async () => {
+    const res = await request(app).post('/trace?port=40').send(design);
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: 'No port matches the query', by: 'port', matches: [] });
+  });
+});
+
+describe('POST /generate-stream', () => {
+  const design = {
+    ports: 3,
+    cables: [{ name: '12F', fiberCount: 12 }],
+    addresses: [{ mst: 'MST_1', address: '1 A ST', fiberCount: 1 }]
+  };
+
+  test('streams the sheet as CSV with its row count', async () => {
+    const res = await request(app).post('/generate-stream?format=csv').send(design);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(res.headers['x-row-count']).toBe('3');
+    const lines = res.text.trim().split('\r\n');
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toMatch(/^1,FDH108_144F_1-96,12F,1,1,BL,,,1,bl,TIA-598-C,MST_1,1 A ST,/);
+  });
+
+  test('streams the JSON document', async () => {
+    const res = await request(app).post('/generate-stream?format=json').send(design);
+
+    expect(res.status).toBe(200);
+    expect(JSON.parse(res.text).fibers.map(fiber => fiber.status)).toEqual(['assigned', 'unused', 'unused']);
+  });
+
+  test('bad input is a JSON 400 before anything is streamed', async () => {
+    const pdf = await request(app).post('/generate-stream?format=pdf').send(design);
+    expect(pdf.status).toBe(400);
+    expect(pdf.body.errors).toEqual([{ in: 'query', field: 'format', message: 'must be one of: xlsx, csv, json' }]);
+
+    const feeder = await request(app).post('/generate-stream').send({ ...design, feederCable: { name: 'F1' } });
+    expect(feeder.status).toBe(400);
+    expect(feeder.body.errors).toEqual([{ in: 'body', field: 'feederCable.fiberCount', message: 'is required' }]);
+  });
+});
+
+describe('POST /generate-splice-sheet', () => {
+  test('a bad address file is a 400 and its upload is deleted', async () => {
+    const uploads = () => fs.readdirSync(path.join(__dirname, 'uploads'));
+    const before = uploads();
+    const res = await request(app).post('/generate-splice-sheet')
+      .attach('addressFile', Buffer.from('{nope'), 'drops.geojson');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatch(/^drops\.geojson is not valid JSON/);
+    // The unlink is not awaited by the route
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(uploads()).toEqual(before);
+  });
+});